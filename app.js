@@ -4,74 +4,289 @@
 
 // ── PDF.js setup ──────────────────────────────────────────────
 import * as pdfjsLib from 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.4.168/pdf.min.mjs';
-pdfjsLib.GlobalWorkerOptions.workerSrc =
-  'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.4.168/pdf.worker.min.mjs';
+// The same build, for the workers in lib/pdf-worker.js
+const PDFJS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.4.168/pdf.min.mjs';
+const PDFJS_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.4.168/pdf.worker.min.mjs';
+pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+
+// ── Core pipeline (shared with the Node CLI) ──────────────────
+import {
+  processPdf,
+  buildMessage,
+  buildOutputFile,
+  OUTPUT_FORMATS,
+  buildOutputBaseFilename,
+  resolveFileNameCollisions,
+  extractSignatureBody,
+  readSignatureSender,
+  buildReportRow,
+  buildManifestCsv,
+  buildExportCsv,
+  buildExportXlsx,
+  createZip,
+  sanitizeFileName,
+  rfc2047EncodeHeaderValue,
+  emlBodyBase64EncodeWithWrap,
+  escapeHtml,
+  NO_DETECTED_EMAIL_PREFIX,
+  parseDirectoryCsv,
+  directoryToCsv,
+  resolveToWithDirectory,
+  splitAddresses,
+  joinAddresses,
+  findFirstEmail,
+  compileProfiles,
+  buildPreviewHtml,
+  createTaskPool,
+  createAbortError,
+  isAbortError,
+  collectPdfs,
+  scanPdfForSplit,
+  buildSegments,
+  parseSplitPoints,
+  formatPageRange,
+  serializeResult,
+  restoreResult,
+  summarizeBatch,
+  describeBatch,
+  INTERRUPTED_STATUS,
+  batchFingerprints,
+  findDuplicates,
+  findMergeGroups,
+  mergeResults,
+  fetchAsset,
+  openVault,
+  vaultAssetLoader,
+  VAULT_PATH,
+  setDevMode
+} from './lib/index.js';
+import { loadDirectory, putClients } from './lib/directory-store.js';
+import {
+  createBatch, saveBatchRows, listBatches, loadBatch, deleteBatch, purgeBatches
+} from './lib/history-store.js';
+import { createOcrEngine } from './lib/ocr-engine.js';
 
 // ── DOM refs ──────────────────────────────────────────────────
+const pwGate         = document.getElementById('pwGate');
+const pwInput        = document.getElementById('pwInput');
+const pwBtn          = document.getElementById('pwBtn');
+const pwError        = document.getElementById('pwError');
+const appCard        = document.getElementById('appCard');
 const pdfInput       = document.getElementById('pdfFile');
+const folderInput    = document.getElementById('folderInput');
+const folderBtn      = document.getElementById('folderBtn');
+const dropZone       = document.getElementById('dropZone');
+const skippedEl      = document.getElementById('skippedInputs');
 const sigSelect      = document.getElementById('signatureSelect');
+const profileSelect  = document.getElementById('profileSelect');
+const formatSelect   = document.getElementById('formatSelect');
+const concurrencyInput = document.getElementById('concurrencyInput');
+const attachPdfChk   = document.getElementById('attachPdf');
+const sideBySideChk  = document.getElementById('sideBySide');
+const splitPdfChk    = document.getElementById('splitPdf');
+const splitPane      = document.getElementById('splitPane');
 const generateBtn    = document.getElementById('generateBtn');
 const downloadAllBtn = document.getElementById('downloadAllBtn');
+const downloadZipBtn = document.getElementById('downloadZipBtn');
+const zipManifestChk = document.getElementById('zipManifest');
+const exportCsvBtn   = document.getElementById('exportCsvBtn');
+const exportXlsxBtn  = document.getElementById('exportXlsxBtn');
 const statusEl       = document.getElementById('status');
 const resultsEl      = document.getElementById('results');
 const downloadHint   = document.getElementById('downloadHint');
+const dirImportInput = document.getElementById('directoryImport');
+const dirImportBtn   = document.getElementById('directoryImportBtn');
+const dirExportBtn   = document.getElementById('directoryExportBtn');
+const dirInfoEl      = document.getElementById('directoryInfo');
+const previewPane    = document.getElementById('previewPane');
+const previewTitle   = document.getElementById('previewTitle');
+const previewFrame   = document.getElementById('previewFrame');
+const previewCanvas  = document.getElementById('previewCanvas');
+const previewPrevBtn = document.getElementById('previewPrevBtn');
+const previewNextBtn = document.getElementById('previewNextBtn');
+const previewPageInfo = document.getElementById('previewPageInfo');
+const previewCloseBtn = document.getElementById('previewCloseBtn');
+const resumeBanner   = document.getElementById('resumeBanner');
+const historyBtn     = document.getElementById('historyBtn');
+const historyRetention = document.getElementById('historyRetention');
+const historyInfo    = document.getElementById('historyInfo');
+const historyPane    = document.getElementById('historyPane');
 
 // ── State ─────────────────────────────────────────────────────
-const MAX_FILES      = 50;
-const DEFAULT_SUBJECT = 'MODELO 347';
+const MAX_FILES      = 1000;
+// Leave a core for the page itself; more than 4 mostly adds memory pressure
+const DEFAULT_CONCURRENCY = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
 const MIN_DOWNLOAD_DELAY_MS = 400;
 const MAX_DOWNLOAD_DELAY_MS = 800;
-const RECIPIENT_SEARCH_HEIGHT_RATIO = 0.35;
-const NO_DETECTED_EMAIL_PREFIX = 'NDE';
-const SUBJECT_ANCHOR_REGEX = /Dto\.?\s*de\s*Contabilidad/i;
-let selectedFiles    = [];
+const MANIFEST_FILENAME = 'manifest.csv';
+const DIRECTORY_FILENAME = 'converto_clientes.csv';
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const PREVIEW_PAGE_WIDTH = 360;     // CSS px of the source PDF thumbnail
+const HISTORY_RETENTION_KEY = 'converto.historyRetentionDays';
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+let selectedFiles    = [];          // { file, source } PDFs to process
+let splitPlans       = new Map();   // selectedFiles entry → scanPdfForSplit() plan + startPages, or { error }
+let splitScanId      = 0;           // newest planSplits() run; older ones stop
 let results          = [];
 let signaturesCache  = {};          // id → html string
+let signatureSenders = {};          // id → sender identity (From, Reply-To…) or null
+let signatureAssets  = new Map();   // vault path → bytes of the signature images
+let loadAsset        = fetchAsset;  // buildEml() image loader; vault first once unlocked
+let profiles         = [];          // compiled profiles from profiles/index.json
+const ocrEngine      = createOcrEngine();  // loads lazily, on the first scanned page
+let directory        = new Map();   // normalized NIF → { nif, name, email }
+let preview          = null;        // { result, pdfPromise, pageNumber, numPages, renderTask }
+const pool           = createTaskPool(processResult, { concurrency: DEFAULT_CONCURRENCY });
+const idleWorkers    = [];          // lib/pdf-worker.js instances between jobs
+let workersSupported = typeof Worker !== 'undefined';
+let nextWorkerJobId  = 1;
+let renderScheduled  = false;
+let renderedRows     = [];          // results-table row HTML as last rendered, by index
+let currentBatch     = null;        // history record of the batch in the table (null: not saved)
+let historyBatches   = [];          // listBatches(), newest first
 
-// ── Init: load signature manifest ─────────────────────────────
-(async () => {
+// ── Dev diagnostics mode (?dev) ───────────────────────────────
+const DEV_MODE = new URLSearchParams(window.location.search).has('dev');
+setDevMode(DEV_MODE);
+
+// ── Unlock: open the signature vault ──────────────────────────
+// The password is the vault's passphrase: nothing to compare it with in
+// the page, and the signatures stay encrypted until it is typed.
+pwBtn.addEventListener('click', unlock);
+pwInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') unlock();
+});
+
+async function unlock() {
+  if (pwBtn.disabled) return;
+  pwBtn.disabled = true;
+  pwError.textContent = '';
+  let files;
+  try {
+    const res = await fetch(VAULT_PATH);
+    if (!res.ok) throw new Error(`${VAULT_PATH}: HTTP ${res.status}`);
+    files = await openVault(await res.json(), pwInput.value);
+  } catch (err) {
+    if (err.name === 'WrongPassphraseError') {
+      pwError.textContent = 'Incorrect password. Please try again.';
+    } else {
+      console.error(err);
+      pwError.textContent = `Could not unlock: ${err.message || err}`;
+    }
+    pwInput.value = '';
+    pwInput.focus();
+    pwBtn.disabled = false;
+    return;
+  }
+  pwInput.value = '';
+  loadSignatures(files);
+  pwGate.style.display = 'none';
+  appCard.style.display = 'block';
+}
+
+function loadSignatures(files) {
+  const text = name => new TextDecoder().decode(files.get(name));
   try {
-    const res  = await fetch('signatures/index.json');
-    const list = await res.json();
+    const list = JSON.parse(text('signatures/index.json'));
     for (const s of list) {
       const opt   = document.createElement('option');
       opt.value   = s.id;
       opt.textContent = s.label;
       sigSelect.appendChild(opt);
-      // pre‑fetch each signature
-      const r = await fetch(s.path);
-      let html = await r.text();
-      // if it's a full HTML document, extract <body> content
-      const bodyMatch = html.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
-      if (bodyMatch) html = bodyMatch[1];
-      signaturesCache[s.id] = html.trim();
+      signaturesCache[s.id] = files.has(s.path) ? extractSignatureBody(text(s.path)) : '';
+      signatureSenders[s.id] = readSignatureSender(s);
     }
   } catch (e) {
     console.warn('Could not load signatures:', e);
   }
+  // Workers get the images too (a function can't be posted)
+  signatureAssets = new Map([...files].filter(([name]) => !/\.(json|html?)$/i.test(name)));
+  loadAsset = vaultAssetLoader(signatureAssets, fetchAsset);
+}
+
+// ── Init: load document profiles ───────────────────────────
+(async () => {
+  try {
+    const res = await fetch('profiles/index.json');
+    profiles = compileProfiles(await res.json());
+    for (const p of profiles) {
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = p.label;
+      profileSelect.appendChild(opt);
+    }
+  } catch (e) {
+    console.warn('Could not load profiles:', e);
+  }
+})();
+
+// ── Init: load client directory from IndexedDB ────────────────
+(async () => {
+  try {
+    directory = await loadDirectory();
+  } catch (e) {
+    console.warn('Could not load client directory:', e);
+  }
+  renderDirectoryInfo();
 })();
 
+// ── Init: batch history (retention, unfinished batch) ─────────
+historyRetention.value = readRetentionDays();
+(async () => {
+  try {
+    await purgeOldBatches();
+    await refreshHistory();
+    // The last batch stopped halfway: closed tab, reload, crash
+    const latest = historyBatches[0];
+    if (latest && latest.counts.remaining > 0) renderResumeBanner(latest);
+  } catch (e) {
+    console.warn('Could not load batch history:', e);
+    historyInfo.textContent = 'History unavailable in this browser';
+    historyBtn.disabled = true;
+  }
+})();
+
+concurrencyInput.value = String(DEFAULT_CONCURRENCY);
+
 // ── Events ────────────────────────────────────────────────────
 pdfInput.addEventListener('change', () => {
-  selectedFiles = Array.from(pdfInput.files || []);
-  downloadAllBtn.disabled = true;
-  downloadHint.style.display = 'none';
-  results = [];
-  renderResults();
-  if (selectedFiles.length > MAX_FILES) {
-    setStatus(`Error: Maximum ${MAX_FILES} PDFs allowed.`, true);
-    generateBtn.disabled = true;
-    return;
-  }
-  if (!selectedFiles.length) {
-    setStatus('');
-    generateBtn.disabled = true;
-    return;
+  folderInput.value = '';
+  selectSources(Array.from(pdfInput.files || []).map(file => ({ file, path: '' })));
+});
+
+folderBtn.addEventListener('click', () => folderInput.click());
+
+folderInput.addEventListener('change', () => {
+  pdfInput.value = '';
+  selectSources(Array.from(folderInput.files || []).map(file => ({ file, path: file.webkitRelativePath })));
+});
+
+dropZone.addEventListener('dragover', (event) => {
+  event.preventDefault();
+  if (!pdfInput.disabled) dropZone.classList.add('drop-zone--over');
+});
+
+dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drop-zone--over'));
+
+dropZone.addEventListener('drop', async (event) => {
+  event.preventDefault();
+  dropZone.classList.remove('drop-zone--over');
+  if (pdfInput.disabled) return;
+  pdfInput.value = '';
+  folderInput.value = '';
+  try {
+    selectSources(await readDroppedItems(event.dataTransfer));
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not read the dropped files: ${err.message || err}`, true);
   }
-  setStatus(`${selectedFiles.length} PDF(s) selected.`);
-  generateBtn.disabled = false;
 });
 
+// A drop that misses the zone would otherwise open the file and lose the batch
+window.addEventListener('dragover', (event) => event.preventDefault());
+window.addEventListener('drop', (event) => event.preventDefault());
+
 generateBtn.addEventListener('click', async () => {
   if (!selectedFiles.length) return;
   if (selectedFiles.length > MAX_FILES) {
@@ -79,45 +294,15 @@ generateBtn.addEventListener('click', async () => {
     return;
   }
 
-  setUiDisabled(true);
-  results = selectedFiles.map(file => ({
-    file,
-    recipient: '',
-    toEmail: '',
-    subject: '',
-    baseFilename: '',
-    diagnostics: '',
-    eml: '',
-    status: 'Pending',
-    error: ''
-  }));
+  closePreview();
+  results = selectedFiles.flatMap(entry => {
+    const plan = splitPdfChk.checked ? splitPlans.get(entry) : null;
+    const segments = plan && !plan.error ? buildSegments(plan.startPages, plan.numPages) : [];
+    return segments.length > 1 ? segments.map(range => createResult(entry, range)) : [createResult(entry)];
+  });
   renderResults();
-
-  let completed = 0;
-  const total = results.length;
-  setStatus(`Generating EML… (0/${total})`);
-
-  for (const result of results) {
-    result.status = 'Processing';
-    renderResults();
-    try {
-      const processed = await processPdfFile(result.file);
-      Object.assign(result, processed, { status: 'Done', error: '' });
-    } catch (err) {
-      console.error(err);
-      result.status = 'Error';
-      result.error = err.message || 'Unknown error';
-    }
-    completed += 1;
-    setStatus(`Generating EML… (${completed}/${total})`);
-    renderResults();
-  }
-
-  const successCount = results.filter(r => r.status === 'Done').length;
-  setStatus(`Generation complete. ${successCount}/${total} file(s) ready.`);
-  downloadAllBtn.disabled = successCount === 0;
-  downloadHint.style.display = successCount > 0 ? 'block' : 'none';
-  setUiDisabled(false);
+  await startBatch();
+  await Promise.all(results.map(runResult));
 });
 
 downloadAllBtn.addEventListener('click', async () => {
@@ -127,6 +312,229 @@ downloadAllBtn.addEventListener('click', async () => {
   downloadAllBtn.disabled = false;
 });
 
+resultsEl.addEventListener('change', async (event) => {
+  const input = event.target.closest('.cell-input');
+  if (!input) return;
+  const result = results[Number(input.dataset.index)];
+  if (!result || result.status !== 'Done') return;
+  // Address inputs add to the chips already in the cell
+  const value = input.dataset.append ? joinAddresses(result[input.dataset.field], input.value) : input.value;
+  try {
+    await applyResultEdit(result, input.dataset.field, value);
+  } catch (err) {
+    console.error(err);
+    result.diagnostics = `Rebuild failed: ${err.message || err}`;
+  }
+  // renderResults() keeps a focused input as it is: show the applied value
+  // (address inputs empty again, their addresses are chips now)
+  const applied = input.dataset.append ? '' : result[input.dataset.field] || '';
+  if (input.value !== applied) input.value = applied;
+  persistResults([result]);
+  // Patches only what the edit changed (chips, filename, EML name, Diag):
+  // the cell Tab moved to keeps its focus and caret
+  renderResults();
+  if (preview && preview.result === result) renderPreviewMessage();
+});
+
+resultsEl.addEventListener('click', async (event) => {
+  const btn = event.target.closest('.chip-remove');
+  if (!btn) return;
+  const result = results[Number(btn.dataset.index)];
+  if (!result || result.status !== 'Done') return;
+  const field = btn.dataset.field;
+  const remaining = splitAddresses(result[field]).filter(email => email !== btn.dataset.email);
+  try {
+    await applyResultEdit(result, field, remaining.join(', '));
+  } catch (err) {
+    console.error(err);
+    result.diagnostics = `Rebuild failed: ${err.message || err}`;
+  }
+  persistResults([result]);
+  renderResults();
+  if (preview && preview.result === result) renderPreviewMessage();
+});
+
+// Clicking a finished row (outside its inputs and buttons) opens the preview
+resultsEl.addEventListener('click', (event) => {
+  if (event.target.closest('input, button')) return;
+  const row = event.target.closest('tr.result-row');
+  if (!row) return;
+  const result = results[Number(row.dataset.index)];
+  if (result && result.status === 'Done') openPreview(result);
+});
+
+resultsEl.addEventListener('click', async (event) => {
+  const btn = event.target.closest('.merge-btn');
+  if (!btn) return;
+  const group = findMergeGroups(results).find(g => g[0] === Number(btn.dataset.index));
+  if (!group) return;
+  btn.disabled = true;
+  try {
+    await mergeRows(group.map(index => results[index]));
+    setStatus(`Merged ${group.length} letters into one email to ${results[group[0]].toEmail}.`);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not merge: ${err.message || err}`, true);
+  }
+  renderResults();
+  if (preview) renderPreviewMessage();
+});
+
+resultsEl.addEventListener('click', async (event) => {
+  const btn = event.target.closest('.save-client-btn');
+  if (!btn) return;
+  const result = results[Number(btn.dataset.index)];
+  if (!result) return;
+  btn.disabled = true;
+  try {
+    await saveResultToDirectory(result);
+    setStatus(`Saved ${splitAddresses(result.toEmail)[0]} for ${result.nif} to the client directory.`);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not save to directory: ${err.message || err}`, true);
+  }
+  renderResults();
+  if (preview) renderPreviewMessage();
+});
+
+previewCloseBtn.addEventListener('click', () => {
+  closePreview();
+  renderResults();
+});
+
+previewPrevBtn.addEventListener('click', () => turnPreviewPage(-1));
+previewNextBtn.addEventListener('click', () => turnPreviewPage(1));
+
+dirImportBtn.addEventListener('click', () => dirImportInput.click());
+
+dirImportInput.addEventListener('change', async () => {
+  const file = dirImportInput.files && dirImportInput.files[0];
+  dirImportInput.value = '';
+  if (!file) return;
+  try {
+    await importDirectoryCsv(file);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not import directory: ${err.message || err}`, true);
+  }
+});
+
+dirExportBtn.addEventListener('click', () => {
+  if (!directory.size) return;
+  downloadBlob(directoryToCsv(directory.values()), DIRECTORY_FILENAME, 'text/csv');
+});
+
+downloadZipBtn.addEventListener('click', async () => {
+  if (downloadZipBtn.disabled) return;
+  downloadZipBtn.disabled = true;
+  try {
+    await downloadResultsZip();
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not build the ZIP: ${err.message || err}`, true);
+  }
+  downloadZipBtn.disabled = false;
+});
+
+// Extracted data of the whole batch (errors included) for the control sheet
+exportCsvBtn.addEventListener('click', () => {
+  if (!results.length) return;
+  downloadBlob(buildExportCsv(results), `Converto_data_${batchStamp()}.csv`, 'text/csv');
+});
+
+exportXlsxBtn.addEventListener('click', () => {
+  if (!results.length) return;
+  downloadBlob(buildExportXlsx(results), `Converto_data_${batchStamp()}.xlsx`, XLSX_MIME_TYPE);
+});
+
+// Output names follow the chosen extension
+formatSelect.addEventListener('change', () => renderResults());
+
+splitPdfChk.addEventListener('change', () => planSplits());
+
+// Detection uses the chosen profile's NIF and "A:" rules
+profileSelect.addEventListener('change', () => {
+  if (splitPdfChk.checked) planSplits();
+});
+
+// Split points typed in the preview: "1, 4, 7"
+splitPane.addEventListener('change', (event) => {
+  const input = event.target.closest('.split-input');
+  if (!input) return;
+  const plan = splitPlans.get(selectedFiles[Number(input.dataset.index)]);
+  if (!plan || plan.error) return;
+  plan.startPages = parseSplitPoints(input.value, plan.numPages);
+  renderSplitPane();
+  setStatus(splitStatus());
+});
+
+// Takes effect as slots free up, also in the middle of a batch
+concurrencyInput.addEventListener('change', () => {
+  pool.setConcurrency(concurrencyInput.value);
+});
+
+historyBtn.addEventListener('click', async () => {
+  const show = historyPane.style.display === 'none';
+  historyPane.style.display = show ? 'block' : 'none';
+  historyBtn.textContent = show ? 'Hide history' : 'Show history';
+  if (show) await refreshHistory();
+});
+
+historyRetention.addEventListener('change', async () => {
+  try {
+    localStorage.setItem(HISTORY_RETENTION_KEY, historyRetention.value);
+  } catch (e) {
+    console.warn('Could not save the retention setting:', e);
+  }
+  try {
+    const purged = await purgeOldBatches();
+    if (purged) setStatus(`${purged} old batch(es) removed from the history.`);
+    await refreshHistory();
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not purge the history: ${err.message || err}`, true);
+  }
+});
+
+// Open / Resume / Regenerate / Delete, from the history and the resume banner
+for (const el of [historyPane, resumeBanner]) {
+  el.addEventListener('click', async (event) => {
+    const btn = event.target.closest('.history-action-btn');
+    if (!btn) return;
+    const { action, id } = btn.dataset;
+    if (action === 'dismiss') {
+      renderResumeBanner(null);
+      return;
+    }
+    try {
+      if (action === 'delete') {
+        if (!window.confirm('Delete this batch and its PDFs from the history?')) return;
+        await deleteBatch(id);
+        if (currentBatch && currentBatch.id === id) currentBatch = null;
+        if (resumeBanner.dataset.id === id) renderResumeBanner(null);
+        await refreshHistory();
+      } else {
+        await openBatch(id, action);
+      }
+    } catch (err) {
+      console.error(err);
+      setStatus(`Could not ${action} the batch: ${err.message || err}`, true);
+    }
+  });
+}
+
+resultsEl.addEventListener('click', (event) => {
+  const btn = event.target.closest('.row-action-btn');
+  if (!btn) return;
+  const result = results[Number(btn.dataset.index)];
+  if (!result) return;
+  if (btn.dataset.action === 'cancel') {
+    pool.cancel(result);
+  } else if (btn.dataset.action === 'retry' && !isActive(result)) {
+    runResult(result);
+  }
+});
+
 // ── Helpers ───────────────────────────────────────────────────
 function setStatus(msg, isError) {
   statusEl.textContent = msg;
@@ -135,961 +543,992 @@ function setStatus(msg, isError) {
 
 function setUiDisabled(isDisabled) {
   pdfInput.disabled = isDisabled;
+  folderBtn.disabled = isDisabled;
+  historyPane.querySelectorAll('.history-action-btn').forEach(btn => { btn.disabled = isDisabled; });
+  resumeBanner.querySelectorAll('.history-action-btn').forEach(btn => { btn.disabled = isDisabled; });
   sigSelect.disabled = isDisabled;
+  profileSelect.disabled = isDisabled;
+  formatSelect.disabled = isDisabled;
+  attachPdfChk.disabled = isDisabled;
+  sideBySideChk.disabled = isDisabled;
+  splitPdfChk.disabled = isDisabled;
+  splitPane.querySelectorAll('input').forEach(input => { input.disabled = isDisabled; });
   generateBtn.disabled = isDisabled || !selectedFiles.length;
   if (isDisabled) {
     downloadAllBtn.disabled = true;
+    downloadZipBtn.disabled = true;
+    exportCsvBtn.disabled = true;
+    exportXlsxBtn.disabled = true;
   }
 }
 
-async function processPdfFile(file) {
-  const arrayBuf = await file.arrayBuffer();
-  const pdf      = await pdfjsLib.getDocument({ data: arrayBuf }).promise;
+// ── Batch input ───────────────────────────────────────────────
+// Picked files, a picked folder or a drop: ZIPs are unpacked and anything
+// that isn't a PDF is listed under the status line instead of queued.
+async function selectSources(sources) {
+  selectedFiles = [];
+  currentBatch = null;
+  splitPlans = new Map();
+  splitScanId += 1;
+  renderSplitPane();
+  downloadAllBtn.disabled = true;
+  downloadZipBtn.disabled = true;
+  exportCsvBtn.disabled = true;
+  exportXlsxBtn.disabled = true;
+  generateBtn.disabled = true;
+  downloadHint.style.display = 'none';
+  closePreview();
+  results = [];
+  renderResults();
+  renderSkipped([]);
+  if (!sources.length) {
+    setStatus('');
+    return;
+  }
 
-  const pages = [];
-  for (let i = 1; i <= pdf.numPages; i++) {
-    const page = await pdf.getPage(i);
-    pages.push(await extractPage(page));
+  setStatus('Reading files…');
+  let collected;
+  try {
+    collected = await collectPdfs(sources);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not read the selected files: ${err.message || err}`, true);
+    return;
+  }
+  const { pdfs, skipped } = collected;
+  renderSkipped(skipped);
+  const skippedNote = skipped.length ? ` ${skipped.length} other file(s) skipped.` : '';
+  if (pdfs.length > MAX_FILES) {
+    setStatus(`Error: Maximum ${MAX_FILES} PDFs allowed (found ${pdfs.length}).`, true);
+    return;
   }
+  if (!pdfs.length) {
+    setStatus(`No PDFs found.${skippedNote}`, skipped.length > 0);
+    return;
+  }
+  selectedFiles = pdfs;
+  setStatus(`${pdfs.length} PDF(s) selected.${skippedNote}`);
+  generateBtn.disabled = false;
+  if (splitPdfChk.checked) await planSplits();
+}
 
-  const firstPage = pages[0];
-  const recipient = extractRecipient(firstPage);
-  const toEmail = extractToEmail(firstPage);
-  const subject = extractSubject(firstPage);
+// ── Split mode ────────────────────────────────────────────────
+// Reads the text of every selected PDF and proposes where its letters
+// start; the preview lets those pages be corrected before Generate.
+async function planSplits() {
+  const scanId = ++splitScanId;
+  const files = selectedFiles;
+  splitPlans = new Map();
+  renderSplitPane();
+  if (!splitPdfChk.checked || !files.length) {
+    if (files.length) setStatus(`${files.length} PDF(s) selected.`);
+    generateBtn.disabled = !files.length;
+    return;
+  }
 
-  let bodyHtml = '';
-  for (let i = 0; i < pages.length; i++) {
-    bodyHtml += buildPageHtml(pages[i], i);
+  generateBtn.disabled = true;
+  const profile = profiles.find(p => p.id === profileSelect.value) || null;
+  for (let i = 0; i < files.length; i++) {
+    setStatus(`Detecting letters… (${i}/${files.length})`);
+    let plan;
+    try {
+      plan = await scanPdfForSplit(await files[i].file.arrayBuffer(), { pdfjsLib, profile, profiles });
+      plan.startPages = plan.starts.map(start => start.pageNumber);
+    } catch (err) {
+      console.error(err);
+      plan = { error: err.message || String(err) };
+    }
+    // The selection, mode or profile changed while this one was being read
+    if (scanId !== splitScanId) return;
+    splitPlans.set(files[i], plan);
   }
+  renderSplitPane();
+  setStatus(splitStatus());
+  generateBtn.disabled = false;
+}
 
-  const sigId = sigSelect.value;
-  if (sigId && signaturesCache[sigId]) {
-    bodyHtml += '<br>' + signaturesCache[sigId];
+function splitStatus() {
+  const letters = selectedFiles.reduce((sum, entry) => {
+    const plan = splitPlans.get(entry);
+    return sum + (plan && !plan.error ? plan.startPages.length : 1);
+  }, 0);
+  return `${selectedFiles.length} PDF(s) selected: ${letters} letter(s) after splitting.`;
+}
+
+function renderSplitPane() {
+  if (!splitPlans.size) {
+    splitPane.innerHTML = '';
+    splitPane.style.display = 'none';
+    return;
+  }
+  const blocks = selectedFiles.map((entry, index) => {
+    const plan = splitPlans.get(entry);
+    if (!plan) return '';
+    const info = plan.error
+      ? `Could not read: ${plan.error}`
+      : `${plan.numPages} page(s), ${plan.startPages.length} letter(s)`;
+    const title = `<div class="split-title">${escapeHtml(entry.source)} <span class="toolbar-info">${escapeHtml(info)}</span></div>`;
+    if (plan.error) return `<div class="split-file">${title}</div>`;
+    const reasons = new Map(plan.starts.map(start => [start.pageNumber, start.reason]));
+    const rows = buildSegments(plan.startPages, plan.numPages).map((range, n) => {
+      const first = plan.pages[range.first - 1];
+      return `<tr>
+        <td>${n + 1}</td>
+        <td>${escapeHtml(formatPageRange(range))}</td>
+        <td>${escapeHtml(first.nif)}</td>
+        <td>${escapeHtml(first.recipient)}</td>
+        <td>${escapeHtml(first.to.join(', '))}</td>
+        <td>${escapeHtml(reasons.get(range.first) || 'manual')}</td>
+      </tr>`;
+    }).join('');
+    return `<div class="split-file">
+      ${title}
+      <label class="checkbox-label">Letters start at pages
+        <input class="split-input" data-index="${index}" value="${plan.startPages.join(', ')}"></label>
+      <table class="split-table">
+        <thead><tr><th>Letter</th><th>Pages</th><th>NIF</th><th>Recipient</th><th>To</th><th>Split by</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+  }).join('');
+  splitPane.innerHTML = blocks;
+  splitPane.style.display = 'block';
+}
+
+// Dropped files and folders as { file, path }, folders walked recursively.
+// The entries must be taken from the DataTransfer before the first await.
+async function readDroppedItems(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+  if (!entries.length || entries.some(entry => !entry)) {
+    return Array.from(dataTransfer.files || []).map(file => ({ file, path: '' }));
+  }
+
+  const sources = [];
+  async function walk(entry) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      sources.push({ file, path: entry.fullPath.replace(/^\//, '') });
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries() hands out a folder in chunks until it returns none
+      for (;;) {
+        const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (!chunk.length) break;
+        for (const child of chunk) await walk(child);
+      }
+    }
+  }
+  for (const entry of entries) await walk(entry);
+  return sources;
+}
+
+function renderSkipped(skipped) {
+  if (!skipped.length) {
+    skippedEl.innerHTML = '';
+    skippedEl.style.display = 'none';
+    return;
+  }
+  const items = skipped
+    .map(({ source, reason }) => `<li>${escapeHtml(source)} &mdash; ${escapeHtml(reason)}</li>`)
+    .join('');
+  skippedEl.innerHTML = `<summary>${skipped.length} file(s) skipped</summary><ul>${items}</ul>`;
+  skippedEl.style.display = 'block';
+}
+
+// ── Batch processing ──────────────────────────────────────────
+function createResult({ file, source }, pageRange = null) {
+  return {
+    file,
+    source,                         // path it came from (folder, ZIP)
+    pageRange,                      // { first, last } of a split letter
+    recipient: '',
+    toEmail: '',
+    ccEmail: '',
+    nif: '',
+    toSource: '',
+    notes: [],
+    scanNotes: [],
+    profileId: '',
+    profileDetected: false,
+    subject: '',
+    baseFilename: '',
+    filenameEdited: false,
+    diagnostics: '',
+    eml: '',
+    status: 'Pending',
+    error: '',
+    progress: null                  // { pageNumber, numPages } while processing
+  };
+}
+
+function isActive(result) {
+  return result.status === 'Pending' || result.status === 'Processing';
+}
+
+// Queue one row (first run or Retry) and record how it ended
+async function runResult(result) {
+  Object.assign(result, { status: 'Pending', error: '', progress: null });
+  setUiDisabled(true);
+  scheduleRender();
+  updateBatchStatus();
+  try {
+    const processed = await pool.run(result);
+    Object.assign(result, processed, { status: 'Done', error: '' });
+  } catch (err) {
+    if (isAbortError(err)) {
+      result.status = 'Cancelled';
+    } else {
+      console.error(err);
+      result.status = 'Error';
+      result.error = err.message || 'Unknown error';
+    }
+  }
+  result.progress = null;
+  persistResults([result]);
+  scheduleRender();
+  updateBatchStatus();
+}
+
+function updateBatchStatus() {
+  const total = results.length;
+  const finished = results.filter(result => !isActive(result)).length;
+  if (finished < total) {
+    setStatus(`Generating EML… (${finished}/${total})`);
+    return;
   }
+  const successCount = results.filter(r => r.status === 'Done').length;
+  const interrupted = results.filter(r => r.status === INTERRUPTED_STATUS).length;
+  setStatus(interrupted
+    ? `${successCount}/${total} file(s) ready, ${interrupted} not processed yet (Resume in the history, or Retry per row).`
+    : `Generation complete. ${successCount}/${total} file(s) ready.`);
+  setUiDisabled(false);
+  downloadAllBtn.disabled = successCount === 0;
+  downloadZipBtn.disabled = successCount === 0;
+  exportCsvBtn.disabled = false;
+  exportXlsxBtn.disabled = false;
+  downloadHint.style.display = successCount > 0 ? 'block' : 'none';
+  // Each idle worker still holds a pdf.js instance
+  while (idleWorkers.length) idleWorkers.pop().terminate();
+  if (historyPane.style.display !== 'none') refreshHistory();
+}
 
-  const eml = await buildEml(bodyHtml, { toEmail, subject });
-  const diagnostics = buildDiagnostics(bodyHtml, eml);
-  const baseFilename = buildOutputBaseFilename({
-    recipient,
-    toEmail,
-    originalName: file.name
+// Pool task: read the PDF in a worker; PDFs that need OCR (which renders to
+// a canvas) and browsers where the worker won't start use the main thread.
+async function processResult(result, { signal }) {
+  result.status = 'Processing';
+  renderRowStatus(result);
+  const options = { ...processOptions(result.file.name), pageRange: result.pageRange };
+  // The signature this row's body ends with, for mergeRows()
+  result.signatureId = sigSelect.value;
+  const onProgress = (pageNumber, numPages) => {
+    if (signal.aborted) return;
+    result.progress = { pageNumber, numPages };
+    renderRowStatus(result);
+  };
+
+  if (workersSupported) {
+    const data = await result.file.arrayBuffer();
+    if (signal.aborted) throw createAbortError();
+    try {
+      return await runInWorker(data, options, { signal, onProgress });
+    } catch (err) {
+      if (err.name === 'WorkerError') {
+        console.warn('PDF worker unavailable, processing on the main thread:', err);
+        workersSupported = false;
+      } else if (err.name !== 'OcrRequiredError') {
+        throw err;
+      }
+    }
+  }
+  return processPdf(await result.file.arrayBuffer(), { ...options, pdfjsLib, ocr: ocrEngine, loadAsset, signal, onProgress });
+}
+
+// processPdf() options from the current form, minus pdf.js and OCR
+function processOptions(fileName) {
+  const sigId = sigSelect.value;
+  return {
+    fileName,
+    signatureHtml: (sigId && signaturesCache[sigId]) || '',
+    sender: (sigId && signatureSenders[sigId]) || null,
+    attachPdf: attachPdfChk.checked,
+    sideBySide: sideBySideChk.checked,
+    directory,
+    // null = auto-detect among all profiles
+    profile: profiles.find(p => p.id === profileSelect.value) || null,
+    profiles
+  };
+}
+
+// One PDF in an idle (or new) worker. Cancelling terminates the worker:
+// pdf.js can't be interrupted in the middle of a page.
+function runInWorker(data, options, { signal, onProgress }) {
+  return new Promise((resolve, reject) => {
+    const worker = idleWorkers.pop() || new Worker(new URL('./lib/pdf-worker.js', import.meta.url), { type: 'module' });
+    const id = nextWorkerJobId++;
+
+    function settle(keepWorker) {
+      worker.removeEventListener('message', onMessage);
+      worker.removeEventListener('error', onError);
+      signal.removeEventListener('abort', onAbort);
+      if (keepWorker) idleWorkers.push(worker);
+      else worker.terminate();
+    }
+    function onMessage(event) {
+      const message = event.data;
+      if (message.id !== id) return;
+      if (message.type === 'progress') {
+        onProgress(message.pageNumber, message.numPages);
+        return;
+      }
+      settle(true);
+      if (message.type === 'done') resolve(message.result);
+      else reject(Object.assign(new Error(message.message), { name: message.name }));
+    }
+    // The worker script itself failed (blocked, or no module workers)
+    function onError(event) {
+      event.preventDefault();
+      settle(false);
+      reject(Object.assign(new Error(event.message || 'Worker failed'), { name: 'WorkerError' }));
+    }
+    function onAbort() {
+      settle(false);
+      reject(createAbortError());
+    }
+
+    worker.addEventListener('message', onMessage);
+    worker.addEventListener('error', onError);
+    signal.addEventListener('abort', onAbort);
+    worker.postMessage({
+      type: 'process', id, data, options,
+      baseUrl: document.baseURI,
+      pdfjsUrl: PDFJS_URL,
+      pdfjsWorkerUrl: PDFJS_WORKER_URL,
+      assets: signatureAssets
+    }, [data]);
   });
+}
 
-  return { recipient, toEmail, subject, baseFilename, diagnostics, eml };
+function outputFormat() {
+  return OUTPUT_FORMATS[formatSelect.value] ? formatSelect.value : 'eml';
+}
+
+function resolveOutputNames(readyResults) {
+  return resolveFileNameCollisions(
+    readyResults.map(result => result.baseFilename),
+    OUTPUT_FORMATS[outputFormat()].extension
+  );
 }
 
 async function downloadAllResults() {
   const readyResults = results.filter(result => result.status === 'Done');
   if (!readyResults.length) return;
 
-  const resolvedNames = resolveFileNameCollisions(
-    readyResults.map(result => result.baseFilename)
-  );
+  const format = outputFormat();
+  const resolvedNames = resolveOutputNames(readyResults);
 
   for (let i = 0; i < readyResults.length; i++) {
     const filename = resolvedNames[i];
-    downloadBlob(readyResults[i].eml, filename, 'message/rfc822');
+    downloadBlob(await buildOutputFile(readyResults[i], format, { loadAsset }), filename, OUTPUT_FORMATS[format].mimeType);
     const delay = MIN_DOWNLOAD_DELAY_MS + Math.random() * (MAX_DOWNLOAD_DELAY_MS - MIN_DOWNLOAD_DELAY_MS);
     await new Promise(resolve => setTimeout(resolve, delay));
   }
 }
 
+// One archive for the whole batch: no multiple-download prompt to dismiss
+async function downloadResultsZip() {
+  const readyResults = results.filter(result => result.status === 'Done');
+  if (!readyResults.length) return;
+
+  const format = outputFormat();
+  const resolvedNames = resolveOutputNames(readyResults);
+  const entries = [];
+  for (let i = 0; i < readyResults.length; i++) {
+    entries.push({ name: resolvedNames[i], data: await buildOutputFile(readyResults[i], format, { loadAsset }) });
+  }
+
+  if (zipManifestChk.checked) {
+    const namesByResult = new Map(readyResults.map((result, i) => [result, resolvedNames[i]]));
+    entries.push({
+      name: MANIFEST_FILENAME,
+      data: buildManifestCsv(results, result => namesByResult.get(result))
+    });
+  }
+
+  downloadBlob(createZip(entries), `Converto_${batchStamp()}.zip`, 'application/zip');
+}
+
+// "20261019_1830" (UTC) for download names
+function batchStamp() {
+  return new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '_');
+}
+
+// The table is built once per batch; later renders patch only the rows
+// whose HTML changed, cell by cell, so a row finishing or an edit elsewhere
+// doesn't take the focus (and caret) out of the cell being edited
 function renderResults() {
   if (!results.length) {
     resultsEl.innerHTML = '';
+    renderedRows = [];
     return;
   }
+  refreshDuplicates();
+  const mergeGroups = new Map(findMergeGroups(results).map(group => [group[0], group]));
 
   const doneEntries = results
     .map((result, index) => ({ result, index }))
     .filter(entry => entry.result.status === 'Done');
-  const resolvedNames = resolveFileNameCollisions(doneEntries.map(entry => entry.result.baseFilename));
+  const extension = OUTPUT_FORMATS[outputFormat()].extension;
+  const resolvedNames = resolveOutputNames(doneEntries.map(entry => entry.result));
   const finalNamesByIndex = new Map();
   doneEntries.forEach((entry, idx) => finalNamesByIndex.set(entry.index, resolvedNames[idx]));
 
   const rows = results.map((result, index) => {
-    const recipient = result.recipient || 'UNKNOWN';
-    const toValue = result.toEmail || NO_DETECTED_EMAIL_PREFIX;
-    const subject = result.subject || '';
-    const fileName = finalNamesByIndex.get(index) || (result.baseFilename ? `${result.baseFilename}.eml` : '');
-    const statusClass = result.status ? result.status.toLowerCase() : 'pending';
-    const error = result.error ? ` (${result.error})` : '';
-    const diagnostics = result.diagnostics || '';
+    const fileName = finalNamesByIndex.get(index) || (result.baseFilename ? `${result.baseFilename}${extension}` : '');
+    const [pdfName, nif, recipient, toValue, ccValue, subject, emlName, diagnostics] =
+      buildReportRow(result, result.file.name, fileName);
+
+    // Done rows are editable; placeholders show what an empty value means
+    if (result.status === 'Done') {
+      const collisionNote = emlName !== `${result.baseFilename}${extension}`
+        ? `<div class="cell-note">→ ${escapeHtml(emlName)}</div>`
+        : '';
+      const toNote = result.toSource === 'directory'
+        ? '<div class="cell-note">from directory</div>'
+        : '';
+      const profileNote = `<div class="cell-note">${escapeHtml(profileLabel(result))}</div>`;
+      const saveBtn = canSaveToDirectory(result)
+        ? `<button class="btn-small save-client-btn" data-index="${index}">Save to directory</button>`
+        : '';
+      const mergeGroup = mergeGroups.get(index);
+      const mergeBtn = mergeGroup
+        ? `<button class="btn-small merge-btn" data-index="${index}" title="One email with every letter and attachment">Merge ${mergeGroup.length} emails to this address</button>`
+        : '';
+      const selected = preview && preview.result === result ? ' selected' : '';
+      return `<tr class="result-row${selected}" data-index="${index}" title="Click to preview">
+      <td>${escapeHtml(pdfName)}${renderSourceNote(result)}${profileNote}</td>
+      <td>${escapeHtml(nif)}</td>
+      <td>${renderCellInput(index, 'recipient', result.recipient, 'UNKNOWN')}</td>
+      <td>${renderAddressCell(index, 'toEmail', result.toEmail, NO_DETECTED_EMAIL_PREFIX)}${toNote}${saveBtn}${mergeBtn}</td>
+      <td>${renderAddressCell(index, 'ccEmail', result.ccEmail, '')}</td>
+      <td>${renderCellInput(index, 'subject', result.subject, '')}</td>
+      <td>${renderCellInput(index, 'baseFilename', result.baseFilename, 'output')}${collisionNote}</td>
+      <td>${escapeHtml(diagnostics)}</td>
+      <td class="status-cell">${renderStatusCell(result, index)}</td>
+    </tr>`;
+    }
 
-    return `<tr>
-      <td>${escapeHtml(result.file.name)}</td>
+    return `<tr data-index="${index}">
+      <td>${escapeHtml(pdfName)}${renderSourceNote(result)}</td>
+      <td>${escapeHtml(nif)}</td>
       <td>${escapeHtml(recipient)}</td>
       <td>${escapeHtml(toValue)}</td>
+      <td>${escapeHtml(ccValue)}</td>
       <td>${escapeHtml(subject)}</td>
-      <td>${escapeHtml(fileName)}</td>
+      <td>${escapeHtml(emlName)}</td>
       <td>${escapeHtml(diagnostics)}</td>
-      <td><span class="status-pill status-${statusClass}">${escapeHtml(result.status)}${escapeHtml(error)}</span></td>
+      <td class="status-cell">${renderStatusCell(result, index)}</td>
     </tr>`;
-  }).join('');
+  });
 
+  const tbody = resultsEl.querySelector('#resultsTable tbody');
+  if (tbody) {
+    patchRows(tbody, rows);
+    renderedRows = rows;
+    return;
+  }
+  renderedRows = rows;
   resultsEl.innerHTML = `
     <table id="resultsTable">
       <thead>
         <tr>
           <th>PDF</th>
+          <th>NIF</th>
           <th>Recipient</th>
           <th>To</th>
+          <th>Cc</th>
           <th>Subject</th>
           <th>EML file</th>
           <th>Diag</th>
           <th>Status</th>
         </tr>
       </thead>
-      <tbody>${rows}</tbody>
+      <tbody>${rows.join('')}</tbody>
     </table>
   `;
 }
 
-function buildOutputBaseFilename({ recipient, toEmail, originalName }) {
-  const originalBase = originalName.replace(/\.[^.]+$/, '');
-  if (!recipient) {
-    return sanitizeFileName(`${NO_DETECTED_EMAIL_PREFIX}_UNKNOWN_${originalBase}`);
-  }
-  const prefix = toEmail ? '' : `${NO_DETECTED_EMAIL_PREFIX}_`;
-  return sanitizeFileName(`${prefix}${recipient}`);
-}
-
-function resolveFileNameCollisions(names) {
-  const counts = new Map();
-  return names.map(name => {
-    const safe = name || 'output';
-    const current = (counts.get(safe) || 0) + 1;
-    counts.set(safe, current);
-    return current === 1 ? `${safe}.eml` : `${safe} (${current}).eml`;
+function patchRows(tbody, rows) {
+  while (tbody.rows.length > rows.length) tbody.lastElementChild.remove();
+  const template = document.createElement('template');
+  rows.forEach((html, index) => {
+    const row = tbody.rows[index];
+    if (row && html === renderedRows[index]) return;
+    template.innerHTML = html;
+    const fresh = template.content.firstElementChild;
+    if (!row) tbody.appendChild(fresh);
+    else if (row.cells.length !== fresh.cells.length) row.replaceWith(fresh);
+    else patchRow(row, fresh);
   });
 }
 
-// ══════════════════════════════════════════════════════════════
-//  PDF page extraction
-// ══════════════════════════════════════════════════════════════
-
-async function extractPage(page) {
-  const viewport = page.getViewport({ scale: 1 });
-  const height   = viewport.height;
-
-  // ── text items ──────────────────────────────────────────────
-  const tc    = await page.getTextContent();
-  const textItems = tc.items.filter(it => it.str != null).map(it => {
-    const tx = it.transform;          // [scaleX, skewY, skewX, scaleY, x, y]
-    const x  = tx[4];
-    const y  = height - tx[5];        // flip Y (PDF 0,0 = bottom-left)
-    const w  = it.width  || 0;
-    const h  = Math.abs(tx[3]) || it.height || 10;
-    return { str: it.str, x, y: y - h, w, h, fontName: it.fontName };
+// Unchanged cells are left as they are
+function patchRow(row, fresh) {
+  for (const name of row.getAttributeNames()) {
+    if (!fresh.hasAttribute(name)) row.removeAttribute(name);
+  }
+  for (const name of fresh.getAttributeNames()) row.setAttribute(name, fresh.getAttribute(name));
+  [...fresh.cells].forEach((cell, i) => {
+    const current = row.cells[i];
+    const editing = document.activeElement;
+    if (editing && editing.matches('.cell-input') && editing.parentElement === current) {
+      patchEditedCell(current, cell, editing);
+    } else if (current.outerHTML !== cell.outerHTML) {
+      current.replaceWith(cell);
+    }
   });
-
-  // ── annotations (for mailto: links) ─────────────────────────
-  const annotations = await page.getAnnotations();
-
-  // ── lines from operatorList ─────────────────────────────────
-  const ops      = await page.getOperatorList();
-  const segments = extractLineSegments(ops, height);
-
-  return { textItems, segments, annotations, width: viewport.width, height };
 }
 
-// ── Extract line segments from operator list ──────────────────
-function extractLineSegments(ops, pageH) {
-  const segs  = [];
-  let   cx    = 0, cy = 0;       // current point
-  let   mx    = 0, my = 0;       // move-to point
-  let   ctm   = [1, 0, 0, 1, 0, 0]; // current transform matrix
-  const ctmStack = [];
-
-  const OPS = pdfjsLib.OPS;
-
-  const transformPoint = (x, y) => [
-    ctm[0] * x + ctm[2] * y + ctm[4],
-    pageH - (ctm[1] * x + ctm[3] * y + ctm[5])
-  ];
-
-  for (let i = 0; i < ops.fnArray.length; i++) {
-    const fn   = ops.fnArray[i];
-    const args = ops.argsArray[i];
-
-    switch (fn) {
-      case OPS.save:
-        ctmStack.push(ctm.slice());
-        break;
-      case OPS.restore:
-        if (ctmStack.length) ctm = ctmStack.pop();
-        break;
-      case OPS.transform: {
-        const [a, b, c, d, e, f] = args;
-        const n = [
-          ctm[0]*a + ctm[2]*b,
-          ctm[1]*a + ctm[3]*b,
-          ctm[0]*c + ctm[2]*d,
-          ctm[1]*c + ctm[3]*d,
-          ctm[0]*e + ctm[2]*f + ctm[4],
-          ctm[1]*e + ctm[3]*f + ctm[5],
-        ];
-        ctm = n;
-        break;
-      }
-      case OPS.moveTo:
-        [mx, my] = [args[0], args[1]];
-        [cx, cy] = [mx, my];
-        break;
-      case OPS.lineTo: {
-        const [x0, y0] = transformPoint(cx, cy);
-        const [x1, y1] = transformPoint(args[0], args[1]);
-        segs.push({ x0, y0, x1, y1 });
-        [cx, cy] = [args[0], args[1]];
-        break;
-      }
-      case OPS.rectangle: {
-        const [rx, ry, rw, rh] = args;
-        const [ax, ay] = transformPoint(rx, ry);
-        const [bx, by] = transformPoint(rx + rw, ry);
-        const [dx, dy] = transformPoint(rx + rw, ry + rh);
-        const [ex, ey] = transformPoint(rx, ry + rh);
-        segs.push({ x0: ax, y0: ay, x1: bx, y1: by });
-        segs.push({ x0: bx, y0: by, x1: dx, y1: dy });
-        segs.push({ x0: dx, y0: dy, x1: ex, y1: ey });
-        segs.push({ x0: ex, y0: ey, x1: ax, y1: ay });
-        break;
-      }
-      case OPS.closePath: {
-        const [x0, y0] = transformPoint(cx, cy);
-        const [x1, y1] = transformPoint(mx, my);
-        if (Math.abs(x0 - x1) > 0.5 || Math.abs(y0 - y1) > 0.5)
-          segs.push({ x0, y0, x1, y1 });
-        [cx, cy] = [mx, my];
-        break;
-      }
-    }
-  }
-  return segs;
+// The input with the focus stays (value and caret); the chips, notes and
+// buttons around it are replaced
+function patchEditedCell(cell, fresh, input) {
+  const twin = fresh.querySelector(`:scope > .cell-input[data-field="${input.dataset.field}"]`);
+  if (!twin) return;
+  input.placeholder = twin.placeholder;
+  while (cell.firstChild !== input) cell.firstChild.remove();
+  while (input.nextSibling) input.nextSibling.remove();
+  while (fresh.firstChild !== twin) input.before(fresh.firstChild);
+  twin.remove();
+  cell.append(...fresh.childNodes);
 }
 
-// ══════════════════════════════════════════════════════════════
-//  Table detection & HTML build
-// ══════════════════════════════════════════════════════════════
-
-// Tolerance in PDF points (~1mm) for coordinate clustering and snapping
-const EPS = 3;
-// Tolerance for merging edge segment gaps (handles dashed/multi-segment borders)
-const EDGE_EPS = 6;
-
-function near(a, b) { return Math.abs(a - b) <= EPS; }
-
-function clusterValues(vals, eps) {
-  if (!vals.length) return [];
-  vals = [...vals].sort((a, b) => a - b);
-  const clusters = [vals[0]];
-  for (let i = 1; i < vals.length; i++) {
-    if (vals[i] - clusters[clusters.length - 1] > eps)
-      clusters.push(vals[i]);
-    else
-      clusters[clusters.length - 1] =
-        (clusters[clusters.length - 1] + vals[i]) / 2;   // average
-  }
-  return clusters;
+// Duplicate warnings in Diag: within the batch, and against the batches in
+// the history (except the one in the table)
+function refreshDuplicates() {
+  const previous = historyBatches
+    .filter(batch => !currentBatch || batch.id !== currentBatch.id)
+    .flatMap(batch => {
+      const label = new Date(batch.createdAt).toLocaleString();
+      return (batch.fingerprints || []).map(print => ({ ...print, label }));
+    });
+  const notes = findDuplicates(results, previous);
+  results.forEach((result, i) => { result.duplicateNotes = notes[i]; });
 }
 
-function snapTo(val, grid) {
-  let best = grid[0], bestD = Math.abs(val - grid[0]);
-  for (let i = 1; i < grid.length; i++) {
-    const d = Math.abs(val - grid[i]);
-    if (d < bestD) { best = grid[i]; bestD = d; }
+// One email for several letters to the same To: the first row gets every
+// body and attachment, the others are marked Merged and not downloaded.
+// The signature stripped is the one the rows were built with, not the one
+// selected now.
+async function mergeRows(rows) {
+  const [first, ...others] = rows;
+  const sigId = first.signatureId;
+  Object.assign(first, mergeResults(rows, { signatureHtml: (sigId && signaturesCache[sigId]) || '' }));
+  Object.assign(first, await buildMessage(first.bodyHtml, { ...first, loadAsset }));
+  for (const result of others) {
+    Object.assign(result, { status: 'Merged', diagnostics: `Merged into ${first.source || first.file.name}` });
   }
-  return best;
+  persistResults(rows);
 }
 
-/** Detect tables from line segments, return { tables, usedTextIndices } */
-function detectTables(segments, textItems) {
-  const hSegs = [];
-  const vSegs = [];
-
-  for (const s of segments) {
-    if (near(s.y0, s.y1)) {                               // horizontal
-      hSegs.push({ a: Math.min(s.x0, s.x1), b: Math.max(s.x0, s.x1), v: (s.y0 + s.y1) / 2 });
-    } else if (near(s.x0, s.x1)) {                        // vertical
-      vSegs.push({ a: Math.min(s.y0, s.y1), b: Math.max(s.y0, s.y1), v: (s.x0 + s.x1) / 2 });
-    }
-  }
-
-  if (hSegs.length < 2 || vSegs.length < 2) return { tables: [], usedTextIndices: new Set(), hSegsCount: hSegs.length, vSegsCount: vSegs.length, xGrid: [], yGrid: [] };
-
-  // Build grids
-  const xVals = [];
-  for (const v of vSegs) xVals.push(v.v);
-  const yVals = [];
-  for (const h of hSegs) yVals.push(h.v);
-
-  const xGrid = clusterValues(xVals, EPS);
-  const yGrid = clusterValues(yVals, EPS);
-
-  if (xGrid.length < 2 || yGrid.length < 2) return { tables: [], usedTextIndices: new Set(), hSegsCount: hSegs.length, vSegsCount: vSegs.length, xGrid, yGrid };
-
-  // For each potential cell, check that bounding edges exist
-  // We consider a "table region" as a connected rectangular block of cells
-  // that have at least their four edges present in the segments.
-
-  // Build edge look-ups using interval coverage to handle multi-segment borders
-  /**
-   * Returns true if sorted segments collectively cover the interval [a, b]
-   * within EDGE_EPS tolerance (i.e. no gap between consecutive segments is
-   * wider than EDGE_EPS and the merged coverage reaches b).
-   * @param {Array<{a:number,b:number}>} candidates - segments sorted by .a
-   * @param {number} a - interval start
-   * @param {number} b - interval end
-   */
-  function edgeCovers(candidates, a, b) {
-    let reached = a - EDGE_EPS;
-    for (const seg of candidates) {
-      if (seg.a > reached + EDGE_EPS) return false;
-      reached = Math.max(reached, seg.b);
-      if (reached >= b - EDGE_EPS) return true;
-    }
-    return reached >= b - EDGE_EPS;
-  }
-  function hasHEdge(x0, x1, y) {
-    const cands = hSegs
-      .filter(s => near(s.v, y) && s.b >= x0 - EDGE_EPS && s.a <= x1 + EDGE_EPS)
-      .sort((a, b) => a.a - b.a);
-    return edgeCovers(cands, x0, x1);
-  }
-  function hasVEdge(y0, y1, x) {
-    const cands = vSegs
-      .filter(s => near(s.v, x) && s.b >= y0 - EDGE_EPS && s.a <= y1 + EDGE_EPS)
-      .sort((a, b) => a.a - b.a);
-    return edgeCovers(cands, y0, y1);
-  }
-
-  // Build cell presence matrix
-  const rows = yGrid.length - 1;
-  const cols = xGrid.length - 1;
-  const cellPresent = Array.from({ length: rows }, () => Array(cols).fill(false));
-
-  for (let r = 0; r < rows; r++) {
-    for (let c = 0; c < cols; c++) {
-      const x0 = xGrid[c], x1 = xGrid[c + 1];
-      const y0 = yGrid[r], y1 = yGrid[r + 1];
-      if (hasHEdge(x0, x1, y0) && hasHEdge(x0, x1, y1) &&
-          hasVEdge(y0, y1, x0) && hasVEdge(y0, y1, x1)) {
-        cellPresent[r][c] = true;
-      }
-    }
-  }
-
-  // Find connected table regions via flood fill
-  const visited = Array.from({ length: rows }, () => Array(cols).fill(false));
-  const tableRegions = [];
-
-  for (let r = 0; r < rows; r++) {
-    for (let c = 0; c < cols; c++) {
-      if (cellPresent[r][c] && !visited[r][c]) {
-        const cells = [];
-        const queue = [[r, c]];
-        visited[r][c] = true;
-        while (queue.length) {
-          const [cr, cc] = queue.shift();
-          cells.push([cr, cc]);
-          for (const [dr, dc] of [[0,1],[0,-1],[1,0],[-1,0]]) {
-            const nr = cr + dr, nc = cc + dc;
-            if (nr >= 0 && nr < rows && nc >= 0 && nc < cols &&
-                cellPresent[nr][nc] && !visited[nr][nc]) {
-              visited[nr][nc] = true;
-              queue.push([nr, nc]);
-            }
-          }
-        }
-        if (cells.length >= 2) tableRegions.push(cells);     // at least 2 cells = table
-      }
-    }
-  }
-
-  // Build table objects
-  const usedTextIndices = new Set();
-  const tables = [];
-
-  for (const cells of tableRegions) {
-    const rMin = Math.min(...cells.map(c => c[0]));
-    const rMax = Math.max(...cells.map(c => c[0]));
-    const cMin = Math.min(...cells.map(c => c[1]));
-    const cMax = Math.max(...cells.map(c => c[1]));
-
-    const tRows = rMax - rMin + 1;
-    const tCols = cMax - cMin + 1;
-    const grid  = Array.from({ length: tRows }, () =>
-      Array.from({ length: tCols }, () => ({ texts: [] }))
-    );
-
-    const tTop    = yGrid[rMin];
-    const tBottom = yGrid[rMax + 1];
-    const tLeft   = xGrid[cMin];
-    const tRight  = xGrid[cMax + 1];
-
-    // Assign text items to cells
-    textItems.forEach((ti, idx) => {
-      if (usedTextIndices.has(idx)) return;
-      const midX = ti.x + ti.w / 2;
-      const midY = ti.y + ti.h / 2;
-      if (midX < tLeft - EPS || midX > tRight + EPS ||
-          midY < tTop  - EPS || midY > tBottom + EPS) return;
-
-      // Find which cell
-      for (let r = rMin; r <= rMax; r++) {
-        for (let c = cMin; c <= cMax; c++) {
-          const cx0 = xGrid[c], cx1 = xGrid[c + 1];
-          const cy0 = yGrid[r], cy1 = yGrid[r + 1];
-          if (midX >= cx0 - EPS && midX <= cx1 + EPS &&
-              midY >= cy0 - EPS && midY <= cy1 + EPS) {
-            grid[r - rMin][c - cMin].texts.push(ti);
-            usedTextIndices.add(idx);
-            return;
-          }
-        }
-      }
-    });
-
-    tables.push({ top: tTop, left: tLeft, bottom: tBottom, right: tRight, grid, tRows, tCols });
-  }
-
-  return { tables, usedTextIndices, hSegsCount: hSegs.length, vSegsCount: vSegs.length, xGrid, yGrid };
+// Folder or ZIP path of a PDF that didn't come in on its own
+function renderSourceNote(result) {
+  if (!result.source || result.source === result.file.name) return '';
+  const folder = result.source.slice(0, result.source.lastIndexOf('/'));
+  return `<div class="cell-note" title="${escapeHtml(result.source)}">in ${escapeHtml(folder)}</div>`;
 }
 
-// ── Number format detection (3.426,64 style) ──────────────────
-const EUROPEAN_NUMBER_REGEX = /^-?\d{1,3}(?:\.\d{3})*(?:,\d+)?$/;
-function isEuropeanNumber(s) { return EUROPEAN_NUMBER_REGEX.test(s.trim()); }
-
-// ── Quarterly amounts table fallback ──────────────────────────
-// Detects a free-text "quarterly amounts" pattern that lacks stroke lines.
-// Uses X-coordinate alignment so missing quarter values leave blank cells
-// without shifting other values left.
-//
-//   Header line: tokens 1T 2T 3T 4T Total (in order)
-//   Next non-empty line: starts with "Importes" + European-number items
-//
-// Returns { headerIdx, importesIdx, values, colMidX } or null.
-// values is always a 5-element array ['', ...] with '' for blank columns.
-const QUARTER_LABELS = ['1T', '2T', '3T', '4T', 'Total'];
-function detectQuarterTable(lines) {
-  const QUARTER_HEADER = /\b1T\b.*\b2T\b.*\b3T\b.*\b4T\b.*\bTotal\b/i;
-  for (let i = 0; i < lines.length; i++) {
-    const headerText = buildLineText(lines[i].items);
-    if (!QUARTER_HEADER.test(headerText)) continue;
-
-    // Locate each label's midX from its own text item
-    const headerItems = [...lines[i].items].sort((a, b) => a.x - b.x);
-    const colMidX = QUARTER_LABELS.map(label => {
-      const item = headerItems.find(
-        it => normalizePdfText(it.str).toUpperCase() === label.toUpperCase()
-      );
-      return item ? item.x + item.w / 2 : null;
-    });
-
-    // Need at least 2 known column positions for meaningful alignment
-    if (colMidX.filter(x => x !== null).length < 2) continue;
-
-    // Find next non-empty line
-    let j = i + 1;
-    while (j < lines.length && !buildLineText(lines[j].items)) j++;
-    if (j >= lines.length) continue;
-
-    const importesText = buildLineText(lines[j].items);
-    if (!/^importes\b/i.test(importesText)) continue;
-
-    // Extract numeric items from the Importes line
-    const numericItems = lines[j].items.filter(
-      it => isEuropeanNumber(normalizePdfText(it.str))
-    );
-    if (!numericItems.length) continue;
-
-    // Assign each number to the nearest header column by midX
-    const values = ['', '', '', '', ''];
-    for (const numItem of numericItems) {
-      const numMidX = numItem.x + numItem.w / 2;
-      let bestIdx = -1;
-      let bestDist = Infinity;
-      for (let c = 0; c < QUARTER_LABELS.length; c++) {
-        if (colMidX[c] === null) continue;
-        const dist = Math.abs(numMidX - colMidX[c]);
-        if (dist < bestDist) { bestDist = dist; bestIdx = c; }
-      }
-      if (bestIdx >= 0) values[bestIdx] = normalizePdfText(numItem.str);
-    }
-
-    return { headerIdx: i, importesIdx: j, values, colMidX };
-  }
-  return null;
+// Coalesces the re-renders of a batch finishing many rows at once
+function scheduleRender() {
+  if (renderScheduled) return;
+  renderScheduled = true;
+  requestAnimationFrame(() => {
+    renderScheduled = false;
+    renderResults();
+  });
 }
 
-// ── Dev diagnostics mode (?dev) ───────────────────────────────
-const DEV_MODE = new URLSearchParams(window.location.search).has('dev');
-
-// ── Build HTML for one page ──────────────────────────────────
-function buildPageHtml(page, pageIndex) {
-  const { textItems, segments } = page;
-  const { tables, usedTextIndices, hSegsCount, vSegsCount, xGrid, yGrid } = detectTables(segments, textItems);
-
-  if (DEV_MODE) {
-    console.log(`[dev] page ${pageIndex + 1}: hSegs=${hSegsCount} vSegs=${vSegsCount} tables=${tables.length} xGrid=${xGrid.length} yGrid=${yGrid.length}`);
-    for (const t of tables) {
-      console.log(`  table: tRows=${t.tRows} tCols=${t.tCols} top=${t.top.toFixed(1)} left=${t.left.toFixed(1)}`);
-    }
-  }
+// Status pill, page progress and the row's Cancel / Retry button
+function renderStatusCell(result, index) {
+  const statusClass = result.status ? result.status.toLowerCase() : 'pending';
+  const [, , , , , , , , status] = buildReportRow(result, result.file.name, '');
+  const progress = result.status === 'Processing' && result.progress
+    ? `<div class="cell-note">page ${result.progress.pageNumber} of ${result.progress.numPages}</div>`
+    : '';
+  const action = isActive(result) ? 'cancel'
+    : result.status === 'Error' || result.status === 'Cancelled' || result.status === INTERRUPTED_STATUS ? 'retry'
+    : '';
+  const button = action
+    ? `<button class="btn-small row-action-btn" data-index="${index}" data-action="${action}">${action === 'cancel' ? 'Cancel' : 'Retry'}</button>`
+    : '';
+  return `<span class="status-pill status-${statusClass}">${escapeHtml(status)}</span>${progress}${button}`;
+}
 
-  // Sort tables top‑to‑bottom
-  tables.sort((a, b) => a.top - b.top);
+// Progress ticks only touch the status cell, so inputs being edited in
+// other rows keep their focus. The row no longer matches renderedRows:
+// the next renderResults() patches it.
+function renderRowStatus(result) {
+  const index = results.indexOf(result);
+  const cell = index >= 0 && resultsEl.querySelector(`tr[data-index="${index}"] .status-cell`);
+  if (cell) cell.innerHTML = renderStatusCell(result, index);
+  if (index >= 0) renderedRows[index] = null;
+}
 
-  // Collect "free" text items (not in any table)
-  const freeItems = textItems.filter((_, i) => !usedTextIndices.has(i));
+// "Modelo 303 (auto)" when the profile was detected rather than chosen
+function profileLabel(result) {
+  const profile = profiles.find(p => p.id === result.profileId);
+  const label = profile ? profile.label : result.profileId;
+  return result.profileDetected ? `${label} (auto)` : label;
+}
 
-  // Build a combined list of blocks (tables + text paragraphs) sorted by Y
-  const blocks = [];
+function renderCellInput(index, field, value, placeholder) {
+  return `<input class="cell-input" data-index="${index}" data-field="${field}" value="${escapeHtml(value)}" placeholder="${escapeHtml(placeholder)}">`;
+}
 
-  for (const tbl of tables) {
-    blocks.push({ type: 'table', y: tbl.top, data: tbl });
-  }
+// One chip per address (× removes it) plus an input that adds more
+function renderAddressCell(index, field, value, placeholder) {
+  const chips = splitAddresses(value).map(email => {
+    const invalid = findFirstEmail(email) !== email.toLowerCase() ? ' chip--invalid' : '';
+    return `<span class="chip${invalid}">${escapeHtml(email)}<button class="chip-remove" data-index="${index}" data-field="${field}" data-email="${escapeHtml(email)}" title="Remove">&times;</button></span>`;
+  }).join('');
+  const input = `<input class="cell-input" data-index="${index}" data-field="${field}" data-append="1" value="" placeholder="${chips ? '' : escapeHtml(placeholder)}" title="Add addresses (comma-separated)">`;
+  return chips ? `<div class="chips">${chips}</div>${input}` : input;
+}
 
-  // Group free text into lines by similar Y
-  const lines = groupIntoLines(freeItems);
-
-  // Fallback: detect quarterly amounts table from free-text lines
-  const quarterMatch = detectQuarterTable(lines);
-  const skipLineIndices = new Set();
-  if (quarterMatch) {
-    const { headerIdx, importesIdx, values, colMidX } = quarterMatch;
-    skipLineIndices.add(headerIdx);
-    skipLineIndices.add(importesIdx);
-    blocks.push({ type: 'quarterTable', y: lines[headerIdx].y, data: { values } });
-    if (DEV_MODE) {
-      const valLog = QUARTER_LABELS.map((l, i) => `${l}=${values[i] || '(blank)'}`).join(' ');
-      console.log(`[dev] page ${pageIndex + 1}: Quarter table fallback triggered: ${valLog}`);
-      console.log(`[dev]   colMidX: ${colMidX.map((x, i) => `${QUARTER_LABELS[i]}=${x !== null ? x.toFixed(1) : 'n/a'}`).join(' ')}`);
+// ── Review edits ──────────────────────────────────────────────
+// Applies a corrected cell value, then rebuilds the row's EML and filename
+// so the download already carries the fix.
+async function applyResultEdit(result, field, value) {
+  const trimmed = value.trim();
+  if (field === 'baseFilename') {
+    result.baseFilename = sanitizeFileName(trimmed.replace(/\.(eml|msg)$/i, ''));
+    result.filenameEdited = !!result.baseFilename;
+  } else if (field === 'toEmail' || field === 'ccEmail') {
+    result[field] = joinAddresses(...splitAddresses(trimmed).map(email => email.replace(/\s+/g, '').toLowerCase()));
+    if (field === 'toEmail') {
+      result.toSource = result.toEmail ? 'manual' : '';
+      result.notes = [...result.scanNotes, ...directoryNotes(result)];
     }
+  } else {
+    result[field] = trimmed;
   }
 
-  for (let i = 0; i < lines.length; i++) {
-    if (skipLineIndices.has(i)) continue;
-    blocks.push({ type: 'text', y: lines[i].y, data: lines[i] });
+  if (!result.filenameEdited) {
+    result.baseFilename = buildOutputBaseFilename({
+      recipient: result.recipient,
+      toEmail: result.toEmail,
+      originalName: result.file.name
+    });
   }
 
-  blocks.sort((a, b) => a.y - b.y);
-
-  // Render
-  let html = '';
-  for (const block of blocks) {
-    if (block.type === 'table') {
-      html += renderTable(block.data);
-    } else if (block.type === 'quarterTable') {
-      html += renderQuarterTable(block.data);
-    } else {
-      html += renderTextLine(block.data);
-    }
+  if (field === 'toEmail' || field === 'ccEmail' || field === 'subject') {
+    Object.assign(result, await buildMessage(result.bodyHtml, { ...result, loadAsset }));
   }
-
-  return html;
 }
 
-function groupIntoLines(items) {
-  if (!items.length) return [];
-  const sorted = [...items].sort((a, b) => a.y - b.y || a.x - b.x);
-  const lines  = [];
-  let   curLine = { y: sorted[0].y, items: [sorted[0]] };
-
-  for (let i = 1; i < sorted.length; i++) {
-    if (Math.abs(sorted[i].y - curLine.y) <= EPS) {
-      curLine.items.push(sorted[i]);
-    } else {
-      lines.push(curLine);
-      curLine = { y: sorted[i].y, items: [sorted[i]] };
-    }
-  }
-  lines.push(curLine);
-  return lines;
+// ── Preview pane ──────────────────────────────────────────────
+// The final EML's HTML (CID images inlined) in a sandboxed iframe, next to
+// the source PDF page rendered by pdf.js, to catch table-detection mistakes
+// before anything is sent.
+function openPreview(result) {
+  if (preview && preview.result === result) return;
+  closePreview();
+  preview = {
+    result,
+    pdfPromise: result.file.arrayBuffer().then(data => pdfjsLib.getDocument({ data }).promise),
+    pageNumber: result.pageRange ? result.pageRange.first : 1,
+    numPages: 0,
+    renderTask: null
+  };
+  previewTitle.textContent = result.file.name;
+  previewPane.style.display = 'block';
+  renderPreviewMessage();
+  renderPreviewPage();
+  renderResults();
+  previewPane.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
-const LINE_GAP = 2;
-
-function buildLineText(items) {
-  if (!items.length) return '';
-  const sorted = [...items].sort((a, b) => a.x - b.x);
-  let text = '';
-  let prev = null;
-
-  for (const item of sorted) {
-    const value = normalizePdfText(item.str);
-    if (!value) {
-      continue;
-    }
-    if (text) {
-      const gap = prev ? item.x - (prev.x + prev.w) : LINE_GAP + 1;
-      if (gap > LINE_GAP) {
-        text += ' ';
-      }
-    }
-    text += value;
-    prev = item;
-  }
-  return text.replace(/\s+/g, ' ').trim();
+function closePreview() {
+  if (!preview) return;
+  const { pdfPromise, renderTask } = preview;
+  preview = null;
+  if (renderTask) renderTask.cancel();
+  pdfPromise.then(pdf => pdf.destroy(), () => {});
+  previewFrame.srcdoc = '';
+  previewPane.style.display = 'none';
 }
 
-function normalizePdfText(str) {
-  return String(str || '')
-    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+function renderPreviewMessage() {
+  previewFrame.srcdoc = buildPreviewHtml(preview.result.eml);
 }
 
-function stripInvisibleChars(str) {
-  return String(str || '').replace(/[\u200B\u200C\u200D\uFEFF\u00AD\u00A0]/g, '');
+function turnPreviewPage(delta) {
+  if (!preview) return;
+  const pageNumber = preview.pageNumber + delta;
+  if (pageNumber < 1 || pageNumber > preview.numPages) return;
+  preview.pageNumber = pageNumber;
+  renderPreviewPage();
 }
 
-function renderTextLine(line) {
-  const text = buildLineText(line.items);
-  if (!text) return '';
-  return `<p style="font-family:Calibri,Arial,sans-serif;font-size:11pt;margin:2px 0;">${escapeHtml(text)}</p>\n`;
+async function renderPreviewPage() {
+  const current = preview;
+  try {
+    const pdf = await current.pdfPromise;
+    if (preview !== current) return;
+    current.numPages = pdf.numPages;
+    const page = await pdf.getPage(current.pageNumber);
+    if (preview !== current) return;
+
+    // Sharp on high-DPI screens: draw at device pixels, show at PREVIEW_PAGE_WIDTH
+    const scale = PREVIEW_PAGE_WIDTH / page.getViewport({ scale: 1 }).width;
+    const viewport = page.getViewport({ scale: scale * (window.devicePixelRatio || 1) });
+    if (current.renderTask) current.renderTask.cancel();
+    previewCanvas.width = Math.floor(viewport.width);
+    previewCanvas.height = Math.floor(viewport.height);
+    previewCanvas.style.width = `${PREVIEW_PAGE_WIDTH}px`;
+    current.renderTask = page.render({ canvasContext: previewCanvas.getContext('2d'), viewport });
+    previewPageInfo.textContent = `Page ${current.pageNumber} of ${current.numPages}`;
+    previewPrevBtn.disabled = current.pageNumber <= 1;
+    previewNextBtn.disabled = current.pageNumber >= current.numPages;
+    await current.renderTask.promise;
+  } catch (err) {
+    if (err && err.name === 'RenderingCancelledException') return;
+    console.error(err);
+    if (preview === current) previewPageInfo.textContent = 'Could not render the PDF';
+  }
 }
 
-function renderTable(tbl) {
-  let html = '<table border="1" cellspacing="0" cellpadding="4" style="border-collapse:collapse;font-family:Calibri,Arial,sans-serif;font-size:11pt;margin:8px 0;">\n';
-  for (let r = 0; r < tbl.tRows; r++) {
-    html += '  <tr>\n';
-    for (let c = 0; c < tbl.tCols; c++) {
-      const cell = tbl.grid[r][c];
-      const text = buildLineText(cell.texts);
-      const escapedText = escapeHtml(text);
-
-      let align = 'left';
-      let noWrap = '';
-      if (isEuropeanNumber(text)) {
-        align  = 'right';
-        noWrap = 'white-space:nowrap;';
-      }
-
-      html += `    <td style="border:1px solid #000;padding:4px 6px;text-align:${align};${noWrap}">${escapedText}</td>\n`;
-    }
-    html += '  </tr>\n';
+// ── Batch history ─────────────────────────────────────────────
+// Each batch is saved to IndexedDB as it runs (PDFs, rows, corrections), so
+// it can be reopened, downloaded again, resumed after a reload or
+// regenerated. A failing save only costs the history, never the batch.
+async function startBatch() {
+  const now = Date.now();
+  const more = selectedFiles.length > 1 ? ` + ${selectedFiles.length - 1} more` : '';
+  const batch = {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt: now,
+    updatedAt: now,
+    title: `${selectedFiles[0].source}${more}`,
+    settings: {
+      signatureId: sigSelect.value,
+      profileId: profileSelect.value,
+      format: formatSelect.value,
+      attachPdf: attachPdfChk.checked,
+      sideBySide: sideBySideChk.checked,
+      splitPdf: splitPdfChk.checked
+    },
+    counts: summarizeBatch(results),
+    fingerprints: []
+  };
+  currentBatch = null;
+  renderResumeBanner(null);
+  try {
+    await createBatch(
+      batch,
+      selectedFiles.map((entry, fileIndex) => ({ ...entry, fileIndex })),
+      results.map(result => serializeResult(result, historyKey(batch, result)))
+    );
+    currentBatch = batch;
+    // Earlier batches of this session count for "Already generated"
+    await refreshHistory();
+  } catch (err) {
+    console.warn('Could not save the batch to the history:', err);
+    historyInfo.textContent = 'This batch is not being saved to the history';
   }
-  html += '</table>\n';
-  return html;
 }
 
-function renderQuarterTable({ values }) {
-  const headers = ['', '1T', '2T', '3T', '4T', 'Total'];
-  const row = ['Importes', ...values];
-  const tdBase = 'style="border:1px solid #000;padding:4px 6px;font-family:Calibri,Arial,sans-serif;font-size:11pt;';
-  let html = '<table border="1" cellspacing="0" cellpadding="4" style="border-collapse:collapse;font-family:Calibri,Arial,sans-serif;font-size:11pt;margin:8px 0;">\n';
-  html += '  <tr>\n';
-  for (const h of headers) {
-    html += `    <th ${tdBase}text-align:center;">${escapeHtml(h)}</th>\n`;
-  }
-  html += '  </tr>\n';
-  html += '  <tr>\n';
-  for (let c = 0; c < row.length; c++) {
-    const text = row[c];
-    const isNumCol = c > 0;
-    const align = isNumCol ? 'right' : 'left';
-    const noWrap = isNumCol ? 'white-space:nowrap;' : '';
-    html += `    <td ${tdBase}text-align:${align};${noWrap}">${escapeHtml(text)}</td>\n`;
-  }
-  html += '  </tr>\n';
-  html += '</table>\n';
-  return html;
+function historyKey(batch, result) {
+  return {
+    batchId: batch.id,
+    rowIndex: results.indexOf(result),
+    fileIndex: selectedFiles.findIndex(entry => entry.file === result.file)
+  };
 }
 
-// ══════════════════════════════════════════════════════════════
-//  Recipient extraction
-// ══════════════════════════════════════════════════════════════
-
-const NIF_CODE_REGEX = /\b([A-Z]\d{7,8})\b/;
-
-function extractRecipient(page) {
-  if (!page) return '';
-  const { textItems, height } = page;
-  const sorted = [...textItems].sort((a, b) => a.y - b.y || a.x - b.x);
-  const lines = groupIntoLines(sorted);
-  const upperLimit = height * RECIPIENT_SEARCH_HEIGHT_RATIO;
-
-  for (const line of lines) {
-    if (line.y > upperLimit) continue;
-    const lineStr = buildLineText(line.items);
-    const m = lineStr.match(NIF_CODE_REGEX);
-    if (m) {
-      const afterNif = lineStr.substring(m.index + m[1].length).trim();
-      if (afterNif) return afterNif;
-      return '';
-    }
-  }
-  return '';
+function persistResults(rows) {
+  const batch = currentBatch;
+  if (!batch || !rows.length) return;
+  batch.updatedAt = Date.now();
+  batch.counts = summarizeBatch(results);
+  batch.fingerprints = batchFingerprints(results);
+  saveBatchRows(batch, rows.map(result => serializeResult(result, historyKey(batch, result))))
+    .catch(err => console.warn('Could not save to the history:', err));
 }
 
-const EMAIL_REGEX = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
-const EMAIL_BLACKLIST = new Set(['conta@nmeconomista.com']);
-
-function extractToEmail(page) {
-  if (!page) return '';
-  const lines = groupIntoLines(page.textItems).sort((a, b) => a.y - b.y || a.x - b.x);
-
-  for (let i = 0; i < lines.length; i++) {
-    const sortedItems = [...lines[i].items].sort((a, b) => a.x - b.x);
-    // Find first item with non-empty normalized text
-    const firstIdx = sortedItems.findIndex(it => normalizePdfText(it.str) !== '');
-    if (firstIdx === -1) continue;
-    const firstToken = normalizePdfText(sortedItems[firstIdx].str);
-
-    let candidate = '';
-
-    if (/^A:?$/i.test(firstToken)) {
-      // Case 1: "A" is a separate text item
-      const itemsAfterA = sortedItems.slice(firstIdx + 1);
-      candidate = stripInvisibleChars(buildLineText(itemsAfterA)).replace(/\s+/g, '');
-    } else if (/^A:?\s/i.test(firstToken)) {
-      // Case 2: "A" and email are in the same text item (e.g. "A club@leroymerlin.es")
-      const afterA = firstToken.replace(/^A:?\s*/i, '');
-      const itemsAfterA = sortedItems.slice(firstIdx + 1);
-      const rest = buildLineText(itemsAfterA);
-      candidate = stripInvisibleChars(afterA + (rest ? ' ' + rest : '')).replace(/\s+/g, '');
-    } else {
-      continue;
-    }
+/**
+ * Put a stored batch back in the table, PDFs and corrections included,
+ * with the form set as it was. `action` 'resume' runs the rows that never
+ * finished, 'regenerate' runs them all again; 'open' only shows them.
+ */
+async function openBatch(id, action) {
+  if (results.some(isActive)) {
+    setStatus('Wait for the current batch to finish.', true);
+    return;
+  }
+  setStatus('Opening batch…');
+  const stored = await loadBatch(id);
+  if (!stored) {
+    setStatus('That batch is no longer in the history.', true);
+    await refreshHistory();
+    return;
+  }
 
-    // If email not found, append next line's text as continuation (also stripped)
-    if (!findFirstEmail(candidate) && i + 1 < lines.length) {
-      candidate += stripInvisibleChars(buildLineText(lines[i + 1].items)).replace(/\s+/g, '');
-    }
+  const inputs = new Map(stored.pdfs.map(pdf => [pdf.fileIndex, {
+    file: pdf.blob instanceof File ? pdf.blob : new File([pdf.blob], pdf.name, { type: 'application/pdf' }),
+    source: pdf.source
+  }]));
+  const restored = [];
+  for (const row of stored.rows) {
+    const input = inputs.get(row.fileIndex);
+    const bytes = row.hasAttachment && !row.attachments ? new Uint8Array(await input.file.arrayBuffer()) : null;
+    restored.push(restoreResult(row, input, bytes));
+  }
 
-    // If still no email in text, check mailto: annotations near the A-line
-    if (!findFirstEmail(candidate) && page.annotations) {
-      const aLineY = lines[i].y;
-      const yTolerance = 20;
-      for (const ann of page.annotations) {
-        const url = ann.url || ann.unsafeUrl || '';
-        if (!url.startsWith('mailto:')) continue;
-        // ann.rect = [x1, y1, x2, y2] in PDF coords; convert y to page coords
-        const annY = page.height - ann.rect[3];
-        if (Math.abs(annY - aLineY) <= yTolerance) {
-          const mailtoEmail = url.replace(/^mailto:/i, '').split('?')[0].toLowerCase();
-          if (mailtoEmail && !EMAIL_BLACKLIST.has(mailtoEmail)) return mailtoEmail;
-        }
-      }
-    }
+  closePreview();
+  pdfInput.value = '';
+  folderInput.value = '';
+  splitScanId += 1;
+  splitPlans = new Map();
+  renderSplitPane();
+  renderSkipped([]);
+  applyBatchSettings(stored.batch.settings);
+  selectedFiles = [...inputs.values()];
+  results = restored;
+  currentBatch = stored.batch;
+  renderResumeBanner(null);
+  renderResults();
 
-    const email = findFirstEmail(candidate);
-    return email;
-  }
-  return '';
+  const toRun = action === 'regenerate' ? results
+    : action === 'resume' ? results.filter(r => r.status === INTERRUPTED_STATUS)
+    : [];
+  if (toRun.length) await Promise.all(toRun.map(runResult));
+  else updateBatchStatus();
 }
 
-function extractSubject(page) {
-  if (!page) return DEFAULT_SUBJECT;
-  const lines = groupIntoLines(page.textItems).sort((a, b) => a.y - b.y || a.x - b.x);
-  for (let i = 0; i < lines.length; i++) {
-    const text = buildLineText(lines[i].items);
-    if (SUBJECT_ANCHOR_REGEX.test(text)) {
-      for (let j = i - 1; j >= 0; j--) {
-        const signer = buildLineText(lines[j].items);
-        if (signer) {
-          return `${DEFAULT_SUBJECT} ${signer}`;
-        }
-      }
-      break;
-    }
-  }
-  return DEFAULT_SUBJECT;
+// Options missing since (a signature or profile removed) are left as they are
+function applyBatchSettings(settings) {
+  const select = (el, value) => {
+    if (Array.from(el.options).some(opt => opt.value === value)) el.value = value;
+  };
+  select(sigSelect, settings.signatureId);
+  select(profileSelect, settings.profileId);
+  select(formatSelect, settings.format);
+  attachPdfChk.checked = settings.attachPdf;
+  sideBySideChk.checked = settings.sideBySide;
+  splitPdfChk.checked = settings.splitPdf;
 }
 
-function collectEmails(text, y, list) {
-  const matches = text.matchAll(new RegExp(EMAIL_REGEX.source, 'ig'));
-  for (const match of matches) {
-    const raw = match[0];
-    const email = raw.toLowerCase();
-    if (EMAIL_BLACKLIST.has(email)) continue;
-    list.push({ email, y });
+function readRetentionDays() {
+  try {
+    return localStorage.getItem(HISTORY_RETENTION_KEY) || String(DEFAULT_RETENTION_DAYS);
+  } catch (e) {
+    return String(DEFAULT_RETENTION_DAYS);
   }
 }
 
-function findFirstEmail(text) {
-  const match = text.match(EMAIL_REGEX);
-  if (!match) return '';
-  const email = match[0].toLowerCase();
-  return EMAIL_BLACKLIST.has(email) ? '' : email;
+// Batches older than the retention setting ("ever" = 0 keeps them all);
+// the batch in the table is never purged
+async function purgeOldBatches() {
+  const days = Number(historyRetention.value);
+  if (!days) return 0;
+  return purgeBatches(Date.now() - days * DAY_MS, currentBatch && currentBatch.id);
 }
 
-// ══════════════════════════════════════════════════════════════
-//  Filename sanitisation
-// ══════════════════════════════════════════════════════════════
-
-function sanitizeFileName(name) {
-  return String(name || '')
-    .replace(/[\\/:*?"<>|]/g, '_')
-    .trim()
-    .substring(0, 120);
+async function refreshHistory() {
+  historyBatches = await listBatches();
+  historyInfo.textContent = `${historyBatches.length} batch(es) saved`;
+  renderHistory();
 }
 
-// ══════════════════════════════════════════════════════════════
-//  EML generation (RFC 2822 + HTML body)
-// ══════════════════════════════════════════════════════════════
-
-async function buildEml(bodyHtml, { toEmail, subject }) {
-  const date     = formatRfc2822Date(new Date());
-  const toHeaderValue = toEmail ? toEmail : 'undisclosed-recipients:;';
-
-  // Collect local images for CID embedding
-  const inlineImages = await collectLocalImages(bodyHtml);
-
-  // Replace local src with cid: references
-  let processedHtml = bodyHtml;
-  for (const img of inlineImages) {
-    processedHtml = processedHtml.split(img.originalSrc).join('cid:' + img.cid);
-  }
-
-  const fullHtml = `<!DOCTYPE html>
-<html><head><meta charset="utf-8"></head>
-<body style="font-family:Calibri,Arial,sans-serif;font-size:11pt;">
-${processedHtml}
-</body></html>`;
-
-  if (inlineImages.length === 0) {
-    // Simple single-part EML (no images)
-    const lines = [
-      'MIME-Version: 1.0',
-      `Date: ${date}`,
-      `To: ${toHeaderValue}`,
-      `Subject: ${rfc2047EncodeHeaderValue(subject)}`,
-      'Content-Type: text/html; charset=UTF-8',
-      'Content-Transfer-Encoding: base64',
-      '',
-      emlBodyBase64EncodeWithWrap(fullHtml),
-      ''
-    ];
-    return lines.join('\r\n');
-  }
-
-  // Multipart/related EML with inline images
-  const boundary = '----=_ConvertoBoundary_001';
-  const lines = [
-    'MIME-Version: 1.0',
-    `Date: ${date}`,
-    `To: ${toHeaderValue}`,
-    `Subject: ${rfc2047EncodeHeaderValue(subject)}`,
-    `Content-Type: multipart/related; boundary="${boundary}"`,
-    '',
-    `--${boundary}`,
-    'Content-Type: text/html; charset=UTF-8',
-    'Content-Transfer-Encoding: base64',
-    '',
-    emlBodyBase64EncodeWithWrap(fullHtml),
-  ];
-
-  for (const img of inlineImages) {
-    lines.push(`--${boundary}`);
-    lines.push(`Content-Type: ${img.mimeType}`);
-    lines.push('Content-Transfer-Encoding: base64');
-    lines.push(`Content-ID: <${img.cid}>`);
-    lines.push(`Content-Disposition: inline; filename="${img.filename}"`);
-    lines.push('');
-    lines.push(img.base64Data);
+function renderHistory() {
+  if (!historyBatches.length) {
+    historyPane.innerHTML = '<div class="toolbar-info">No batches saved yet.</div>';
+    return;
   }
-
-  lines.push(`--${boundary}--`);
-  lines.push('');
-  return lines.join('\r\n');
+  const busy = results.some(isActive);
+  const rows = historyBatches.map(batch => {
+    const button = (action, label) =>
+      `<button class="btn-small history-action-btn" data-action="${action}" data-id="${escapeHtml(batch.id)}"${busy ? ' disabled' : ''}>${label}</button>`;
+    const current = currentBatch && currentBatch.id === batch.id ? ' <span class="toolbar-info">(in the table)</span>' : '';
+    return `<tr>
+      <td>${escapeHtml(new Date(batch.createdAt).toLocaleString())}</td>
+      <td>${escapeHtml(batch.title)}${current}</td>
+      <td>${escapeHtml(describeBatch(batch.counts))}</td>
+      <td>${button('open', 'Open')}${batch.counts.remaining ? button('resume', 'Resume') : ''}${button('regenerate', 'Regenerate')}${button('delete', 'Delete')}</td>
+    </tr>`;
+  }).join('');
+  historyPane.innerHTML = `<table class="history-table">
+    <thead><tr><th>Started</th><th>PDFs</th><th>Progress</th><th></th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
 }
 
-async function collectLocalImages(html) {
-  const imgRegex = /<img\s[^>]*src\s*=\s*["']([^"']+)["'][^>]*>/gi;
-  const images = [];
-  const seen = new Set();
-  let match;
-  let cidCounter = 0;
-
-  while ((match = imgRegex.exec(html)) !== null) {
-    const src = match[1];
-    // Only handle local relative paths (skip http/https/data/cid)
-    if (/^(https?:|data:|cid:)/i.test(src)) continue;
-    if (seen.has(src)) continue;
-    seen.add(src);
-
-    try {
-      const resp = await fetch(src);
-      if (!resp.ok) continue;
-      const buf = await resp.arrayBuffer();
-      const bytes = new Uint8Array(buf);
-      const base64 = base64FromBytes(bytes);
-      const base64Wrapped = base64.match(/.{1,76}/g)?.join('\r\n') || '';
-
-      cidCounter++;
-      const ext = src.split('.').pop().toLowerCase();
-      const mimeMap = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif' };
-      const mimeType = mimeMap[ext] || 'application/octet-stream';
-      const filename = src.split('/').pop();
-
-      images.push({
-        originalSrc: src,
-        cid: `sigimg-${cidCounter}@converto`,
-        mimeType,
-        filename,
-        base64Data: base64Wrapped
-      });
-    } catch (e) {
-      console.warn('Could not fetch inline image:', src, e);
-    }
+// `batch` = the unfinished one to offer, or null to hide the banner
+function renderResumeBanner(batch) {
+  if (!batch) {
+    resumeBanner.innerHTML = '';
+    resumeBanner.dataset.id = '';
+    resumeBanner.style.display = 'none';
+    return;
   }
-
-  return images;
+  const button = (action, label) =>
+    `<button class="btn-small history-action-btn" data-action="${action}" data-id="${escapeHtml(batch.id)}">${label}</button>`;
+  resumeBanner.dataset.id = batch.id;
+  resumeBanner.innerHTML = `The batch started ${escapeHtml(new Date(batch.createdAt).toLocaleString())} (${escapeHtml(batch.title)}) stopped halfway: ${escapeHtml(describeBatch(batch.counts))}.`
+    + `${button('resume', 'Resume')}${button('open', 'Open')}${button('dismiss', 'Dismiss')}`;
+  resumeBanner.style.display = 'block';
 }
 
-function formatRfc2822Date(date) {
-  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  const dayName = days[date.getUTCDay()];
-  const day = String(date.getUTCDate()).padStart(2, '0');
-  const month = months[date.getUTCMonth()];
-  const year = date.getUTCFullYear();
-  const hour = String(date.getUTCHours()).padStart(2, '0');
-  const minute = String(date.getUTCMinutes()).padStart(2, '0');
-  const second = String(date.getUTCSeconds()).padStart(2, '0');
-  return `${dayName}, ${day} ${month} ${year} ${hour}:${minute}:${second} +0000`;
+// ── Client directory ──────────────────────────────────────────
+function directoryNotes(result) {
+  if (!result.nif || !result.toEmail) return [];
+  const { note } = resolveToWithDirectory(result.toEmail, directory.get(result.nif));
+  return note ? [note] : [];
 }
 
-function buildDiagnostics(bodyHtml, eml) {
-  const diagnostics = [];
-  if (!bodyHtml || !bodyHtml.trim()) {
-    diagnostics.push('HTML empty');
-  }
-  const separatorIndex = eml.indexOf('\r\n\r\n');
-  if (separatorIndex === -1) {
-    diagnostics.push('EML empty');
-  } else {
-    const emlBody = eml.slice(separatorIndex + 4).trim();
-    if (!emlBody) diagnostics.push('EML empty');
-  }
-  return diagnostics.length ? diagnostics.join('; ') : 'OK';
+// A manual To for a NIF that the directory lacks or has differently
+function canSaveToDirectory(result) {
+  if (!result.nif || !result.toEmail || result.toSource !== 'manual') return false;
+  const entry = directory.get(result.nif);
+  return !entry || !splitAddresses(result.toEmail).includes(entry.email);
 }
 
-function rfc2047EncodeHeaderValue(value) {
-  const bytes = new TextEncoder().encode(String(value || ''));
-  const base64 = base64FromBytes(bytes);
-  return `=?UTF-8?B?${base64}?=`;
+// The directory keeps one address per client: the first To
+async function saveResultToDirectory(result) {
+  const entry = { nif: result.nif, name: result.recipient, email: splitAddresses(result.toEmail)[0] };
+  await putClients([entry]);
+  directory.set(entry.nif, entry);
+  // Other rows for the same client no longer mismatch (or now have a match)
+  const rebuilt = results.filter(r => r.status === 'Done' && r.nif === entry.nif);
+  for (const r of rebuilt) {
+    r.notes = [...r.scanNotes, ...directoryNotes(r)];
+    Object.assign(r, await buildMessage(r.bodyHtml, { ...r, loadAsset }));
+  }
+  persistResults(rebuilt);
+  renderDirectoryInfo();
 }
 
-function emlBodyBase64EncodeWithWrap(html) {
-  const bytes = new TextEncoder().encode(String(html || ''));
-  const base64 = base64FromBytes(bytes);
-  return base64.match(/.{1,76}/g)?.join('\r\n') || '';
+async function importDirectoryCsv(file) {
+  const entries = parseDirectoryCsv(await file.text());
+  if (!entries.length) {
+    setStatus(`No clients with NIF and email found in ${file.name}.`, true);
+    return;
+  }
+  await putClients(entries);
+  directory = await loadDirectory();
+  renderDirectoryInfo();
+  setStatus(`Imported ${entries.length} client(s) from ${file.name}.`);
 }
 
-function base64FromBytes(bytes) {
-  let binary = '';
-  for (const b of bytes) {
-    binary += String.fromCharCode(b);
-  }
-  return btoa(binary);
+function renderDirectoryInfo() {
+  dirInfoEl.textContent = `${directory.size} client(s) in directory`;
+  dirExportBtn.disabled = directory.size === 0;
 }
 
 // ── Download helper ───────────────────────────────────────────
-function downloadBlob(text, filename, mime) {
-  const blob = new Blob([text], { type: mime });
+function downloadBlob(data, filename, mime) {
+  const blob = new Blob([data], { type: mime });
   const a    = document.createElement('a');
   const url  = URL.createObjectURL(blob);
   a.href     = url;
@@ -1099,15 +1538,6 @@ function downloadBlob(text, filename, mime) {
   setTimeout(() => { document.body.removeChild(a); URL.revokeObjectURL(url); }, 100);
 }
 
-// ── HTML escape ───────────────────────────────────────────────
-function escapeHtml(str) {
-  return String(str || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
-}
-
 function runSelfChecks() {
   console.assert(sanitizeFileName('Name:Test/Doc') === 'Name_Test_Doc', 'sanitizeFileName failed');
   const encodedSubject = rfc2047EncodeHeaderValue('Привет');
@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+/* ============================================================
+   Converto – headless CLI (folder / glob of PDFs → EML/MSG files)
+   ============================================================ */
+
+// Usage:
+//   converto <input> [--signature <id>] [--out <dir>] [--directory <csv>]
+//            [--profile <id|auto>] [--format <eml|msg>] [--attach-pdf]
+//            [--side-by-side] [--split] [--export <csv|xlsx>] [--dev]
+//
+//   <input>        a directory (every *.pdf and *.zip in it), a single PDF
+//                  or ZIP, or a quoted glob such as "letters/**/*.pdf";
+//                  ZIPs are unpacked in memory and every PDF inside is used
+//   --signature    signature id from signatures/index.json; its sender
+//                  (From, Reply-To, Cc/Bcc) is used for every message. The
+//                  signatures are encrypted (signatures/vault.json): set
+//                  CONVERTO_PASSPHRASE to the app password
+//   --out          output directory (default: ./out)
+//   --directory    client list CSV (NIF, name, email) used to fill missing
+//                  To addresses and flag mismatches, as in the browser
+//   --profile      document profile id from profiles/index.json, or "auto"
+//                  (default) to detect it per PDF
+//   --format       eml (default) or msg: an unsent Outlook draft that opens
+//                  ready to edit and send
+//   --attach-pdf   attach the source PDF to each message
+//   --side-by-side keep text columns (address | date…) next to each other
+//                  in the body instead of one after the other
+//   --split        treat each PDF as a combined print run: one message per
+//                  detected letter ("Página 1 de N", new NIF or "A:" line)
+//   --export       also write the extracted data (NIF, recipient, To,
+//                  1T–4T/Total amounts as numbers, status, Diag) to
+//                  data.csv or data.xlsx
+//   --dev          print the same [dev] diagnostics as ?dev in the browser
+//
+// Writes one .eml (or .msg) per PDF plus report.csv with the columns of the
+// results table. Exits with code 1 if any file ends in Error.
+
+import { readFile, writeFile, readdir, stat, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import {
+  processPdf,
+  buildOutputFile,
+  OUTPUT_FORMATS,
+  resolveFileNameCollisions,
+  extractSignatureBody,
+  readSignatureSender,
+  compileProfiles,
+  parseDirectoryCsv,
+  buildReportRow,
+  toCsv,
+  buildExportCsv,
+  buildExportXlsx,
+  REPORT_HEADERS,
+  collectPdfs,
+  scanPdfForSplit,
+  buildSegments,
+  formatPageRange,
+  findDuplicates,
+  openVault,
+  vaultAssetLoader,
+  VAULT_PATH,
+  setDevMode
+} from '../lib/index.js';
+
+// Signature paths in index.json (and image paths inside signatures) are
+// relative to the site root, which is the repository root; the vault
+// stores them under the same paths.
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const REPORT_FILENAME = 'report.csv';
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+// pdf.js in Node cannot fetch its standard fonts by URL, so point it at the
+// copies shipped in pdfjs-dist and keep its console to errors only.
+const DOCUMENT_PARAMS = {
+  standardFontDataUrl: path.join(ROOT_DIR, 'node_modules/pdfjs-dist/standard_fonts/'),
+  verbosity: 0
+};
+
+// ── Argument parsing ──────────────────────────────────────────
+function parseArgs(argv) {
+  const opts = { input: '', signature: '', out: 'out', directory: '', profile: 'auto', format: 'eml', exportFormat: '', attachPdf: false, sideBySide: false, split: false, dev: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--signature' || arg === '-s') opts.signature = argv[++i] || '';
+    else if (arg === '--out' || arg === '-o') opts.out = argv[++i] || '';
+    else if (arg === '--directory' || arg === '-d') opts.directory = argv[++i] || '';
+    else if (arg === '--profile' || arg === '-p') opts.profile = argv[++i] || '';
+    else if (arg === '--format' || arg === '-f') opts.format = (argv[++i] || '').toLowerCase();
+    else if (arg === '--attach-pdf') opts.attachPdf = true;
+    else if (arg === '--side-by-side') opts.sideBySide = true;
+    else if (arg === '--split') opts.split = true;
+    else if (arg === '--export') opts.exportFormat = (argv[++i] || '').toLowerCase();
+    else if (arg === '--dev') opts.dev = true;
+    else if (arg === '--help' || arg === '-h') opts.help = true;
+    else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+    else if (!opts.input) opts.input = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  if (!OUTPUT_FORMATS[opts.format]) {
+    throw new Error(`Unknown format "${opts.format}". Available: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+  if (opts.exportFormat && !EXPORT_FORMATS.includes(opts.exportFormat)) {
+    throw new Error(`Unknown export format "${opts.exportFormat}". Available: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return opts;
+}
+
+function printUsage() {
+  console.log('Usage: converto <dir|file.pdf|file.zip|"glob"> [--signature <id>] [--out <dir>] [--directory <csv>] [--profile <id|auto>] [--format <eml|msg>] [--attach-pdf] [--side-by-side] [--split] [--export <csv|xlsx>] [--dev]');
+}
+
+// ── Input expansion (directory, file or glob) ─────────────────
+async function expandInput(input) {
+  if (!/[*?]/.test(input)) {
+    const info = await stat(input);
+    if (info.isFile()) return [input];
+    const entries = await readdir(input, { withFileTypes: true });
+    return entries
+      .filter(e => e.isFile() && /\.(pdf|zip)$/i.test(e.name))
+      .map(e => path.join(input, e.name))
+      .sort();
+  }
+
+  // Walk from the deepest wildcard-free directory and match the rest
+  const parts = input.split(/[\\/]/);
+  const firstWild = parts.findIndex(p => /[*?]/.test(p));
+  const baseDir = parts.slice(0, firstWild).join('/') || '.';
+  const matcher = globToRegExp(parts.slice(firstWild).join('/'));
+
+  const found = [];
+  async function walk(dir, rel) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    for (const e of entries) {
+      const relPath = rel ? `${rel}/${e.name}` : e.name;
+      if (e.isDirectory()) await walk(path.join(dir, e.name), relPath);
+      else if (e.isFile() && matcher.test(relPath)) found.push(path.join(dir, e.name));
+    }
+  }
+  await walk(baseDir, '');
+  return found.sort();
+}
+
+// PDFs on disk are read when their turn comes; those inside a ZIP are
+// unpacked up front and named "archive.zip/inner/path.pdf"
+async function openInputs(files) {
+  const inputs = [];
+  for (const filePath of files) {
+    if (!/\.zip$/i.test(filePath)) {
+      inputs.push({ name: path.basename(filePath), path: filePath, read: () => readFile(filePath) });
+      continue;
+    }
+    const archive = new File([await readFile(filePath)], path.basename(filePath));
+    const { pdfs, skipped } = await collectPdfs([{ file: archive, path: filePath }]);
+    for (const { source, reason } of skipped) console.log(`Skipped ${source} (${reason})`);
+    for (const { file, source } of pdfs) {
+      inputs.push({ name: file.name, path: source, read: async () => new Uint8Array(await file.arrayBuffer()) });
+    }
+  }
+  return inputs;
+}
+
+// --split: one job per detected letter. A PDF that can't be scanned stays
+// a single job, so its error shows up when it is processed.
+async function splitInputs(inputs, { profile, profiles }) {
+  const jobs = [];
+  for (const input of inputs) {
+    let segments = [];
+    try {
+      const plan = await scanPdfForSplit(new Uint8Array(await input.read()), { pdfjsLib, documentParams: DOCUMENT_PARAMS, profile, profiles });
+      segments = buildSegments(plan.starts.map(start => start.pageNumber), plan.numPages);
+    } catch {
+      segments = [];
+    }
+    if (segments.length > 1) {
+      console.log(`Split ${input.path}: ${segments.map(formatPageRange).join(', ')}`);
+      for (const pageRange of segments) jobs.push({ input, pageRange });
+    } else {
+      jobs.push({ input, pageRange: null });
+    }
+  }
+  return jobs;
+}
+
+function globToRegExp(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories
+      re += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (ch === '*') re += '[^/]*';
+    else if (ch === '?') re += '[^/]';
+    else re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`, 'i');
+}
+
+// ── Signatures & assets ───────────────────────────────────────
+// Signature body plus the sender identity (From, Reply-To…) it carries,
+// and the vault's files for the signature images
+async function loadSignature(id) {
+  if (!id) return { signatureHtml: '', sender: null, files: new Map() };
+  const passphrase = process.env.CONVERTO_PASSPHRASE;
+  if (!passphrase) throw new Error('The signatures are encrypted: set CONVERTO_PASSPHRASE to the app password');
+  let files;
+  try {
+    files = await openVault(JSON.parse(await readFile(path.join(ROOT_DIR, VAULT_PATH), 'utf-8')), passphrase);
+  } catch (err) {
+    if (err.name === 'WrongPassphraseError') throw new Error(`CONVERTO_PASSPHRASE does not open ${VAULT_PATH}`);
+    throw err;
+  }
+  const text = name => new TextDecoder().decode(files.get(name));
+  const list = JSON.parse(text('signatures/index.json'));
+  const entry = list.find(s => s.id === id);
+  if (!entry) {
+    throw new Error(`Unknown signature "${id}". Available: ${list.map(s => s.id).join(', ')}`);
+  }
+  return {
+    signatureHtml: files.has(entry.path) ? extractSignatureBody(text(entry.path)) : '',
+    sender: readSignatureSender(entry),
+    files
+  };
+}
+
+// All profiles, plus the forced one unless the choice is "auto"
+async function loadProfiles(id) {
+  const profiles = compileProfiles(
+    JSON.parse(await readFile(path.join(ROOT_DIR, 'profiles/index.json'), 'utf-8'))
+  );
+  if (!id || id === 'auto') return { profiles, profile: null };
+  const profile = profiles.find(p => p.id === id);
+  if (!profile) {
+    throw new Error(`Unknown profile "${id}". Available: auto, ${profiles.map(p => p.id).join(', ')}`);
+  }
+  return { profiles, profile };
+}
+
+async function readAsset(src) {
+  try {
+    return new Uint8Array(await readFile(path.join(ROOT_DIR, decodeURI(src))));
+  } catch (e) {
+    console.warn('Could not read inline image:', src, e.message);
+    return null;
+  }
+}
+
+async function loadDirectoryCsv(csvPath) {
+  if (!csvPath) return null;
+  const entries = parseDirectoryCsv(await readFile(csvPath, 'utf-8'));
+  console.log(`Client directory: ${entries.length} client(s) from ${csvPath}`);
+  return new Map(entries.map(e => [e.nif, e]));
+}
+
+// ── Main ──────────────────────────────────────────────────────
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help || !opts.input) {
+    printUsage();
+    return opts.help ? 0 : 2;
+  }
+  setDevMode(opts.dev);
+
+  const files = await openInputs(await expandInput(opts.input));
+  if (!files.length) {
+    console.error(`No PDF files found for ${opts.input}`);
+    return 1;
+  }
+  const { signatureHtml, sender, files: vaultFiles } = await loadSignature(opts.signature);
+  const loadAsset = vaultAssetLoader(vaultFiles, readAsset);
+  const directory = await loadDirectoryCsv(opts.directory);
+  const { profiles, profile } = await loadProfiles(opts.profile);
+  await mkdir(opts.out, { recursive: true });
+
+  const jobs = opts.split
+    ? await splitInputs(files, { profile, profiles })
+    : files.map(input => ({ input, pageRange: null }));
+
+  const results = [];
+  for (let i = 0; i < jobs.length; i++) {
+    const { input, pageRange } = jobs[i];
+    const result = { file: { name: input.name, path: input.path }, pageRange, status: 'Pending', error: '' };
+    results.push(result);
+    try {
+      const data = new Uint8Array(await input.read());
+      const processed = await processPdf(data, {
+        pdfjsLib,
+        fileName: result.file.name,
+        signatureHtml,
+        sender,
+        loadAsset,
+        documentParams: DOCUMENT_PARAMS,
+        attachPdf: opts.attachPdf,
+        sideBySide: opts.sideBySide,
+        pageRange,
+        directory,
+        profile,
+        profiles
+      });
+      Object.assign(result, processed, { status: 'Done', error: '' });
+    } catch (err) {
+      result.status = 'Error';
+      result.error = err.message || 'Unknown error';
+    }
+    const detail = result.error || result.profileId;
+    const pages = pageRange ? ` ${formatPageRange(pageRange)}` : '';
+    console.log(`[${i + 1}/${jobs.length}] ${result.status.padEnd(5)} ${input.path}${pages}${detail ? ` (${detail})` : ''}`);
+  }
+
+  // The same letter twice, or one client with other amounts: noted in Diag
+  const duplicateNotes = findDuplicates(results);
+  results.forEach((r, i) => { r.duplicateNotes = duplicateNotes[i]; });
+  const flagged = duplicateNotes.filter(notes => notes.length).length;
+  if (flagged) console.warn(`${flagged} possible duplicate(s): see Diag in ${REPORT_FILENAME}`);
+
+  // Same naming as the browser download: collisions get " (2)", " (3)"…
+  const done = results.filter(r => r.status === 'Done');
+  const names = resolveFileNameCollisions(done.map(r => r.baseFilename), OUTPUT_FORMATS[opts.format].extension);
+  const namesByResult = new Map();
+  for (let i = 0; i < done.length; i++) {
+    namesByResult.set(done[i], names[i]);
+    await writeFile(path.join(opts.out, names[i]), await buildOutputFile(done[i], opts.format, { loadAsset }));
+  }
+
+  const rows = results.map(r => buildReportRow(r, r.file.path, namesByResult.get(r)));
+  await writeFile(path.join(opts.out, REPORT_FILENAME), toCsv([REPORT_HEADERS, ...rows]));
+  if (opts.exportFormat) {
+    const exportName = `data.${opts.exportFormat}`;
+    await writeFile(path.join(opts.out, exportName), opts.exportFormat === 'xlsx' ? buildExportXlsx(results) : buildExportCsv(results));
+    console.log(`Data export: ${exportName}`);
+  }
+
+  console.log(`\n${done.length}/${results.length} file(s) written to ${opts.out} (report: ${REPORT_FILENAME})`);
+  return done.length === results.length ? 0 : 1;
+}
+
+main().then(
+  code => { process.exitCode = code; },
+  err => {
+    console.error(`converto: ${err.message}`);
+    process.exitCode = 1;
+  }
+);
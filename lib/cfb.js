@@ -0,0 +1,203 @@
+/* ============================================================
+   Converto – Compound File Binary writer (Outlook .msg container)
+   ============================================================ */
+
+// Writes [MS-CFB] version 3 files: 512-byte sectors, with streams smaller
+// than 4096 bytes packed into the mini stream (64-byte sectors). The input
+// is a tree of storages and streams:
+//
+//   { name, children: [...] }    storage
+//   { name, data: Uint8Array }   stream
+//
+// The root's own name is ignored (it is always "Root Entry").
+
+const SECTOR_SIZE = 512;
+const MINI_SECTOR_SIZE = 64;
+const MINI_STREAM_CUTOFF = 4096;
+const DIR_ENTRY_SIZE = 128;
+const IDS_PER_SECTOR = SECTOR_SIZE / 4;
+const HEADER_DIFAT_ENTRIES = 109;
+
+const FREESECT = 0xFFFFFFFF;
+const ENDOFCHAIN = 0xFFFFFFFE;
+const FATSECT = 0xFFFFFFFD;
+const DIFSECT = 0xFFFFFFFC;
+const NOSTREAM = 0xFFFFFFFF;
+
+const TYPE_STORAGE = 1;
+const TYPE_STREAM = 2;
+const TYPE_ROOT = 5;
+const COLOR_BLACK = 1;
+
+const SIGNATURE = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+const MAX_NAME_LENGTH = 31;
+
+// Sibling order: shorter names first, then by upper-cased UTF-16 units
+function compareNames(a, b) {
+  if (a.length !== b.length) return a.length - b.length;
+  const ua = a.toUpperCase();
+  const ub = b.toUpperCase();
+  return ua < ub ? -1 : ua > ub ? 1 : 0;
+}
+
+// Directory entries in tree order (0 = root). Siblings form a balanced
+// binary search tree, all black, which is a valid red-black tree.
+function buildDirectory(root) {
+  const entries = [];
+
+  function linkSiblings(indices) {
+    if (!indices.length) return NOSTREAM;
+    const mid = indices.length >> 1;
+    const entry = entries[indices[mid]];
+    entry.left = linkSiblings(indices.slice(0, mid));
+    entry.right = linkSiblings(indices.slice(mid + 1));
+    return indices[mid];
+  }
+
+  function add(node, type) {
+    const name = type === TYPE_ROOT ? 'Root Entry' : String(node.name);
+    if (!name || name.length > MAX_NAME_LENGTH) throw new Error(`Invalid compound file entry name: "${name}"`);
+    const entry = { name, type, left: NOSTREAM, right: NOSTREAM, child: NOSTREAM, data: node.data || null, start: ENDOFCHAIN, size: 0 };
+    const index = entries.length;
+    entries.push(entry);
+    if (type === TYPE_STREAM) {
+      entry.size = entry.data.length;
+    } else {
+      const children = [...(node.children || [])].sort((a, b) => compareNames(a.name, b.name));
+      entry.child = linkSiblings(children.map(child => add(child, child.children ? TYPE_STORAGE : TYPE_STREAM)));
+    }
+    return index;
+  }
+
+  add(root, TYPE_ROOT);
+  return entries;
+}
+
+/**
+ * Serialize a storage tree to a compound file. `clsid` (16 bytes) is set on
+ * the root entry, e.g. the Outlook message class id.
+ */
+export function createCompoundFile(root, { clsid = null } = {}) {
+  const entries = buildDirectory(root);
+  const streams = entries.filter(e => e.type === TYPE_STREAM && e.size > 0);
+  const miniStreams = streams.filter(e => e.size < MINI_STREAM_CUTOFF);
+  const bigStreams = streams.filter(e => e.size >= MINI_STREAM_CUTOFF);
+
+  // Mini stream: small streams back to back, each padded to 64 bytes
+  const miniFat = [];
+  for (const entry of miniStreams) {
+    const count = Math.ceil(entry.size / MINI_SECTOR_SIZE);
+    entry.start = miniFat.length;
+    for (let i = 1; i < count; i++) miniFat.push(miniFat.length + 1);
+    miniFat.push(ENDOFCHAIN);
+  }
+  const miniStreamSize = miniFat.length * MINI_SECTOR_SIZE;
+
+  const dirSectors = Math.ceil(entries.length * DIR_ENTRY_SIZE / SECTOR_SIZE);
+  const miniFatSectors = Math.ceil(miniFat.length / IDS_PER_SECTOR);
+  const miniStreamSectors = Math.ceil(miniStreamSize / SECTOR_SIZE);
+  const bigSectors = bigStreams.reduce((sum, e) => sum + Math.ceil(e.size / SECTOR_SIZE), 0);
+  const dataSectors = dirSectors + miniFatSectors + miniStreamSectors + bigSectors;
+
+  // The FAT also maps its own sectors and the DIFAT sectors
+  let fatSectors = 0;
+  let difatSectors = 0;
+  for (;;) {
+    const needFat = Math.ceil((dataSectors + fatSectors + difatSectors) / IDS_PER_SECTOR);
+    const needDifat = needFat > HEADER_DIFAT_ENTRIES ? Math.ceil((needFat - HEADER_DIFAT_ENTRIES) / (IDS_PER_SECTOR - 1)) : 0;
+    if (needFat === fatSectors && needDifat === difatSectors) break;
+    fatSectors = needFat;
+    difatSectors = needDifat;
+  }
+
+  // Sector layout: FAT, DIFAT, directory, mini FAT, mini stream, big streams
+  const fat = new Array(fatSectors * IDS_PER_SECTOR).fill(FREESECT);
+  let next = 0;
+  const allocate = (count, mark) => {
+    const start = next;
+    for (let i = 0; i < count; i++) fat[start + i] = mark !== undefined ? mark : (i + 1 < count ? start + i + 1 : ENDOFCHAIN);
+    next += count;
+    return count ? start : ENDOFCHAIN;
+  };
+  const fatStart = allocate(fatSectors, FATSECT);
+  const difatStart = allocate(difatSectors, DIFSECT);
+  const dirStart = allocate(dirSectors);
+  const miniFatStart = allocate(miniFatSectors);
+  const miniStreamStart = allocate(miniStreamSectors);
+  for (const entry of bigStreams) entry.start = allocate(Math.ceil(entry.size / SECTOR_SIZE));
+
+  const rootEntry = entries[0];
+  rootEntry.start = miniStreamStart;
+  rootEntry.size = miniStreamSize;
+
+  const out = new Uint8Array(SECTOR_SIZE * (1 + next));
+  const view = new DataView(out.buffer);
+  const sectorOffset = sector => SECTOR_SIZE * (1 + sector);
+
+  // Header
+  out.set(SIGNATURE, 0);
+  view.setUint16(24, 0x003E, true);             // minor version
+  view.setUint16(26, 0x0003, true);             // major version 3
+  view.setUint16(28, 0xFFFE, true);             // little-endian
+  view.setUint16(30, 9, true);                  // 2^9 = 512-byte sectors
+  view.setUint16(32, 6, true);                  // 2^6 = 64-byte mini sectors
+  view.setUint32(44, fatSectors, true);
+  view.setUint32(48, dirStart, true);
+  view.setUint32(56, MINI_STREAM_CUTOFF, true);
+  view.setUint32(60, miniFatStart, true);
+  view.setUint32(64, miniFatSectors, true);
+  view.setUint32(68, difatStart, true);
+  view.setUint32(72, difatSectors, true);
+
+  // DIFAT: the first 109 FAT sector ids live in the header, the rest in
+  // DIFAT sectors of 127 ids plus a link to the next one
+  const fatIds = Array.from({ length: fatSectors }, (_, i) => fatStart + i);
+  for (let i = 0; i < HEADER_DIFAT_ENTRIES; i++) {
+    view.setUint32(76 + i * 4, i < fatIds.length ? fatIds[i] : FREESECT, true);
+  }
+  for (let d = 0; d < difatSectors; d++) {
+    const base = sectorOffset(difatStart + d);
+    for (let i = 0; i < IDS_PER_SECTOR - 1; i++) {
+      const id = fatIds[HEADER_DIFAT_ENTRIES + d * (IDS_PER_SECTOR - 1) + i];
+      view.setUint32(base + i * 4, id !== undefined ? id : FREESECT, true);
+    }
+    view.setUint32(base + SECTOR_SIZE - 4, d + 1 < difatSectors ? difatStart + d + 1 : ENDOFCHAIN, true);
+  }
+
+  // FAT and mini FAT
+  fat.forEach((id, i) => view.setUint32(sectorOffset(fatStart) + i * 4, id, true));
+  for (let i = 0; i < miniFatSectors * IDS_PER_SECTOR; i++) {
+    view.setUint32(sectorOffset(miniFatStart) + i * 4, i < miniFat.length ? miniFat[i] : FREESECT, true);
+  }
+
+  // Directory; unused slots keep NOSTREAM links
+  for (let i = 0; i < dirSectors * SECTOR_SIZE / DIR_ENTRY_SIZE; i++) {
+    const base = sectorOffset(dirStart) + i * DIR_ENTRY_SIZE;
+    const entry = entries[i];
+    if (!entry) {
+      view.setUint32(base + 68, NOSTREAM, true);
+      view.setUint32(base + 72, NOSTREAM, true);
+      view.setUint32(base + 76, NOSTREAM, true);
+      continue;
+    }
+    for (let c = 0; c < entry.name.length; c++) view.setUint16(base + c * 2, entry.name.charCodeAt(c), true);
+    view.setUint16(base + 64, (entry.name.length + 1) * 2, true);
+    out[base + 66] = entry.type;
+    out[base + 67] = COLOR_BLACK;
+    view.setUint32(base + 68, entry.left, true);
+    view.setUint32(base + 72, entry.right, true);
+    view.setUint32(base + 76, entry.child, true);
+    if (entry.type === TYPE_ROOT && clsid) out.set(clsid, base + 80);
+    view.setUint32(base + 116, entry.type === TYPE_STORAGE ? 0 : entry.start, true);
+    view.setUint32(base + 120, entry.type === TYPE_STORAGE ? 0 : entry.size, true);
+  }
+
+  // Stream data
+  for (const entry of miniStreams) {
+    out.set(entry.data, sectorOffset(miniStreamStart) + entry.start * MINI_SECTOR_SIZE);
+  }
+  for (const entry of bigStreams) {
+    out.set(entry.data, sectorOffset(entry.start));
+  }
+  return out;
+}
@@ -0,0 +1,60 @@
+/* ============================================================
+   Converto – CSV read / write
+   ============================================================ */
+
+// Leading BOM so Excel opens the UTF-8 file with accents intact
+export function toCsv(rows) {
+  return '\uFEFF' + rows
+    .map(row => row.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Parse CSV text into rows of strings. The delimiter is guessed from the
+ * first line (A3 and Spanish Excel export with ";"), quoted fields may
+ * contain delimiters, quotes ("") and newlines. Blank lines are dropped.
+ */
+export function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const delimiter = [';', ',', '\t']
+    .map(d => ({ d, n: firstLine.split(d).length }))
+    .sort((a, b) => b.n - a.n)[0].d;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim()));
+}
@@ -0,0 +1,9 @@
+/* ============================================================
+   Converto – dev diagnostics switch
+   ============================================================ */
+
+// The browser turns this on with ?dev, the CLI with --dev.
+let devMode = false;
+
+export function setDevMode(enabled) { devMode = !!enabled; }
+export function isDevMode() { return devMode; }
@@ -0,0 +1,27 @@
+/* ============================================================
+   Converto – client directory persistence (browser only)
+   ============================================================ */
+
+import { withStore, requestToPromise } from './idb.js';
+import { normalizeNif } from './nif.js';
+
+const STORE = 'clients';
+
+// Whole directory as a Map keyed by normalized NIF
+export async function loadDirectory() {
+  const entries = await withStore(STORE, 'readonly', store => requestToPromise(store.getAll()));
+  return new Map(entries.map(e => [e.nif, e]));
+}
+
+// Insert or replace entries (CSV import and saved corrections)
+export function putClients(entries) {
+  return withStore(STORE, 'readwrite', store => {
+    for (const e of entries) {
+      store.put({ nif: normalizeNif(e.nif), name: e.name || '', email: e.email });
+    }
+  });
+}
+
+export function clearDirectory() {
+  return withStore(STORE, 'readwrite', store => { store.clear(); });
+}
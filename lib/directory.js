@@ -0,0 +1,76 @@
+/* ============================================================
+   Converto – client directory (NIF → name + email)
+   ============================================================ */
+
+import { parseCsv, toCsv } from './csv.js';
+import { findFirstEmail } from './recipient.js';
+import { splitAddresses } from './eml.js';
+import { normalizeNif } from './nif.js';
+
+export const DIRECTORY_HEADERS = ['NIF', 'Nombre', 'Email'];
+
+// Header aliases seen in A3 / Excel client exports (compared accent-free)
+const COLUMN_ALIASES = {
+  nif:   ['nif', 'cif', 'dni', 'nie', 'nif/cif', 'cif/nif', 'nif cliente', 'vat'],
+  name:  ['nombre', 'name', 'razon social', 'empresa', 'cliente', 'company', 'denominacion'],
+  email: ['email', 'e-mail', 'correo', 'mail', 'correo electronico', 'email cliente']
+};
+
+function normalizeHeader(cell) {
+  return String(cell || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Parse a client list CSV into [{ nif, name, email }]. Columns are found by
+ * header name; without a recognisable header the order NIF, name, email is
+ * assumed. Rows without a NIF or without a valid email are skipped.
+ */
+export function parseDirectoryCsv(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+
+  const header = rows[0].map(normalizeHeader);
+  const col = {};
+  for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+    col[key] = header.findIndex(h => aliases.includes(h));
+  }
+  const hasHeader = col.nif >= 0 && col.email >= 0;
+  if (!hasHeader) Object.assign(col, { nif: 0, name: 1, email: 2 });
+
+  const entries = [];
+  for (const row of rows.slice(hasHeader ? 1 : 0)) {
+    const nif = normalizeNif(row[col.nif]);
+    const email = findFirstEmail(String(row[col.email] || ''));
+    if (!nif || !email) continue;
+    entries.push({ nif, name: col.name >= 0 ? String(row[col.name] || '').trim() : '', email });
+  }
+  return entries;
+}
+
+export function directoryToCsv(entries) {
+  const sorted = [...entries].sort((a, b) => a.nif.localeCompare(b.nif));
+  return toCsv([DIRECTORY_HEADERS, ...sorted.map(e => [e.nif, e.name, e.email])]);
+}
+
+/**
+ * Compare the extracted To addresses (comma-separated) with the directory
+ * entry for its NIF. Returns { toEmail, toSource, note }:
+ *   - no PDF email, entry found → the directory email ('directory')
+ *   - entry not among the PDF emails → keeps them, notes mismatch
+ *   - otherwise the PDF email unchanged ('pdf' or '' when none)
+ */
+export function resolveToWithDirectory(toEmail, entry) {
+  if (!entry) return { toEmail, toSource: toEmail ? 'pdf' : '', note: '' };
+  if (!toEmail) {
+    return { toEmail: entry.email, toSource: 'directory', note: 'To from directory' };
+  }
+  const pdfEmails = splitAddresses(toEmail.toLowerCase());
+  if (!pdfEmails.includes(entry.email.toLowerCase())) {
+    return { toEmail, toSource: 'pdf', note: `Directory mismatch: ${entry.email}` };
+  }
+  return { toEmail, toSource: 'pdf', note: '' };
+}
@@ -0,0 +1,159 @@
+/* ============================================================
+   Converto – duplicate letters and merging per recipient
+   ============================================================ */
+
+// A client must not get the same letter twice. Every processed row has two
+// fingerprints: its input (SHA-256 of the PDF plus the pages used, see
+// processPdf's `contentHash`) and its output (NIF, To, Subject). Rows are
+// compared within the batch and against the fingerprints of earlier
+// batches (history.js); the warnings go to Diag as `duplicateNotes`.
+// Several letters for one recipient can instead be merged into one email.
+
+import { formatPageRange } from './split.js';
+import { htmlToText, TEXT_WIDTH } from './plain-text.js';
+import { splitAddresses } from './eml.js';
+
+// Hex SHA-256 of the bytes, or '' where WebCrypto is missing (plain-http
+// pages): those rows then only get the output fingerprint
+export async function hashBytes(bytes) {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) return '';
+  const digest = new Uint8Array(await subtle.digest('SHA-256', bytes));
+  return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Same PDF and same pages; '' when the hash is unknown
+export function contentKey(result) {
+  if (!result.contentHash) return '';
+  return result.pageRange ? `${result.contentHash}:${result.pageRange.first}-${result.pageRange.last}` : result.contentHash;
+}
+
+// "B12345674|a@acme.es,b@acme.es|modelo 347"; '' without NIF and To
+export function outputKey(result) {
+  const to = recipientKey(result);
+  if (!result.nif && !to) return '';
+  const subject = String(result.subject || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return `${result.nif || ''}|${to}|${subject}`;
+}
+
+function recipientKey(result) {
+  return splitAddresses(result.toEmail).map(email => email.toLowerCase()).sort().join(',');
+}
+
+function amountsKey(result) {
+  return result.quarterAmounts ? result.quarterAmounts.values.join('|') : '';
+}
+
+function rowLabel(result) {
+  const name = result.source || result.file.name;
+  return result.pageRange ? `${name} (${formatPageRange(result.pageRange)})` : name;
+}
+
+// Fingerprints of a batch's processed rows, kept with its history record
+export function batchFingerprints(results) {
+  return results
+    .filter(result => result.status === 'Done')
+    .map(result => ({ content: contentKey(result), output: outputKey(result) }));
+}
+
+/**
+ * Duplicate warnings for every row (an array of notes per row, in order).
+ * Only Done rows are compared; a later row is flagged against the first
+ * one it repeats: same PDF, same NIF/To/Subject, or same NIF with other
+ * amounts. `previous` are [{ content, output, label }] from earlier
+ * batches; a match there says "Already generated in the batch of <label>".
+ */
+export function findDuplicates(results, previous = []) {
+  const earlierContent = new Map();
+  const earlierOutput = new Map();
+  for (const { content, output, label } of previous) {
+    if (content && !earlierContent.has(content)) earlierContent.set(content, label);
+    if (output && !earlierOutput.has(output)) earlierOutput.set(output, label);
+  }
+
+  const byContent = new Map();
+  const byOutput = new Map();
+  const byNif = new Map();
+  return results.map(result => {
+    if (result.status !== 'Done') return [];
+    const notes = [];
+    const content = contentKey(result);
+    const output = outputKey(result);
+
+    const samePdf = content && byContent.get(content);
+    const sameNif = result.nif && byNif.get(result.nif);
+    if (samePdf) {
+      notes.push(`Duplicate: same PDF as ${rowLabel(samePdf)}`);
+    } else if (sameNif && amountsKey(sameNif) && amountsKey(result) && amountsKey(sameNif) !== amountsKey(result)) {
+      notes.push(`Same NIF as ${rowLabel(sameNif)} with different amounts`);
+    } else if (output && byOutput.has(output)) {
+      notes.push(`Duplicate: same NIF, To and Subject as ${rowLabel(byOutput.get(output))}`);
+    }
+
+    const previousBatch = (content && earlierContent.get(content)) || (output && earlierOutput.get(output));
+    if (previousBatch) notes.push(`Already generated in the batch of ${previousBatch}`);
+
+    if (content && !byContent.has(content)) byContent.set(content, result);
+    if (output && !byOutput.has(output)) byOutput.set(output, result);
+    if (result.nif && !byNif.has(result.nif)) byNif.set(result.nif, result);
+    return notes;
+  });
+}
+
+/**
+ * Done rows that go to the same To, as groups of two or more row indexes
+ * (first appearance order). Exact duplicates (same PDF) are left out: they
+ * should be dropped, not merged.
+ */
+export function findMergeGroups(results) {
+  const groups = new Map();
+  const seenContent = new Set();
+  results.forEach((result, index) => {
+    if (result.status !== 'Done') return;
+    const content = contentKey(result);
+    if (content && seenContent.has(content)) return;
+    if (content) seenContent.add(content);
+    const to = recipientKey(result);
+    if (!to) return;
+    if (!groups.has(to)) groups.set(to, []);
+    groups.get(to).push(index);
+  });
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+function stripSuffix(text, suffix) {
+  return suffix && text.endsWith(suffix) ? text.slice(0, -suffix.length) : text;
+}
+
+/**
+ * One message from several processed letters for the same recipient: the
+ * bodies as sections (the signature, when it is `signatureHtml`, only
+ * once at the end) and every attachment. Returns the fields to put on the
+ * first row; rebuild its EML with buildMessage(). Letters built with
+ * different signatures (`signatureId`) are not merged.
+ */
+export function mergeResults(group, { signatureHtml = '' } = {}) {
+  if (new Set(group.map(result => result.signatureId || '')).size > 1) {
+    throw new Error('The letters were generated with different signatures; regenerate them with one signature first');
+  }
+  const signatureText = signatureHtml ? htmlToText(signatureHtml) : '';
+  const htmlSuffix = signatureHtml ? '<br>' + signatureHtml : '';
+  const textSuffix = signatureText ? '\n' + signatureText + '\n' : '';
+  const last = group.length - 1;
+
+  const bodyHtml = group
+    .map((result, i) => (i < last ? stripSuffix(result.bodyHtml, htmlSuffix) : result.bodyHtml))
+    .join('<hr>');
+  const bodyText = group
+    .map((result, i) => (i < last ? stripSuffix(result.bodyText, textSuffix) : result.bodyText))
+    .join(`\n${'-'.repeat(TEXT_WIDTH)}\n`);
+  const note = `Merged ${group.length} letters: ${group.map(rowLabel).join(', ')}`;
+  return {
+    bodyHtml,
+    bodyText,
+    attachments: group.flatMap(result => result.attachments || []),
+    scanNotes: [...group[0].scanNotes, note],
+    notes: [...group[0].notes, note],
+    mergedFrom: group.map(rowLabel)
+  };
+}
@@ -0,0 +1,301 @@
+/* ============================================================
+   Converto – EML generation (RFC 2822 + HTML body)
+   ============================================================ */
+
+const RELATED_BOUNDARY     = '----=_ConvertoBoundary_001';
+const MIXED_BOUNDARY       = '----=_ConvertoBoundary_000';
+const ALTERNATIVE_BOUNDARY = '----=_ConvertoBoundary_002';
+
+/**
+ * Build the .eml text for one message. Local <img> sources are embedded as
+ * CID parts; `loadAsset(src)` resolves them to bytes (defaults to fetch, the
+ * Node CLI passes a filesystem reader).
+ *
+ * `attachments` ([{ filename, mimeType, bytes }]) wrap the message in
+ * multipart/mixed; the HTML (and its multipart/related images) stays the
+ * first part so clients render it as the body.
+ *
+ * With `bodyText` the body becomes multipart/alternative: the text/plain
+ * version first, then the HTML (with its multipart/related images), so
+ * clients that can show HTML prefer it.
+ *
+ * Every message is written as an unsent draft (`X-Unsent: 1`, own
+ * Message-ID) so Outlook opens it ready to send. `sender` (see
+ * readSignatureSender) adds From/Reply-To, its Cc/Bcc mailboxes and an
+ * optional read-receipt request.
+ */
+export async function buildEml(bodyHtml, { toEmail, ccEmail, subject, loadAsset = fetchAsset, attachments = [], bodyText = '', sender = null }) {
+  const date     = formatRfc2822Date(new Date());
+  const toHeaderValue = toEmail ? toEmail : 'undisclosed-recipients:;';
+  const cc = joinAddresses(ccEmail, sender && sender.cc);
+  const { fullHtml, inlineImages } = await prepareHtmlBody(bodyHtml, loadAsset);
+
+  let part = {
+    headers: [
+      'Content-Type: text/html; charset=UTF-8',
+      'Content-Transfer-Encoding: base64'
+    ],
+    body: emlBodyBase64EncodeWithWrap(fullHtml)
+  };
+
+  // Multipart/related with inline images
+  if (inlineImages.length) {
+    part = buildMultipart('related', RELATED_BOUNDARY, [
+      part,
+      ...inlineImages.map(img => ({
+        headers: [
+          `Content-Type: ${img.mimeType}`,
+          'Content-Transfer-Encoding: base64',
+          `Content-ID: <${img.cid}>`,
+          `Content-Disposition: inline; filename="${img.filename}"`
+        ],
+        body: img.base64Data
+      }))
+    ]);
+  }
+
+  // Multipart/alternative with the plain-text version
+  if (bodyText) {
+    part = buildMultipart('alternative', ALTERNATIVE_BOUNDARY, [
+      {
+        headers: [
+          'Content-Type: text/plain; charset=UTF-8',
+          'Content-Transfer-Encoding: base64'
+        ],
+        body: emlBodyBase64EncodeWithWrap(bodyText.replace(/\r?\n/g, '\r\n'))
+      },
+      part
+    ]);
+  }
+
+  // Multipart/mixed with file attachments (e.g. the source PDF)
+  if (attachments.length) {
+    part = buildMultipart('mixed', MIXED_BOUNDARY, [
+      part,
+      ...attachments.map(buildAttachmentPart)
+    ]);
+  }
+
+  const from = sender ? formatMailbox(sender.name, sender.email) : '';
+  const lines = [
+    'MIME-Version: 1.0',
+    `Date: ${date}`,
+    ...(from ? [`From: ${from}`, `Reply-To: ${sender.replyTo || sender.email}`] : []),
+    `To: ${toHeaderValue}`,
+    ...(cc ? [`Cc: ${cc}`] : []),
+    ...(sender && sender.bcc ? [`Bcc: ${sender.bcc}`] : []),
+    `Subject: ${rfc2047EncodeHeaderValue(subject)}`,
+    `Message-ID: ${createMessageId(sender && sender.email)}`,
+    'X-Unsent: 1',
+    ...(from && sender.readReceipt ? [`Disposition-Notification-To: ${from}`] : []),
+    ...part.headers,
+    '',
+    part.body,
+    ''
+  ];
+  return lines.join('\r\n');
+}
+
+/**
+ * The HTML document both output formats send (see msg.js): local <img>
+ * sources become cid: references to the returned `inlineImages`.
+ */
+export async function prepareHtmlBody(bodyHtml, loadAsset = fetchAsset) {
+  // Collect local images for CID embedding
+  const inlineImages = await collectLocalImages(bodyHtml, loadAsset);
+
+  // Replace local src with cid: references
+  let processedHtml = bodyHtml;
+  for (const img of inlineImages) {
+    processedHtml = processedHtml.split(img.originalSrc).join('cid:' + img.cid);
+  }
+
+  const fullHtml = `<!DOCTYPE html>
+<html><head><meta charset="utf-8"></head>
+<body style="font-family:Calibri,Arial,sans-serif;font-size:11pt;">
+${processedHtml}
+</body></html>`;
+  return { fullHtml, inlineImages };
+}
+
+// A MIME part is { headers: string[], body: string }; multiparts nest as parts.
+function buildMultipart(subtype, boundary, parts) {
+  const lines = [];
+  for (const p of parts) {
+    lines.push(`--${boundary}`, ...p.headers, '', p.body);
+  }
+  lines.push(`--${boundary}--`);
+  return {
+    headers: [`Content-Type: multipart/${subtype}; boundary="${boundary}"`],
+    body: lines.join('\r\n')
+  };
+}
+
+function buildAttachmentPart({ filename, mimeType, bytes }) {
+  const type = mimeType || 'application/octet-stream';
+  return {
+    headers: [
+      `Content-Type: ${type}; name="${rfc2047EncodeHeaderValue(filename)}"`,
+      'Content-Transfer-Encoding: base64',
+      `Content-Disposition: attachment;\r\n ${encodeRfc2231Param('filename', filename).join(';\r\n ')}`
+    ],
+    body: base64FromBytes(bytes).match(/.{1,76}/g)?.join('\r\n') || ''
+  };
+}
+
+/**
+ * Encode a MIME header parameter per RFC 2231. Plain ASCII names stay
+ * `name="value"`; anything else becomes percent-encoded UTF-8 `name*=`
+ * (split into `name*0*`, `name*1*`… when long). Older clients read the
+ * RFC 2047 `name=` on Content-Type instead, so no ASCII fallback is added.
+ * Returns the parameter strings, to be joined with ";\r\n ".
+ */
+export function encodeRfc2231Param(name, value) {
+  const str = String(value || '');
+  if (/^[\x20-\x7E]*$/.test(str) && str.length <= 60) {
+    return [`${name}="${str.replace(/["\\]/g, '_')}"`];
+  }
+
+  const encoded = Array.from(new TextEncoder().encode(str), b => {
+    const ch = String.fromCharCode(b);
+    return /[A-Za-z0-9!#$&+.^_`|~-]/.test(ch) ? ch : '%' + b.toString(16).toUpperCase().padStart(2, '0');
+  });
+
+  // Split into chunks without breaking a %XX escape
+  const MAX_CHUNK = 60;
+  const chunks = [''];
+  for (const token of encoded) {
+    if (chunks[chunks.length - 1].length + token.length > MAX_CHUNK) chunks.push('');
+    chunks[chunks.length - 1] += token;
+  }
+
+  if (chunks.length === 1) return [`${name}*=UTF-8''${chunks[0]}`];
+  return chunks.map((chunk, i) => `${name}*${i}*=${i === 0 ? "UTF-8''" : ''}${chunk}`);
+}
+
+export async function collectLocalImages(html, loadAsset = fetchAsset) {
+  const imgRegex = /<img\s[^>]*src\s*=\s*["']([^"']+)["'][^>]*>/gi;
+  const images = [];
+  const seen = new Set();
+  let match;
+  let cidCounter = 0;
+
+  while ((match = imgRegex.exec(html)) !== null) {
+    const src = match[1];
+    // Only handle local relative paths (skip http/https/data/cid)
+    if (/^(https?:|data:|cid:)/i.test(src)) continue;
+    if (seen.has(src)) continue;
+    seen.add(src);
+
+    try {
+      const bytes = await loadAsset(src);
+      if (!bytes) continue;
+      const base64 = base64FromBytes(bytes);
+      const base64Wrapped = base64.match(/.{1,76}/g)?.join('\r\n') || '';
+
+      cidCounter++;
+      const ext = src.split('.').pop().toLowerCase();
+      const mimeMap = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif' };
+      const mimeType = mimeMap[ext] || 'application/octet-stream';
+      const filename = src.split('/').pop();
+
+      images.push({
+        originalSrc: src,
+        cid: `sigimg-${cidCounter}@converto`,
+        mimeType,
+        filename,
+        bytes,
+        base64Data: base64Wrapped
+      });
+    } catch (e) {
+      console.warn('Could not fetch inline image:', src, e);
+    }
+  }
+
+  return images;
+}
+
+export async function fetchAsset(src) {
+  const resp = await fetch(src);
+  if (!resp.ok) return null;
+  return new Uint8Array(await resp.arrayBuffer());
+}
+
+export function formatRfc2822Date(date) {
+  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const dayName = days[date.getUTCDay()];
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  const month = months[date.getUTCMonth()];
+  const year = date.getUTCFullYear();
+  const hour = String(date.getUTCHours()).padStart(2, '0');
+  const minute = String(date.getUTCMinutes()).padStart(2, '0');
+  const second = String(date.getUTCSeconds()).padStart(2, '0');
+  return `${dayName}, ${day} ${month} ${year} ${hour}:${minute}:${second} +0000`;
+}
+
+export function buildDiagnostics(bodyHtml, eml) {
+  const diagnostics = [];
+  if (!bodyHtml || !bodyHtml.trim()) {
+    diagnostics.push('HTML empty');
+  }
+  const separatorIndex = eml.indexOf('\r\n\r\n');
+  if (separatorIndex === -1) {
+    diagnostics.push('EML empty');
+  } else {
+    const emlBody = eml.slice(separatorIndex + 4).trim();
+    if (!emlBody) diagnostics.push('EML empty');
+  }
+  return diagnostics.length ? diagnostics.join('; ') : 'OK';
+}
+
+// "a@x.com, b@y.com; c@z.com" → ['a@x.com', 'b@y.com', 'c@z.com']
+export function splitAddresses(value) {
+  return String(value || '').split(/[,;]/).map(address => address.trim()).filter(Boolean);
+}
+
+// "a@x.com", "; b@y.com" → "a@x.com, b@y.com" (repeats dropped)
+export function joinAddresses(...values) {
+  const seen = new Set();
+  return values.flatMap(splitAddresses).filter(address => {
+    const key = address.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).join(', ');
+}
+
+// Display name + address; non-ASCII names are RFC 2047 encoded
+export function formatMailbox(name, email) {
+  const display = String(name || '').trim();
+  if (!display) return email;
+  if (/^[\x20-\x7E]*$/.test(display)) return `"${display.replace(/["\\]/g, '')}" <${email}>`;
+  return `${rfc2047EncodeHeaderValue(display)} <${email}>`;
+}
+
+// Unique per generated message, on the sender's domain when there is one
+export function createMessageId(email) {
+  const domain = (String(email || '').split('@')[1] || '').trim() || 'converto';
+  const random = Array.from(crypto.getRandomValues(new Uint8Array(8)), b => b.toString(16).padStart(2, '0')).join('');
+  return `<${Date.now().toString(36)}.${random}@${domain}>`;
+}
+
+export function rfc2047EncodeHeaderValue(value) {
+  const bytes = new TextEncoder().encode(String(value || ''));
+  const base64 = base64FromBytes(bytes);
+  return `=?UTF-8?B?${base64}?=`;
+}
+
+export function emlBodyBase64EncodeWithWrap(html) {
+  const bytes = new TextEncoder().encode(String(html || ''));
+  const base64 = base64FromBytes(bytes);
+  return base64.match(/.{1,76}/g)?.join('\r\n') || '';
+}
+
+export function base64FromBytes(bytes) {
+  let binary = '';
+  for (const b of bytes) {
+    binary += String.fromCharCode(b);
+  }
+  return btoa(binary);
+}
@@ -0,0 +1,172 @@
+/* ============================================================
+   Converto – PDF page extraction (pdf.js page → text items + strokes)
+   ============================================================ */
+
+import { hasTextLayer, ocrWordsToTextItems, summarizeOcr } from './ocr.js';
+import { fontStyleFromName } from './styles.js';
+
+// The pdf.js OPS table is passed in so the browser build (cdnjs) and the
+// Node build (pdfjs-dist) can share this module.
+// With an `ocr` engine (see ocr.js), pages without a text layer are OCR'd
+// and `ocr` on the result holds { confidence, words }; otherwise it is null.
+
+export async function extractPage(page, OPS, { ocr = null } = {}) {
+  const viewport = page.getViewport({ scale: 1 });
+  const height   = viewport.height;
+
+  // ── text items ──────────────────────────────────────────────
+  const tc    = await page.getTextContent();
+  let textItems = tc.items.filter(it => it.str != null).map(it => {
+    const tx = it.transform;          // [scaleX, skewY, skewX, scaleY, x, y]
+    const x  = tx[4];
+    const y  = height - tx[5];        // flip Y (PDF 0,0 = bottom-left)
+    const w  = it.width  || 0;
+    const h  = Math.abs(tx[3]) || it.height || 10;
+    return { str: it.str, x, y: y - h, w, h, fontName: it.fontName };
+  });
+
+  // ── OCR fallback for scanned pages ──────────────────────────
+  let ocrInfo = null;
+  if (ocr && !hasTextLayer(textItems)) {
+    const { words, scale } = await ocr.recognize(page);
+    textItems = ocrWordsToTextItems(words, scale);
+    ocrInfo = summarizeOcr(textItems);
+  }
+
+  // ── annotations (for mailto: links) ─────────────────────────
+  const annotations = await page.getAnnotations();
+
+  // ── lines from operatorList ─────────────────────────────────
+  const ops      = await page.getOperatorList();
+  const segments = extractLineSegments(ops, height, OPS);
+
+  // ── bold / italic from font names ───────────────────────────
+  // Fonts are only in commonObjs once the operator list has loaded them
+  const fontStyles = resolveFontStyles(page, tc.styles);
+  for (const item of textItems) {
+    Object.assign(item, fontStyles.get(item.fontName) || { bold: false, italic: false });
+  }
+
+  return { textItems, segments, annotations, width: viewport.width, height, ocr: ocrInfo };
+}
+
+// fontName → { bold, italic }, from the real font name ("ABCDEF+Arial-BoldMT")
+// when pdf.js has it, else from the generic family in getTextContent().styles
+function resolveFontStyles(page, styles) {
+  const map = new Map();
+  for (const [fontName, style] of Object.entries(styles || {})) {
+    let name = style.fontFamily;
+    if (page.commonObjs && page.commonObjs.has(fontName)) {
+      name = page.commonObjs.get(fontName).name || name;
+    }
+    map.set(fontName, fontStyleFromName(name));
+  }
+  return map;
+}
+
+// ── Extract line segments from operator list ──────────────────
+// pdf.js 4.x batches path operators into OPS.constructPath ([ops, coords,
+// minMax]); older builds and some content streams emit them one by one.
+// Both go through the same path-op handler.
+const PATH_ARG_COUNTS = { moveTo: 2, lineTo: 2, curveTo: 6, curveTo2: 4, curveTo3: 4, rectangle: 4, closePath: 0 };
+
+export function extractLineSegments(ops, pageH, OPS) {
+  const segs  = [];
+  let   cx    = 0, cy = 0;       // current point
+  let   mx    = 0, my = 0;       // move-to point
+  let   ctm   = [1, 0, 0, 1, 0, 0]; // current transform matrix
+  const ctmStack = [];
+
+  const argCounts = new Map(
+    Object.entries(PATH_ARG_COUNTS).map(([name, n]) => [OPS[name], n])
+  );
+
+  const transformPoint = (x, y) => [
+    ctm[0] * x + ctm[2] * y + ctm[4],
+    pageH - (ctm[1] * x + ctm[3] * y + ctm[5])
+  ];
+
+  function pathOp(fn, args) {
+    switch (fn) {
+      case OPS.moveTo:
+        [mx, my] = [args[0], args[1]];
+        [cx, cy] = [mx, my];
+        break;
+      case OPS.lineTo: {
+        const [x0, y0] = transformPoint(cx, cy);
+        const [x1, y1] = transformPoint(args[0], args[1]);
+        segs.push({ x0, y0, x1, y1 });
+        [cx, cy] = [args[0], args[1]];
+        break;
+      }
+      // Curves (rounded corners, logos) are not table borders; just move on
+      case OPS.curveTo:
+      case OPS.curveTo2:
+      case OPS.curveTo3:
+        [cx, cy] = args.slice(-2);
+        break;
+      case OPS.rectangle: {
+        const [rx, ry, rw, rh] = args;
+        const [ax, ay] = transformPoint(rx, ry);
+        const [bx, by] = transformPoint(rx + rw, ry);
+        const [dx, dy] = transformPoint(rx + rw, ry + rh);
+        const [ex, ey] = transformPoint(rx, ry + rh);
+        segs.push({ x0: ax, y0: ay, x1: bx, y1: by });
+        segs.push({ x0: bx, y0: by, x1: dx, y1: dy });
+        segs.push({ x0: dx, y0: dy, x1: ex, y1: ey });
+        segs.push({ x0: ex, y0: ey, x1: ax, y1: ay });
+        [mx, my] = [rx, ry];
+        [cx, cy] = [rx, ry];
+        break;
+      }
+      case OPS.closePath: {
+        const [x0, y0] = transformPoint(cx, cy);
+        const [x1, y1] = transformPoint(mx, my);
+        if (Math.abs(x0 - x1) > 0.5 || Math.abs(y0 - y1) > 0.5)
+          segs.push({ x0, y0, x1, y1 });
+        [cx, cy] = [mx, my];
+        break;
+      }
+    }
+  }
+
+  for (let i = 0; i < ops.fnArray.length; i++) {
+    const fn   = ops.fnArray[i];
+    const args = ops.argsArray[i];
+
+    switch (fn) {
+      case OPS.save:
+        ctmStack.push(ctm.slice());
+        break;
+      case OPS.restore:
+        if (ctmStack.length) ctm = ctmStack.pop();
+        break;
+      case OPS.transform: {
+        const [a, b, c, d, e, f] = args;
+        const n = [
+          ctm[0]*a + ctm[2]*b,
+          ctm[1]*a + ctm[3]*b,
+          ctm[0]*c + ctm[2]*d,
+          ctm[1]*c + ctm[3]*d,
+          ctm[0]*e + ctm[2]*f + ctm[4],
+          ctm[1]*e + ctm[3]*f + ctm[5],
+        ];
+        ctm = n;
+        break;
+      }
+      case OPS.constructPath: {
+        const [subOps, coords] = args;
+        let j = 0;
+        for (const sub of subOps) {
+          const n = argCounts.get(sub) || 0;
+          pathOp(sub, coords.slice(j, j + n));
+          j += n;
+        }
+        break;
+      }
+      default:
+        pathOp(fn, args);
+    }
+  }
+  return segs;
+}
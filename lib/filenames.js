@@ -0,0 +1,31 @@
+/* ============================================================
+   Converto – output filenames
+   ============================================================ */
+
+export const NO_DETECTED_EMAIL_PREFIX = 'NDE';
+
+export function buildOutputBaseFilename({ recipient, toEmail, originalName }) {
+  const originalBase = originalName.replace(/\.[^.]+$/, '');
+  if (!recipient) {
+    return sanitizeFileName(`${NO_DETECTED_EMAIL_PREFIX}_UNKNOWN_${originalBase}`);
+  }
+  const prefix = toEmail ? '' : `${NO_DETECTED_EMAIL_PREFIX}_`;
+  return sanitizeFileName(`${prefix}${recipient}`);
+}
+
+export function resolveFileNameCollisions(names, extension = '.eml') {
+  const counts = new Map();
+  return names.map(name => {
+    const safe = name || 'output';
+    const current = (counts.get(safe) || 0) + 1;
+    counts.set(safe, current);
+    return current === 1 ? `${safe}${extension}` : `${safe} (${current})${extension}`;
+  });
+}
+
+export function sanitizeFileName(name) {
+  return String(name || '')
+    .replace(/[\\/:*?"<>|]/g, '_')
+    .trim()
+    .substring(0, 120);
+}
@@ -0,0 +1,71 @@
+/* ============================================================
+   Converto – batch history persistence (browser only)
+   ============================================================ */
+
+// Every batch is written to IndexedDB as it runs, so a reload or a closed
+// tab does not lose the work or the manual corrections. Rows are records
+// from history.js serializeResult(); PDFs are stored as Blobs.
+
+import { withStores, requestToPromise } from './idb.js';
+
+const BATCHES = 'batches';
+const PDFS    = 'batchPdfs';
+const ROWS    = 'batchRows';
+
+// Every key [batchId, n] of one batch
+function batchRange(batchId) {
+  return IDBKeyRange.bound([batchId], [batchId, []]);
+}
+
+/**
+ * Store a new batch: its record ({ id, createdAt, updatedAt, ... }), its
+ * PDFs ([{ fileIndex, file, source }]) and its first rows.
+ */
+export function createBatch(batch, pdfs, rows) {
+  return withStores([BATCHES, PDFS, ROWS], 'readwrite', tx => {
+    tx.objectStore(BATCHES).put(batch);
+    for (const { fileIndex, file, source } of pdfs) {
+      tx.objectStore(PDFS).put({ batchId: batch.id, fileIndex, name: file.name, source, blob: file });
+    }
+    for (const row of rows) tx.objectStore(ROWS).put(row);
+  });
+}
+
+// Replace rows and the batch record (its counts) in one transaction
+export function saveBatchRows(batch, rows) {
+  return withStores([BATCHES, ROWS], 'readwrite', tx => {
+    tx.objectStore(BATCHES).put(batch);
+    for (const row of rows) tx.objectStore(ROWS).put(row);
+  });
+}
+
+// Batch records, most recently updated first
+export async function listBatches() {
+  const batches = await withStores([BATCHES], 'readonly', tx => requestToPromise(tx.objectStore(BATCHES).getAll()));
+  return batches.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// { batch, pdfs, rows } or null; pdfs by fileIndex, rows by rowIndex
+export function loadBatch(batchId) {
+  return withStores([BATCHES, PDFS, ROWS], 'readonly', tx => Promise.all([
+    requestToPromise(tx.objectStore(BATCHES).get(batchId)),
+    requestToPromise(tx.objectStore(PDFS).getAll(batchRange(batchId))),
+    requestToPromise(tx.objectStore(ROWS).getAll(batchRange(batchId)))
+  ]).then(([batch, pdfs, rows]) => (batch ? { batch, pdfs, rows } : null)));
+}
+
+export function deleteBatch(batchId) {
+  return withStores([BATCHES, PDFS, ROWS], 'readwrite', tx => {
+    tx.objectStore(BATCHES).delete(batchId);
+    tx.objectStore(PDFS).delete(batchRange(batchId));
+    tx.objectStore(ROWS).delete(batchRange(batchId));
+  });
+}
+
+// Delete batches not touched since `cutoff` (ms), except `keepId`;
+// resolves with how many went
+export async function purgeBatches(cutoff, keepId = null) {
+  const old = (await listBatches()).filter(b => b.updatedAt < cutoff && b.id !== keepId);
+  for (const batch of old) await deleteBatch(batch.id);
+  return old.length;
+}
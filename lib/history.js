@@ -0,0 +1,70 @@
+/* ============================================================
+   Converto – batch history records (no DOM)
+   ============================================================ */
+
+// What a results-table row keeps in IndexedDB (see history-store.js) so a
+// batch survives a reload: the extracted fields, manual corrections, the
+// generated message and where the row stood. The PDF itself is stored once
+// per file, not per row (split letters share it).
+
+// processPdf() output and review state worth keeping; `attachments` are
+// rebuilt from the stored PDF instead of being saved twice, except for a
+// merged message (duplicates.js), which carries the other letters' PDFs
+const RESULT_FIELDS = [
+  'nif', 'recipient', 'toEmail', 'ccEmail', 'toSource', 'subject', 'baseFilename', 'filenameEdited',
+  'diagnostics', 'notes', 'scanNotes', 'eml', 'bodyHtml', 'bodyText', 'sender', 'quarterAmounts',
+  'pageRange', 'profileId', 'profileDetected', 'status', 'error', 'contentHash', 'mergedFrom', 'signatureId'
+];
+
+// A row that was queued or running when the page went away
+export const INTERRUPTED_STATUS = 'Interrupted';
+
+export function serializeResult(result, { batchId, rowIndex, fileIndex }) {
+  const record = { batchId, rowIndex, fileIndex, updatedAt: Date.now() };
+  for (const field of RESULT_FIELDS) {
+    if (result[field] !== undefined) record[field] = result[field];
+  }
+  record.hasAttachment = Array.isArray(result.attachments) && result.attachments.length > 0;
+  if (result.mergedFrom && record.hasAttachment) record.attachments = result.attachments;
+  return record;
+}
+
+/**
+ * A results-table row from a stored record. `input` is the { file, source }
+ * the row was made from; `attachmentBytes` are that PDF's bytes when the
+ * row had it attached. Rows that never finished come back Interrupted.
+ */
+export function restoreResult(record, input, attachmentBytes = null) {
+  const result = { file: input.file, source: input.source, pageRange: null, notes: [], scanNotes: [], progress: null };
+  for (const field of RESULT_FIELDS) {
+    if (record[field] !== undefined) result[field] = record[field];
+  }
+  if (result.status === 'Pending' || result.status === 'Processing') result.status = INTERRUPTED_STATUS;
+  result.attachments = record.attachments
+    || (record.hasAttachment && attachmentBytes ? [{ filename: input.file.name, mimeType: 'application/pdf', bytes: attachmentBytes }] : []);
+  return result;
+}
+
+// Row counts for the history list: `remaining` were never processed,
+// `merged` went into another row's email (duplicates.js)
+export function summarizeBatch(results) {
+  const count = status => results.filter(r => r.status === status).length;
+  return {
+    total: results.length,
+    done: count('Done'),
+    error: count('Error'),
+    cancelled: count('Cancelled'),
+    merged: count('Merged'),
+    remaining: count('Pending') + count('Processing') + count(INTERRUPTED_STATUS)
+  };
+}
+
+// "120/300 done, 3 error(s), 177 not processed"
+export function describeBatch({ total, done, error, cancelled, merged = 0, remaining }) {
+  const parts = [`${done}/${total} done`];
+  if (error) parts.push(`${error} error(s)`);
+  if (cancelled) parts.push(`${cancelled} cancelled`);
+  if (merged) parts.push(`${merged} merged`);
+  if (remaining) parts.push(`${remaining} not processed`);
+  return parts.join(', ');
+}
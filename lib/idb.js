@@ -0,0 +1,67 @@
+/* ============================================================
+   Converto – IndexedDB access (browser only)
+   ============================================================ */
+
+// One database for everything the app keeps between sessions. Bump
+// DB_VERSION and extend upgrade() when adding an object store.
+const DB_NAME    = 'converto';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function upgrade(db) {
+  if (!db.objectStoreNames.contains('clients')) {
+    db.createObjectStore('clients', { keyPath: 'nif' });
+  }
+  // Batch history (history-store.js): one record per batch, its PDFs keyed
+  // [batchId, fileIndex] and its table rows keyed [batchId, rowIndex]
+  if (!db.objectStoreNames.contains('batches')) {
+    db.createObjectStore('batches', { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains('batchPdfs')) {
+    db.createObjectStore('batchPdfs', { keyPath: ['batchId', 'fileIndex'] });
+  }
+  if (!db.objectStoreNames.contains('batchRows')) {
+    db.createObjectStore('batchRows', { keyPath: ['batchId', 'rowIndex'] });
+  }
+}
+
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => upgrade(req.result);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+export function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Run `fn(store)` inside a transaction and resolve with its result once
+ * the transaction has committed.
+ */
+export function withStore(storeName, mode, fn) {
+  return withStores([storeName], mode, tx => fn(tx.objectStore(storeName)));
+}
+
+// Same as withStore() for a transaction over several stores: `fn(tx)`
+export async function withStores(storeNames, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    Promise.resolve(fn(tx)).then(r => { result = r; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
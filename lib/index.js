@@ -0,0 +1,64 @@
+/* ============================================================
+   Converto – core module (public surface)
+   ============================================================ */
+
+// Everything here runs without a DOM; pass in a pdf.js build. Browser-only
+// modules (idb.js, directory-store.js, history-store.js, ocr-engine.js) are
+// imported by app.js directly; pdf-worker.js is the Web Worker entry point.
+export { processPdf, buildMessage, buildOutputFile, OUTPUT_FORMATS } from './pipeline.js';
+export { extractPage, extractLineSegments } from './extract.js';
+export { buildPageHtml, buildPageBlocks, renderPageHtml, renderTextLine } from './page-html.js';
+export {
+  renderPageText, renderTableText, renderQuarterTableText, formatTextTable, wrapText, htmlToText, TEXT_WIDTH
+} from './plain-text.js';
+export { buildParagraphs, renderParagraph, paragraphText } from './paragraphs.js';
+export { segmentLayout } from './layout.js';
+export {
+  detectTables, detectQuarterTable, detectAlignedTables, renderTable, renderQuarterTable, QUARTER_LABELS
+} from './tables.js';
+export {
+  extractRecipient, extractNif, extractToEmail, extractRecipientEmails, extractSubject, findFirstEmail, findEmails,
+  DEFAULT_SUBJECT, EMAIL_BLACKLIST
+} from './recipient.js';
+export {
+  buildEml, prepareHtmlBody, collectLocalImages, formatMailbox, splitAddresses, joinAddresses, createMessageId, fetchAsset, encodeRfc2231Param, buildDiagnostics, formatRfc2822Date,
+  rfc2047EncodeHeaderValue, emlBodyBase64EncodeWithWrap, base64FromBytes
+} from './eml.js';
+export { parseMimePart, buildPreviewHtml } from './preview.js';
+export { buildMsg } from './msg.js';
+export { createCompoundFile } from './cfb.js';
+export {
+  buildOutputBaseFilename, resolveFileNameCollisions, sanitizeFileName, NO_DETECTED_EMAIL_PREFIX
+} from './filenames.js';
+export {
+  groupIntoLines, buildLineText, normalizePdfText, stripInvisibleChars, isEuropeanNumber, parseEuropeanNumber, escapeHtml, EPS
+} from './text.js';
+export {
+  fontStyleFromName, dominantFontSize, lineStyle, buildLineRuns, renderRuns, BASE_FONT_PT
+} from './styles.js';
+export { hasTextLayer, ocrWordsToTextItems, summarizeOcr, ocrNotes, OCR_FONT_NAME } from './ocr.js';
+export {
+  compileProfile, compileProfiles, detectProfile, fillTemplate, DEFAULT_PROFILE
+} from './profiles.js';
+export { extractSignatureBody, readSignatureSender } from './signatures.js';
+export { toCsv, parseCsv } from './csv.js';
+export {
+  parseDirectoryCsv, directoryToCsv, resolveToWithDirectory, DIRECTORY_HEADERS
+} from './directory.js';
+export { normalizeNif, validateNif, nifNote, NIF_REGEX_SOURCE } from './nif.js';
+export {
+  REPORT_HEADERS, MANIFEST_HEADERS, EXPORT_HEADERS, buildReportRow, buildManifestCsv, buildExportRow, buildExportCsv, buildExportXlsx
+} from './report.js';
+export { createXlsx, columnName } from './xlsx.js';
+export { createZip, crc32, listZipEntries, readZipEntry, inflateRawStream } from './zip.js';
+export { collectPdfs, isPdfBytes } from './inputs.js';
+export {
+  scanPdfForSplit, detectLetterStarts, summarizePage, readPageMarker, buildSegments, parseSplitPoints, formatPageRange
+} from './split.js';
+export { createTaskPool, createAbortError, isAbortError } from './pool.js';
+export { serializeResult, restoreResult, summarizeBatch, describeBatch, INTERRUPTED_STATUS } from './history.js';
+export {
+  hashBytes, contentKey, outputKey, batchFingerprints, findDuplicates, findMergeGroups, mergeResults
+} from './duplicates.js';
+export { sealVault, openVault, selectSignatureFiles, vaultAssetLoader, createWrongPassphraseError, VAULT_PATH, PBKDF2_ITERATIONS } from './vault.js';
+export { setDevMode, isDevMode } from './dev.js';
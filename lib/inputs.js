@@ -0,0 +1,98 @@
+/* ============================================================
+   Converto – batch input: PDFs from files, folders and ZIP archives
+   ============================================================ */
+
+// A3 exports the letters as a ZIP or as one folder per client. Whatever
+// was picked or dropped is flattened here into the list of PDFs to queue,
+// each with the path it came from ("Export.zip/ACME SL/carta.pdf"), plus
+// what was left out and why. ZIPs (also ZIPs inside ZIPs) are unpacked in
+// memory. Folder walking is the browser's job (app.js): this module only
+// sees { file, path } pairs.
+
+import { listZipEntries, readZipEntry } from './zip.js';
+
+const PDF_MIME = 'application/pdf';
+// Where the "%PDF-" marker may appear; some generators put junk before it
+const PDF_HEADER_WINDOW = 1024;
+
+// macOS resource forks and dotfiles (.DS_Store) are never letters
+function isSystemFile(path) {
+  return /(^|\/)__MACOSX\//.test(path) || /(^|\/)\.[^/]*$/.test(path);
+}
+
+function baseName(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+export function isPdfBytes(bytes) {
+  const head = new TextDecoder('latin1').decode(bytes.subarray(0, PDF_HEADER_WINDOW));
+  return head.includes('%PDF-');
+}
+
+/**
+ * Expand picked/dropped files into PDFs. `sources` are { file, path }
+ * with `path` relative to the dropped folder ('' → file.name); `file` is a
+ * File or anything with `name` and `arrayBuffer()`.
+ *
+ * Returns { pdfs: [{ file, source }], skipped: [{ source, reason }] },
+ * `pdfs` in natural path order. A PDF's `file` is the original, or a new
+ * File named after the ZIP entry. `inflateRaw` is passed to readZipEntry().
+ */
+export async function collectPdfs(sources, { inflateRaw } = {}) {
+  const pdfs = [];
+  const skipped = [];
+
+  async function addZip(bytes, source) {
+    let entries;
+    try {
+      entries = listZipEntries(bytes);
+    } catch (err) {
+      skipped.push({ source, reason: err.message });
+      return;
+    }
+    for (const entry of entries) {
+      const entrySource = `${source}/${entry.name}`;
+      if (isSystemFile(entry.name)) continue;
+      if (!/\.(pdf|zip)$/i.test(entry.name)) {
+        skipped.push({ source: entrySource, reason: 'Not a PDF' });
+        continue;
+      }
+      let data;
+      try {
+        data = await readZipEntry(bytes, entry, { inflateRaw });
+      } catch (err) {
+        skipped.push({ source: entrySource, reason: err.message });
+        continue;
+      }
+      if (/\.zip$/i.test(entry.name)) {
+        await addZip(data, entrySource);
+      } else {
+        addPdf(new File([data], baseName(entry.name), { type: PDF_MIME }), data, entrySource);
+      }
+    }
+  }
+
+  function addPdf(file, head, source) {
+    if (isPdfBytes(head)) pdfs.push({ file, source });
+    else skipped.push({ source, reason: 'Not a PDF (no %PDF header)' });
+  }
+
+  for (const { file, path } of sources) {
+    const source = path || file.name;
+    if (isSystemFile(source)) continue;
+    if (/\.zip$/i.test(file.name)) {
+      await addZip(new Uint8Array(await file.arrayBuffer()), source);
+    } else if (/\.pdf$/i.test(file.name)) {
+      const head = typeof file.slice === 'function'
+        ? new Uint8Array(await file.slice(0, PDF_HEADER_WINDOW).arrayBuffer())
+        : new Uint8Array(await file.arrayBuffer());
+      addPdf(file, head, source);
+    } else {
+      skipped.push({ source, reason: 'Not a PDF' });
+    }
+  }
+
+  const collator = new Intl.Collator('es', { numeric: true, sensitivity: 'base' });
+  pdfs.sort((a, b) => collator.compare(a.source, b.source));
+  return { pdfs, skipped };
+}
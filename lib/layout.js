@@ -0,0 +1,116 @@
+/* ============================================================
+   Converto – layout analysis (columns and reading order)
+   ============================================================ */
+
+import { EPS, groupIntoLines, buildLineText } from './text.js';
+
+// Free text is cut into horizontal bands at blank space, and each band into
+// columns at gutters (vertical strips no text crosses). Bands read top to
+// bottom and columns left to right, so a letterhead with the address block
+// on the left and the date on the right no longer turns into one line per
+// y. Consecutive one-column bands are joined again: a page without columns
+// comes back as a single section holding all of its items.
+
+const MIN_GUTTER = 18;           // pt of empty strip between two columns
+const BAND_GAP_RATIO = 1;        // × body size of blank space between bands
+const MAX_ALIGNED_RATIO = 0.5;   // share of rows on both sides; above → table row, not columns
+const PROSE_MIN_LINES = 3;       // text columns whose rows happen to line up
+const PROSE_MIN_CHARS = 25;
+const MAX_COLUMNS = 3;
+
+const top = it => it.y;
+const bottom = it => it.y + (it.h || 0);
+const left = it => it.x;
+const right = it => it.x + (it.w || 0);
+
+// Runs of items whose vertical extents touch (closer than `gap`)
+function cutBands(items, gap) {
+  const sorted = [...items].sort((a, b) => top(a) - top(b));
+  const bands = [];
+  let current = null, currentBottom = -Infinity;
+  for (const it of sorted) {
+    if (!current || top(it) - currentBottom > gap) {
+      current = [];
+      bands.push(current);
+    }
+    current.push(it);
+    currentBottom = Math.max(currentBottom, bottom(it));
+  }
+  return bands;
+}
+
+// Empty vertical strips at least MIN_GUTTER wide, widest first
+function findGutters(items) {
+  const sorted = [...items].sort((a, b) => left(a) - left(b));
+  const gutters = [];
+  let reach = -Infinity;
+  for (const it of sorted) {
+    if (reach > -Infinity && left(it) - reach >= MIN_GUTTER) {
+      gutters.push({ x0: reach, x1: left(it) });
+    }
+    reach = Math.max(reach, right(it));
+  }
+  return gutters.sort((a, b) => (b.x1 - b.x0) - (a.x1 - a.x0));
+}
+
+// Running text rather than an address or date block: enough lines, and long
+// ones
+export function isProse(lines) {
+  if (lines.length < PROSE_MIN_LINES) return false;
+  const chars = lines.reduce((sum, line) => sum + buildLineText(line.items).length, 0);
+  return chars / lines.length >= PROSE_MIN_CHARS;
+}
+
+// Two sides of a gutter are columns when they sit next to each other and do
+// not read as the cells of shared rows (label … amount lines, tables).
+function isColumnSplit(leftItems, rightItems) {
+  const overlap = Math.min(Math.max(...leftItems.map(bottom)), Math.max(...rightItems.map(bottom)))
+    - Math.max(Math.min(...leftItems.map(top)), Math.min(...rightItems.map(top)));
+  if (overlap <= 0) return false;
+
+  const leftLines = groupIntoLines(leftItems);
+  const rightLines = groupIntoLines(rightItems);
+  const aligned = leftLines.filter(a => rightLines.some(b => Math.abs(a.y - b.y) <= EPS)).length;
+  const rows = leftLines.length + rightLines.length - aligned;
+  if (aligned / rows <= MAX_ALIGNED_RATIO) return true;
+  return isProse(leftLines) && isProse(rightLines);
+}
+
+// Split a band at its gutters into columns, left to right
+function splitColumns(items, maxColumns) {
+  if (maxColumns < 2) return { columns: [items], gutters: [] };
+  for (const gutter of findGutters(items)) {
+    const leftItems = items.filter(it => right(it) <= gutter.x0);
+    const rightItems = items.filter(it => left(it) >= gutter.x1);
+    if (!isColumnSplit(leftItems, rightItems)) continue;
+    const a = splitColumns(leftItems, maxColumns - 1);
+    const b = splitColumns(rightItems, maxColumns - a.columns.length);
+    return {
+      columns: [...a.columns, ...b.columns],
+      gutters: [...a.gutters, (gutter.x0 + gutter.x1) / 2, ...b.gutters]
+    };
+  }
+  return { columns: [items], gutters: [] };
+}
+
+/**
+ * Split free text items into sections in reading order.
+ *
+ * Returns [{ y, columns, gutters }] where `columns` holds the items of each
+ * column left to right (one entry for ordinary text) and `gutters` the x
+ * between them.
+ */
+export function segmentLayout(items, { bodySize }) {
+  const sections = [];
+  for (const band of cutBands(items.filter(it => it.str && it.str.trim()), bodySize * BAND_GAP_RATIO)) {
+    const { columns, gutters } = splitColumns(band, MAX_COLUMNS);
+    const y = Math.min(...band.map(top));
+    const last = sections[sections.length - 1];
+    if (columns.length === 1 && last && last.columns.length === 1) {
+      last.columns[0].push(...band);
+    } else {
+      sections.push({ y, columns, gutters });
+    }
+  }
+  return sections;
+}
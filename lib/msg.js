@@ -0,0 +1,326 @@
+/* ============================================================
+   Converto – Outlook .msg generation (unsent draft)
+   ============================================================ */
+
+import { createCompoundFile } from './cfb.js';
+import { prepareHtmlBody, fetchAsset, joinAddresses, splitAddresses, createMessageId } from './eml.js';
+
+// [MS-OXMSG] layout: the message's MAPI properties go in a
+// __properties_version1.0 stream (fixed-size values inline, the rest in
+// __substg1.0_<tag> streams), with one storage per recipient and per
+// attachment. MSGFLAG_UNSENT makes Outlook open it as an editable draft
+// with a Send button instead of a read-only received message.
+
+const PT_LONG = 0x0003;
+const PT_BOOLEAN = 0x000B;
+const PT_SYSTIME = 0x0040;
+const PT_UNICODE = 0x001F;
+const PT_BINARY = 0x0102;
+
+const tag = (id, type) => ((id << 16) | type) >>> 0;
+
+const PR_MESSAGE_CLASS = tag(0x001A, PT_UNICODE);
+const PR_SUBJECT = tag(0x0037, PT_UNICODE);
+const PR_NORMALIZED_SUBJECT = tag(0x0E1D, PT_UNICODE);
+const PR_DISPLAY_TO = tag(0x0E04, PT_UNICODE);
+const PR_DISPLAY_CC = tag(0x0E03, PT_UNICODE);
+const PR_DISPLAY_BCC = tag(0x0E02, PT_UNICODE);
+const PR_MESSAGE_FLAGS = tag(0x0E07, PT_LONG);
+const PR_HASATTACH = tag(0x0E1B, PT_BOOLEAN);
+const PR_BODY = tag(0x1000, PT_UNICODE);
+const PR_HTML = tag(0x1013, PT_BINARY);
+const PR_NATIVE_BODY_INFO = tag(0x1016, PT_LONG);
+const PR_INTERNET_CPID = tag(0x3FDE, PT_LONG);
+const PR_MSG_EDITOR_FORMAT = tag(0x5909, PT_LONG);
+const PR_INTERNET_MESSAGE_ID = tag(0x1035, PT_UNICODE);
+const PR_READ_RECEIPT_REQUESTED = tag(0x0029, PT_BOOLEAN);
+const PR_SENDER_ENTRYID = tag(0x0C19, PT_BINARY);
+const PR_SENDER_NAME = tag(0x0C1A, PT_UNICODE);
+const PR_SENDER_ADDRTYPE = tag(0x0C1E, PT_UNICODE);
+const PR_SENDER_EMAIL_ADDRESS = tag(0x0C1F, PT_UNICODE);
+const PR_SENDER_SMTP_ADDRESS = tag(0x5D01, PT_UNICODE);
+const PR_SENT_REPRESENTING_ENTRYID = tag(0x0041, PT_BINARY);
+const PR_SENT_REPRESENTING_NAME = tag(0x0042, PT_UNICODE);
+const PR_SENT_REPRESENTING_ADDRTYPE = tag(0x0064, PT_UNICODE);
+const PR_SENT_REPRESENTING_EMAIL_ADDRESS = tag(0x0065, PT_UNICODE);
+const PR_SENT_REPRESENTING_SMTP_ADDRESS = tag(0x5D02, PT_UNICODE);
+const PR_REPLY_RECIPIENT_ENTRIES = tag(0x004F, PT_BINARY);
+const PR_REPLY_RECIPIENT_NAMES = tag(0x0050, PT_UNICODE);
+const PR_STORE_SUPPORT_MASK = tag(0x340D, PT_LONG);
+const PR_CREATION_TIME = tag(0x3007, PT_SYSTIME);
+const PR_LAST_MODIFICATION_TIME = tag(0x3008, PT_SYSTIME);
+
+const PR_RECIPIENT_TYPE = tag(0x0C15, PT_LONG);
+const PR_ROWID = tag(0x3000, PT_LONG);
+const PR_DISPLAY_NAME = tag(0x3001, PT_UNICODE);
+const PR_ADDRTYPE = tag(0x3002, PT_UNICODE);
+const PR_EMAIL_ADDRESS = tag(0x3003, PT_UNICODE);
+const PR_SMTP_ADDRESS = tag(0x39FE, PT_UNICODE);
+const PR_ENTRYID = tag(0x0FFF, PT_BINARY);
+const PR_OBJECT_TYPE = tag(0x0FFE, PT_LONG);
+const PR_DISPLAY_TYPE = tag(0x3900, PT_LONG);
+
+const PR_ATTACH_NUM = tag(0x0E21, PT_LONG);
+const PR_ATTACH_DATA_BIN = tag(0x3701, PT_BINARY);
+const PR_ATTACH_EXTENSION = tag(0x3703, PT_UNICODE);
+const PR_ATTACH_FILENAME = tag(0x3704, PT_UNICODE);
+const PR_ATTACH_METHOD = tag(0x3705, PT_LONG);
+const PR_ATTACH_LONG_FILENAME = tag(0x3707, PT_UNICODE);
+const PR_RENDERING_POSITION = tag(0x370B, PT_LONG);
+const PR_ATTACH_MIME_TAG = tag(0x370E, PT_UNICODE);
+const PR_ATTACH_CONTENT_ID = tag(0x3712, PT_UNICODE);
+const PR_ATTACH_FLAGS = tag(0x3714, PT_LONG);
+const PR_ATTACHMENT_HIDDEN = tag(0x7FFE, PT_BOOLEAN);
+
+const MSGFLAG_READ = 0x01;
+const MSGFLAG_UNSENT = 0x08;
+const MSGFLAG_HASATTACH = 0x10;
+const MAPI_TO = 1;
+const MAPI_CC = 2;
+const MAPI_BCC = 3;
+const MAPI_MAILUSER = 6;
+const MAPI_ATTACH = 7;
+const ATTACH_BY_VALUE = 1;
+const ATT_MHTML_REF = 4;
+const BODY_HTML = 3;
+const EDITOR_FORMAT_HTML = 2;
+const STORE_UNICODE_OK = 0x00040000;
+const CP_UTF8 = 65001;
+
+const PROPATTR_READABLE_WRITABLE = 0x06;
+
+// {00020D0B-0000-0000-C000-000000000046}, the Outlook message CLSID
+const CLSID_MAIL_MESSAGE = new Uint8Array([0x0B, 0x0D, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0xC0, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x46]);
+// One-off (not address book) recipient entry ids, [MS-OXCDATA] 2.2.5.1
+const MUID_ONE_OFF = [0x81, 0x2B, 0x1F, 0xA4, 0xBE, 0xA3, 0x10, 0x19, 0x9D, 0x6E, 0x00, 0xDD, 0x01, 0x0F, 0x54, 0x02];
+const ONE_OFF_UNICODE_NO_RICH_INFO = 0x8001;
+
+const TOP_HEADER_SIZE = 32;
+const SUB_HEADER_SIZE = 8;
+
+function utf16le(str, { terminate = false } = {}) {
+  const s = String(str || '');
+  const bytes = new Uint8Array((s.length + (terminate ? 1 : 0)) * 2);
+  for (let i = 0; i < s.length; i++) {
+    bytes[i * 2] = s.charCodeAt(i) & 0xFF;
+    bytes[i * 2 + 1] = s.charCodeAt(i) >> 8;
+  }
+  return bytes;
+}
+
+const hex8 = n => n.toString(16).toUpperCase().padStart(8, '0');
+
+// 100 ns intervals since 1601-01-01, as [low, high] 32-bit halves
+function fileTime(date) {
+  const ticks = (BigInt(date.getTime()) + 11644473600000n) * 10000n;
+  return [Number(ticks & 0xFFFFFFFFn), Number(ticks >> 32n)];
+}
+
+/**
+ * Property stream plus its __substg1.0_ value streams for one object.
+ * `props` is [[tag, value]]; `header` is the bytes before the entries.
+ */
+function propertyStreams(props, header) {
+  const entries = new Uint8Array(header.length + props.length * 16);
+  entries.set(header, 0);
+  const view = new DataView(entries.buffer);
+  const streams = [];
+
+  props.forEach(([propTag, value], i) => {
+    const base = header.length + i * 16;
+    view.setUint32(base, propTag, true);
+    view.setUint32(base + 4, PROPATTR_READABLE_WRITABLE, true);
+    switch (propTag & 0xFFFF) {
+      case PT_LONG:
+        view.setUint32(base + 8, value >>> 0, true);
+        break;
+      case PT_BOOLEAN:
+        view.setUint32(base + 8, value ? 1 : 0, true);
+        break;
+      case PT_SYSTIME: {
+        const [low, high] = fileTime(value);
+        view.setUint32(base + 8, low, true);
+        view.setUint32(base + 12, high, true);
+        break;
+      }
+      case PT_UNICODE: {
+        // Size counts the terminating null, the stream does not hold it
+        const data = utf16le(value);
+        view.setUint32(base + 8, data.length + 2, true);
+        streams.push({ name: `__substg1.0_${hex8(propTag)}`, data });
+        break;
+      }
+      default: {
+        view.setUint32(base + 8, value.length, true);
+        streams.push({ name: `__substg1.0_${hex8(propTag)}`, data: value });
+      }
+    }
+  });
+
+  return [{ name: '__properties_version1.0', data: entries }, ...streams];
+}
+
+function oneOffEntryId(displayName, email) {
+  const parts = [
+    new Uint8Array(4),
+    new Uint8Array(MUID_ONE_OFF),
+    new Uint8Array([0x00, 0x00, ONE_OFF_UNICODE_NO_RICH_INFO & 0xFF, ONE_OFF_UNICODE_NO_RICH_INFO >> 8]),
+    utf16le(displayName, { terminate: true }),
+    utf16le('SMTP', { terminate: true }),
+    utf16le(email, { terminate: true })
+  ];
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+// FlatEntryList of one-off entry ids (reply-to addresses)
+function flatEntryList(emails) {
+  const ids = emails.map(email => oneOffEntryId(email, email));
+  const sizes = ids.map(id => 4 + Math.ceil(id.length / 4) * 4);
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+  const out = new Uint8Array(8 + total);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, ids.length, true);
+  view.setUint32(4, total, true);
+  let offset = 8;
+  ids.forEach((id, i) => {
+    view.setUint32(offset, id.length, true);
+    out.set(id, offset + 4);
+    offset += sizes[i];
+  });
+  return out;
+}
+
+// Sender (From) and sent-representing properties, plus Reply-To
+function senderProps({ name, email, replyTo }) {
+  const display = name || email;
+  const entryId = oneOffEntryId(display, email);
+  const replyAddresses = splitAddresses(replyTo || email);
+  return [
+    [PR_SENDER_NAME, display],
+    [PR_SENDER_ADDRTYPE, 'SMTP'],
+    [PR_SENDER_EMAIL_ADDRESS, email],
+    [PR_SENDER_SMTP_ADDRESS, email],
+    [PR_SENDER_ENTRYID, entryId],
+    [PR_SENT_REPRESENTING_NAME, display],
+    [PR_SENT_REPRESENTING_ADDRTYPE, 'SMTP'],
+    [PR_SENT_REPRESENTING_EMAIL_ADDRESS, email],
+    [PR_SENT_REPRESENTING_SMTP_ADDRESS, email],
+    [PR_SENT_REPRESENTING_ENTRYID, entryId],
+    [PR_REPLY_RECIPIENT_NAMES, replyAddresses.join('; ')],
+    [PR_REPLY_RECIPIENT_ENTRIES, flatEntryList(replyAddresses)]
+  ];
+}
+
+function recipientStorage(email, type, index) {
+  const props = [
+    [PR_RECIPIENT_TYPE, type],
+    [PR_ROWID, index],
+    [PR_OBJECT_TYPE, MAPI_MAILUSER],
+    [PR_DISPLAY_TYPE, 0],
+    [PR_DISPLAY_NAME, email],
+    [PR_ADDRTYPE, 'SMTP'],
+    [PR_EMAIL_ADDRESS, email],
+    [PR_SMTP_ADDRESS, email],
+    [PR_ENTRYID, oneOffEntryId(email, email)]
+  ];
+  return {
+    name: `__recip_version1.0_#${hex8(index)}`,
+    children: propertyStreams(props, new Uint8Array(SUB_HEADER_SIZE))
+  };
+}
+
+function attachmentStorage({ filename, mimeType, bytes, contentId }, index) {
+  const extension = /\.[^.]+$/.exec(filename);
+  const props = [
+    [PR_ATTACH_NUM, index],
+    [PR_OBJECT_TYPE, MAPI_ATTACH],
+    [PR_ATTACH_METHOD, ATTACH_BY_VALUE],
+    [PR_RENDERING_POSITION, 0xFFFFFFFF],
+    [PR_DISPLAY_NAME, filename],
+    [PR_ATTACH_FILENAME, filename],
+    [PR_ATTACH_LONG_FILENAME, filename],
+    [PR_ATTACH_MIME_TAG, mimeType || 'application/octet-stream'],
+    [PR_ATTACH_DATA_BIN, bytes]
+  ];
+  if (extension) props.push([PR_ATTACH_EXTENSION, extension[0]]);
+  if (contentId) {
+    // Inline image referenced by cid: from the HTML body
+    props.push([PR_ATTACH_CONTENT_ID, contentId], [PR_ATTACH_FLAGS, ATT_MHTML_REF], [PR_ATTACHMENT_HIDDEN, true]);
+  }
+  return {
+    name: `__attach_version1.0_#${hex8(index)}`,
+    children: propertyStreams(props, new Uint8Array(SUB_HEADER_SIZE))
+  };
+}
+
+/**
+ * Build an Outlook .msg draft from the same inputs as buildEml(): HTML body
+ * with signature images as inline attachments, the text/plain version as
+ * PR_BODY, To/Cc recipients and file attachments. `sender` sets the From
+ * mailbox, Reply-To, extra Cc/Bcc and the read-receipt request.
+ * Returns a Uint8Array.
+ */
+export async function buildMsg(bodyHtml, { toEmail, ccEmail, subject, loadAsset = fetchAsset, attachments = [], bodyText = '', sender = null }) {
+  const { fullHtml, inlineImages } = await prepareHtmlBody(bodyHtml, loadAsset);
+  const now = new Date();
+
+  const to = splitAddresses(toEmail);
+  const cc = splitAddresses(joinAddresses(ccEmail, sender && sender.cc));
+  const bcc = splitAddresses(sender && sender.bcc);
+  const files = [
+    ...inlineImages.map(img => ({ filename: img.filename, mimeType: img.mimeType, bytes: img.bytes, contentId: img.cid })),
+    ...attachments
+  ];
+
+  const props = [
+    [PR_MESSAGE_CLASS, 'IPM.Note'],
+    [PR_SUBJECT, subject || ''],
+    [PR_NORMALIZED_SUBJECT, subject || ''],
+    [PR_DISPLAY_TO, to.join('; ')],
+    [PR_DISPLAY_CC, cc.join('; ')],
+    [PR_DISPLAY_BCC, bcc.join('; ')],
+    [PR_MESSAGE_FLAGS, MSGFLAG_READ | MSGFLAG_UNSENT | (files.length ? MSGFLAG_HASATTACH : 0)],
+    [PR_HASATTACH, files.length > 0],
+    [PR_HTML, new TextEncoder().encode(fullHtml)],
+    [PR_INTERNET_CPID, CP_UTF8],
+    [PR_NATIVE_BODY_INFO, BODY_HTML],
+    [PR_MSG_EDITOR_FORMAT, EDITOR_FORMAT_HTML],
+    [PR_STORE_SUPPORT_MASK, STORE_UNICODE_OK],
+    [PR_CREATION_TIME, now],
+    [PR_LAST_MODIFICATION_TIME, now],
+    [PR_INTERNET_MESSAGE_ID, createMessageId(sender && sender.email)]
+  ];
+  if (bodyText) props.push([PR_BODY, bodyText.replace(/\r?\n/g, '\r\n')]);
+  if (sender) props.push(...senderProps(sender), [PR_READ_RECEIPT_REQUESTED, sender.readReceipt]);
+
+  const recipients = [
+    ...to.map(email => [email, MAPI_TO]),
+    ...cc.map(email => [email, MAPI_CC]),
+    ...bcc.map(email => [email, MAPI_BCC])
+  ];
+  const header = new Uint8Array(TOP_HEADER_SIZE);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(8, recipients.length, true);      // next recipient id
+  headerView.setUint32(12, files.length, true);          // next attachment id
+  headerView.setUint32(16, recipients.length, true);
+  headerView.setUint32(20, files.length, true);
+
+  return createCompoundFile({
+    children: [
+      ...propertyStreams(props, header),
+      // Named-property mapping: required, empty (no named properties used)
+      {
+        name: '__nameid_version1.0',
+        children: ['00020102', '00030102', '00040102'].map(id => ({ name: `__substg1.0_${id}`, data: new Uint8Array(0) }))
+      },
+      ...recipients.map(([email, type], i) => recipientStorage(email, type, i)),
+      ...files.map(attachmentStorage)
+    ]
+  }, { clsid: CLSID_MAIL_MESSAGE });
+}
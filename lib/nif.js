@@ -0,0 +1,81 @@
+/* ============================================================
+   Converto – Spanish tax IDs (DNI, NIE, CIF) and their check characters
+   ============================================================ */
+
+// Formats, as printed on the letters (an optional dash before the control
+// character or after the leading letter is tolerated):
+//
+//   DNI  12345678Z   8 digits + control letter
+//   NIE  X1234567L   X/Y/Z + 7 digits + control letter
+//   KLM  K1234567L   K/L/M (minors, foreigners without NIE) + 7 digits + letter
+//   CIF  B12345674   entity letter + 7 digits + control digit or letter
+//
+// The default profile regex; group 1 is the ID as printed.
+export const NIF_REGEX_SOURCE =
+  '\\b(\\d{8}-?[A-Z]|[XYZKLM]-?\\d{7}-?[A-Z]|[ABCDEFGHJNPQRSUVW]-?\\d{7}-?[0-9A-J])\\b';
+
+const DNI_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+const CIF_LETTERS = 'JABCDEFGHI';
+// Entities whose CIF always ends in a letter / always in a digit
+const CIF_LETTER_CONTROL = 'NPQRSW';
+const CIF_DIGIT_CONTROL = 'ABEH';
+
+// Upper-case, drop spaces/dots/dashes and a leading "ES" VAT prefix
+export function normalizeNif(nif) {
+  const compact = String(nif || '').toUpperCase().replace(/[\s.\-]/g, '');
+  return /^ES[0-9A-Z]{9}$/.test(compact) ? compact.slice(2) : compact;
+}
+
+function cifControl(digits) {
+  let sum = 0;
+  for (let i = 0; i < 7; i++) {
+    const d = Number(digits[i]);
+    // Odd positions (1st, 3rd…) are doubled and their digits added
+    sum += i % 2 === 0 ? Math.floor(d * 2 / 10) + (d * 2) % 10 : d;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Identify a tax ID and check its control character. Returns
+ * { nif, type, valid, expected }: `nif` normalized, `type` 'DNI' | 'NIE' |
+ * 'CIF' or '' when the value is not a Spanish tax ID (then `valid` is
+ * false), `expected` the correct control character(s) when invalid.
+ */
+export function validateNif(value) {
+  const nif = normalizeNif(value);
+  let m = /^(\d{8})([A-Z])$/.exec(nif);
+  if (m) return checkLetter(nif, 'DNI', Number(m[1]), m[2]);
+
+  m = /^([XYZ])(\d{7})([A-Z])$/.exec(nif);
+  if (m) return checkLetter(nif, 'NIE', Number('XYZ'.indexOf(m[1]) + m[2]), m[3]);
+
+  // K, L and M IDs belong to people and use the DNI letter
+  m = /^([KLM])(\d{7})([A-Z])$/.exec(nif);
+  if (m) return checkLetter(nif, 'DNI', Number(m[2]), m[3]);
+
+  m = /^([ABCDEFGHJNPQRSUVW])(\d{7})([0-9A-J])$/.exec(nif);
+  if (m) {
+    const control = cifControl(m[2]);
+    const digit = String(control);
+    const letter = CIF_LETTERS[control];
+    const accepted = CIF_LETTER_CONTROL.includes(m[1]) ? [letter]
+      : CIF_DIGIT_CONTROL.includes(m[1]) ? [digit]
+      : [digit, letter];
+    const valid = accepted.includes(m[3]);
+    return { nif, type: 'CIF', valid, expected: valid ? '' : accepted.join('/') };
+  }
+  return { nif, type: '', valid: false, expected: '' };
+}
+
+function checkLetter(nif, type, number, letter) {
+  const expected = DNI_LETTERS[number % 23];
+  return { nif, type, valid: letter === expected, expected: letter === expected ? '' : expected };
+}
+
+// Diag note for a tax ID with a wrong control character, else ''
+export function nifNote(value) {
+  const { nif, type, valid, expected } = validateNif(value);
+  if (!type || valid) return '';
+  return `Invalid ${type} control: ${nif} (expected ${expected})`;
+}
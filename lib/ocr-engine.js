@@ -0,0 +1,58 @@
+/* ============================================================
+   Converto – browser OCR engine (tesseract.js, Spanish)
+   ============================================================ */
+
+// Browser-only: renders pages to a canvas. The tesseract.js runtime, WASM
+// core and Spanish data are served from vendor/tesseract/ (copied there by
+// scripts/vendor-ocr.mjs), so nothing leaves the machine and no CDN is hit.
+
+const VENDOR_URL = new URL('../vendor/tesseract/', import.meta.url).href;
+
+// 2× the PDF's 72 dpi; enough for 9–11pt letter text
+const RENDER_SCALE = 2;
+
+/**
+ * Returns { recognize(page), terminate() } for extractPage(). The worker and
+ * language data are only loaded on the first scanned page.
+ */
+export function createOcrEngine({ lang = 'spa', scale = RENDER_SCALE } = {}) {
+  let workerPromise = null;
+
+  function getWorker() {
+    if (!workerPromise) {
+      workerPromise = (async () => {
+        const { default: Tesseract } = await import(`${VENDOR_URL}tesseract.esm.min.js`);
+        return Tesseract.createWorker(lang, Tesseract.OEM.LSTM_ONLY, {
+          workerPath: `${VENDOR_URL}worker.min.js`,
+          corePath: `${VENDOR_URL}core/`,
+          langPath: `${VENDOR_URL}lang/`
+        });
+      })();
+      // Let a later page retry if loading failed
+      workerPromise.catch(() => { workerPromise = null; });
+    }
+    return workerPromise;
+  }
+
+  async function recognize(page) {
+    const viewport = page.getViewport({ scale });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+    const worker = await getWorker();
+    const { data } = await worker.recognize(canvas);
+    canvas.width = canvas.height = 0;     // release the bitmap
+    return { words: data.words, scale };
+  }
+
+  async function terminate() {
+    if (!workerPromise) return;
+    const worker = await workerPromise;
+    workerPromise = null;
+    await worker.terminate();
+  }
+
+  return { recognize, terminate };
+}
@@ -0,0 +1,67 @@
+/* ============================================================
+   Converto – OCR fallback for pages without a text layer
+   ============================================================ */
+
+// The engine itself is injected (see ocr-engine.js for the browser one):
+//
+//   ocr.recognize(pdfPage) → { words, scale }
+//
+// where `words` are Tesseract-style { text, confidence, bbox: {x0,y0,x1,y1},
+// line?: { bbox } } in pixels of a rendering at `scale`. They are turned
+// into the same { str, x, y, w, h } items getTextContent() gives us, so
+// recipient, To and table extraction run unchanged on scanned letters.
+
+export const OCR_FONT_NAME = 'OCR';
+
+// A page only counts as "text" if it has at least one visible character
+export function hasTextLayer(textItems) {
+  return textItems.some(it => it.str && it.str.trim());
+}
+
+export function ocrWordsToTextItems(words, scale) {
+  const items = [];
+  for (const word of words || []) {
+    const str = String(word.text || '').trim();
+    if (!str) continue;
+    const { x0, x1 } = word.bbox;
+    // Use the line box for the vertical extent so every word on a line gets
+    // the same y; word boxes vary with ascenders and descenders.
+    const { y0, y1 } = (word.line && word.line.bbox) || word.bbox;
+    items.push({
+      str,
+      x: x0 / scale,
+      y: y0 / scale,
+      w: (x1 - x0) / scale,
+      h: (y1 - y0) / scale,
+      fontName: OCR_FONT_NAME,
+      confidence: word.confidence
+    });
+  }
+  return items;
+}
+
+// { confidence, words } for a page, confidence averaged over its words (0–100)
+export function summarizeOcr(textItems) {
+  const total = textItems.reduce((sum, it) => sum + (it.confidence || 0), 0);
+  return {
+    confidence: textItems.length ? total / textItems.length : 0,
+    words: textItems.length
+  };
+}
+
+// Diag notes for a processed PDF: OCR confidence over all OCR'd pages, or
+// a warning when a page had no text and no OCR engine was available.
+export function ocrNotes(pages) {
+  const ocrPages = pages.filter(p => p.ocr);
+  const notes = [];
+  if (ocrPages.length) {
+    const words = ocrPages.reduce((sum, p) => sum + p.ocr.words, 0);
+    const total = ocrPages.reduce((sum, p) => sum + p.ocr.confidence * p.ocr.words, 0);
+    const confidence = words ? Math.round(total / words) : 0;
+    notes.push(`OCR (confidence ${confidence}%)`);
+  }
+  if (pages.some(p => !p.ocr && !hasTextLayer(p.textItems))) {
+    notes.push('No text layer');
+  }
+  return notes;
+}
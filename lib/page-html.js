@@ -0,0 +1,185 @@
+/* ============================================================
+   Converto – page model → HTML body
+   ============================================================ */
+
+import { isDevMode } from './dev.js';
+import { groupIntoLines, buildLineText } from './text.js';
+import { dominantFontSize, lineStyle } from './styles.js';
+import { buildParagraphs, renderParagraph } from './paragraphs.js';
+import { segmentLayout, isProse } from './layout.js';
+import { detectTables, detectQuarterTable, detectAlignedTables, renderTable, renderQuarterTable } from './tables.js';
+import { DEFAULT_PROFILE } from './profiles.js';
+
+// ── Build HTML for one page ──────────────────────────────────
+// `profile` supplies the layout-specific table detectors (profiles.js).
+// Text columns (layout.js) are read one after the other; with `sideBySide`
+// they are kept next to each other in a borderless layout table instead.
+export function buildPageHtml(page, pageIndex, profile = DEFAULT_PROFILE, options = {}) {
+  return renderPageHtml(buildPageBlocks(page, pageIndex, profile), pageIndex, options);
+}
+
+export function renderPageHtml({ blocks, bodySize }, pageIndex, { sideBySide = false } = {}) {
+  return renderBlocks(blocks, { pageIndex, bodySize, sideBySide });
+}
+
+/**
+ * Page model shared by the HTML body and the text/plain part (plain-text.js):
+ * { blocks, bodySize } with blocks sorted top to bottom. A block is
+ * { type, y, data } where type is 'table', 'quarterTable', 'paragraph' or
+ * 'columns' (data = [{ left, right, blocks }] left to right).
+ */
+export function buildPageBlocks(page, pageIndex, profile = DEFAULT_PROFILE) {
+  const { textItems, segments } = page;
+  const bodySize = dominantFontSize(textItems);
+  const { tables, usedTextIndices, hSegsCount, vSegsCount, xGrid, yGrid } = detectTables(segments, textItems);
+
+  if (isDevMode()) {
+    console.log(`[dev] page ${pageIndex + 1}: hSegs=${hSegsCount} vSegs=${vSegsCount} tables=${tables.length} xGrid=${xGrid.length} yGrid=${yGrid.length}`);
+    for (const t of tables) {
+      const merged = t.grid.flat().filter(cell => cell && (cell.rowspan > 1 || cell.colspan > 1)).length;
+      console.log(`  table: tRows=${t.tRows} tCols=${t.tCols} merged=${merged} top=${t.top.toFixed(1)} left=${t.left.toFixed(1)}`);
+    }
+  }
+
+  // Sort tables top‑to‑bottom
+  tables.sort((a, b) => a.top - b.top);
+
+  // Collect "free" text items (not in any table)
+  const freeItems = textItems.filter((_, i) => !usedTextIndices.has(i));
+
+  // Build a combined list of blocks (tables + text sections) sorted by Y
+  const blocks = [];
+
+  for (const tbl of tables) {
+    blocks.push({ type: 'table', y: tbl.top, data: tbl });
+  }
+
+  const context = { pageIndex, profile, bodySize, pageWidth: page.width, tableTops: tables.map(t => t.top) };
+  const textRight = Math.max(...textItems.map(it => it.x + it.w));
+  for (const section of segmentLayout(freeItems, { bodySize })) {
+    if (section.columns.length === 1) {
+      blocks.push(...buildFlowBlocks(section.columns[0], context));
+      continue;
+    }
+    if (isDevMode()) {
+      console.log(`[dev] page ${pageIndex + 1}: columns=${section.columns.length} top=${section.y.toFixed(1)} gutters=${section.gutters.map(x => x.toFixed(1)).join(',')}`);
+    }
+    const columns = section.columns.map((items, i, all) => ({
+      left: Math.min(...items.map(it => it.x)),
+      right: Math.max(...items.map(it => it.x + it.w)),
+      // A column's lines wrap where the next column starts (the page's text
+      // margin for the last one), not at its own widest line
+      blocks: buildFlowBlocks(items, {
+        ...context,
+        rightMargin: i + 1 < all.length ? Math.min(...all[i + 1].map(it => it.x)) : textRight,
+        columnOfSection: true
+      })
+    }));
+    blocks.push({ type: 'columns', y: section.y, data: columns });
+  }
+
+  blocks.sort((a, b) => a.y - b.y);
+  return { blocks, bodySize };
+}
+
+// Tables and paragraphs of one run of text (the page, or one column)
+function buildFlowBlocks(items, { pageIndex, profile, bodySize, pageWidth, tableTops, rightMargin, columnOfSection = false }) {
+  const blocks = [];
+
+  // Group free text into lines by similar Y
+  const lines = groupIntoLines(items);
+
+  // Fallback: detect quarterly amounts tables from free-text lines
+  const skipLineIndices = new Set();
+  for (const spec of profile.tables.filter(t => t.type === 'quarter')) {
+    const quarterMatch = detectQuarterTable(lines, spec);
+    if (!quarterMatch) continue;
+    const { headerIdx, importesIdx, values, colMidX, labels, rowLabel } = quarterMatch;
+    if (skipLineIndices.has(headerIdx) || skipLineIndices.has(importesIdx)) continue;
+    skipLineIndices.add(headerIdx);
+    skipLineIndices.add(importesIdx);
+    blocks.push({ type: 'quarterTable', y: lines[headerIdx].y, data: { values, labels, rowLabel } });
+    if (isDevMode()) {
+      const valLog = labels.map((l, i) => `${l}=${values[i] || '(blank)'}`).join(' ');
+      console.log(`[dev] page ${pageIndex + 1}: Quarter table fallback triggered: ${valLog}`);
+      console.log(`[dev]   colMidX: ${colMidX.map((x, i) => `${labels[i]}=${x !== null ? x.toFixed(1) : 'n/a'}`).join(' ')}`);
+    }
+  }
+
+  // Borderless tables: runs of lines with aligned columns of amounts
+  for (const { lineIndices, y, table } of detectAlignedTables(lines, skipLineIndices)) {
+    for (const i of lineIndices) skipLineIndices.add(i);
+    blocks.push({ type: 'table', y, data: table });
+    if (isDevMode()) {
+      console.log(`[dev] page ${pageIndex + 1}: aligned table: tRows=${table.tRows} tCols=${table.tCols} header=${table.headerRows} top=${y.toFixed(1)}`);
+    }
+  }
+
+  // Remaining lines reflow into paragraphs; tables interrupt them. Side
+  // blocks of short lines (address, date) keep their lines.
+  const textLines = lines.filter((_, i) => !skipLineIndices.has(i));
+  const paragraphs = buildParagraphs(textLines, {
+    bodySize,
+    pageWidth,
+    rightMargin,
+    barriers: [...tableTops, ...blocks.map(block => block.y)],
+    reflow: !columnOfSection || isProse(textLines)
+  });
+  for (const para of paragraphs) {
+    blocks.push({ type: 'paragraph', y: para.y, data: para });
+  }
+
+  return blocks.sort((a, b) => a.y - b.y);
+}
+
+function renderBlocks(blocks, { pageIndex, bodySize, sideBySide }) {
+  let html = '';
+  for (const block of blocks) {
+    if (block.type === 'table') {
+      html += renderTable(block.data, bodySize);
+    } else if (block.type === 'quarterTable') {
+      html += renderQuarterTable(block.data);
+    } else if (block.type === 'columns') {
+      html += renderColumns(block.data, { pageIndex, bodySize, sideBySide });
+    } else {
+      if (isDevMode()) logParagraph(pageIndex, block.data, bodySize);
+      html += renderParagraph(block.data, bodySize);
+    }
+  }
+  return html;
+}
+
+// Column widths follow where each column starts on the page
+function renderColumns(columns, options) {
+  if (!options.sideBySide) {
+    return columns.map(column => renderBlocks(column.blocks, options)).join('');
+  }
+  const start = columns[0].left;
+  const total = columns[columns.length - 1].right - start;
+  let html = '<table role="presentation" cellspacing="0" cellpadding="0" style="border-collapse:collapse;width:100%;margin:0;">\n<tr>';
+  columns.forEach((column, i) => {
+    const end = i + 1 < columns.length ? columns[i + 1].left : column.right;
+    const width = Math.round((end - column.left) / total * 100);
+    const padding = i + 1 < columns.length ? 'padding:0 12px 0 0;' : '';
+    html += `<td style="vertical-align:top;width:${width}%;${padding}">\n${renderBlocks(column.blocks, options)}</td>`;
+  });
+  return html + '</tr>\n</table>\n';
+}
+
+// Lines much larger than the body text become headings; bold/italic runs
+// become <strong>/<em>; small print keeps a smaller size relative to 11pt.
+export function renderTextLine(line, bodySize = dominantFontSize(line.items)) {
+  return renderParagraph({ lines: [line], joins: [], spaceBefore: false }, bodySize);
+}
+
+function logParagraph(pageIndex, para, bodySize) {
+  if (para.lines.length > 1) {
+    console.log(`[dev] page ${pageIndex + 1}: paragraph y=${para.y.toFixed(1)} lines=${para.lines.length} joins=${para.joins.join(',')}`);
+  }
+  for (const line of para.lines) {
+    const text = buildLineText(line.items);
+    const { tag, bold, italic, size, fontPt } = lineStyle(line.items, bodySize);
+    const flags = [bold && 'bold', italic && 'italic'].filter(Boolean).join(' ');
+    console.log(`[dev] page ${pageIndex + 1}: line y=${line.y.toFixed(1)} ${tag} size=${size.toFixed(1)}/${bodySize} → ${fontPt}pt${flags ? ' ' + flags : ''} "${text.slice(0, 40)}"`);
+  }
+}
@@ -0,0 +1,160 @@
+/* ============================================================
+   Converto – paragraph reflow (visual lines → paragraphs)
+   ============================================================ */
+
+import { buildLineText } from './text.js';
+import { lineStyle, buildLineRuns, renderRuns } from './styles.js';
+
+// A line continues the paragraph above when it has the same style and left
+// margin, sits at the normal line pitch, and the line above was wrapped
+// (it runs up to the right margin) or ends in a hyphenated word. A larger
+// gap, another indent, a list marker or a line ending in ":"/";" starts a
+// new paragraph, so address blocks and lists keep their lines.
+
+const PITCH_TOLERANCE = 1.3;     // × usual line pitch still counts as same paragraph
+const MAX_FIRST_INDENT = 36;     // pt of first-line indent accepted
+const INDENT_EPS = 4;            // pt tolerance for "same left margin"
+const WRAP_SLACK_RATIO = 0.2;    // wrapped lines end within 20% of the right margin
+
+const LIST_MARKER_REGEX = /^(?:[-–•·*]|\d{1,2}[.)]|[a-z][.)])\s/i;
+const HYPHEN_END_REGEX = /\p{L}[-\u00AD\u2010]$/u;
+const LOWERCASE_START_REGEX = /^\p{Ll}/u;
+const HARD_BREAK_END_REGEX = /[:;]$/;
+
+function measureLine(line, bodySize) {
+  const items = line.items.filter(it => it.str && it.str.trim());
+  return {
+    line,
+    text: buildLineText(line.items),
+    left: Math.min(...items.map(it => it.x)),
+    right: Math.max(...items.map(it => it.x + it.w)),
+    style: lineStyle(line.items, bodySize)
+  };
+}
+
+// Most common distance between consecutive body lines
+function usualPitch(measured, bodySize) {
+  const counts = new Map();
+  for (let i = 1; i < measured.length; i++) {
+    const dy = Math.round((measured[i].line.y - measured[i - 1].line.y) * 2) / 2;
+    if (dy > 0 && dy < bodySize * 3) counts.set(dy, (counts.get(dy) || 0) + 1);
+  }
+  let pitch = 0, best = 0;
+  for (const [dy, n] of counts) {
+    if (n > best || (n === best && dy < pitch)) { pitch = dy; best = n; }
+  }
+  return pitch || bodySize * 1.2;
+}
+
+/**
+ * Group text lines (top to bottom) into paragraphs.
+ *
+ * `pageWidth` is used to ignore right-hand blocks (dates, addresses) when
+ * finding the text column's right margin; `rightMargin` sets it instead
+ * (a column of a multi-column section: where the next column starts).
+ * `barriers` are y positions of tables, which a paragraph never spans.
+ * With `reflow` false every line stays a paragraph of its own.
+ *
+ * Returns [{ y, lines, joins, spaceBefore }] where joins[i] is 'hyphen' or
+ * 'space' between lines[i] and lines[i + 1].
+ */
+export function buildParagraphs(lines, { bodySize, pageWidth = Infinity, rightMargin: marginOverride, barriers = [], reflow = true }) {
+  const measured = lines.filter(line => buildLineText(line.items)).map(line => measureLine(line, bodySize));
+  if (!measured.length) return [];
+
+  const pitch = usualPitch(measured, bodySize);
+  const leftMargin = Math.min(...measured.map(m => m.left));
+  const columnRights = measured.filter(m => m.left < pageWidth / 2).map(m => m.right);
+  const rightMargin = marginOverride !== undefined ? marginOverride
+    : columnRights.length ? Math.max(...columnRights) : Math.max(...measured.map(m => m.right));
+  const wrapSlack = (rightMargin - leftMargin) * WRAP_SLACK_RATIO;
+
+  function joinKind(para, prev, next) {
+    if (!reflow) return null;
+    const a = prev.style, b = next.style;
+    if (a.tag !== 'p' || b.tag !== 'p' || a.fontPt !== b.fontPt || a.bold !== b.bold) return null;
+    const dy = next.line.y - prev.line.y;
+    if (dy <= 0 || dy > pitch * PITCH_TOLERANCE) return null;
+    if (barriers.some(y => y > prev.line.y && y < next.line.y)) return null;
+
+    if (para.lines.length === 1) {
+      const indent = prev.left - next.left;
+      if (Math.abs(indent) > INDENT_EPS && !(indent > 0 && indent <= MAX_FIRST_INDENT)) return null;
+    } else if (Math.abs(next.left - para.bodyLeft) > INDENT_EPS) {
+      return null;
+    }
+    if (LIST_MARKER_REGEX.test(next.text)) return null;
+
+    if (HYPHEN_END_REGEX.test(prev.text) && LOWERCASE_START_REGEX.test(next.text)) return 'hyphen';
+    const wrapped = prev.right >= rightMargin - wrapSlack;
+    return wrapped && !HARD_BREAK_END_REGEX.test(prev.text) ? 'space' : null;
+  }
+
+  const paragraphs = [];
+  let current = null;
+  for (let i = 0; i < measured.length; i++) {
+    const m = measured[i];
+    const prev = measured[i - 1];
+    const kind = current ? joinKind(current, prev, m) : null;
+    if (kind) {
+      current.lines.push(m.line);
+      current.joins.push(kind);
+      if (current.lines.length === 2) current.bodyLeft = m.left;
+    } else {
+      current = {
+        y: m.line.y,
+        lines: [m.line],
+        joins: [],
+        bodyLeft: m.left,
+        spaceBefore: !!prev && m.line.y - prev.line.y > pitch * PITCH_TOLERANCE
+      };
+      paragraphs.push(current);
+    }
+  }
+  return paragraphs.map(({ y, lines: paraLines, joins, spaceBefore }) => ({ y, lines: paraLines, joins, spaceBefore }));
+}
+
+// Plain text of a paragraph, lines joined the same way as renderParagraph
+export function paragraphText(para) {
+  let text = '';
+  para.lines.forEach((line, i) => {
+    const lineText = buildLineText(line.items);
+    if (!lineText) return;
+    if (!text) text = lineText;
+    else if (para.joins[i - 1] === 'hyphen') text = text.replace(/[-\u00AD\u2010]$/, '') + lineText;
+    else text += ' ' + lineText;
+  });
+  return text;
+}
+
+// One <p> per paragraph, runs merged across line breaks; a hyphen that
+// split a word at the line end is dropped. Heading lines (never merged)
+// get their h2/h3 tag.
+export function renderParagraph(para, bodySize) {
+  const runs = [];
+  para.lines.forEach((line, i) => {
+    const lineRuns = buildLineRuns(line.items);
+    if (!lineRuns.length) return;
+    if (runs.length) {
+      if (para.joins[i - 1] === 'hyphen') {
+        const last = runs[runs.length - 1];
+        last.text = last.text.replace(/[-\u00AD\u2010]$/, '');
+      } else {
+        lineRuns[0].text = ' ' + lineRuns[0].text;
+      }
+    }
+    for (const run of lineRuns) {
+      const last = runs[runs.length - 1];
+      if (last && last.bold === run.bold && last.italic === run.italic) last.text += run.text;
+      else runs.push({ ...run });
+    }
+  });
+  if (!runs.length) return '';
+
+  const { tag, fontPt } = lineStyle(para.lines.flatMap(line => line.items), bodySize);
+  if (tag !== 'p') {
+    return `<${tag} style="font-family:Calibri,Arial,sans-serif;font-size:${fontPt}pt;margin:8px 0 4px;">${renderRuns(runs, { bold: false })}</${tag}>\n`;
+  }
+  const margin = para.spaceBefore ? '10px 0 2px' : '2px 0';
+  return `<p style="font-family:Calibri,Arial,sans-serif;font-size:${fontPt}pt;margin:${margin};">${renderRuns(runs)}</p>\n`;
+}
@@ -0,0 +1,65 @@
+/* ============================================================
+   Converto – Web Worker entry point (one PDF per message)
+   ============================================================ */
+
+// Browser-only. app.js runs a pool of these so extraction and EML building
+// stay off the main thread. pdf.js is loaded from the URLs app.js sends and
+// parses in this worker's own thread (no nested pdf.js worker).
+//
+//   → { type: 'process', id, data, options, baseUrl, pdfjsUrl, pdfjsWorkerUrl, assets }
+//   ← { type: 'progress', id, pageNumber, numPages }
+//   ← { type: 'done', id, result }
+//   ← { type: 'error', id, name, message }
+//
+// `options` are processPdf()'s, minus pdfjsLib and ocr. Signature images
+// come from `assets` (the opened vault, see vault.js); other images are
+// fetched relative to `baseUrl` (the page), not to this script. OCR
+// needs a canvas, so a page without a text layer fails with an
+// OcrRequiredError and app.js runs that PDF on the main thread instead.
+
+import { processPdf } from './pipeline.js';
+import { fetchAsset } from './eml.js';
+import { vaultAssetLoader } from './vault.js';
+
+let pdfjsPromise = null;
+
+function loadPdfjs(pdfjsUrl, pdfjsWorkerUrl) {
+  if (!pdfjsPromise) {
+    pdfjsPromise = (async () => {
+      // pdf.js uses an already-loaded worker module in-thread. That module
+      // also answers pdf.js' own protocol on this worker's port; those
+      // messages carry no `id`, so app.js ignores them.
+      globalThis.pdfjsWorker = await import(pdfjsWorkerUrl);
+      return import(pdfjsUrl);
+    })();
+    pdfjsPromise.catch(() => { pdfjsPromise = null; });
+  }
+  return pdfjsPromise;
+}
+
+const ocrUnavailable = {
+  recognize() {
+    const err = new Error('OCR is not available in a worker');
+    err.name = 'OcrRequiredError';
+    throw err;
+  }
+};
+
+self.addEventListener('message', async (event) => {
+  const { type, id, data, options, baseUrl, pdfjsUrl, pdfjsWorkerUrl, assets } = event.data;
+  if (type !== 'process') return;
+  try {
+    const pdfjsLib = await loadPdfjs(pdfjsUrl, pdfjsWorkerUrl);
+    const result = await processPdf(data, {
+      ...options,
+      pdfjsLib,
+      loadAsset: vaultAssetLoader(assets || new Map(), src => fetchAsset(new URL(src, baseUrl).href)),
+      ocr: ocrUnavailable,
+      onProgress: (pageNumber, numPages) => self.postMessage({ type: 'progress', id, pageNumber, numPages })
+    });
+    const transfer = result.attachments.map(attachment => attachment.bytes.buffer);
+    self.postMessage({ type: 'done', id, result }, transfer);
+  } catch (err) {
+    self.postMessage({ type: 'error', id, name: (err && err.name) || 'Error', message: (err && err.message) || String(err) });
+  }
+});
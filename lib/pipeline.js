@@ -0,0 +1,165 @@
+/* ============================================================
+   Converto – PDF → EML pipeline (no DOM, no pdf.js import)
+   ============================================================ */
+
+import { extractPage } from './extract.js';
+import { buildPageBlocks, renderPageHtml } from './page-html.js';
+import { renderPageText, htmlToText } from './plain-text.js';
+import { extractRecipient, extractNif, extractRecipientEmails, extractSubject } from './recipient.js';
+import { buildEml, buildDiagnostics } from './eml.js';
+import { buildMsg } from './msg.js';
+import { buildOutputBaseFilename } from './filenames.js';
+import { resolveToWithDirectory } from './directory.js';
+import { normalizeNif, nifNote } from './nif.js';
+import { DEFAULT_PROFILE, detectProfile } from './profiles.js';
+import { ocrNotes } from './ocr.js';
+import { createAbortError } from './pool.js';
+import { hashBytes } from './duplicates.js';
+
+/**
+ * Convert one PDF into an EML.
+ *
+ * `pdfjsLib` is whichever pdf.js build the caller loaded (cdnjs in the
+ * browser, pdfjs-dist in Node). `loadAsset` resolves signature image paths;
+ * `documentParams` is merged into the pdf.js getDocument() call.
+ * With `attachPdf` the source file is attached to the message as-is.
+ * `directory` (Map of normalized NIF → { nif, name, email }) fills the To
+ * address when the PDF has none and flags a PDF/directory mismatch.
+ * `profile` (compiled, see profiles.js) sets the letter layout rules; when
+ * it is not given, the best match among `profiles` is picked from the first
+ * page, falling back to the Modelo 347 defaults.
+ * `ocr` is an OCR engine (see ocr.js) for pages without a text layer; its
+ * confidence, or a "No text layer" warning, ends up in `scanNotes`, as
+ * does a NIF whose control character is wrong. `nif` is normalized
+ * (upper-case, no separators or ES prefix).
+ * `sideBySide` keeps text columns next to each other in the body (a
+ * layout table) instead of one after the other.
+ * `sender` (see readSignatureSender) sets From/Reply-To and the extra
+ * Cc/Bcc of the signature's mailbox; it is kept on the result for rebuilds.
+ * `pageRange` ({ first, last }, 1-based, see split.js) converts only those
+ * pages, one letter of a combined PDF; the source is then not attached,
+ * since it holds the other clients' letters too.
+ * `onProgress(pageNumber, numPages)` is called after each page is read;
+ * an aborted `signal` stops before the next page with an AbortError. The
+ * pdf.js document is destroyed once its pages are read, or on failure.
+ *
+ * Returns { nif, recipient, toEmail, toSource, ccEmail, subject, baseFilename,
+ * diagnostics, notes, scanNotes, eml, profileId, profileDetected } plus
+ * `bodyHtml`, `bodyText` and `attachments`, which buildMessage() needs to
+ * regenerate the EML after review corrections, and `quarterAmounts`: the
+ * first quarter table's { labels, values } as printed, or null. `pageRange`
+ * is returned as given; `contentHash` is the SHA-256 of the whole PDF (see
+ * duplicates.js).
+ */
+export async function processPdf(data, { pdfjsLib, fileName, signatureHtml = '', loadAsset, documentParams, attachPdf = false, directory = null, profile = null, profiles = [], ocr = null, sideBySide = false, sender = null, pageRange = null, onProgress = null, signal = null }) {
+  // pdf.js transfers (detaches) the buffer it is given, so copy it first
+  const pdfBytes = attachPdf && !pageRange ? new Uint8Array(data).slice() : null;
+  const contentHash = await hashBytes(data);
+  const loadingTask = pdfjsLib.getDocument({ ...documentParams, data });
+
+  const pages = [];
+  try {
+    const pdf = await loadingTask.promise;
+    const first = pageRange ? pageRange.first : 1;
+    const last = pageRange ? Math.min(pageRange.last, pdf.numPages) : pdf.numPages;
+    if (first < 1 || first > last) throw new Error(`No pages ${first}–${pageRange.last} in this PDF`);
+    for (let i = first; i <= last; i++) {
+      if (signal && signal.aborted) throw createAbortError();
+      const page = await pdf.getPage(i);
+      pages.push(await extractPage(page, pdfjsLib.OPS, { ocr }));
+      if (onProgress) onProgress(i - first + 1, last - first + 1);
+    }
+  } finally {
+    // Releases the document (and its worker-side data) even after an error
+    await loadingTask.destroy();
+  }
+
+  const firstPage = pages[0];
+  const detected = profile ? null : detectProfile(firstPage, profiles);
+  const activeProfile = profile || detected || DEFAULT_PROFILE;
+
+  const rawNif = extractNif(firstPage, activeProfile);
+  const nif = normalizeNif(rawNif);
+  const recipient = extractRecipient(firstPage, activeProfile);
+  const directoryEntry = nif && directory ? directory.get(nif) : null;
+  const emails = extractRecipientEmails(firstPage, activeProfile);
+  const { toEmail, toSource, note } = resolveToWithDirectory(emails.to.join(', '), directoryEntry);
+  const invalidNif = nifNote(nif);
+  const scanNotes = invalidNif ? [...ocrNotes(pages), invalidNif] : ocrNotes(pages);
+  if (pageRange && attachPdf) scanNotes.push('Source PDF not attached (letter split from a combined PDF)');
+  const notes = note ? [...scanNotes, note] : scanNotes;
+  const subject = extractSubject(firstPage, activeProfile, { recipient, nif: rawNif });
+
+  // One page model feeds both the HTML body and its text/plain alternative
+  let bodyHtml = '';
+  let bodyText = '';
+  let quarterAmounts = null;
+  for (let i = 0; i < pages.length; i++) {
+    const pageModel = buildPageBlocks(pages[i], i, activeProfile);
+    quarterAmounts = quarterAmounts || findQuarterAmounts(pageModel.blocks);
+    bodyHtml += renderPageHtml(pageModel, i, { sideBySide });
+    bodyText += (bodyText ? '\n' : '') + renderPageText(pageModel);
+  }
+
+  if (signatureHtml) {
+    bodyHtml += '<br>' + signatureHtml;
+    const signatureText = htmlToText(signatureHtml);
+    if (signatureText) bodyText += '\n' + signatureText + '\n';
+  }
+
+  const attachments = pdfBytes
+    ? [{ filename: fileName, mimeType: 'application/pdf', bytes: pdfBytes }]
+    : [];
+  const ccEmail = emails.cc.join(', ');
+  const { eml, diagnostics } = await buildMessage(bodyHtml, { toEmail, ccEmail, subject, attachments, loadAsset, notes, bodyText, sender });
+  const baseFilename = buildOutputBaseFilename({
+    recipient,
+    toEmail,
+    originalName: fileName
+  });
+
+  return {
+    nif, recipient, toEmail, toSource, ccEmail, subject, baseFilename,
+    diagnostics, notes, scanNotes, eml, bodyHtml, bodyText, attachments, sender, quarterAmounts, pageRange, contentHash,
+    profileId: activeProfile.id,
+    profileDetected: Boolean(detected)
+  };
+}
+
+// First quarter table of a page (also inside text columns)
+function findQuarterAmounts(blocks) {
+  for (const block of blocks) {
+    if (block.type === 'quarterTable') return { labels: block.data.labels, values: block.data.values };
+    if (block.type !== 'columns') continue;
+    for (const column of block.data) {
+      const found = findQuarterAmounts(column.blocks);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+// Build (or rebuild) the EML for an already-rendered body. `notes` are
+// extra Diag messages (directory lookups, …) kept across rebuilds.
+export async function buildMessage(bodyHtml, { toEmail, ccEmail, subject, attachments, loadAsset, notes = [], bodyText = '', sender = null }) {
+  const eml = await buildEml(bodyHtml, { toEmail, ccEmail, subject, attachments, loadAsset, bodyText, sender });
+  const base = buildDiagnostics(bodyHtml, eml);
+  const diagnostics = notes.length
+    ? (base === 'OK' ? notes : [base, ...notes]).join('; ')
+    : base;
+  return { eml, diagnostics };
+}
+
+// Formats a batch can be downloaded as. The .eml is always built (the
+// preview and Diag read it); a .msg is made from the same data on demand.
+export const OUTPUT_FORMATS = {
+  eml: { extension: '.eml', mimeType: 'message/rfc822', label: 'EML' },
+  msg: { extension: '.msg', mimeType: 'application/vnd.ms-outlook', label: 'Outlook MSG' }
+};
+
+// File contents of a processed result in `format` ('eml' or 'msg')
+export async function buildOutputFile(result, format = 'eml', { loadAsset } = {}) {
+  if (format !== 'msg') return result.eml;
+  const { toEmail, ccEmail, subject, attachments, bodyText, sender } = result;
+  return buildMsg(result.bodyHtml, { toEmail, ccEmail, subject, attachments, bodyText, sender, loadAsset });
+}
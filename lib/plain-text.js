@@ -0,0 +1,160 @@
+/* ============================================================
+   Converto – page model → text/plain alternative
+   ============================================================ */
+
+import { groupIntoLines, buildLineText, isEuropeanNumber } from './text.js';
+import { lineStyle } from './styles.js';
+import { paragraphText } from './paragraphs.js';
+import { QUARTER_LABELS } from './tables.js';
+
+// Renders the same blocks as the HTML body (buildPageBlocks in page-html.js)
+// for text-only mail readers: paragraphs wrapped at TEXT_WIDTH, headings
+// underlined, tables as space-aligned columns with amounts right-aligned.
+
+export const TEXT_WIDTH = 76;
+const COLUMN_SEPARATOR = '  ';
+const HEADING_UNDERLINE = { h2: '=', h3: '-' };
+
+// Greedy word wrap; words longer than the width stay on their own line
+export function wrapText(text, width = TEXT_WIDTH) {
+  const lines = [];
+  let current = '';
+  for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+    if (current && current.length + 1 + word.length > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? current + ' ' + word : word;
+    }
+  }
+  if (current) lines.push(current);
+  return lines.join('\n');
+}
+
+/**
+ * Lay out rows of cells as aligned columns. A cell is { text, colspan } or
+ * null for a slot covered by a merged cell (blank under a rowspan, skipped
+ * under a colspan). Rows before `headerRows` are underlined with dashes;
+ * columns of amounts are right-aligned.
+ */
+export function formatTextTable(rows, { headerRows = 0 } = {}) {
+  const nCols = Math.max(0, ...rows.map(row => row.length));
+  const widths = new Array(nCols).fill(0);
+  const spanWidth = (c, span) => widths.slice(c, c + span).reduce((a, b) => a + b, 0) + COLUMN_SEPARATOR.length * (span - 1);
+
+  for (const row of rows) {
+    row.forEach((cell, c) => {
+      if (cell && (cell.colspan || 1) === 1) widths[c] = Math.max(widths[c], cell.text.length);
+    });
+  }
+  // Columns holding amounts are right-aligned, their headers included
+  const numeric = widths.map((_, c) => rows.some(row => row[c] && (row[c].colspan || 1) === 1 && isEuropeanNumber(row[c].text)));
+
+  // Widen the last spanned column when a merged cell does not fit
+  for (const row of rows) {
+    row.forEach((cell, c) => {
+      const span = cell ? Math.min(cell.colspan || 1, nCols - c) : 1;
+      if (span > 1) widths[c + span - 1] += Math.max(0, cell.text.length - spanWidth(c, span));
+    });
+  }
+
+  const lines = [];
+  rows.forEach((row, r) => {
+    const parts = [];
+    for (let c = 0; c < nCols; c++) {
+      const cell = row[c];
+      if (!cell) {
+        parts.push(' '.repeat(widths[c]));
+        continue;
+      }
+      const span = Math.min(cell.colspan || 1, nCols - c);
+      const width = spanWidth(c, span);
+      parts.push(span === 1 && numeric[c] ? cell.text.padStart(width) : cell.text.padEnd(width));
+      c += span - 1;
+    }
+    lines.push(parts.join(COLUMN_SEPARATOR).trimEnd());
+    if (r === headerRows - 1) lines.push(widths.map(w => '-'.repeat(w)).join(COLUMN_SEPARATOR));
+  });
+  return lines.join('\n');
+}
+
+function cellText(cell) {
+  return groupIntoLines(cell.texts).map(line => buildLineText(line.items)).filter(Boolean).join(' ');
+}
+
+export function renderTableText(tbl) {
+  const rows = tbl.grid.map(row => row.map(cell => cell && { text: cellText(cell), colspan: cell.colspan }));
+  return formatTextTable(rows, { headerRows: tbl.headerRows || 0 });
+}
+
+export function renderQuarterTableText({ values, labels = QUARTER_LABELS, rowLabel = 'Importes' }) {
+  const toRow = texts => texts.map(text => ({ text: String(text || ''), colspan: 1 }));
+  return formatTextTable([toRow(['', ...labels]), toRow([rowLabel, ...values])], { headerRows: 1 });
+}
+
+// Headings (never merged with other lines) are underlined, not wrapped
+function paragraphChunk(para, bodySize) {
+  const text = paragraphText(para);
+  const { tag } = lineStyle(para.lines.flatMap(line => line.items), bodySize);
+  const underline = HEADING_UNDERLINE[tag];
+  if (!underline) return { text: wrapText(text), gap: para.spaceBefore };
+  return { text: `${text}\n${underline.repeat(Math.min(text.length, TEXT_WIDTH))}`, gap: true };
+}
+
+// [{ text, gap }]: gap = blank line before (tables always get one on both sides)
+function blocksToChunks(blocks, bodySize) {
+  const chunks = [];
+  for (const block of blocks) {
+    if (block.type === 'table') {
+      chunks.push({ text: renderTableText(block.data), gap: true, table: true });
+    } else if (block.type === 'quarterTable') {
+      chunks.push({ text: renderQuarterTableText(block.data), gap: true, table: true });
+    } else if (block.type === 'columns') {
+      block.data.forEach((column, i) => {
+        const columnChunks = blocksToChunks(column.blocks, bodySize);
+        if (i > 0 && columnChunks.length) columnChunks[0].gap = true;
+        chunks.push(...columnChunks);
+      });
+    } else {
+      chunks.push(paragraphChunk(block.data, bodySize));
+    }
+  }
+  return chunks;
+}
+
+// Text of one page model ({ blocks, bodySize } from buildPageBlocks)
+export function renderPageText({ blocks, bodySize }) {
+  let text = '';
+  let prev = null;
+  for (const chunk of blocksToChunks(blocks, bodySize)) {
+    if (!chunk.text.trim()) continue;
+    if (prev) text += chunk.gap || prev.table ? '\n\n' : '\n';
+    text += chunk.text;
+    prev = chunk;
+  }
+  return text ? text + '\n' : '';
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Signatures are HTML (often Outlook exports); keep their visible text
+export function htmlToText(html) {
+  return String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(style|script|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ')               // source line breaks mean nothing in HTML
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h\d|li|tr|table)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] !== '#') return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(n);
+    })
+    .split('\n')
+    .map(line => wrapText(line.replace(/\u00A0/g, ' ')))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
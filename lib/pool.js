@@ -0,0 +1,86 @@
+/* ============================================================
+   Converto – task pool (bounded concurrency, cancel)
+   ============================================================ */
+
+// No DOM and no Worker here: `runTask(task, { signal })` decides where the
+// work happens (a Web Worker in the browser, the pipeline itself in Node).
+// A task is any object; the same object identifies it for cancel().
+
+/**
+ * Run queued tasks, at most `concurrency` at a time, in the order given.
+ *
+ *   pool.run(task)       → runTask's result; rejects with an AbortError
+ *                          when the task is cancelled
+ *   pool.cancel(task)    drops a queued task or aborts a running one
+ *   pool.setConcurrency(n)
+ *
+ * A cancelled running task keeps its slot until runTask settles, so
+ * runTask must honour the signal promptly (e.g. terminate its worker).
+ */
+export function createTaskPool(runTask, { concurrency = 1 } = {}) {
+  let limit = normalizeConcurrency(concurrency);
+  const queue = [];             // { task, controller, resolve, reject }
+  const running = new Map();    // task → entry
+  let busy = 0;
+
+  function pump() {
+    while (busy < limit && queue.length) {
+      const entry = queue.shift();
+      running.set(entry.task, entry);
+      busy += 1;
+      Promise.resolve()
+        .then(() => runTask(entry.task, { signal: entry.controller.signal }))
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          if (running.get(entry.task) === entry) running.delete(entry.task);
+          busy -= 1;
+          pump();
+        });
+    }
+  }
+
+  function run(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, controller: new AbortController(), resolve, reject });
+      pump();
+    });
+  }
+
+  function cancel(task) {
+    const index = queue.findIndex(entry => entry.task === task);
+    const entry = index >= 0 ? queue.splice(index, 1)[0] : running.get(task);
+    if (!entry) return false;
+    running.delete(task);
+    entry.controller.abort();
+    entry.reject(createAbortError());
+    return true;
+  }
+
+  function setConcurrency(n) {
+    limit = normalizeConcurrency(n);
+    pump();
+  }
+
+  return {
+    run,
+    cancel,
+    setConcurrency,
+    get pending() { return queue.length; },
+    get active() { return busy; }
+  };
+}
+
+function normalizeConcurrency(n) {
+  const value = Math.floor(Number(n));
+  return value >= 1 ? value : 1;
+}
+
+export function createAbortError(message = 'Cancelled') {
+  const err = new Error(message);
+  err.name = 'AbortError';
+  return err;
+}
+
+export function isAbortError(err) {
+  return !!err && err.name === 'AbortError';
+}
@@ -0,0 +1,70 @@
+/* ============================================================
+   Converto – EML preview (MIME parsing, CID → data: URIs)
+   ============================================================ */
+
+// The preview shows the message exactly as written to the .eml: the HTML
+// part is read back from the final EML and each cid: reference is replaced
+// by a data: URI built from the matching inline part.
+
+/**
+ * Parse a MIME entity (a whole message or one part) into
+ * { headers, type, body, parts }. Header names are lower-case, folded lines
+ * are joined; multiparts list their sub-entities in `parts`.
+ */
+export function parseMimePart(text) {
+  const str = String(text || '');
+  const separator = str.indexOf('\r\n\r\n');
+  const head = separator === -1 ? str : str.slice(0, separator);
+  const body = separator === -1 ? '' : str.slice(separator + 4);
+
+  const headers = {};
+  for (const line of head.replace(/\r\n[ \t]+/g, ' ').split('\r\n')) {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+
+  const contentType = headers['content-type'] || 'text/plain';
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  const boundary = /boundary="?([^";]+)"?/i.exec(contentType);
+  const parts = [];
+  if (type.startsWith('multipart/') && boundary) {
+    const chunks = body.split(`--${boundary[1]}`).slice(1);
+    for (const chunk of chunks) {
+      if (chunk.startsWith('--')) break;            // closing boundary
+      parts.push(parseMimePart(chunk.replace(/^\r\n/, '').replace(/\r\n$/, '')));
+    }
+  }
+  return { headers, type, body, parts };
+}
+
+// Every leaf part, depth first
+function leafParts(part) {
+  return part.parts.length ? part.parts.flatMap(leafParts) : [part];
+}
+
+function decodeTextPart(part) {
+  const encoding = (part.headers['content-transfer-encoding'] || '').toLowerCase();
+  if (encoding !== 'base64') return part.body;
+  const binary = atob(part.body.replace(/\s+/g, ''));
+  return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+}
+
+/**
+ * HTML of an .eml ready for an <iframe srcdoc>: the text/html part with
+ * inline images (Content-ID parts) turned into data: URIs. Returns '' when
+ * the message has no HTML part.
+ */
+export function buildPreviewHtml(eml) {
+  const leaves = leafParts(parseMimePart(eml));
+  const htmlPart = leaves.find(part => part.type === 'text/html');
+  if (!htmlPart) return '';
+
+  let html = decodeTextPart(htmlPart);
+  for (const part of leaves) {
+    const cid = (part.headers['content-id'] || '').replace(/^<|>$/g, '');
+    if (!cid) continue;
+    const dataUri = `data:${part.type};base64,${part.body.replace(/\s+/g, '')}`;
+    html = html.split(`cid:${cid}`).join(dataUri);
+  }
+  return html;
+}
@@ -0,0 +1,126 @@
+/* ============================================================
+   Converto – document profiles (layout rules per letter model)
+   ============================================================ */
+
+import { groupIntoLines, buildLineText } from './text.js';
+import { QUARTER_LABELS } from './tables.js';
+import { NIF_REGEX_SOURCE } from './nif.js';
+
+// A profile in profiles/index.json describes one letter layout:
+//
+//   detect     regexes matched against the first page to auto-select it
+//   subject    { template, fallback }; {signer}, {recipient} and {nif} are
+//              filled in, the fallback is used when a placeholder is empty
+//   recipient  { nifRegex, region }: NIF line within [top, bottom] of the
+//              page height; the text after the NIF is the recipient name.
+//              The default nifRegex (nif.js) takes DNI, NIE, K/L/M and
+//              CIF; set it only for a layout that prints IDs differently
+//   toEmail    { label, ccLabel, region }: recipient email lines starting
+//              with label (To) or ccLabel (Cc)
+//   signer     { anchorRegex }: the signer is the line just above it
+//   tables     special detectors, e.g. { type: 'quarter', labels, rowLabel }
+//
+// Regexes are strings, compiled case-insensitive.
+
+// The Modelo 347 letter the app was written for; also the fallback when no
+// profile is given or none is detected.
+const DEFAULT_PROFILE_DEFINITION = {
+  id: 'modelo347',
+  label: 'Modelo 347',
+  detect: [],
+  subject: { template: 'MODELO 347 {signer}', fallback: 'MODELO 347' },
+  recipient: { nifRegex: NIF_REGEX_SOURCE, region: [0, 0.35] },
+  toEmail: { label: 'A', ccLabel: 'CC', region: [0, 1] },
+  signer: { anchorRegex: 'Dto\\.?\\s*de\\s*Contabilidad' },
+  tables: [{ type: 'quarter', labels: QUARTER_LABELS, rowLabel: 'Importes' }]
+};
+
+export function compileProfile(def) {
+  const base = DEFAULT_PROFILE_DEFINITION;
+  const recipient = { ...base.recipient, ...def.recipient };
+  const toEmail = { ...base.toEmail, ...def.toEmail };
+  const signer = { ...base.signer, ...def.signer };
+  const subject = { ...base.subject, ...def.subject };
+
+  return {
+    id: def.id,
+    label: def.label || def.id,
+    detect: (def.detect || []).map(src => new RegExp(src, 'i')),
+    subject,
+    recipient: {
+      // Case-sensitive: tax IDs are printed upper-case
+      nifRegex: new RegExp(recipient.nifRegex),
+      region: recipient.region
+    },
+    toEmail: {
+      labelOnly: new RegExp(`^(?:${toEmail.label}):?$`, 'i'),
+      labelPrefix: new RegExp(`^(?:${toEmail.label}):?\\s+`, 'i'),
+      ccLabelOnly: new RegExp(`^(?:${toEmail.ccLabel}):?$`, 'i'),
+      ccLabelPrefix: new RegExp(`^(?:${toEmail.ccLabel}):?\\s+`, 'i'),
+      region: toEmail.region
+    },
+    signer: { anchorRegex: new RegExp(signer.anchorRegex, 'i') },
+    tables: (def.tables || base.tables).map(t => ({
+      ...t,
+      rowLabel: new RegExp(`^(?:${t.rowLabel})\\b`, 'i')
+    }))
+  };
+}
+
+export const DEFAULT_PROFILE = compileProfile(DEFAULT_PROFILE_DEFINITION);
+
+// Compile the manifest, skipping (and reporting) broken entries
+export function compileProfiles(defs) {
+  const profiles = [];
+  for (const def of defs || []) {
+    try {
+      profiles.push(compileProfile(def));
+    } catch (e) {
+      console.warn(`Invalid profile "${def && def.id}":`, e.message);
+    }
+  }
+  return profiles;
+}
+
+/**
+ * Pick the profile whose detect patterns match the most on the first page.
+ * Ties go to the earlier profile in the manifest. Returns null when nothing
+ * matches.
+ */
+export function detectProfile(page, profiles) {
+  if (!page || !profiles || !profiles.length) return null;
+  const text = groupIntoLines(page.textItems)
+    .map(line => buildLineText(line.items))
+    .join('\n');
+
+  let best = null;
+  let bestScore = 0;
+  for (const profile of profiles) {
+    const score = profile.detect.filter(re => re.test(text)).length;
+    if (score > bestScore) {
+      best = profile;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// "MODELO 347 {signer}" + { signer: 'Ana' } → "MODELO 347 Ana"; null if a
+// placeholder has no value so the caller can use the fallback.
+export function fillTemplate(template, values) {
+  let missing = false;
+  const out = template.replace(/\{(\w+)\}/g, (_, key) => {
+    const value = values[key];
+    if (!value) missing = true;
+    return value || '';
+  });
+  return missing ? null : out.replace(/\s+/g, ' ').trim();
+}
+
+// Lines of a page inside a vertical region given as [top, bottom] ratios
+export function linesInRegion(lines, page, region) {
+  const [top, bottom] = region || [0, 1];
+  return lines.filter(line =>
+    (top <= 0 || line.y >= page.height * top) &&
+    (bottom >= 1 || line.y <= page.height * bottom));
+}
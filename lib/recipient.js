@@ -0,0 +1,202 @@
+/* ============================================================
+   Converto – recipient, To address and subject extraction
+   ============================================================ */
+
+import { groupIntoLines, buildLineText, normalizePdfText, stripInvisibleChars } from './text.js';
+import { DEFAULT_PROFILE, fillTemplate, linesInRegion } from './profiles.js';
+import { validateNif } from './nif.js';
+
+// Layout rules (anchors, regexes, search regions) come from the document
+// profile; DEFAULT_PROFILE is the Modelo 347 letter.
+export const DEFAULT_SUBJECT = DEFAULT_PROFILE.subject.fallback;
+
+export function extractRecipient(page, profile = DEFAULT_PROFILE) {
+  return findRecipientLine(page, profile).name;
+}
+
+// NIF found on the recipient line (same line extractRecipient reads)
+export function extractNif(page, profile = DEFAULT_PROFILE) {
+  return findRecipientLine(page, profile).nif;
+}
+
+// First line with a NIF whose control character checks out; a line with an
+// invalid (or non-Spanish) ID is used only when there is no valid one, so
+// reference numbers that look like IDs do not win over the real one.
+function findRecipientLine(page, profile) {
+  if (!page) return { nif: '', name: '' };
+  const { textItems } = page;
+  const sorted = [...textItems].sort((a, b) => a.y - b.y || a.x - b.x);
+  const lines = linesInRegion(groupIntoLines(sorted), page, profile.recipient.region);
+
+  let fallback = null;
+  for (const line of lines) {
+    const lineStr = buildLineText(line.items);
+    const m = lineStr.match(profile.recipient.nifRegex);
+    if (m) {
+      const afterNif = lineStr.substring(m.index + m[0].length).trim();
+      const found = { nif: m[1], name: afterNif };
+      if (validateNif(m[1]).valid) return found;
+      if (!fallback) fallback = found;
+    }
+  }
+  return fallback || { nif: '', name: '' };
+}
+
+const EMAIL_REGEX = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const LIST_SEPARATOR_REGEX = /[,;]|\s+(?:y|and)\s+/gi;
+export const EMAIL_BLACKLIST = new Set(['conta@nmeconomista.com']);
+
+// First To line's addresses, as one comma-separated header value
+export function extractToEmail(page, profile = DEFAULT_PROFILE) {
+  return extractRecipientEmails(page, profile).to.join(', ');
+}
+
+/**
+ * Every address of the To block (the first line starting with the profile's
+ * To label, e.g. "A") and of any Cc line ("CC:"). A block takes in the lines
+ * below it while they carry more addresses: lists separated by "," / ";" /
+ * " y ", or an address broken across two lines. When the To line has no
+ * address in its text, mailto: links next to it are used. Returns
+ * { to: [], cc: [] }, lower-cased, without EMAIL_BLACKLIST entries; an
+ * address already in To is not repeated in Cc.
+ */
+export function extractRecipientEmails(page, profile = DEFAULT_PROFILE) {
+  if (!page) return { to: [], cc: [] };
+  const lines = linesInRegion(
+    groupIntoLines(page.textItems).sort((a, b) => a.y - b.y || a.x - b.x),
+    page,
+    profile.toEmail.region
+  );
+  const { labelOnly, labelPrefix, ccLabelOnly, ccLabelPrefix } = profile.toEmail;
+  const labelled = lines.map(line => ({
+    to: textAfterLabel(line, labelOnly, labelPrefix),
+    cc: textAfterLabel(line, ccLabelOnly, ccLabelPrefix)
+  }));
+  const isLabelLine = j => labelled[j].to !== null || labelled[j].cc !== null;
+
+  let to = [];
+  const toIndex = labelled.findIndex(l => l.to !== null);
+  if (toIndex !== -1) {
+    to = readAddressBlock(lines, toIndex, labelled[toIndex].to, isLabelLine);
+    if (!to.length) to = mailtoNear(page, lines[toIndex].y);
+  }
+
+  const cc = [];
+  labelled.forEach((l, j) => {
+    if (l.cc === null) return;
+    for (const email of readAddressBlock(lines, j, l.cc, isLabelLine)) {
+      if (!to.includes(email) && !cc.includes(email)) cc.push(email);
+    }
+  });
+  return { to, cc };
+}
+
+// Text after the label when the line starts with it ("A", "A:" or "A x@y"
+// in the same text item), else null
+function textAfterLabel(line, labelOnly, labelPrefix) {
+  const sortedItems = [...line.items].sort((a, b) => a.x - b.x);
+  // Find first item with non-empty normalized text
+  const firstIdx = sortedItems.findIndex(it => normalizePdfText(it.str) !== '');
+  if (firstIdx === -1) return null;
+  const firstToken = normalizePdfText(sortedItems[firstIdx].str);
+  const rest = buildLineText(sortedItems.slice(firstIdx + 1));
+
+  // Case 1: the label is a separate text item
+  if (labelOnly.test(firstToken)) return rest;
+  // Case 2: label and address in the same item (e.g. "A club@leroymerlin.es")
+  if (labelPrefix.test(firstToken)) {
+    const afterLabel = firstToken.replace(labelPrefix, '');
+    return afterLabel + (rest ? ' ' + rest : '');
+  }
+  return null;
+}
+
+function readAddressBlock(lines, index, text, isLabelLine) {
+  let j = index + 1;
+  // Nothing found yet: the address may continue on the next line
+  if (!findEmails(text).length && j < lines.length && !isLabelLine(j)) {
+    text += buildLineText(lines[j].items).replace(/\s+/g, '');
+    j++;
+  }
+  // Further lines of a list ("a@x.es," / "b@y.es")
+  for (; j < lines.length && !isLabelLine(j); j++) {
+    const next = buildLineText(lines[j].items);
+    const listContinues = /[,;]\s*$/.test(text) && EMAIL_REGEX.test(next);
+    if (!listContinues && !isAddressList(next)) break;
+    text += ', ' + next;
+  }
+  return findEmails(text);
+}
+
+// A line made only of addresses and separators
+function isAddressList(text) {
+  const rest = stripInvisibleChars(text)
+    .replace(new RegExp(EMAIL_REGEX.source, 'gi'), '')
+    .replace(LIST_SEPARATOR_REGEX, '')
+    .trim();
+  return EMAIL_REGEX.test(text) && rest === '';
+}
+
+// mailto: links within 20pt of the To line
+function mailtoNear(page, lineY) {
+  const emails = [];
+  const yTolerance = 20;
+  for (const ann of page.annotations || []) {
+    const url = ann.url || ann.unsafeUrl || '';
+    if (!url.startsWith('mailto:')) continue;
+    // ann.rect = [x1, y1, x2, y2] in PDF coords; convert y to page coords
+    const annY = page.height - ann.rect[3];
+    if (Math.abs(annY - lineY) > yTolerance) continue;
+    const mailtoEmail = url.replace(/^mailto:/i, '').split('?')[0].toLowerCase();
+    if (mailtoEmail && !EMAIL_BLACKLIST.has(mailtoEmail) && !emails.includes(mailtoEmail)) emails.push(mailtoEmail);
+  }
+  return emails;
+}
+
+export function extractSubject(page, profile = DEFAULT_PROFILE, values = {}) {
+  const { template, fallback } = profile.subject;
+  if (!page) return fallback;
+  const lines = groupIntoLines(page.textItems).sort((a, b) => a.y - b.y || a.x - b.x);
+  let signer = '';
+  for (let i = 0; i < lines.length; i++) {
+    const text = buildLineText(lines[i].items);
+    if (profile.signer.anchorRegex.test(text)) {
+      for (let j = i - 1; j >= 0; j--) {
+        signer = buildLineText(lines[j].items);
+        if (signer) break;
+      }
+      break;
+    }
+  }
+  return fillTemplate(template, { ...values, signer }) || fallback;
+}
+
+export function collectEmails(text, y, list) {
+  const matches = text.matchAll(new RegExp(EMAIL_REGEX.source, 'ig'));
+  for (const match of matches) {
+    const raw = match[0];
+    const email = raw.toLowerCase();
+    if (EMAIL_BLACKLIST.has(email)) continue;
+    list.push({ email, y });
+  }
+}
+
+/**
+ * Every address in a label line's text, in order and without repeats. The
+ * list is split on "," ";" or " y " first, then each piece loses its spaces
+ * (pdf.js often splits one address into several text items).
+ */
+export function findEmails(text) {
+  const list = [];
+  for (const piece of stripInvisibleChars(text).split(LIST_SEPARATOR_REGEX)) {
+    collectEmails(piece.replace(/\s+/g, ''), 0, list);
+  }
+  return [...new Set(list.map(entry => entry.email))];
+}
+
+export function findFirstEmail(text) {
+  const match = text.match(EMAIL_REGEX);
+  if (!match) return '';
+  const email = match[0].toLowerCase();
+  return EMAIL_BLACKLIST.has(email) ? '' : email;
+}
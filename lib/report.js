@@ -0,0 +1,83 @@
+/* ============================================================
+   Converto – per-file status report (results table / CLI CSV) and
+   batch data export (CSV / XLSX)
+   ============================================================ */
+
+import { NO_DETECTED_EMAIL_PREFIX } from './filenames.js';
+import { toCsv } from './csv.js';
+import { createXlsx } from './xlsx.js';
+import { QUARTER_LABELS } from './tables.js';
+import { parseEuropeanNumber } from './text.js';
+import { formatPageRange } from './split.js';
+
+// A letter split from a combined PDF: "campaña.pdf (pages 3–4)"
+function pdfLabel(pdfName, result) {
+  return result.pageRange ? `${pdfName} (${formatPageRange(result.pageRange)})` : pdfName;
+}
+
+// Diag plus the batch-level duplicate warnings (duplicates.js)
+function diagnosticsText(result) {
+  return [result.diagnostics, ...(result.duplicateNotes || [])].filter(Boolean).join('; ');
+}
+
+export const REPORT_HEADERS = ['PDF', 'NIF', 'Recipient', 'To', 'Cc', 'Subject', 'EML file', 'Diag', 'Status'];
+
+// One row of the report, in REPORT_HEADERS order, with the same fallbacks
+// the results table shows (UNKNOWN recipient, NDE when no To was found).
+export function buildReportRow(result, pdfName, emlFileName) {
+  const error = result.error ? ` (${result.error})` : '';
+  return [
+    pdfLabel(pdfName, result),
+    result.nif || '',
+    result.recipient || 'UNKNOWN',
+    result.toEmail || NO_DETECTED_EMAIL_PREFIX,
+    result.ccEmail || '',
+    result.subject || '',
+    emlFileName || '',
+    diagnosticsText(result),
+    `${result.status}${error}`
+  ];
+}
+
+// Batch manifest shipped inside the ZIP download
+export const MANIFEST_HEADERS = ['PDF', 'Recipient', 'To', 'EML file', 'Status'];
+
+export function buildManifestCsv(results, emlNameFor) {
+  const rows = results.map(result => {
+    const [pdfName, , recipient, to, , , emlFile, , status] =
+      buildReportRow(result, result.file.name, emlNameFor(result));
+    return [pdfName, recipient, to, emlFile, status];
+  });
+  return toCsv([MANIFEST_HEADERS, ...rows]);
+}
+
+// ── Batch data export ─────────────────────────────────────────
+// The extracted data of every PDF, for the control spreadsheet: quarter
+// amounts (1T–4T, Total) as numbers instead of the printed "1.234,56".
+export const EXPORT_HEADERS = ['PDF', 'NIF', 'Recipient', 'To', 'Cc', 'Subject', ...QUARTER_LABELS, 'Status', 'Diag'];
+
+export function buildExportRow(result) {
+  const values = (result.quarterAmounts && result.quarterAmounts.values) || [];
+  const error = result.error ? ` (${result.error})` : '';
+  return [
+    pdfLabel(result.file.name, result),
+    result.nif || '',
+    result.recipient || '',
+    result.toEmail || '',
+    result.ccEmail || '',
+    result.subject || '',
+    ...QUARTER_LABELS.map((_, i) => parseEuropeanNumber(values[i])),
+    `${result.status}${error}`,
+    diagnosticsText(result)
+  ];
+}
+
+// Numbers are written with a decimal point (1234.56), empty when missing
+export function buildExportCsv(results) {
+  const rows = results.map(result => buildExportRow(result).map(value => value ?? ''));
+  return toCsv([EXPORT_HEADERS, ...rows]);
+}
+
+export function buildExportXlsx(results, date = new Date()) {
+  return createXlsx([EXPORT_HEADERS, ...results.map(buildExportRow)], { sheetName: 'Converto', date });
+}
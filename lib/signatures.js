@@ -0,0 +1,30 @@
+/* ============================================================
+   Converto – signature manifest helpers
+   ============================================================ */
+
+// If a signature is a full HTML document (Outlook exports), keep only the
+// <body> content so it can be appended to the message body.
+export function extractSignatureBody(html) {
+  const bodyMatch = String(html || '').match(/<body[^>]*>([\s\S]*?)<\/body>/i);
+  return (bodyMatch ? bodyMatch[1] : String(html || '')).trim();
+}
+
+/**
+ * Sender identity of a signatures/index.json entry, or null when the entry
+ * has no `sender.email`. `cc`/`bcc` (e.g. an archive mailbox) are added to
+ * every message sent with that signature; `readReceipt` asks for a
+ * read receipt; `replyTo` defaults to the sender address.
+ */
+export function readSignatureSender(entry) {
+  const sender = entry && entry.sender;
+  const email = sender && String(sender.email || '').trim();
+  if (!email) return null;
+  return {
+    name: String(sender.name || '').trim(),
+    email,
+    replyTo: String(sender.replyTo || '').trim() || email,
+    cc: String(sender.cc || '').trim(),
+    bcc: String(sender.bcc || '').trim(),
+    readReceipt: sender.readReceipt === true
+  };
+}
@@ -0,0 +1,111 @@
+/* ============================================================
+   Converto – split a combined PDF into one letter per client
+   ============================================================ */
+
+// A3 can print a whole campaign as one PDF, one letter (two or three
+// pages) per client. A page starts a new letter when it says so
+// ("Página 1 de 3"), or when its recipient block changes: a NIF line
+// (extractNif's logic) or an "A:" line with other addresses than the
+// letter so far. Page markers win over the recipient block, so a letter
+// that repeats its header on every page is not cut.
+
+import { groupIntoLines, buildLineText } from './text.js';
+import { extractNif, extractRecipient, extractRecipientEmails } from './recipient.js';
+import { extractPage } from './extract.js';
+import { normalizeNif } from './nif.js';
+import { DEFAULT_PROFILE, detectProfile } from './profiles.js';
+
+// "Página 1 de 3", "Pág. 2/3", "Page 1 of 3"
+const PAGE_MARKER_REGEX = /\b(?:p[áa]gina|p[áa]g\.?|page)\s*(\d+)\s*(?:de|of|\/)\s*(\d+)\b/i;
+
+export function readPageMarker(page) {
+  for (const line of groupIntoLines(page.textItems)) {
+    const m = PAGE_MARKER_REGEX.exec(buildLineText(line.items));
+    if (m && Number(m[1]) >= 1 && Number(m[1]) <= Number(m[2])) {
+      return { pageNumber: Number(m[1]), pageCount: Number(m[2]) };
+    }
+  }
+  return null;
+}
+
+// What detectLetterStarts() and the split preview need from a page
+export function summarizePage(page, profile = DEFAULT_PROFILE) {
+  return {
+    nif: normalizeNif(extractNif(page, profile)),
+    recipient: extractRecipient(page, profile),
+    to: extractRecipientEmails(page, profile).to,
+    marker: readPageMarker(page)
+  };
+}
+
+/**
+ * First page (1-based) of every letter, from summarizePage() results.
+ * Returns [{ pageNumber, reason }], reason 'start' | 'page marker' |
+ * 'NIF' | 'A:'; page 1 always starts the first letter.
+ */
+export function detectLetterStarts(summaries) {
+  const starts = [];
+  let nif = '';
+  let to = [];
+  summaries.forEach((page, i) => {
+    let reason = '';
+    if (i === 0) reason = 'start';
+    else if (page.marker) reason = page.marker.pageNumber === 1 ? 'page marker' : '';
+    else if (page.nif && nif && page.nif !== nif) reason = 'NIF';
+    else if (page.to.length && to.length && !page.to.some(email => to.includes(email))) reason = 'A:';
+
+    if (reason) {
+      starts.push({ pageNumber: i + 1, reason });
+      nif = page.nif;
+      to = page.to;
+    } else {
+      // A letter whose recipient block is on its second page
+      nif = nif || page.nif;
+      to = to.length ? to : page.to;
+    }
+  });
+  return starts;
+}
+
+// Start pages → [{ first, last }] covering every page once
+export function buildSegments(startPages, numPages) {
+  const starts = normalizeStarts(startPages, numPages);
+  return starts.map((first, i) => ({ first, last: i + 1 < starts.length ? starts[i + 1] - 1 : numPages }));
+}
+
+// "1, 4, 7" as typed in the split preview → sorted page numbers, always
+// with page 1; numbers out of range are dropped
+export function parseSplitPoints(text, numPages) {
+  const numbers = String(text || '').split(/[\s,;]+/).filter(Boolean).map(Number);
+  return normalizeStarts(numbers, numPages);
+}
+
+function normalizeStarts(pages, numPages) {
+  const valid = pages.filter(n => Number.isInteger(n) && n >= 1 && n <= numPages);
+  return [...new Set([1, ...valid])].sort((a, b) => a - b);
+}
+
+export function formatPageRange({ first, last }) {
+  return first === last ? `page ${first}` : `pages ${first}–${last}`;
+}
+
+/**
+ * Read a PDF's text layer and propose where its letters start. Returns
+ * { numPages, profileId, pages: summarizePage()[], starts } (see
+ * detectLetterStarts). Pages without text (scans) never start a letter.
+ */
+export async function scanPdfForSplit(data, { pdfjsLib, documentParams, profile = null, profiles = [] }) {
+  const loadingTask = pdfjsLib.getDocument({ ...documentParams, data });
+  const extracted = [];
+  try {
+    const pdf = await loadingTask.promise;
+    for (let i = 1; i <= pdf.numPages; i++) {
+      extracted.push(await extractPage(await pdf.getPage(i), pdfjsLib.OPS));
+    }
+  } finally {
+    await loadingTask.destroy();
+  }
+  const activeProfile = profile || detectProfile(extracted[0], profiles) || DEFAULT_PROFILE;
+  const pages = extracted.map(page => summarizePage(page, activeProfile));
+  return { numPages: pages.length, profileId: activeProfile.id, pages, starts: detectLetterStarts(pages) };
+}
@@ -0,0 +1,109 @@
+/* ============================================================
+   Converto – text styles (bold / italic / size hierarchy)
+   ============================================================ */
+
+import { LINE_GAP, normalizePdfText, escapeHtml } from './text.js';
+
+// Everything is rendered relative to the page's body text, which maps to
+// the 11pt the emails have always used.
+export const BASE_FONT_PT = 11;
+
+const BOLD_NAME_REGEX   = /bold|black|heavy|semibold|demi/i;
+const ITALIC_NAME_REGEX = /italic|oblique|kursiv/i;
+
+// Size ratios (line size / body size) for heading tags and small print
+const H2_RATIO = 1.5;
+const H3_RATIO = 1.2;
+const MIN_SIZE_CHANGE = 0.1;
+
+// "ABCDEF+Calibri-BoldItalic", "Arial,Bold", "Helvetica-Oblique"…
+export function fontStyleFromName(name) {
+  const s = String(name || '');
+  return { bold: BOLD_NAME_REGEX.test(s), italic: ITALIC_NAME_REGEX.test(s) };
+}
+
+// Most common glyph height on the page, weighted by text length
+export function dominantFontSize(items) {
+  const weights = new Map();
+  for (const it of items) {
+    const len = normalizePdfText(it.str).trim().length;
+    if (!len || !it.h) continue;
+    const size = Math.round(it.h * 2) / 2;
+    weights.set(size, (weights.get(size) || 0) + len);
+  }
+  let best = 0, bestWeight = 0;
+  for (const [size, weight] of weights) {
+    if (weight > bestWeight) { best = size; bestWeight = weight; }
+  }
+  return best || BASE_FONT_PT;
+}
+
+/**
+ * Style of a whole line: { tag, bold, italic, size, fontPt }.
+ * tag is h2/h3 for lines clearly larger than the body text, else p;
+ * fontPt is the size to render, relative to BASE_FONT_PT.
+ */
+export function lineStyle(items, bodySize) {
+  const visible = items.filter(it => normalizePdfText(it.str).trim());
+  if (!visible.length) return { tag: 'p', bold: false, italic: false, size: bodySize, fontPt: BASE_FONT_PT };
+  const size = Math.max(...visible.map(it => it.h || 0)) || bodySize;
+  const ratio = size / bodySize;
+  const tag = ratio >= H2_RATIO ? 'h2' : ratio >= H3_RATIO ? 'h3' : 'p';
+  const fontPt = Math.abs(ratio - 1) < MIN_SIZE_CHANGE
+    ? BASE_FONT_PT
+    : Math.round(BASE_FONT_PT * ratio * 2) / 2;
+  return {
+    tag,
+    bold: visible.every(it => it.bold),
+    italic: visible.every(it => it.italic),
+    size,
+    fontPt
+  };
+}
+
+// Same spacing rules as buildLineText, but split into runs of equal style
+export function buildLineRuns(items) {
+  const sorted = [...items].sort((a, b) => a.x - b.x);
+  const runs = [];
+  let prev = null;
+
+  for (const item of sorted) {
+    const value = normalizePdfText(item.str);
+    if (!value) continue;
+    const bold = !!item.bold;
+    const italic = !!item.italic;
+    let text = value;
+    if (runs.length) {
+      const gap = prev ? item.x - (prev.x + prev.w) : LINE_GAP + 1;
+      if (gap > LINE_GAP) text = ' ' + text;
+    }
+    const last = runs[runs.length - 1];
+    if (last && last.bold === bold && last.italic === italic) last.text += text;
+    else runs.push({ text, bold, italic });
+    prev = item;
+  }
+
+  // Collapse whitespace like buildLineText, keeping spaces between runs
+  runs.forEach((run, i) => {
+    run.text = run.text.replace(/\s+/g, ' ');
+    if (i > 0 && runs[i - 1].text.endsWith(' ')) run.text = run.text.trimStart();
+  });
+  if (runs.length) {
+    runs[0].text = runs[0].text.trimStart();
+    runs[runs.length - 1].text = runs[runs.length - 1].text.trimEnd();
+  }
+  return runs.filter(run => run.text);
+}
+
+// Runs → HTML. Headings pass `bold: false` since they are bold already.
+export function renderRuns(runs, { bold = true } = {}) {
+  return runs.map(run => {
+    // Keep separating spaces outside the tags
+    const lead = run.text.startsWith(' ') ? ' ' : '';
+    const trail = run.text.endsWith(' ') ? ' ' : '';
+    let html = escapeHtml(run.text.trim());
+    if (run.italic) html = `<em>${html}</em>`;
+    if (run.bold && bold) html = `<strong>${html}</strong>`;
+    return lead + html + trail;
+  }).join('');
+}
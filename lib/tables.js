@@ -0,0 +1,527 @@
+/* ============================================================
+   Converto – table detection & rendering
+   ============================================================ */
+
+import { EPS, groupIntoLines, buildLineText, normalizePdfText, isEuropeanNumber, escapeHtml } from './text.js';
+import { lineStyle, buildLineRuns, renderRuns, BASE_FONT_PT } from './styles.js';
+
+// Tolerance for merging edge segment gaps (handles dashed/multi-segment borders)
+const EDGE_EPS = 6;
+
+function near(a, b) { return Math.abs(a - b) <= EPS; }
+
+function clusterValues(vals, eps) {
+  if (!vals.length) return [];
+  vals = [...vals].sort((a, b) => a - b);
+  const clusters = [vals[0]];
+  for (let i = 1; i < vals.length; i++) {
+    if (vals[i] - clusters[clusters.length - 1] > eps)
+      clusters.push(vals[i]);
+    else
+      clusters[clusters.length - 1] =
+        (clusters[clusters.length - 1] + vals[i]) / 2;   // average
+  }
+  return clusters;
+}
+
+function snapTo(val, grid) {
+  let best = grid[0], bestD = Math.abs(val - grid[0]);
+  for (let i = 1; i < grid.length; i++) {
+    const d = Math.abs(val - grid[i]);
+    if (d < bestD) { best = grid[i]; bestD = d; }
+  }
+  return best;
+}
+
+// Join grid slots that no internal border separates. A joined region that
+// is a full rectangle closed on all four sides is one cell (spanning
+// several rows/columns when merged); anything else is not part of a table.
+// Returns cellAt[r][c] → { r0, c0, r1, c1 } | null, shared by merged slots.
+function buildCells(rows, cols, hEdge, vEdge) {
+  const cellAt = Array.from({ length: rows }, () => Array(cols).fill(null));
+  const seen = Array.from({ length: rows }, () => Array(cols).fill(false));
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (seen[r][c]) continue;
+      const slots = [];
+      const queue = [[r, c]];
+      seen[r][c] = true;
+      while (queue.length) {
+        const [cr, cc] = queue.shift();
+        slots.push([cr, cc]);
+        const open = [
+          [cr, cc + 1, cc + 1 < cols && !vEdge[cr][cc + 1]],
+          [cr, cc - 1, cc > 0 && !vEdge[cr][cc]],
+          [cr + 1, cc, cr + 1 < rows && !hEdge[cr + 1][cc]],
+          [cr - 1, cc, cr > 0 && !hEdge[cr][cc]]
+        ];
+        for (const [nr, nc, isOpen] of open) {
+          if (isOpen && !seen[nr][nc]) {
+            seen[nr][nc] = true;
+            queue.push([nr, nc]);
+          }
+        }
+      }
+
+      const r0 = Math.min(...slots.map(s => s[0]));
+      const r1 = Math.max(...slots.map(s => s[0]));
+      const c0 = Math.min(...slots.map(s => s[1]));
+      const c1 = Math.max(...slots.map(s => s[1]));
+      if (slots.length !== (r1 - r0 + 1) * (c1 - c0 + 1)) continue;
+
+      let closed = true;
+      for (let cc = c0; cc <= c1 && closed; cc++) closed = hEdge[r0][cc] && hEdge[r1 + 1][cc];
+      for (let rr = r0; rr <= r1 && closed; rr++) closed = vEdge[rr][c0] && vEdge[rr][c1 + 1];
+      if (!closed) continue;
+
+      const cell = { r0, c0, r1, c1 };
+      for (const [sr, sc] of slots) cellAt[sr][sc] = cell;
+    }
+  }
+  return cellAt;
+}
+
+/** Detect tables from line segments, return { tables, usedTextIndices } */
+export function detectTables(segments, textItems) {
+  const hSegs = [];
+  const vSegs = [];
+
+  for (const s of segments) {
+    if (near(s.y0, s.y1)) {                               // horizontal
+      hSegs.push({ a: Math.min(s.x0, s.x1), b: Math.max(s.x0, s.x1), v: (s.y0 + s.y1) / 2 });
+    } else if (near(s.x0, s.x1)) {                        // vertical
+      vSegs.push({ a: Math.min(s.y0, s.y1), b: Math.max(s.y0, s.y1), v: (s.x0 + s.x1) / 2 });
+    }
+  }
+
+  if (hSegs.length < 2 || vSegs.length < 2) return { tables: [], usedTextIndices: new Set(), hSegsCount: hSegs.length, vSegsCount: vSegs.length, xGrid: [], yGrid: [] };
+
+  // Build grids
+  const xVals = [];
+  for (const v of vSegs) xVals.push(v.v);
+  const yVals = [];
+  for (const h of hSegs) yVals.push(h.v);
+
+  const xGrid = clusterValues(xVals, EPS);
+  const yGrid = clusterValues(yVals, EPS);
+
+  if (xGrid.length < 2 || yGrid.length < 2) return { tables: [], usedTextIndices: new Set(), hSegsCount: hSegs.length, vSegsCount: vSegs.length, xGrid, yGrid };
+
+  // For each potential cell, check that bounding edges exist
+  // We consider a "table region" as a connected rectangular block of cells
+  // that have at least their four edges present in the segments.
+
+  // Build edge look-ups using interval coverage to handle multi-segment borders
+  /**
+   * Returns true if sorted segments collectively cover the interval [a, b]
+   * within EDGE_EPS tolerance (i.e. no gap between consecutive segments is
+   * wider than EDGE_EPS and the merged coverage reaches b).
+   * @param {Array<{a:number,b:number}>} candidates - segments sorted by .a
+   * @param {number} a - interval start
+   * @param {number} b - interval end
+   */
+  function edgeCovers(candidates, a, b) {
+    let reached = a - EDGE_EPS;
+    for (const seg of candidates) {
+      if (seg.a > reached + EDGE_EPS) return false;
+      reached = Math.max(reached, seg.b);
+      if (reached >= b - EDGE_EPS) return true;
+    }
+    return reached >= b - EDGE_EPS;
+  }
+  function hasHEdge(x0, x1, y) {
+    const cands = hSegs
+      .filter(s => near(s.v, y) && s.b >= x0 - EDGE_EPS && s.a <= x1 + EDGE_EPS)
+      .sort((a, b) => a.a - b.a);
+    return edgeCovers(cands, x0, x1);
+  }
+  function hasVEdge(y0, y1, x) {
+    const cands = vSegs
+      .filter(s => near(s.v, x) && s.b >= y0 - EDGE_EPS && s.a <= y1 + EDGE_EPS)
+      .sort((a, b) => a.a - b.a);
+    return edgeCovers(cands, y0, y1);
+  }
+
+  // Edge presence per grid step: hEdge[r][c] is the border along yGrid[r]
+  // over column c, vEdge[r][c] the border along xGrid[c] over row r.
+  const rows = yGrid.length - 1;
+  const cols = xGrid.length - 1;
+  const hEdge = Array.from({ length: rows + 1 }, (_, r) =>
+    Array.from({ length: cols }, (_, c) => hasHEdge(xGrid[c], xGrid[c + 1], yGrid[r]))
+  );
+  const vEdge = Array.from({ length: rows }, (_, r) =>
+    Array.from({ length: cols + 1 }, (_, c) => hasVEdge(yGrid[r], yGrid[r + 1], xGrid[c]))
+  );
+
+  // cellAt[r][c] → the (possibly merged) cell covering grid slot r,c, or null
+  const cellAt = buildCells(rows, cols, hEdge, vEdge);
+
+  // Find connected table regions via flood fill
+  const visited = Array.from({ length: rows }, () => Array(cols).fill(false));
+  const tableRegions = [];
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (cellAt[r][c] && !visited[r][c]) {
+        const slots = [];
+        const queue = [[r, c]];
+        visited[r][c] = true;
+        while (queue.length) {
+          const [cr, cc] = queue.shift();
+          slots.push([cr, cc]);
+          for (const [dr, dc] of [[0,1],[0,-1],[1,0],[-1,0]]) {
+            const nr = cr + dr, nc = cc + dc;
+            if (nr >= 0 && nr < rows && nc >= 0 && nc < cols &&
+                cellAt[nr][nc] && !visited[nr][nc]) {
+              visited[nr][nc] = true;
+              queue.push([nr, nc]);
+            }
+          }
+        }
+        const cellCount = new Set(slots.map(([sr, sc]) => cellAt[sr][sc])).size;
+        if (cellCount >= 2) tableRegions.push(slots);      // at least 2 cells = table
+      }
+    }
+  }
+
+  // Build table objects. grid is tRows × tCols; a merged cell sits in its
+  // top-left slot with rowspan/colspan and the slots it covers are null.
+  const usedTextIndices = new Set();
+  const tables = [];
+
+  for (const slots of tableRegions) {
+    const rMin = Math.min(...slots.map(c => c[0]));
+    const rMax = Math.max(...slots.map(c => c[0]));
+    const cMin = Math.min(...slots.map(c => c[1]));
+    const cMax = Math.max(...slots.map(c => c[1]));
+
+    const tRows = rMax - rMin + 1;
+    const tCols = cMax - cMin + 1;
+    const grid  = Array.from({ length: tRows }, () =>
+      Array.from({ length: tCols }, () => ({ texts: [], rowspan: 1, colspan: 1 }))
+    );
+    for (const [r, c] of slots) {
+      const cell = cellAt[r][c];
+      if (r !== cell.r0 || c !== cell.c0) grid[r - rMin][c - cMin] = null;
+      else Object.assign(grid[r - rMin][c - cMin], { rowspan: cell.r1 - cell.r0 + 1, colspan: cell.c1 - cell.c0 + 1 });
+    }
+    // Slot → the grid entry holding its text (the merged cell's top-left);
+    // slots of the bounding box outside the region keep their own entry.
+    const inRegion = new Set(slots.map(([r, c]) => r * cols + c));
+    const entryAt = (r, c) => {
+      if (!inRegion.has(r * cols + c)) return grid[r - rMin][c - cMin];
+      const cell = cellAt[r][c];
+      return grid[cell.r0 - rMin][cell.c0 - cMin];
+    };
+
+    const tTop    = yGrid[rMin];
+    const tBottom = yGrid[rMax + 1];
+    const tLeft   = xGrid[cMin];
+    const tRight  = xGrid[cMax + 1];
+
+    // Assign text items to cells
+    textItems.forEach((ti, idx) => {
+      if (usedTextIndices.has(idx)) return;
+      const midX = ti.x + ti.w / 2;
+      const midY = ti.y + ti.h / 2;
+      if (midX < tLeft - EPS || midX > tRight + EPS ||
+          midY < tTop  - EPS || midY > tBottom + EPS) return;
+
+      // Find which cell
+      for (let r = rMin; r <= rMax; r++) {
+        for (let c = cMin; c <= cMax; c++) {
+          const cx0 = xGrid[c], cx1 = xGrid[c + 1];
+          const cy0 = yGrid[r], cy1 = yGrid[r + 1];
+          if (midX >= cx0 - EPS && midX <= cx1 + EPS &&
+              midY >= cy0 - EPS && midY <= cy1 + EPS) {
+            entryAt(r, c).texts.push(ti);
+            usedTextIndices.add(idx);
+            return;
+          }
+        }
+      }
+    });
+
+    tables.push({ top: tTop, left: tLeft, bottom: tBottom, right: tRight, grid, tRows, tCols });
+  }
+
+  return { tables, usedTextIndices, hSegsCount: hSegs.length, vSegsCount: vSegs.length, xGrid, yGrid };
+}
+
+// ── Quarterly amounts table fallback ──────────────────────────
+// Detects a free-text "quarterly amounts" pattern that lacks stroke lines.
+// Uses X-coordinate alignment so missing quarter values leave blank cells
+// without shifting other values left.
+//
+//   Header line: tokens 1T 2T 3T 4T Total (in order)
+//   Next non-empty line: starts with "Importes" + European-number items
+//
+// `spec` comes from the document profile (see profiles.js) and can change
+// the column labels and the row label regex.
+//
+// Returns { headerIdx, importesIdx, values, colMidX, labels, rowLabel } or
+// null. values has one entry per label, '' for blank columns; rowLabel is
+// the row label as printed.
+export const QUARTER_LABELS = ['1T', '2T', '3T', '4T', 'Total'];
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const DEFAULT_QUARTER_SPEC = { labels: QUARTER_LABELS, rowLabel: /^importes\b/i };
+
+export function detectQuarterTable(lines, spec = DEFAULT_QUARTER_SPEC) {
+  const labels = spec.labels || QUARTER_LABELS;
+  const rowLabelRe = spec.rowLabel || DEFAULT_QUARTER_SPEC.rowLabel;
+  const headerRe = new RegExp(
+    labels.map(l => `\\b${escapeRegExp(l)}\\b`).join('.*'),
+    'i'
+  );
+  for (let i = 0; i < lines.length; i++) {
+    const headerText = buildLineText(lines[i].items);
+    if (!headerRe.test(headerText)) continue;
+
+    // Locate each label's midX from its own text item
+    const headerItems = [...lines[i].items].sort((a, b) => a.x - b.x);
+    const colMidX = labels.map(label => {
+      const item = headerItems.find(
+        it => normalizePdfText(it.str).toUpperCase() === label.toUpperCase()
+      );
+      return item ? item.x + item.w / 2 : null;
+    });
+
+    // Need at least 2 known column positions for meaningful alignment
+    if (colMidX.filter(x => x !== null).length < 2) continue;
+
+    // Find next non-empty line
+    let j = i + 1;
+    while (j < lines.length && !buildLineText(lines[j].items)) j++;
+    if (j >= lines.length) continue;
+
+    const importesText = buildLineText(lines[j].items);
+    const rowMatch = importesText.match(rowLabelRe);
+    if (!rowMatch) continue;
+
+    // Extract numeric items from the Importes line
+    const numericItems = lines[j].items.filter(
+      it => isEuropeanNumber(normalizePdfText(it.str))
+    );
+    if (!numericItems.length) continue;
+
+    // Assign each number to the nearest header column by midX
+    const values = labels.map(() => '');
+    for (const numItem of numericItems) {
+      const numMidX = numItem.x + numItem.w / 2;
+      let bestIdx = -1;
+      let bestDist = Infinity;
+      for (let c = 0; c < labels.length; c++) {
+        if (colMidX[c] === null) continue;
+        const dist = Math.abs(numMidX - colMidX[c]);
+        if (dist < bestDist) { bestDist = dist; bestIdx = c; }
+      }
+      if (bestIdx >= 0) values[bestIdx] = normalizePdfText(numItem.str);
+    }
+
+    return {
+      headerIdx: i, importesIdx: j, values, colMidX,
+      labels, rowLabel: rowMatch[0].trim()
+    };
+  }
+  return null;
+}
+
+// ── Borderless tables by column alignment ─────────────────────
+// Unruled tables (invoice lists, per-supplier breakdowns…) are runs of
+// consecutive lines whose text falls into the same x-columns:
+//
+//   Proveedor            Base       Cuota
+//   ACME SL          1.000,00      210,00
+//   OTRA SA            500,00
+//
+// Each line is split into chunks at wide gaps; a run keeps growing while
+// every line has at most one chunk per column and every body column stays
+// left- or right-aligned. At least one column must hold amounts, so address
+// blocks and other two-column prose are left alone. A first line without
+// amounts above amount rows is taken as the header. Missing values stay
+// blank cells, as in detectQuarterTable.
+//
+// `skip` holds line indices already used (e.g. by the quarter fallback).
+// Returns [{ lineIndices, y, table }], table shaped like detectTables()
+// output plus headerRows, so renderTable() draws it.
+
+const COLUMN_GAP = 10;       // pt of white space that separates columns
+const ALIGN_EPS = 4;         // pt tolerance for shared left/right edges
+const MAX_ROW_GAP = 2.5;     // max line distance, in line heights
+const MIN_BODY_ROWS = 2;
+
+const isAmount = text => isEuropeanNumber(text.replace(/\s*(?:€|EUR)$/i, ''));
+
+function splitIntoChunks(line) {
+  const items = [...line.items]
+    .filter(it => normalizePdfText(it.str).trim())
+    .sort((a, b) => a.x - b.x);
+  const chunks = [];
+  for (const item of items) {
+    const last = chunks[chunks.length - 1];
+    if (last && item.x - last.right <= COLUMN_GAP) {
+      last.items.push(item);
+      last.right = Math.max(last.right, item.x + item.w);
+    } else {
+      chunks.push({ left: item.x, right: item.x + item.w, items: [item] });
+    }
+  }
+  for (const chunk of chunks) {
+    chunk.text = buildLineText(chunk.items);
+    chunk.amount = isAmount(chunk.text);
+  }
+  return chunks;
+}
+
+// Merge overlapping chunk extents into columns, sorted left to right
+function projectColumns(rows) {
+  const spans = rows.flat().map(ch => ({ left: ch.left, right: ch.right })).sort((a, b) => a.left - b.left);
+  const cols = [];
+  for (const span of spans) {
+    const last = cols[cols.length - 1];
+    if (last && span.left <= last.right + ALIGN_EPS) last.right = Math.max(last.right, span.right);
+    else cols.push({ ...span });
+  }
+  return cols;
+}
+
+const columnOf = (cols, chunk) => cols.findIndex(col => chunk.left >= col.left - ALIGN_EPS && chunk.right <= col.right + ALIGN_EPS);
+
+// Every row fits the columns with at most one chunk per column
+function fitsColumns(cols, rows) {
+  return rows.every(chunks => {
+    const used = chunks.map(ch => columnOf(cols, ch));
+    return !used.includes(-1) && new Set(used).size === used.length;
+  });
+}
+
+// Body chunks of each column share a left or a right edge
+function columnsAligned(cols, rows) {
+  return cols.every((_, c) => {
+    const chunks = rows.flatMap(row => row.filter(ch => columnOf(cols, ch) === c));
+    if (chunks.length < 2) return true;
+    const sameEdge = key => Math.max(...chunks.map(ch => ch[key])) - Math.min(...chunks.map(ch => ch[key])) <= ALIGN_EPS;
+    return sameEdge('left') || sameEdge('right');
+  });
+}
+
+function hasAmountColumn(cols, rows) {
+  return cols.some((_, c) => {
+    const cells = rows.map(row => row.find(ch => columnOf(cols, ch) === c)).filter(Boolean);
+    const amounts = cells.filter(ch => ch.amount).length;
+    return amounts >= MIN_BODY_ROWS && amounts * 2 >= cells.length;
+  });
+}
+
+export function detectAlignedTables(lines, skip = new Set()) {
+  const chunksByLine = lines.map((line, i) => (skip.has(i) ? [] : splitIntoChunks(line)));
+  const closeEnough = (a, b) => {
+    const h = Math.max(...lines[a].items.map(it => it.h || 0), 1);
+    return lines[b].y - lines[a].y <= MAX_ROW_GAP * h;
+  };
+
+  const found = [];
+  let i = 0;
+  while (i < lines.length) {
+    if (chunksByLine[i].length < 2) { i++; continue; }
+
+    // Grow the body run from line i
+    let rows = [chunksByLine[i]];
+    let cols = projectColumns(rows);
+    let end = i;
+    while (end + 1 < lines.length && chunksByLine[end + 1].length >= 2 && closeEnough(end, end + 1)) {
+      const nextRows = [...rows, chunksByLine[end + 1]];
+      const nextCols = projectColumns(nextRows);
+      if (nextCols.length < 2 || !fitsColumns(nextCols, nextRows) || !columnsAligned(nextCols, nextRows.slice(1))) break;
+      rows = nextRows;
+      cols = nextCols;
+      end++;
+    }
+
+    // The first line is the header if it has no amounts and the rest do
+    const headerRows = rows.length > 1 && !rows[0].some(ch => ch.amount) &&
+      hasAmountColumn(cols, rows.slice(1)) ? 1 : 0;
+    const body = rows.slice(headerRows);
+    if (body.length < MIN_BODY_ROWS || !hasAmountColumn(cols, body) ||
+        (!headerRows && !columnsAligned(cols, rows))) {
+      i++;
+      continue;
+    }
+
+    const grid = rows.map(row => cols.map((_, c) => {
+      const chunk = row.find(ch => columnOf(cols, ch) === c);
+      return { texts: chunk ? chunk.items : [], rowspan: 1, colspan: 1 };
+    }));
+    const lineIndices = rows.map((_, r) => i + r);
+    found.push({
+      lineIndices,
+      y: lines[i].y,
+      table: { grid, tRows: grid.length, tCols: cols.length, headerRows, left: cols[0].left, top: lines[i].y }
+    });
+    i = end + 1;
+  }
+  return found;
+}
+
+// Merged cells come out as one <td> with rowspan/colspan; covered slots
+// (null) are skipped. Text on several lines inside a cell keeps its breaks.
+// The first `headerRows` rows (borderless tables) are rendered as <th>.
+// With the page's `bodySize`, bold/italic runs and size changes are kept.
+export function renderTable(tbl, bodySize) {
+  let html = '<table border="1" cellspacing="0" cellpadding="4" style="border-collapse:collapse;font-family:Calibri,Arial,sans-serif;font-size:11pt;margin:8px 0;">\n';
+  for (let r = 0; r < tbl.tRows; r++) {
+    const tag = r < (tbl.headerRows || 0) ? 'th' : 'td';
+    html += '  <tr>\n';
+    for (let c = 0; c < tbl.tCols; c++) {
+      const cell = tbl.grid[r][c];
+      if (!cell) continue;
+      const cellLines = groupIntoLines(cell.texts).filter(line => buildLineText(line.items));
+      const text = cellLines.map(line => buildLineText(line.items)).join(' ');
+      const escapedText = cellLines.map(line => {
+        const html = renderRuns(buildLineRuns(line.items), { bold: tag === 'td' });
+        const { fontPt } = bodySize ? lineStyle(line.items, bodySize) : {};
+        return fontPt && fontPt !== BASE_FONT_PT ? `<span style="font-size:${fontPt}pt;">${html}</span>` : html;
+      }).join('<br>');
+
+      let align = 'left';
+      let noWrap = '';
+      if (isEuropeanNumber(text)) {
+        align  = 'right';
+        noWrap = 'white-space:nowrap;';
+      } else if (cell.colspan > 1 || tag === 'th') {
+        align  = 'center';                // group header over several columns
+      }
+
+      const spans = (cell.rowspan > 1 ? ` rowspan="${cell.rowspan}"` : '') +
+                    (cell.colspan > 1 ? ` colspan="${cell.colspan}"` : '');
+      html += `    <${tag}${spans} style="border:1px solid #000;padding:4px 6px;text-align:${align};${noWrap}">${escapedText}</${tag}>\n`;
+    }
+    html += '  </tr>\n';
+  }
+  html += '</table>\n';
+  return html;
+}
+
+export function renderQuarterTable({ values, labels = QUARTER_LABELS, rowLabel = 'Importes' }) {
+  const headers = ['', ...labels];
+  const row = [rowLabel, ...values];
+  const tdBase = 'style="border:1px solid #000;padding:4px 6px;font-family:Calibri,Arial,sans-serif;font-size:11pt;';
+  let html = '<table border="1" cellspacing="0" cellpadding="4" style="border-collapse:collapse;font-family:Calibri,Arial,sans-serif;font-size:11pt;margin:8px 0;">\n';
+  html += '  <tr>\n';
+  for (const h of headers) {
+    html += `    <th ${tdBase}text-align:center;">${escapeHtml(h)}</th>\n`;
+  }
+  html += '  </tr>\n';
+  html += '  <tr>\n';
+  for (let c = 0; c < row.length; c++) {
+    const text = row[c];
+    const isNumCol = c > 0;
+    const align = isNumCol ? 'right' : 'left';
+    const noWrap = isNumCol ? 'white-space:nowrap;' : '';
+    html += `    <td ${tdBase}text-align:${align};${noWrap}">${escapeHtml(text)}</td>\n`;
+  }
+  html += '  </tr>\n';
+  html += '</table>\n';
+  return html;
+}
@@ -0,0 +1,86 @@
+/* ============================================================
+   Converto – text item helpers (shared by browser and Node)
+   ============================================================ */
+
+// Tolerance in PDF points (~1mm) for coordinate clustering and snapping
+export const EPS = 3;
+export const LINE_GAP = 2;
+
+export function groupIntoLines(items) {
+  if (!items.length) return [];
+  const sorted = [...items].sort((a, b) => a.y - b.y || a.x - b.x);
+  const lines  = [];
+  let   curLine = { y: sorted[0].y, items: [sorted[0]] };
+
+  for (let i = 1; i < sorted.length; i++) {
+    if (Math.abs(sorted[i].y - curLine.y) <= EPS) {
+      curLine.items.push(sorted[i]);
+    } else {
+      lines.push(curLine);
+      curLine = { y: sorted[i].y, items: [sorted[i]] };
+    }
+  }
+  lines.push(curLine);
+  return lines;
+}
+
+export function buildLineText(items) {
+  if (!items.length) return '';
+  const sorted = [...items].sort((a, b) => a.x - b.x);
+  let text = '';
+  let prev = null;
+
+  for (const item of sorted) {
+    const value = normalizePdfText(item.str);
+    if (!value) {
+      continue;
+    }
+    if (text) {
+      const gap = prev ? item.x - (prev.x + prev.w) : LINE_GAP + 1;
+      if (gap > LINE_GAP) {
+        text += ' ';
+      }
+    }
+    text += value;
+    prev = item;
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Typographic ligatures some fonts emit as one character (U+FB01 for "fi")
+const LIGATURES = {
+  '\uFB00': 'ff', '\uFB01': 'fi', '\uFB02': 'fl', '\uFB03': 'ffi',
+  '\uFB04': 'ffl', '\uFB05': 'st', '\uFB06': 'st'
+};
+
+export function normalizePdfText(str) {
+  return String(str || '')
+    .replace(/[\uFB00-\uFB06]/g, ch => LIGATURES[ch])
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function stripInvisibleChars(str) {
+  return String(str || '').replace(/[\u200B\u200C\u200D\uFEFF\u00AD\u00A0]/g, '');
+}
+
+// ── Number format detection (3.426,64 style) ──────────────────
+const EUROPEAN_NUMBER_REGEX = /^-?\d{1,3}(?:\.\d{3})*(?:,\d+)?$/;
+export function isEuropeanNumber(s) { return EUROPEAN_NUMBER_REGEX.test(s.trim()); }
+
+// "1.234,56" / "-210,00 €" / "1234,5" → number; null when not an amount
+export function parseEuropeanNumber(s) {
+  const compact = String(s ?? '').replace(/[\s\u00A0\u20AC]/g, '');
+  if (!/^-?\d+(?:\.\d{3})*(?:,\d+)?$/.test(compact)) return null;
+  return Number(compact.replace(/\./g, '').replace(',', '.'));
+}
+
+// ── HTML escape ───────────────────────────────────────────────
+export function escapeHtml(str) {
+  return String(str || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
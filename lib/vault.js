@@ -0,0 +1,134 @@
+/* ============================================================
+   Converto – encrypted signature vault (WebCrypto, no DOM)
+   ============================================================ */
+
+// The signatures (staff names, phones, addresses) and their images are not
+// published in clear: signatures/ holds one vault file, the files packed
+// into a ZIP and encrypted with AES-GCM under a key derived from the
+// passphrase (PBKDF2-SHA-256). The unlock screen opens it; a wrong
+// passphrase fails the AES-GCM tag check. scripts/signatures-vault.mjs
+// writes it and re-encrypts it when the passphrase changes. Only what the
+// app reads goes in: index.json, the .htm files it lists and their images.
+
+import { createZip, listZipEntries, readZipEntry } from './zip.js';
+import { base64FromBytes } from './eml.js';
+
+export const VAULT_PATH = 'signatures/vault.json';
+const SIGNATURES_INDEX = 'signatures/index.json';
+const VAULT_FORMAT = 'converto-vault';
+const VAULT_VERSION = 1;
+// OWASP's 2023 figure for PBKDF2-HMAC-SHA256; about a second in a browser
+export const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+function bytesFromBase64(base64) {
+  return Uint8Array.from(atob(base64), ch => ch.charCodeAt(0));
+}
+
+// An <img src> as a file name ("logo%20nm.jpg" → "logo nm.jpg")
+function decodeSrc(src) {
+  try {
+    return decodeURI(src);
+  } catch (e) {
+    // A malformed %-escape: look it up as written
+    return src;
+  }
+}
+
+export function createWrongPassphraseError() {
+  return Object.assign(new Error('Wrong passphrase'), { name: 'WrongPassphraseError' });
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt `files` ([{ name, data }], data a string or bytes; names are
+ * paths from the site root, "signatures/index.json") into a vault object,
+ * ready for JSON.stringify(). Salt and IV are new on every call.
+ */
+export async function sealVault(files, passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+  if (!passphrase) throw new Error('Empty passphrase');
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(passphrase, salt, iterations);
+  const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, createZip(files));
+  return {
+    format: VAULT_FORMAT,
+    version: VAULT_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: base64FromBytes(salt) },
+    cipher: { name: 'AES-GCM', iv: base64FromBytes(iv) },
+    data: base64FromBytes(new Uint8Array(sealed))
+  };
+}
+
+/**
+ * The files to seal from a signatures folder: index.json, the .htm files it
+ * lists and the images they show, without the rest of an Outlook/Word
+ * export (.rtf, .txt, .thmx, filelist.xml…). `read(name)` resolves to the
+ * bytes of a file (path from the site root) or null. An image is stored
+ * under its decoded src, where vaultAssetLoader() looks for it; a src
+ * relative to the .htm ("FIRMA_archivos/image001.jpg") is read from the
+ * .htm's folder when it is not at the root.
+ */
+export async function selectSignatureFiles(read) {
+  const index = await read(SIGNATURES_INDEX);
+  if (!index) throw new Error(`No ${SIGNATURES_INDEX}`);
+  const text = bytes => new TextDecoder().decode(bytes);
+  const selected = new Map([[SIGNATURES_INDEX, index]]);
+  for (const { path } of JSON.parse(text(index))) {
+    const html = await read(path);
+    if (!html) throw new Error(`${path} is listed in ${SIGNATURES_INDEX} but missing`);
+    selected.set(path, html);
+    const folder = path.slice(0, path.lastIndexOf('/') + 1);
+    for (const [, src] of text(html).matchAll(/<img\b[^>]*?\bsrc\s*=\s*["']([^"']+)["']/gi)) {
+      // Remote and inline images are not files
+      if (/^[a-z][a-z0-9+.-]*:|^\//i.test(src)) continue;
+      const name = decodeSrc(src);
+      const data = await read(name) || await read(folder + name);
+      if (data) selected.set(name, data);
+    }
+  }
+  return [...selected].map(([name, data]) => ({ name, data }));
+}
+
+/**
+ * Decrypt a vault (the parsed JSON) into a Map of name → bytes. Throws a
+ * WrongPassphraseError when the passphrase does not open it.
+ */
+export async function openVault(vault, passphrase) {
+  if (!vault || vault.format !== VAULT_FORMAT || vault.version !== VAULT_VERSION) {
+    throw new Error('Not a Converto signature vault');
+  }
+  const key = await deriveKey(passphrase, bytesFromBase64(vault.kdf.salt), vault.kdf.iterations);
+  let zip;
+  try {
+    zip = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: bytesFromBase64(vault.cipher.iv) }, key, bytesFromBase64(vault.data)
+    ));
+  } catch (err) {
+    throw createWrongPassphraseError();
+  }
+  const files = new Map();
+  for (const entry of listZipEntries(zip)) files.set(entry.name, await readZipEntry(zip, entry));
+  return files;
+}
+
+// loadAsset() for buildEml(): images from an opened vault by their src
+// ("signatures/assets/logo.jpg", also URL-encoded), anything else through
+// `fallback`
+export function vaultAssetLoader(files, fallback) {
+  return src => {
+    const name = decodeSrc(src);
+    return files.has(name) ? files.get(name) : fallback(src);
+  };
+}
@@ -0,0 +1,140 @@
+/* ============================================================
+   Converto – minimal XLSX writer (one sheet, no dependencies)
+   ============================================================ */
+
+// An .xlsx is a ZIP of SpreadsheetML parts. This writes the smallest set
+// Excel and LibreOffice accept: one worksheet with inline strings (no
+// shared-string table), a bold frozen header row with an autofilter, and
+// numbers in the built-in "#,##0.00" format, which Excel shows with the
+// user's own separators (1.234,56 in Spanish).
+
+import { createZip } from './zip.js';
+
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const STYLE_NUMBER = 1;
+const STYLE_HEADER = 2;
+const MAX_SHEET_NAME = 31;
+
+// XML text: escaped, without the control characters XML 1.0 forbids
+function xmlText(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 0 → "A", 25 → "Z", 26 → "AA"
+export function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function cellXml(value, ref, headerRow) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}" s="${STYLE_NUMBER}"><v>${value}</v></c>`;
+  }
+  const text = xmlText(value);
+  const space = /^\s|\s$/.test(text) ? ' xml:space="preserve"' : '';
+  const style = headerRow ? ` s="${STYLE_HEADER}"` : '';
+  return `<c r="${ref}"${style} t="inlineStr"><is><t${space}>${text}</t></is></c>`;
+}
+
+// Column width from the longest value (in characters), capped
+function columnWidths(rows) {
+  const widths = [];
+  for (const row of rows) {
+    row.forEach((value, c) => {
+      const length = typeof value === 'number' ? value.toFixed(2).length + 3 : String(value ?? '').length;
+      widths[c] = Math.max(widths[c] || 8, Math.min(length + 2, 60));
+    });
+  }
+  return widths;
+}
+
+/**
+ * Build an .xlsx workbook from rows (the first row is the header). Cells
+ * are strings or numbers; null/'' leave the cell empty. Returns a
+ * Uint8Array.
+ */
+export function createXlsx(rows, { sheetName = 'Sheet1', date = new Date() } = {}) {
+  const name = String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, MAX_SHEET_NAME) || 'Sheet1';
+  const columnCount = Math.max(1, ...rows.map(row => row.length));
+  const lastRef = `${columnName(columnCount - 1)}${Math.max(rows.length, 1)}`;
+
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`, r === 0)).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+  const cols = columnWidths(rows)
+    .map((width, c) => `<col min="${c + 1}" max="${c + 1}" width="${width}" customWidth="1"/>`)
+    .join('');
+
+  const sheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">`
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + (cols ? `<cols>${cols}</cols>` : '')
+    + `<sheetData>${sheetRows}</sheetData>`
+    + (rows.length ? `<autoFilter ref="A1:${lastRef}"/>` : '')
+    + '</worksheet>';
+
+  const quotedName = `'${xmlText(name).replace(/'/g, "''")}'`;
+  const workbook = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">`
+    + `<sheets><sheet name="${xmlText(name)}" sheetId="1" r:id="rId1"/></sheets>`
+    + (rows.length
+      ? `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">${quotedName}!$A$1:$${lastRef.replace(/(\d+)$/, '$$$1')}</definedName></definedNames>`
+      : '')
+    + '</workbook>';
+
+  const styles = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="${NS_MAIN}">`
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="3">'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    + '</cellXfs>'
+    + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+    + '</styleSheet>';
+
+  const contentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>';
+
+  const rootRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${NS_PKG_REL}">`
+    + `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>`
+    + '</Relationships>';
+
+  const workbookRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${NS_PKG_REL}">`
+    + `<Relationship Id="rId1" Type="${NS_REL}/worksheet" Target="worksheets/sheet1.xml"/>`
+    + `<Relationship Id="rId2" Type="${NS_REL}/styles" Target="styles.xml"/>`
+    + '</Relationships>';
+
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: rootRels },
+    { name: 'xl/workbook.xml', data: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRels },
+    { name: 'xl/worksheets/sheet1.xml', data: sheet },
+    { name: 'xl/styles.xml', data: styles }
+  ], date);
+}
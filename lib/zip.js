@@ -0,0 +1,199 @@
+/* ============================================================
+   Converto – minimal ZIP writer and reader (no network)
+   ============================================================ */
+
+// EMLs are already base64 text, so entries are written uncompressed
+// ("stored"). Filenames are flagged as UTF-8 so accented client names
+// survive in Windows Explorer and macOS Archive Utility.
+//
+// The reader takes the archives A3 exports (stored or deflated entries,
+// no ZIP64, no encryption) and inflates with the platform's
+// DecompressionStream, in the browser and in Node alike.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date/time as stored in ZIP headers (local time, 2-second precision)
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day  = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Pack entries into a ZIP archive.
+ * @param {Array<{name:string, data:Uint8Array|string}>} entries
+ * @param {Date} [date] - modification time written for every entry
+ * @returns {Uint8Array}
+ */
+export function createZip(entries, date = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const nameBytes = encoder.encode(entry.name);
+    const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);        // local file header signature
+    local.setUint16(4, 20, true);                // version needed
+    local.setUint16(6, 0x0800, true);            // flags: UTF-8 names
+    local.setUint16(8, 0, true);                 // method: stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);      // compressed size
+    local.setUint32(22, data.length, true);      // uncompressed size
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);                // extra length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);      // central directory signature
+    central.setUint16(4, 20, true);              // version made by
+    central.setUint16(6, 20, true);              // version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    // extra, comment, disk number, internal/external attributes: all zero
+    central.setUint32(42, offset, true);         // local header offset
+
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);            // end of central directory
+  end.setUint16(8, entries.length, true);        // entries on this disk
+  end.setUint16(10, entries.length, true);       // total entries
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);               // central directory offset
+
+  return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
+
+// ── Reader ────────────────────────────────────────────────────
+
+// Names without the UTF-8 flag are in the OEM code page; Spanish Windows
+// uses CP850. Bytes 0x80–0xFF:
+const CP850_HIGH =
+  'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+  '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0';
+
+function decodeName(bytes, utf8) {
+  if (utf8) return new TextDecoder().decode(bytes);
+  let name = '';
+  for (const b of bytes) name += b < 0x80 ? String.fromCharCode(b) : CP850_HIGH[b - 0x80];
+  return name;
+}
+
+/**
+ * List the files in a ZIP archive from its central directory (folder
+ * entries are left out). Throws when `bytes` is not a ZIP this reader
+ * handles. Returns [{ name, method, encrypted, crc, compressedSize, size,
+ * offset }] with `/` as the path separator.
+ */
+export function listZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // The end record sits before an optional comment of up to 64 KiB
+  let eocd = -1;
+  for (let pos = bytes.length - 22; pos >= Math.max(0, bytes.length - 22 - 0xFFFF); pos--) {
+    if (view.getUint32(pos, true) === 0x06054B50) {
+      eocd = pos;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP archive');
+
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  if (count === 0xFFFF || pos === 0xFFFFFFFF) throw new Error('ZIP64 archives are not supported');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > bytes.length || view.getUint32(pos, true) !== 0x02014B50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const flags = view.getUint16(pos + 8, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const name = decodeName(bytes.subarray(pos + 46, pos + 46 + nameLength), flags & 0x0800)
+      .replace(/\\/g, '/');
+    if (!name.endsWith('/')) {
+      entries.push({
+        name,
+        method: view.getUint16(pos + 10, true),
+        encrypted: (flags & 0x0001) !== 0,
+        crc: view.getUint32(pos + 16, true),
+        compressedSize: view.getUint32(pos + 20, true),
+        size: view.getUint32(pos + 24, true),
+        offset: view.getUint32(pos + 42, true)
+      });
+    }
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * The contents of one listZipEntries() entry, checked against its CRC.
+ * `inflateRaw(bytes)` → Promise<Uint8Array> decompresses deflated entries.
+ */
+export async function readZipEntry(bytes, entry, { inflateRaw = inflateRawStream } = {}) {
+  if (entry.encrypted) throw new Error('Encrypted ZIP entry');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(entry.offset, true) !== 0x04034B50) throw new Error('Corrupt ZIP entry');
+  // The local header repeats the name and may carry a different extra field
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const raw = bytes.subarray(start, start + entry.compressedSize);
+
+  let data;
+  if (entry.method === 0) data = raw;
+  else if (entry.method === 8) data = await inflateRaw(raw);
+  else throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+
+  if (data.length !== entry.size || crc32(data) !== entry.crc) throw new Error('ZIP entry CRC mismatch');
+  return data;
+}
+
+export async function inflateRawStream(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
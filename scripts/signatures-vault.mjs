@@ -0,0 +1,77 @@
+/**
+ * Writes, opens and re-encrypts the signature vault (signatures/vault.json,
+ * see lib/vault.js), which the unlock screen decrypts.
+ *
+ * Usage:
+ *   node scripts/signatures-vault.mjs encrypt <folder>
+ *       Encrypts <folder>/signatures/index.json, the .htm files it lists
+ *       and their images into signatures/vault.json; the rest of an Outlook
+ *       export (.rtf, .txt, .thmx…) is left out.
+ *   node scripts/signatures-vault.mjs decrypt <folder>
+ *       Writes the vault's files back under <folder> to edit them; keep
+ *       <folder> out of the repository (tmp/ is ignored).
+ *   node scripts/signatures-vault.mjs rotate
+ *       Re-encrypts the vault under a new passphrase.
+ *
+ * The passphrase is read from CONVERTO_PASSPHRASE (for rotate: the current
+ * one) and CONVERTO_NEW_PASSPHRASE (rotate only), never from arguments, so
+ * it stays out of the shell history: `read -rs CONVERTO_PASSPHRASE`.
+ */
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { sealVault, openVault, selectSignatureFiles, VAULT_PATH } from '../lib/vault.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const VAULT_FILE = path.join(ROOT_DIR, VAULT_PATH);
+
+function passphrase(name) {
+  const value = process.env[name];
+  if (!value) throw new Error(`Set ${name} first (read -rs ${name} && export ${name})`);
+  return value;
+}
+
+async function writeVault(read, secret) {
+  const files = await selectSignatureFiles(read);
+  await writeFile(VAULT_FILE, JSON.stringify(await sealVault(files, secret)) + '\n');
+  console.log(`${files.length} file(s) encrypted into ${VAULT_PATH}`);
+}
+
+async function readVault(secret) {
+  return openVault(JSON.parse(await readFile(VAULT_FILE, 'utf-8')), secret);
+}
+
+async function encrypt(folder) {
+  const secret = passphrase('CONVERTO_PASSPHRASE');
+  const root = path.resolve(folder);
+  await writeVault(name => readFile(path.join(root, name)).then(data => new Uint8Array(data), () => null), secret);
+}
+
+async function decrypt(folder) {
+  const files = await readVault(passphrase('CONVERTO_PASSPHRASE'));
+  const root = path.resolve(folder);
+  for (const [name, data] of files) {
+    const target = path.join(root, name);
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(target, data);
+  }
+  console.log(`${files.size} file(s) written under ${root}`);
+}
+
+async function rotate() {
+  const files = await readVault(passphrase('CONVERTO_PASSPHRASE'));
+  await writeVault(name => files.get(name) || null, passphrase('CONVERTO_NEW_PASSPHRASE'));
+}
+
+const [command, folder] = process.argv.slice(2);
+const commands = { encrypt, decrypt, rotate };
+if (!commands[command] || (command !== 'rotate' && !folder)) {
+  console.error('Usage: node scripts/signatures-vault.mjs encrypt <folder> | decrypt <folder> | rotate');
+  process.exit(2);
+}
+try {
+  await commands[command](folder);
+} catch (err) {
+  console.error(err.name === 'WrongPassphraseError' ? `Wrong passphrase for ${VAULT_PATH}` : err.message);
+  process.exit(1);
+}
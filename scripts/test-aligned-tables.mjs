@@ -0,0 +1,95 @@
+/**
+ * Unit tests for borderless (column-aligned) table detection.
+ *
+ * Usage:  node scripts/test-aligned-tables.mjs
+ *
+ * Validates:
+ *  1) A run of lines with right-aligned amounts becomes a table.
+ *  2) A text first line is taken as the header row.
+ *  3) Missing values keep their blank cell (no left shift).
+ *  4) Two-column prose without amounts (address blocks) is ignored.
+ *  5) Lines already used by another detector are skipped.
+ */
+import { groupIntoLines, buildLineText, detectAlignedTables, renderTable } from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+const CHAR_W = 5;
+// Left-aligned at x
+const left = (str, x, y) => ({ str, x, y, w: str.length * CHAR_W, h: 10, fontName: 'F1' });
+// Right-aligned so the text ends at x
+const right = (str, x, y) => left(str, x - str.length * CHAR_W, y);
+
+const cellText = (tbl, r, c) => buildLineText(tbl.grid[r][c].texts);
+
+console.log('── Test 1: supplier breakdown with header ──');
+{
+  const items = [
+    left('Le detallamos las operaciones declaradas:', 50, 80),
+    left('Proveedor', 50, 100), right('Base', 300, 100), right('Cuota', 400, 100),
+    left('ACME SL', 50, 114), right('1.000,00', 300, 114), right('210,00', 400, 114),
+    left('OTRA EMPRESA SA', 50, 128), right('12.500,00', 300, 128),
+    left('TERCERA SL', 50, 142), right('80,00', 300, 142), right('16,80', 400, 142),
+    left('Un saludo.', 50, 200)
+  ];
+  const lines = groupIntoLines(items);
+  const found = detectAlignedTables(lines);
+  assert(found.length === 1, `One table (got ${found.length})`);
+  const { table, lineIndices } = found[0];
+  assert(lineIndices.join(',') === '1,2,3,4', 'Covers header + 3 body lines only');
+  assert(table.tRows === 4 && table.tCols === 3, '4 rows × 3 columns');
+  assert(table.headerRows === 1 && cellText(table, 0, 2) === 'Cuota', 'Header row guessed');
+  assert(cellText(table, 2, 1) === '12.500,00' && cellText(table, 2, 2) === '', 'Missing Cuota stays blank');
+  const html = renderTable(table);
+  assert((html.match(/<th /g) || []).length === 3, 'Header rendered as <th>');
+  assert(/text-align:right;white-space:nowrap;">12\.500,00<\/td>/.test(html), 'Amounts right-aligned');
+}
+
+console.log('── Test 2: address block is not a table ──');
+{
+  const lines = groupIntoLines([
+    left('NEMNOK ECONOMISTAS', 50, 60), left('ACME SOLUCIONES SL', 320, 60),
+    left('Calle Mayor 1', 50, 74), left('Avenida del Puerto 22', 320, 74),
+    left('28001 Madrid', 50, 88), left('46001 Valencia', 320, 88)
+  ]);
+  assert(detectAlignedTables(lines).length === 0, 'No amounts → no table');
+}
+
+console.log('── Test 3: without header, skip set ──');
+{
+  const lines = groupIntoLines([
+    left('Enero', 50, 100), right('100,00', 300, 100),
+    left('Febrero', 50, 114), right('2.100,00', 300, 114),
+    left('Marzo', 50, 128), right('50,00', 300, 128)
+  ]);
+  const [found] = detectAlignedTables(lines);
+  assert(found && found.table.headerRows === 0 && found.table.tRows === 3, 'All rows are body rows');
+  const skipped = detectAlignedTables(lines, new Set([0, 1]));
+  assert(skipped.length === 0, 'Too few rows left once lines are skipped');
+}
+
+console.log('── Test 4: misaligned amounts are not a column ──');
+{
+  const lines = groupIntoLines([
+    left('Total factura', 50, 100), left('1.000,00', 200, 100),
+    left('Pagado el día', 50, 114), left('30,00', 260, 114)
+  ]);
+  assert(detectAlignedTables(lines).length === 0, 'Ragged amounts → plain lines');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for the client directory (NIF → email address book).
+ *
+ * Usage:  node scripts/test-directory.mjs
+ *
+ * Validates:
+ *  1) NIFs are normalized (case, separators, ES prefix).
+ *  2) CSV import finds columns by header, with ";" or "," delimiters.
+ *  3) Headerless CSV assumes NIF, name, email.
+ *  4) Export → import round-trips.
+ *  5) Directory lookups fill, confirm or flag the extracted To address.
+ */
+import {
+  normalizeNif,
+  parseDirectoryCsv,
+  directoryToCsv,
+  resolveToWithDirectory
+} from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+console.log('── Test 1: normalizeNif ──');
+{
+  assert(normalizeNif('b-1234.5678') === 'B12345678', 'Strips separators and upper-cases');
+  assert(normalizeNif('ES B12345678') === 'B12345678', 'Drops ES VAT prefix');
+  assert(normalizeNif('ES1234567') === 'ES1234567', 'Keeps ES when not a VAT prefix');
+  assert(normalizeNif(undefined) === '', 'Empty for missing value');
+}
+
+console.log('── Test 2: CSV with header, A3-style ";" ──');
+{
+  const csv = 'Email;Razón Social;NIF\r\ninfo@acme.es;"ACME; SL";B12345678\r\nsin-correo;NADIE SL;B00000000\r\n';
+  const entries = parseDirectoryCsv(csv);
+  assert(entries.length === 1, `Skips rows without a valid email (got ${entries.length})`);
+  assert(entries[0].nif === 'B12345678', 'NIF column found by header');
+  assert(entries[0].name === 'ACME; SL', 'Quoted name keeps delimiter');
+  assert(entries[0].email === 'info@acme.es', 'Email column found by header');
+}
+
+console.log('── Test 3: headerless "," CSV ──');
+{
+  const entries = parseDirectoryCsv('b87654321,OTRA EMPRESA SA,Info@Otra.es\n');
+  assert(entries.length === 1, 'One entry');
+  assert(entries[0].nif === 'B87654321' && entries[0].email === 'info@otra.es', 'Defaults to NIF, name, email');
+}
+
+console.log('── Test 4: export / import round-trip ──');
+{
+  const entries = [
+    { nif: 'B87654321', name: 'OTRA, EMPRESA SA', email: 'info@otra.es' },
+    { nif: 'A11111111', name: 'Ñandú SL', email: 'a@nandu.es' }
+  ];
+  const csv = directoryToCsv(entries);
+  const back = parseDirectoryCsv(csv);
+  assert(back.length === 2, 'Both entries read back');
+  assert(back[0].nif === 'A11111111' && back[0].name === 'Ñandú SL', 'Sorted by NIF, accents intact');
+  assert(back[1].name === 'OTRA, EMPRESA SA', 'Comma in name survives');
+}
+
+console.log('── Test 5: resolveToWithDirectory ──');
+{
+  const entry = { nif: 'B12345678', name: 'ACME', email: 'info@acme.es' };
+  const filled = resolveToWithDirectory('', entry);
+  assert(filled.toEmail === 'info@acme.es' && filled.toSource === 'directory', 'Fills missing To');
+  const same = resolveToWithDirectory('INFO@acme.es', entry);
+  assert(same.note === '' && same.toSource === 'pdf', 'Same address (any case) is not a mismatch');
+  const diff = resolveToWithDirectory('otro@acme.es', entry);
+  assert(diff.toEmail === 'otro@acme.es' && diff.note === 'Directory mismatch: info@acme.es', 'Flags mismatch, keeps PDF address');
+  const listed = resolveToWithDirectory('admin@acme.es, info@acme.es', entry);
+  assert(listed.note === '' && listed.toEmail === 'admin@acme.es, info@acme.es', 'Entry among several PDF addresses is not a mismatch');
+  const none = resolveToWithDirectory('', undefined);
+  assert(none.toEmail === '' && none.note === '', 'No entry, no email: unchanged');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
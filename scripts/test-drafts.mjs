@@ -0,0 +1,86 @@
+/**
+ * Unit tests for draft headers and the sender identity of a signature.
+ *
+ * Usage:  node scripts/test-drafts.mjs
+ *
+ * Validates:
+ *  1) readSignatureSender normalizes a signature manifest entry
+ *     (signatures/index.json, inside the vault).
+ *  2) buildEml writes From, Reply-To, Message-ID and X-Unsent; the sender's
+ *     Cc/Bcc are added and a read receipt is requested when asked.
+ *  3) Without a sender the message is still a draft, with no From.
+ *  4) Every message gets its own Message-ID.
+ */
+import { readSignatureSender, buildEml, formatMailbox, joinAddresses } from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+// Top-level headers of an EML as name → value (lower-case names)
+function headersOf(eml) {
+  const headers = {};
+  for (const line of eml.slice(0, eml.indexOf('\r\n\r\n')).split('\r\n')) {
+    const colon = line.indexOf(':');
+    if (colon > 0 && !/^\s/.test(line)) headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return headers;
+}
+
+console.log('── Test 1: signature sender ──');
+{
+  const list = [
+    { id: 'default', label: 'Default', path: 'signatures/default.htm' },
+    { id: 'firma_conta2', label: 'FIRMA', path: 'signatures/firma.htm', sender: { name: 'Lukyán Tazzít', email: 'conta2@nmeconomista.com' } }
+  ];
+  const conta2 = readSignatureSender(list.find(s => s.id === 'firma_conta2'));
+  assert(conta2 && conta2.email === 'conta2@nmeconomista.com', 'conta2 signature sends from conta2@nmeconomista.com');
+  assert(conta2.replyTo === conta2.email && conta2.bcc === '' && conta2.readReceipt === false, 'Reply-To defaults to the sender; no Bcc, no receipt');
+  assert(readSignatureSender(list.find(s => s.id === 'default')) === null, 'Signature without sender → null');
+  const full = readSignatureSender({ sender: { name: ' Archivo ', email: 'a@x.es', replyTo: 'r@x.es', bcc: 'archivo@x.es', readReceipt: true } });
+  assert(full.name === 'Archivo' && full.replyTo === 'r@x.es' && full.bcc === 'archivo@x.es' && full.readReceipt, 'All optional fields read');
+}
+
+console.log('── Test 2: draft headers ──');
+{
+  const sender = { name: 'Lukyán Tazzít', email: 'conta2@nmeconomista.com', replyTo: 'conta2@nmeconomista.com', cc: 'copia@nmeconomista.com', bcc: 'archivo@nmeconomista.com', readReceipt: true };
+  const h = headersOf(await buildEml('<p>x</p>', { toEmail: 'cliente@example.com', ccEmail: 'otro@example.com', subject: 'T', sender }));
+  assert(h.from === `=?UTF-8?B?${Buffer.from('Lukyán Tazzít').toString('base64')}?= <conta2@nmeconomista.com>`, 'From with RFC 2047 display name');
+  assert(h['reply-to'] === 'conta2@nmeconomista.com', 'Reply-To');
+  assert(/^<[a-z0-9]+\.[0-9a-f]{16}@nmeconomista\.com>$/.test(h['message-id']), `Message-ID on the sender's domain (${h['message-id']})`);
+  assert(h['x-unsent'] === '1', 'X-Unsent: 1');
+  assert(h.cc === 'otro@example.com, copia@nmeconomista.com', 'Row Cc plus the signature Cc');
+  assert(h.bcc === 'archivo@nmeconomista.com', 'Bcc archive mailbox');
+  assert(h['disposition-notification-to'] === h.from, 'Read receipt requested to the sender');
+  assert(formatMailbox('Ana B.', 'a@x.es') === '"Ana B." <a@x.es>' && formatMailbox('', 'a@x.es') === 'a@x.es', 'ASCII names quoted, empty name → bare address');
+  assert(joinAddresses('a@x.es; b@x.es', '', ' c@x.es ') === 'a@x.es, b@x.es, c@x.es', 'joinAddresses merges and trims lists');
+}
+
+console.log('── Test 3: no sender ──');
+{
+  const h = headersOf(await buildEml('<p>x</p>', { toEmail: 'cliente@example.com', subject: 'T' }));
+  assert(!h.from && !h['reply-to'] && !h.bcc && !h['disposition-notification-to'], 'No From / Reply-To / Bcc / receipt');
+  assert(h['x-unsent'] === '1' && /@converto>$/.test(h['message-id']), 'Still a draft with a Message-ID');
+}
+
+console.log('── Test 4: unique Message-ID ──');
+{
+  const ids = new Set();
+  for (let i = 0; i < 20; i++) ids.add(headersOf(await buildEml('<p>x</p>', { toEmail: 'a@b.es', subject: 'T' }))['message-id']);
+  assert(ids.size === 20, '20 messages, 20 Message-IDs');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
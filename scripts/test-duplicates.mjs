@@ -0,0 +1,132 @@
+/**
+ * Unit tests for duplicate detection and merging letters per recipient.
+ *
+ * Usage:  node scripts/test-duplicates.mjs
+ *
+ * Validates:
+ *  1) hashBytes is SHA-256; contentKey tells the letters of a combined PDF
+ *     apart; outputKey ignores address order, case and Subject spacing.
+ *  2) findDuplicates flags the same PDF, the same NIF/To/Subject and the
+ *     same NIF with other amounts, each against the first row; only Done
+ *     rows count.
+ *  3) Fingerprints of an earlier batch flag "Already generated".
+ *  4) findMergeGroups groups Done rows by To (not exact duplicates);
+ *     mergeResults joins the bodies with one signature and every
+ *     attachment, and the report Diag carries the warnings; letters built
+ *     with different signatures are not merged.
+ */
+import {
+  hashBytes, contentKey, outputKey, batchFingerprints, findDuplicates, findMergeGroups, mergeResults,
+  buildMessage, buildReportRow
+} from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+const SIGNATURE = '<p>Nemnok Asesores</p>';
+
+function row(name, fields = {}) {
+  return {
+    file: { name },
+    source: name,
+    pageRange: null,
+    status: 'Done',
+    contentHash: `hash-${name}`,
+    signatureId: 'nemnok',
+    nif: 'B12345674',
+    toEmail: 'info@acme.es',
+    ccEmail: '',
+    subject: 'Modelo 347',
+    quarterAmounts: { labels: ['1T', 'Total'], values: ['100,00', '100,00'] },
+    bodyHtml: `<p>Carta ${name}</p><br>${SIGNATURE}`,
+    bodyText: `Carta ${name}\nNemnok Asesores\n`,
+    attachments: [{ filename: name, mimeType: 'application/pdf', bytes: new Uint8Array([1]) }],
+    notes: [],
+    scanNotes: [],
+    diagnostics: 'OK',
+    ...fields
+  };
+}
+
+console.log('── Test 1: fingerprints ──');
+{
+  const hash = await hashBytes(new TextEncoder().encode('abc'));
+  assert(hash === 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad', 'SHA-256 of "abc"');
+  assert(contentKey(row('a.pdf', { pageRange: { first: 3, last: 4 } })) === 'hash-a.pdf:3-4', 'Page range is part of the content key');
+  assert(contentKey(row('a.pdf', { contentHash: '' })) === '', 'No hash, no content key');
+  assert(outputKey(row('a.pdf', { toEmail: 'B@acme.es, a@ACME.es', subject: ' Modelo  347 ' })) === 'B12345674|a@acme.es,b@acme.es|modelo 347',
+    'Output key ignores address order, case and spacing');
+}
+
+console.log('── Test 2: within a batch ──');
+{
+  const results = [
+    row('a.pdf'),
+    row('copia-a.pdf', { contentHash: 'hash-a.pdf' }),
+    row('b.pdf'),
+    row('c.pdf', { quarterAmounts: { labels: ['1T', 'Total'], values: ['250,00', '250,00'] } }),
+    row('d.pdf', { contentHash: 'hash-a.pdf', status: 'Error' }),
+    row('e.pdf', { nif: 'A58818501', toEmail: 'otra@otra.es' })
+  ];
+  const notes = findDuplicates(results);
+  assert(notes[0].length === 0, 'First occurrence not flagged');
+  assert(notes[1].join() === 'Duplicate: same PDF as a.pdf', `Same PDF (${notes[1]})`);
+  assert(notes[2].join() === 'Duplicate: same NIF, To and Subject as a.pdf', `Same NIF, To and Subject (${notes[2]})`);
+  assert(notes[3].join() === 'Same NIF as a.pdf with different amounts', `Same NIF, other amounts (${notes[3]})`);
+  assert(notes[4].length === 0 && notes[5].length === 0, 'Error rows and other clients not flagged');
+}
+
+console.log('── Test 3: earlier batches ──');
+{
+  const previous = batchFingerprints([row('a.pdf'), row('x.pdf', { status: 'Error' })])
+    .map(print => ({ ...print, label: '18/10/2026' }));
+  assert(previous.length === 1, 'Only Done rows are fingerprinted');
+  const notes = findDuplicates([row('a.pdf'), row('z.pdf', { nif: 'A58818501', toEmail: 'otra@otra.es' })], previous);
+  assert(notes[0].join() === 'Already generated in the batch of 18/10/2026', `Earlier batch matched (${notes[0]})`);
+  assert(notes[1].length === 0, 'New client not flagged');
+}
+
+console.log('── Test 4: merging per recipient ──');
+{
+  const results = [
+    row('a.pdf'),
+    row('b.pdf', { nif: 'B87654321', subject: 'Modelo 303' }),
+    row('copia-a.pdf', { contentHash: 'hash-a.pdf' }),
+    row('c.pdf', { toEmail: 'otra@otra.es' })
+  ];
+  const groups = findMergeGroups(results);
+  assert(groups.length === 1 && groups[0].join() === '0,1', 'Same To grouped, exact duplicate left out');
+
+  const merged = mergeResults(groups[0].map(i => results[i]), { signatureHtml: SIGNATURE });
+  assert(merged.bodyHtml === `<p>Carta a.pdf</p><hr><p>Carta b.pdf</p><br>${SIGNATURE}`, 'Bodies joined, signature once at the end');
+  assert(merged.bodyText.split('Nemnok Asesores').length === 2 && merged.bodyText.includes('Carta a.pdf\n---'), 'Text body joined the same way');
+  assert(merged.attachments.map(a => a.filename).join() === 'a.pdf,b.pdf', 'Every attachment kept');
+  assert(merged.scanNotes.join() === 'Merged 2 letters: a.pdf, b.pdf', 'Merge noted in Diag');
+
+  const first = { ...results[0], ...merged };
+  const { eml, diagnostics } = await buildMessage(first.bodyHtml, first);
+  assert(/filename="?a\.pdf/.test(eml) && /filename="?b\.pdf/.test(eml) && /Merged 2 letters/.test(diagnostics), 'Merged email has both PDFs');
+
+  const mixed = [results[0], { ...results[1], signatureId: 'otra' }];
+  const refused = (() => { try { return mergeResults(mixed, { signatureHtml: SIGNATURE }); } catch (e) { return e; } })();
+  assert(refused instanceof Error && /different signatures/.test(refused.message), 'Letters with different signatures not merged');
+
+  const flagged = { ...results[2], duplicateNotes: findDuplicates(results)[2] };
+  assert(buildReportRow(flagged, 'copia-a.pdf', 'x.eml')[7] === 'OK; Duplicate: same PDF as a.pdf', 'Report Diag carries the warning');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
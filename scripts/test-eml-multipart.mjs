@@ -8,117 +8,29 @@
  *  2) EML with local <img src="..."> produces multipart/related with CID parts.
  *  3) Spanish diacritics survive UTF-8 encoding round-trip.
  *  4) Signature links (mailto / https) are preserved in the HTML part.
+ *  5) Attachments wrap the message in multipart/mixed around multipart/related.
+ *  6) Accented attachment names are RFC 2231 encoded.
+ *  7) A Cc header is written only when a Cc address is set.
  */
 
-// ── Shared helpers (mirrored from app.js for Node) ────────────
+import {
+  buildEml,
+  collectLocalImages,
+  encodeRfc2231Param,
+  rfc2047EncodeHeaderValue
+} from '../lib/index.js';
 
-function base64FromBytes(bytes) {
-  let binary = '';
-  for (const b of bytes) {
-    binary += String.fromCharCode(b);
-  }
-  return btoa(binary);
-}
+// ── Fake asset loader (stands in for fetch / the CLI file reader) ──
 
-function emlBodyBase64EncodeWithWrap(html) {
-  const bytes = new TextEncoder().encode(String(html || ''));
-  const base64 = base64FromBytes(bytes);
-  return base64.match(/.{1,76}/g)?.join('\r\n') || '';
-}
+const FAKE_JPEG = new Uint8Array(Buffer.from('/9j/4AAQSkZJRgABAQ==', 'base64'));  // truncated fake JPEG data
 
-function rfc2047EncodeHeaderValue(value) {
-  const bytes = new TextEncoder().encode(String(value || ''));
-  const base64 = base64FromBytes(bytes);
-  return `=?UTF-8?B?${base64}?=`;
+async function fakeLoadAsset(src) {
+  return FAKE_JPEG;
 }
 
-function formatRfc2822Date(date) {
-  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-                  'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  const dayName = days[date.getUTCDay()];
-  const day = String(date.getUTCDate()).padStart(2, '0');
-  const month = months[date.getUTCMonth()];
-  const year = date.getUTCFullYear();
-  const hour = String(date.getUTCHours()).padStart(2, '0');
-  const minute = String(date.getUTCMinutes()).padStart(2, '0');
-  const second = String(date.getUTCSeconds()).padStart(2, '0');
-  return `${dayName}, ${day} ${month} ${year} ${hour}:${minute}:${second} +0000`;
-}
-
-// ── Standalone buildEml (Node version with sync image injection) ──
-
-function buildEmlSync(bodyHtml, { toEmail, subject }, inlineImages) {
-  const date = formatRfc2822Date(new Date());
-  const toHeaderValue = toEmail ? toEmail : 'undisclosed-recipients:;';
-
-  let processedHtml = bodyHtml;
-  for (const img of inlineImages) {
-    processedHtml = processedHtml.split(img.originalSrc).join('cid:' + img.cid);
-  }
-
-  const fullHtml = `<!DOCTYPE html>\n<html><head><meta charset="utf-8"></head>\n<body style="font-family:Calibri,Arial,sans-serif;font-size:11pt;">\n${processedHtml}\n</body></html>`;
-
-  if (inlineImages.length === 0) {
-    const lines = [
-      'MIME-Version: 1.0',
-      `Date: ${date}`,
-      `To: ${toHeaderValue}`,
-      `Subject: ${rfc2047EncodeHeaderValue(subject)}`,
-      'Content-Type: text/html; charset=UTF-8',
-      'Content-Transfer-Encoding: base64',
-      '',
-      emlBodyBase64EncodeWithWrap(fullHtml),
-      ''
-    ];
-    return lines.join('\r\n');
-  }
-
-  const boundary = '----=_ConvertoBoundary_001';
-  const lines = [
-    'MIME-Version: 1.0',
-    `Date: ${date}`,
-    `To: ${toHeaderValue}`,
-    `Subject: ${rfc2047EncodeHeaderValue(subject)}`,
-    `Content-Type: multipart/related; boundary="${boundary}"`,
-    '',
-    `--${boundary}`,
-    'Content-Type: text/html; charset=UTF-8',
-    'Content-Transfer-Encoding: base64',
-    '',
-    emlBodyBase64EncodeWithWrap(fullHtml),
-  ];
-
-  for (const img of inlineImages) {
-    lines.push(`--${boundary}`);
-    lines.push(`Content-Type: ${img.mimeType}`);
-    lines.push('Content-Transfer-Encoding: base64');
-    lines.push(`Content-ID: <${img.cid}>`);
-    lines.push(`Content-Disposition: inline; filename="${img.filename}"`);
-    lines.push('');
-    lines.push(img.base64Data);
-  }
-
-  lines.push(`--${boundary}--`);
-  lines.push('');
-  return lines.join('\r\n');
-}
-
-// ── collectLocalImages regex extraction (Node version) ────────
-
-function extractImageSrcs(html) {
-  const imgRegex = /<img\s[^>]*src\s*=\s*["']([^"']+)["'][^>]*>/gi;
-  const srcs = [];
-  const seen = new Set();
-  let match;
-  while ((match = imgRegex.exec(html)) !== null) {
-    const src = match[1];
-    if (/^(https?:|data:|cid:)/i.test(src)) continue;
-    if (seen.has(src)) continue;
-    seen.add(src);
-    srcs.push(src);
-  }
-  return srcs;
+async function extractImageSrcs(html) {
+  const images = await collectLocalImages(html, fakeLoadAsset);
+  return images.map(img => img.originalSrc);
 }
 
 // ── Tests ─────────────────────────────────────────────────────
@@ -139,7 +51,7 @@ function assert(condition, msg) {
 console.log('── Test 1: Single-part EML (no images) ──');
 {
   const html = '<p>Hello world</p>';
-  const eml = buildEmlSync(html, { toEmail: 'test@example.com', subject: 'Test' }, []);
+  const eml = await buildEml(html, { toEmail: 'test@example.com', subject: 'Test', loadAsset: fakeLoadAsset });
   assert(eml.includes('Content-Type: text/html; charset=UTF-8'), 'Has text/html content-type');
   assert(!eml.includes('multipart/related'), 'No multipart/related header');
   assert(!eml.includes('Content-ID'), 'No Content-ID');
@@ -149,14 +61,7 @@ console.log('── Test 1: Single-part EML (no images) ──');
 console.log('── Test 2: Multipart/related EML (with images) ──');
 {
   const html = '<p>Hello</p><img src="signatures/assets/logo_nm.jpg" alt="logo">';
-  const fakeImage = {
-    originalSrc: 'signatures/assets/logo_nm.jpg',
-    cid: 'sigimg-1@converto',
-    mimeType: 'image/jpeg',
-    filename: 'logo_nm.jpg',
-    base64Data: '/9j/4AAQSkZJRgABAQ=='  // truncated fake JPEG data
-  };
-  const eml = buildEmlSync(html, { toEmail: 'test@example.com', subject: 'Test' }, [fakeImage]);
+  const eml = await buildEml(html, { toEmail: 'test@example.com', subject: 'Test', loadAsset: fakeLoadAsset });
   assert(eml.includes('multipart/related; boundary="----=_ConvertoBoundary_001"'), 'Has multipart/related header');
   assert(eml.includes('Content-ID: <sigimg-1@converto>'), 'Has Content-ID for image');
   assert(eml.includes('Content-Disposition: inline; filename="logo_nm.jpg"'), 'Has inline disposition');
@@ -176,7 +81,7 @@ console.log('── Test 2: Multipart/related EML (with images) ──');
 console.log('── Test 3: Spanish diacritics survive encoding ──');
 {
   const html = '<p>Lukyán Tazzít – Dpto. de Contabilidad</p>';
-  const eml = buildEmlSync(html, { toEmail: 'test@example.com', subject: 'Notificación' }, []);
+  const eml = await buildEml(html, { toEmail: 'test@example.com', subject: 'Notificación', loadAsset: fakeLoadAsset });
   const separatorIndex = eml.indexOf('\r\n\r\n');
   const body64 = eml.slice(separatorIndex + 4).trim();
   const decoded = Buffer.from(body64, 'base64').toString('utf-8');
@@ -187,7 +92,7 @@ console.log('── Test 3: Spanish diacritics survive encoding ──');
 console.log('── Test 4: Signature links preserved ──');
 {
   const html = '<a href="mailto:conta2@nmeconomista.com">conta2@nmeconomista.com</a><br><a href="https://www.nmeconomista.com">www.nmeconomista.com</a>';
-  const eml = buildEmlSync(html, { toEmail: 'test@example.com', subject: 'Test' }, []);
+  const eml = await buildEml(html, { toEmail: 'test@example.com', subject: 'Test', loadAsset: fakeLoadAsset });
   const separatorIndex = eml.indexOf('\r\n\r\n');
   const body64 = eml.slice(separatorIndex + 4).trim();
   const decoded = Buffer.from(body64, 'base64').toString('utf-8');
@@ -204,7 +109,7 @@ console.log('── Test 5: extractImageSrcs only picks local paths ──');
     <img src="cid:existing@test" alt="cid">
     <img src="other/path.png" alt="local2">
   `;
-  const srcs = extractImageSrcs(html);
+  const srcs = await extractImageSrcs(html);
   assert(srcs.length === 2, `Found 2 local images (got ${srcs.length})`);
   assert(srcs[0] === 'signatures/assets/logo.jpg', 'First local src correct');
   assert(srcs[1] === 'other/path.png', 'Second local src correct');
@@ -213,7 +118,7 @@ console.log('── Test 5: extractImageSrcs only picks local paths ──');
 console.log('── Test 6: Duplicate images handled ──');
 {
   const html = '<img src="a.jpg"><img src="a.jpg"><img src="b.png">';
-  const srcs = extractImageSrcs(html);
+  const srcs = await extractImageSrcs(html);
   assert(srcs.length === 2, `Deduplicated to 2 images (got ${srcs.length})`);
 }
 
@@ -228,6 +133,51 @@ console.log('── Test 7: Subject with diacritics is RFC2047 encoded ──');
   assert(decoded === subject, 'Subject round-trips correctly');
 }
 
+console.log('── Test 8: PDF attachment nests multipart/related in multipart/mixed ──');
+{
+  const html = '<p>Hola</p><img src="signatures/assets/logo_nm.jpg">';
+  const pdfBytes = new TextEncoder().encode('%PDF-1.4 fake');
+  const eml = await buildEml(html, {
+    toEmail: 'test@example.com',
+    subject: 'Test',
+    loadAsset: fakeLoadAsset,
+    attachments: [{ filename: 'carta.pdf', mimeType: 'application/pdf', bytes: pdfBytes }]
+  });
+  const headerEnd = eml.indexOf('\r\n\r\n');
+  const topHeaders = eml.slice(0, headerEnd);
+  assert(topHeaders.includes('Content-Type: multipart/mixed; boundary="----=_ConvertoBoundary_000"'), 'Top-level is multipart/mixed');
+  const mixedStart = eml.indexOf('------=_ConvertoBoundary_000\r\nContent-Type: multipart/related');
+  const relatedEnd = eml.indexOf('------=_ConvertoBoundary_001--');
+  const pdfPart = eml.indexOf('Content-Type: application/pdf');
+  assert(mixedStart > headerEnd, 'First mixed part is multipart/related');
+  assert(relatedEnd > mixedStart && pdfPart > relatedEnd, 'PDF part follows the closed related part');
+  assert(eml.includes('Content-ID: <sigimg-1@converto>'), 'Inline CID image still present');
+  assert(eml.includes('Content-Disposition: attachment;\r\n filename="carta.pdf"'), 'Attachment disposition with filename');
+  assert(eml.trimEnd().endsWith('------=_ConvertoBoundary_000--'), 'Mixed boundary closed last');
+  const pdfBody = eml.slice(pdfPart).split('\r\n\r\n')[1].split('\r\n------=')[0];
+  assert(Buffer.from(pdfBody.replace(/\r\n/g, ''), 'base64').toString() === '%PDF-1.4 fake', 'PDF bytes round-trip');
+}
+
+console.log('── Test 9: RFC 2231 filename encoding ──');
+{
+  assert(encodeRfc2231Param('filename', 'carta.pdf')[0] === 'filename="carta.pdf"', 'ASCII name stays quoted');
+  const [single] = encodeRfc2231Param('filename', 'Notificación.pdf');
+  assert(single === "filename*=UTF-8''Notificaci%C3%B3n.pdf", 'Accented name percent-encoded');
+  const long = encodeRfc2231Param('filename', 'Notificación Modelo 347 – José Pérez Núñez Sociedad Limitada.pdf');
+  assert(long.length > 1 && long[0].startsWith("filename*0*=UTF-8''") && long[1].startsWith('filename*1*='), 'Long name split into continuations');
+  assert(long.every(p => !/%[0-9A-F]?$/.test(p)), 'No %XX escape split across continuations');
+  const decoded = decodeURIComponent(long.map(p => p.replace(/^filename\*\d+\*=(UTF-8'')?/, '')).join(''));
+  assert(decoded === 'Notificación Modelo 347 – José Pérez Núñez Sociedad Limitada.pdf', 'Continuations decode to the original name');
+}
+
+console.log('── Test 10: Cc header only when set ──');
+{
+  const withCc = await buildEml('<p>x</p>', { toEmail: 'a@example.com', ccEmail: 'b@example.com', subject: 'T' });
+  const withoutCc = await buildEml('<p>x</p>', { toEmail: 'a@example.com', subject: 'T' });
+  assert(withCc.includes('To: a@example.com\r\nCc: b@example.com\r\n'), 'Cc follows To');
+  assert(!withoutCc.includes('Cc:'), 'No Cc header when empty');
+}
+
 // ── Summary ───────────────────────────────────────────────────
 
 console.log(`\n${passed} passed, ${failed} failed`);
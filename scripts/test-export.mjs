@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the batch data export (CSV / XLSX).
+ *
+ * Usage:  node scripts/test-export.mjs
+ *
+ * Validates:
+ *  1) parseEuropeanNumber reads "1.234,56"-style amounts.
+ *  2) buildExportRow carries NIF, recipient, To, amounts as numbers,
+ *     status and Diag; failed PDFs are included.
+ *  3) The CSV has one row per PDF with plain numbers.
+ *  4) The XLSX is a ZIP with the SpreadsheetML parts, numeric cells and
+ *     escaped text.
+ */
+import {
+  parseEuropeanNumber, buildExportRow, buildExportCsv, buildExportXlsx, createXlsx, columnName, EXPORT_HEADERS
+} from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+// Entries are stored uncompressed: read name → text from local headers
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const files = new Map();
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034B50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const extraLength = view.getUint16(offset + 28, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+    const start = offset + 30 + nameLength + extraLength;
+    files.set(name, new TextDecoder().decode(bytes.subarray(start, start + size)));
+    offset = start + size;
+  }
+  return files;
+}
+
+const done = {
+  file: { name: 'a.pdf' },
+  status: 'Done',
+  nif: 'B12345674',
+  recipient: 'ACME & SONS SL',
+  toEmail: 'a@acme.es, b@acme.es',
+  ccEmail: '',
+  subject: 'MODELO 347',
+  diagnostics: 'OK',
+  quarterAmounts: { labels: ['1T', '2T', '3T', '4T', 'Total'], values: ['1.234,56', '', '-210,00', '0,5', '1.025,06'] }
+};
+const failedResult = { file: { name: 'b.pdf' }, status: 'Error', error: 'Invalid PDF structure' };
+
+console.log('── Test 1: parseEuropeanNumber ──');
+{
+  assert(parseEuropeanNumber('1.234,56') === 1234.56, '"1.234,56" → 1234.56');
+  assert(parseEuropeanNumber('-210,00 €') === -210, 'Sign and euro sign');
+  assert(parseEuropeanNumber('1234,5') === 1234.5 && parseEuropeanNumber('3.000') === 3000, 'No thousands dot / no decimals');
+  assert(parseEuropeanNumber('') === null && parseEuropeanNumber('12,34,5') === null && parseEuropeanNumber(undefined) === null, 'Not an amount → null');
+}
+
+console.log('── Test 2: export rows ──');
+{
+  const row = buildExportRow(done);
+  assert(row.length === EXPORT_HEADERS.length, 'One value per header');
+  assert(row.slice(0, 4).join('|') === 'a.pdf|B12345674|ACME & SONS SL|a@acme.es, b@acme.es', 'PDF, NIF, recipient, To');
+  assert(JSON.stringify(row.slice(6, 11)) === '[1234.56,null,-210,0.5,1025.06]', 'Quarter amounts as numbers, blanks as null');
+  const bad = buildExportRow(failedResult);
+  assert(bad[EXPORT_HEADERS.indexOf('Status')] === 'Error (Invalid PDF structure)' && bad.slice(6, 11).every(v => v === null), 'Failed PDF exported with its error');
+}
+
+console.log('── Test 3: CSV ──');
+{
+  const lines = buildExportCsv([done, failedResult]).replace(/^\uFEFF/, '').trim().split('\r\n');
+  assert(lines[0] === EXPORT_HEADERS.join(','), 'Header row');
+  assert(lines[1].includes(',1234.56,,-210,0.5,1025.06,Done,OK'), 'Plain numbers, empty for missing');
+  assert(lines.length === 3 && lines[2].startsWith('b.pdf,'), 'One row per PDF');
+}
+
+console.log('── Test 4: XLSX ──');
+{
+  const files = readZip(buildExportXlsx([done, failedResult]));
+  assert(['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml', 'xl/styles.xml']
+    .every(name => files.has(name)), 'All workbook parts present');
+  const sheet = files.get('xl/worksheets/sheet1.xml');
+  assert(sheet.includes('<c r="G2" s="1"><v>1234.56</v></c>'), 'Amount written as a number cell');
+  assert(!sheet.includes('r="H2"'), 'Blank amount leaves the cell empty');
+  assert(sheet.includes('<t>ACME &amp; SONS SL</t>'), 'Text escaped');
+  assert(sheet.includes('<autoFilter ref="A1:M3"/>') && sheet.includes('state="frozen"'), 'Autofilter and frozen header');
+  assert(columnName(0) === 'A' && columnName(25) === 'Z' && columnName(26) === 'AA' && columnName(701) === 'ZZ', 'Column names');
+  const odd = readZip(createXlsx([['x'], [' padded \u0001']], { sheetName: 'a/b:c' }));
+  assert(odd.get('xl/worksheets/sheet1.xml').includes('<t xml:space="preserve"> padded </t>'), 'Spaces preserved, control characters dropped');
+  assert(odd.get('xl/workbook.xml').includes('<sheet name="a b c"'), 'Invalid sheet-name characters replaced');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for the batch history records.
+ *
+ * Usage:  node scripts/test-history.mjs
+ *
+ * Validates:
+ *  1) serializeResult keeps the extracted fields, corrections and EML of a
+ *     row, not its File, attachment bytes or progress, and survives a
+ *     structured clone (what IndexedDB stores).
+ *  2) restoreResult brings the row back with its PDF re-attached; rows
+ *     that were queued or running come back Interrupted; a restored row
+ *     can still be rebuilt after a correction.
+ *  3) summarizeBatch / describeBatch report where a batch stopped.
+ */
+import {
+  serializeResult, restoreResult, summarizeBatch, describeBatch, INTERRUPTED_STATUS, buildMessage
+} from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+const pdfBytes = new TextEncoder().encode('%PDF-1.4\n%%EOF\n');
+const file = new File([pdfBytes], 'carta.pdf', { type: 'application/pdf' });
+
+function doneResult() {
+  return {
+    file,
+    source: 'Export.zip/carta.pdf',
+    pageRange: null,
+    nif: 'B12345674',
+    recipient: 'ACME SOLUCIONES SL',
+    toEmail: 'info@acme.es',
+    ccEmail: '',
+    toSource: 'manual',
+    subject: 'Modelo 347',
+    baseFilename: 'Factura ACME',
+    filenameEdited: true,
+    diagnostics: 'OK',
+    notes: [],
+    scanNotes: [],
+    eml: 'From: x\r\n\r\nbody',
+    bodyHtml: '<p>Estimado cliente:</p>',
+    bodyText: 'Estimado cliente:',
+    attachments: [{ filename: 'carta.pdf', mimeType: 'application/pdf', bytes: pdfBytes }],
+    sender: null,
+    quarterAmounts: { labels: ['1T'], values: ['1.234,56'] },
+    profileId: 'modelo-347',
+    profileDetected: true,
+    status: 'Done',
+    error: '',
+    progress: null
+  };
+}
+
+console.log('── Test 1: serializeResult ──');
+{
+  const record = structuredClone(serializeResult(doneResult(), { batchId: 'b1', rowIndex: 3, fileIndex: 2 }));
+  assert(record.batchId === 'b1' && record.rowIndex === 3 && record.fileIndex === 2, 'Keyed by batch, row and file');
+  assert(record.toEmail === 'info@acme.es' && record.baseFilename === 'Factura ACME' && record.filenameEdited,
+    'Manual corrections kept');
+  assert(record.eml.includes('body') && record.quarterAmounts.values[0] === '1.234,56', 'EML and amounts kept');
+  assert(!('file' in record) && !('attachments' in record) && !('progress' in record) && record.hasAttachment,
+    'File, attachment bytes and progress left out; the attachment is flagged');
+}
+
+console.log('── Test 2: restoreResult ──');
+{
+  const record = structuredClone(serializeResult(doneResult(), { batchId: 'b1', rowIndex: 0, fileIndex: 0 }));
+  const input = { file, source: 'Export.zip/carta.pdf' };
+  const restored = restoreResult(record, input, pdfBytes);
+  assert(restored.file === file && restored.source === 'Export.zip/carta.pdf' && restored.status === 'Done',
+    'Row back with its PDF and status');
+  assert(restored.attachments.length === 1 && restored.attachments[0].bytes === pdfBytes, 'Source PDF re-attached');
+
+  restored.toEmail = 'admin@acme.es';
+  const { eml } = await buildMessage(restored.bodyHtml, restored);
+  assert(/To: admin@acme\.es/.test(eml) && /carta\.pdf/.test(eml), 'Restored row rebuilds with the correction and attachment');
+
+  for (const status of ['Pending', 'Processing']) {
+    const queued = structuredClone(serializeResult({ ...doneResult(), status, attachments: [] }, { batchId: 'b1', rowIndex: 1, fileIndex: 0 }));
+    assert(restoreResult(queued, input).status === INTERRUPTED_STATUS, `${status} row comes back Interrupted`);
+  }
+  const failedRow = serializeResult({ ...doneResult(), status: 'Error', error: 'Bad PDF' }, { batchId: 'b1', rowIndex: 2, fileIndex: 0 });
+  assert(restoreResult(failedRow, input).error === 'Bad PDF', 'Error row keeps its message');
+}
+
+console.log('── Test 3: batch progress ──');
+{
+  const statuses = ['Done', 'Done', 'Error', 'Cancelled', 'Pending', 'Processing', INTERRUPTED_STATUS];
+  const counts = summarizeBatch(statuses.map(status => ({ status })));
+  assert(counts.total === 7 && counts.done === 2 && counts.error === 1 && counts.cancelled === 1 && counts.remaining === 3,
+    'Counts by status, unfinished rows as remaining');
+  assert(describeBatch(counts) === '2/7 done, 1 error(s), 1 cancelled, 3 not processed', `Progress line (${describeBatch(counts)})`);
+  assert(describeBatch(summarizeBatch([{ status: 'Done' }])) === '1/1 done', 'Finished batch: only the done count');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
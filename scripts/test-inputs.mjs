@@ -0,0 +1,139 @@
+/**
+ * Unit tests for batch input: the ZIP reader and collectPdfs().
+ *
+ * Usage:  node scripts/test-inputs.mjs
+ *
+ * Validates:
+ *  1) listZipEntries/readZipEntry read stored (createZip) and deflated
+ *     entries; folder entries are left out.
+ *  2) Names without the UTF-8 flag are decoded as CP850; a corrupted entry
+ *     fails its CRC check; non-ZIP bytes are rejected.
+ *  3) collectPdfs unpacks ZIPs (also nested), keeps the path each PDF came
+ *     from, reports non-PDF entries and sorts naturally.
+ */
+import zlib from 'node:zlib';
+import { createZip, listZipEntries, readZipEntry, collectPdfs, crc32 } from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+// ── Minimal deflating ZIP writer (what A3 and Explorer produce) ──
+// `name` is a string (UTF-8 flag set) or raw bytes (no flag)
+function deflatedZip(entries) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const utf8 = typeof entry.name === 'string';
+    const name = utf8 ? new TextEncoder().encode(entry.name) : entry.name;
+    const data = typeof entry.data === 'string' ? new TextEncoder().encode(entry.data) : entry.data;
+    const packed = zlib.deflateRawSync(data);
+    const header = (size, sig) => {
+      const view = new DataView(new ArrayBuffer(size));
+      view.setUint32(0, sig, true);
+      return view;
+    };
+    const local = header(30, 0x04034B50);
+    local.setUint16(6, utf8 ? 0x0800 : 0, true);
+    local.setUint16(8, 8, true);
+    local.setUint32(14, crc32(data), true);
+    local.setUint32(18, packed.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    const dir = header(46, 0x02014B50);
+    dir.setUint16(8, utf8 ? 0x0800 : 0, true);
+    dir.setUint16(10, 8, true);
+    dir.setUint32(16, crc32(data), true);
+    dir.setUint32(20, packed.length, true);
+    dir.setUint32(24, data.length, true);
+    dir.setUint16(28, name.length, true);
+    dir.setUint32(42, offset, true);
+    parts.push(new Uint8Array(local.buffer), name, packed);
+    central.push(new Uint8Array(dir.buffer), name);
+    offset += 30 + name.length + packed.length;
+  }
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Uint8Array(Buffer.concat([...parts, ...central, new Uint8Array(end.buffer)]));
+}
+
+const pdfBytes = label => new TextEncoder().encode(`%PDF-1.4\n% ${label}\n%%EOF\n`);
+const source = (name, data, path = '') => ({ file: new File([data], name), path });
+
+console.log('── Test 1: stored and deflated entries ──');
+{
+  const stored = createZip([{ name: 'a/carta.pdf', data: pdfBytes('a') }, { name: 'nota.txt', data: 'hola' }]);
+  const storedEntries = listZipEntries(stored);
+  assert(storedEntries.map(e => e.name).join() === 'a/carta.pdf,nota.txt', 'createZip entries listed');
+  assert(new TextDecoder().decode(await readZipEntry(stored, storedEntries[1])) === 'hola', 'Stored entry read back');
+
+  const text = 'Notificación '.repeat(200);
+  const deflated = deflatedZip([{ name: 'Clientes/', data: '' }, { name: 'Clientes/Peña.txt', data: text }]);
+  const entries = listZipEntries(deflated);
+  assert(entries.length === 1 && entries[0].name === 'Clientes/Peña.txt' && entries[0].method === 8, 'Folder entry left out, UTF-8 name kept');
+  assert(new TextDecoder().decode(await readZipEntry(deflated, entries[0])) === text, 'Deflated entry inflated');
+}
+
+console.log('── Test 2: names, CRC and bad input ──');
+{
+  // "Peña.pdf" as Spanish Windows writes it: ñ = 0xA4 in CP850
+  const oem = deflatedZip([{ name: Uint8Array.from([0x50, 0x65, 0xA4, 0x61, 0x2E, 0x70, 0x64, 0x66]), data: 'x' }]);
+  assert(listZipEntries(oem)[0].name === 'Peña.pdf', 'CP850 name decoded');
+
+  const corrupt = createZip([{ name: 'a.txt', data: 'abcdef' }]);
+  corrupt[30 + 5] ^= 0xFF;
+  const err = await readZipEntry(corrupt, listZipEntries(corrupt)[0]).catch(e => e);
+  assert(err instanceof Error && /CRC/.test(err.message), 'Corrupted entry fails the CRC check');
+
+  let notZip = null;
+  try { listZipEntries(pdfBytes('x')); } catch (e) { notZip = e; }
+  assert(notZip && notZip.message === 'Not a ZIP archive', 'Non-ZIP bytes rejected');
+}
+
+console.log('── Test 3: collectPdfs ──');
+{
+  const inner = createZip([{ name: 'carta.pdf', data: pdfBytes('inner') }]);
+  const archive = deflatedZip([
+    { name: 'ACME SL/carta10.pdf', data: pdfBytes('10') },
+    { name: 'ACME SL/carta2.pdf', data: pdfBytes('2') },
+    { name: 'ACME SL/leeme.txt', data: 'x' },
+    { name: '__MACOSX/ACME SL/._carta2.pdf', data: 'x' },
+    { name: 'anexos.zip', data: inner }
+  ]);
+  const { pdfs, skipped } = await collectPdfs([
+    source('Export.zip', archive),
+    source('suelta.pdf', pdfBytes('loose')),
+    source('falsa.pdf', 'not a pdf', 'Carpeta/falsa.pdf'),
+    source('logo.png', 'png', 'Carpeta/logo.png'),
+    source('.DS_Store', 'x', 'Carpeta/.DS_Store')
+  ]);
+  assert(pdfs.map(p => p.source).join() === 'Export.zip/ACME SL/carta2.pdf,Export.zip/ACME SL/carta10.pdf,Export.zip/anexos.zip/carta.pdf,suelta.pdf',
+    `PDFs from the ZIP, the nested ZIP and on their own, in natural order (${pdfs.map(p => p.source).join()})`);
+  assert(pdfs[0].file.name === 'carta2.pdf' && new TextDecoder().decode(await pdfs[0].file.arrayBuffer()).includes('% 2'), 'ZIP entry becomes a File named after it');
+  assert(skipped.map(s => s.source).join() === 'Export.zip/ACME SL/leeme.txt,Carpeta/falsa.pdf,Carpeta/logo.png', 'Non-PDF entries reported; __MACOSX and dotfiles ignored');
+  assert(/%PDF/.test(skipped[1].reason), '.pdf without a PDF header reported as such');
+
+  const broken = await collectPdfs([source('roto.zip', 'PK nope')]);
+  assert(!broken.pdfs.length && broken.skipped[0].reason === 'Not a ZIP archive', 'Unreadable ZIP reported, not thrown');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for column detection and reading order.
+ *
+ * Usage:  node scripts/test-layout.mjs
+ *
+ * Validates:
+ *  1) A page without columns is one section with all of its items.
+ *  2) Address block (left) next to a date block (right) → two columns,
+ *     read left column first, no line mixes both.
+ *  3) Label … amount rows are not split into columns.
+ *  4) Two columns of running text are split even when their rows line up.
+ *  5) buildPageHtml renders columns in order, or side by side as a table.
+ *  6) The address and date blocks keep one paragraph per line (HTML and
+ *     text/plain); running text columns still reflow.
+ */
+import { segmentLayout, buildPageHtml, buildPageBlocks, renderPageText } from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+const text = (str, x, y) => ({ str, x, y, w: str.length * 5, h: 11, fontName: 'F1' });
+const strs = items => items.map(it => it.str);
+const PROSE = 'Le informamos de que la declaracion ha sido';   // 43 chars → 215pt wide
+
+// Letterhead: address block on the left, date block on the right
+const letterhead = [
+  text('ACME SOLUCIONES SL', 50, 100), text('Madrid, 3 de marzo de 2026', 380, 100),
+  text('Calle Mayor 1', 50, 114), text('Ref. 347/2025', 380, 120),
+  text('28001 Madrid', 50, 128)
+];
+
+console.log('── Test 1: single column ──');
+{
+  const items = [text(PROSE, 50, 100), text(PROSE, 50, 114), text(PROSE, 50, 150)];
+  const sections = segmentLayout(items, { bodySize: 11 });
+  assert(sections.length === 1 && sections[0].columns.length === 1, 'One section, one column');
+  assert(sections[0].columns[0].length === 3, 'All items kept');
+}
+
+console.log('── Test 2: address | date ──');
+{
+  const sections = segmentLayout([...letterhead, text(PROSE, 50, 170)], { bodySize: 11 });
+  assert(sections.length === 2, `Letterhead and body are separate sections (got ${sections.length})`);
+  const [head, body] = sections;
+  assert(head.columns.length === 2, 'Letterhead split into two columns');
+  assert(strs(head.columns[0]).join('|') === 'ACME SOLUCIONES SL|Calle Mayor 1|28001 Madrid', 'Left column is the address block');
+  assert(strs(head.columns[1]).join('|') === 'Madrid, 3 de marzo de 2026|Ref. 347/2025', 'Right column is the date block');
+  assert(head.gutters.length === 1 && head.gutters[0] > 140 && head.gutters[0] < 380, 'Gutter between the blocks');
+  assert(body.columns.length === 1 && body.columns[0][0].str === PROSE, 'Body text follows as one column');
+}
+
+console.log('── Test 3: amount rows ──');
+{
+  const rows = [
+    text('Base imponible', 50, 100), text('1.000,00', 400, 100),
+    text('Cuota', 50, 114), text('210,00', 400, 114),
+    text('Total', 50, 128), text('1.210,00', 400, 128)
+  ];
+  const sections = segmentLayout(rows, { bodySize: 11 });
+  assert(sections.length === 1 && sections[0].columns.length === 1, 'Label … amount rows stay one column');
+  const single = segmentLayout([text('Total a ingresar', 50, 100), text('1.210,00', 400, 100)], { bodySize: 11 });
+  assert(single[0].columns.length === 1, 'A single label … amount line stays one column');
+}
+
+console.log('── Test 4: running text columns ──');
+{
+  const items = [];
+  for (let i = 0; i < 4; i++) items.push(text(PROSE, 50, 100 + i * 14), text(PROSE, 300, 100 + i * 14));
+  const sections = segmentLayout(items, { bodySize: 11 });
+  assert(sections.length === 1 && sections[0].columns.length === 2, 'Two prose columns detected');
+}
+
+console.log('── Test 5: buildPageHtml ──');
+{
+  const page = { textItems: letterhead, segments: [], width: 595 };
+  const html = buildPageHtml(page, 0);
+  const order = ['ACME', 'Calle Mayor', '28001', 'Madrid, 3 de marzo', 'Ref. 347'].map(s => html.indexOf(s));
+  assert(order.every((pos, i) => pos >= 0 && (i === 0 || pos > order[i - 1])), 'Left column read before the right one');
+  assert(!/ACME SOLUCIONES SL Madrid/.test(html), 'No line mixes both columns');
+  assert(!html.includes('<table'), 'No layout table by default');
+
+  const table = buildPageHtml(page, 0, undefined, { sideBySide: true });
+  assert(/<table role="presentation"/.test(table) && (table.match(/<td /g) || []).length === 2, 'sideBySide renders a two-cell layout table');
+  assert(/width:\d+%/.test(table), 'Cells sized by column position');
+}
+
+console.log('── Test 6: side blocks are not reflowed ──');
+{
+  const address = [
+    text('B12345674 ACME SL', 50, 100), text('Madrid, 3 de marzo de 2026', 380, 100),
+    text('CALLE MAYOR 1', 50, 114), text('Ref. 347/2025', 380, 120),
+    text('28001 MADRID', 50, 128)
+  ];
+  const page = { textItems: [...address, text(PROSE + ' presentada', 50, 170)], segments: [], width: 595 };
+  const html = buildPageHtml(page, 0);
+  for (const line of ['B12345674 ACME SL', 'CALLE MAYOR 1', '28001 MADRID', 'Madrid, 3 de marzo de 2026', 'Ref. 347/2025']) {
+    assert(html.includes(`>${line}</p>`), `"${line}" is a paragraph of its own`);
+  }
+  const plain = renderPageText(buildPageBlocks(page, 0));
+  assert(!/ACME SL CALLE|2026 Ref\./.test(plain), 'text/plain keeps the address lines apart');
+
+  const items = [];
+  for (let i = 0; i < 4; i++) items.push(text(PROSE, 50, 100 + i * 14), text(PROSE, 300, 100 + i * 14));
+  const prose = buildPageHtml({ textItems: items, segments: [], width: 595 }, 0);
+  assert((prose.match(/<p /g) || []).length === 2, 'Each prose column reflows into one paragraph');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for ruled table detection with merged cells.
+ *
+ * Usage:  node scripts/test-merged-cells.mjs
+ *
+ * Validates:
+ *  1) Path operators batched in constructPath (pdf.js 4.x) yield segments.
+ *  2) A header over two columns becomes one cell with colspan=2.
+ *  3) A label over two rows becomes one cell with rowspan=2.
+ *  4) renderTable emits the merged structure and skips covered slots.
+ *  5) A plain grid is unchanged (no spans).
+ */
+import { detectTables, renderTable, extractLineSegments } from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+const hLine = (y, x0, x1) => ({ x0, y0: y, x1, y1: y });
+const vLine = (x, y0, y1) => ({ x0: x, y0, x1: x, y1 });
+const text = (str, x, y) => ({ str, x, y, w: str.length * 5, h: 10, fontName: 'F1' });
+
+// Columns at x = 50 | 200 | 300 | 400, rows at y = 100 | 120 | 140 | 160
+//
+//   +----------+-----------------+
+//   | Concepto |     Importe     |
+//   |          +--------+--------+
+//   |          | Base   | Cuota  |
+//   +----------+--------+--------+
+//   | Ventas   | 1.000  | 210    |
+//   +----------+--------+--------+
+const mergedSegments = [
+  hLine(100, 50, 400), hLine(140, 50, 400), hLine(160, 50, 400),
+  hLine(120, 200, 400),
+  vLine(50, 100, 160), vLine(200, 100, 160), vLine(400, 100, 160),
+  vLine(300, 120, 160)
+];
+const mergedTexts = [
+  text('Concepto', 60, 120), text('Importe', 230, 103),
+  text('Base', 210, 124), text('Cuota', 310, 124),
+  text('Ventas', 60, 144), text('1.000,00', 210, 144), text('210,00', 310, 144)
+];
+
+console.log('── Test 1: constructPath segments ──');
+{
+  const OPS = { save: 10, restore: 11, transform: 12, moveTo: 13, lineTo: 14, curveTo: 15, curveTo2: 16, curveTo3: 17, closePath: 18, rectangle: 19, constructPath: 91 };
+  const ops = {
+    fnArray: [OPS.constructPath],
+    argsArray: [[[OPS.moveTo, OPS.lineTo, OPS.curveTo, OPS.rectangle], [0, 0, 100, 0, 1, 1, 2, 2, 3, 3, 10, 10, 50, 20], [0, 0, 100, 100]]]
+  };
+  const segs = extractLineSegments(ops, 842, OPS);
+  assert(segs.length === 5, `1 line + 4 rectangle sides (got ${segs.length})`);
+  assert(segs[0].x1 === 100 && segs[0].y0 === 842 && segs[0].y1 === 842, 'Line flipped to top-left origin');
+  assert(segs[1].x0 === 10 && segs[1].x1 === 60 && segs[1].y0 === 832, 'Rectangle args read after the 6 curve coords');
+}
+
+console.log('── Test 2: colspan / rowspan ──');
+const { tables } = detectTables(mergedSegments, mergedTexts);
+const [tbl] = tables;
+{
+  assert(tables.length === 1 && tbl.tRows === 3 && tbl.tCols === 3, 'One 3×3 table');
+  assert(tbl.grid[0][1].colspan === 2 && tbl.grid[0][1].texts[0].str === 'Importe', '"Importe" spans Base and Cuota');
+  assert(tbl.grid[0][2] === null, 'Slot under the colspan is covered');
+  assert(tbl.grid[0][0].rowspan === 2 && tbl.grid[0][0].texts[0].str === 'Concepto', '"Concepto" spans two rows');
+  assert(tbl.grid[1][0] === null, 'Slot under the rowspan is covered');
+  assert(tbl.grid[2][1].texts[0].str === '1.000,00', 'Body cells keep their text');
+}
+
+console.log('── Test 3: renderTable ──');
+{
+  const html = renderTable(tbl);
+  assert(/<td rowspan="2"[^>]*>Concepto<\/td>/.test(html), 'rowspan emitted');
+  assert(/<td colspan="2"[^>]*text-align:center;[^>]*>Importe<\/td>/.test(html), 'colspan emitted, centered');
+  const rows = html.split('<tr>').slice(1).map(row => (row.match(/<td/g) || []).length);
+  assert(rows.join(',') === '2,2,3', `Cells per row 2,2,3 (got ${rows.join(',')})`);
+}
+
+console.log('── Test 4: plain grid ──');
+{
+  const segs = [
+    hLine(100, 50, 250), hLine(120, 50, 250), hLine(140, 50, 250),
+    vLine(50, 100, 140), vLine(150, 100, 140), vLine(250, 100, 140)
+  ];
+  const { tables: plain } = detectTables(segs, [text('a', 60, 104), text('d', 160, 124)]);
+  const cells = plain[0].grid.flat();
+  assert(cells.length === 4 && cells.every(c => c && c.rowspan === 1 && c.colspan === 1), '2×2 cells, no spans');
+  assert(!/rowspan|colspan/.test(renderTable(plain[0])), 'No span attributes rendered');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,189 @@
+/**
+ * Unit tests for the Outlook .msg output (compound file + MAPI properties).
+ *
+ * Usage:  node scripts/test-msg.mjs
+ *
+ * Validates:
+ *  1) createCompoundFile writes a CFB v3 file whose streams read back
+ *     byte for byte, mini stream and regular sectors alike.
+ *  2) buildMsg stores subject, HTML/plain bodies and the Outlook draft flags.
+ *  3) To/Cc become recipient storages; inline images and attachments become
+ *     attachment storages (images hidden, with their Content-ID).
+ *  4) Output names follow the chosen format's extension.
+ *  5) A signature sender sets From, Reply-To, Bcc and the read receipt.
+ */
+import { createCompoundFile, buildMsg, resolveFileNameCollisions, OUTPUT_FORMATS } from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+// ── Minimal CFB reader (paths → stream bytes) ─────────────────
+function readCompoundFile(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const u32 = offset => view.getUint32(offset, true);
+  const sector = id => bytes.subarray(512 * (id + 1), 512 * (id + 2));
+
+  const fat = [];
+  for (let i = 0; i < Math.min(u32(44), 109); i++) {
+    const s = sector(u32(76 + i * 4));
+    for (let j = 0; j < 512; j += 4) fat.push(new DataView(s.buffer, s.byteOffset).getUint32(j, true));
+  }
+  const chain = (start, table) => {
+    const ids = [];
+    for (let id = start; id < 0xFFFFFFFA; id = table[id]) ids.push(id);
+    return ids;
+  };
+  const readChain = start => {
+    const ids = chain(start, fat);
+    const out = new Uint8Array(ids.length * 512);
+    ids.forEach((id, i) => out.set(sector(id), i * 512));
+    return out;
+  };
+
+  const dir = readChain(u32(48));
+  const dirView = new DataView(dir.buffer);
+  const entries = [];
+  for (let off = 0; off < dir.length; off += 128) {
+    const nameLength = dirView.getUint16(off + 64, true);
+    const name = String.fromCharCode(...new Uint16Array(dir.buffer.slice(off, off + Math.max(nameLength - 2, 0))));
+    entries.push({
+      name, type: dir[off + 66],
+      left: dirView.getUint32(off + 68, true), right: dirView.getUint32(off + 72, true), child: dirView.getUint32(off + 76, true),
+      start: dirView.getUint32(off + 116, true), size: dirView.getUint32(off + 120, true)
+    });
+  }
+
+  const miniFatBytes = u32(64) ? readChain(u32(60)) : new Uint8Array(0);
+  const miniFat = Array.from({ length: miniFatBytes.length / 4 }, (_, i) => new DataView(miniFatBytes.buffer).getUint32(i * 4, true));
+  const miniStream = readChain(entries[0].start);
+
+  const streams = new Map();
+  const walk = (index, prefix) => {
+    if (index === 0xFFFFFFFF) return;
+    const e = entries[index];
+    walk(e.left, prefix);
+    walk(e.right, prefix);
+    const path = prefix + e.name;
+    if (e.type === 2) {
+      const data = e.size < 4096
+        ? chain(e.start, miniFat).reduce((acc, id) => [...acc, ...miniStream.subarray(id * 64, id * 64 + 64)], [])
+        : [...readChain(e.start)];
+      streams.set(path, Uint8Array.from(data.slice(0, e.size)));
+    } else {
+      walk(e.child, `${path}/`);
+    }
+  };
+  walk(entries[0].child, '');
+  return { streams, clsid: dir.subarray(80, 96) };
+}
+
+// Fixed-size property value from a __properties_version1.0 stream
+function readProperty(props, headerSize, propTag) {
+  const view = new DataView(props.buffer, props.byteOffset, props.byteLength);
+  for (let off = headerSize; off < props.length; off += 16) {
+    if (view.getUint32(off, true) === propTag) return view.getUint32(off + 8, true);
+  }
+  return undefined;
+}
+
+const utf16 = bytes => String.fromCharCode(...new Uint16Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)));
+const fill = (size, seed) => Uint8Array.from({ length: size }, (_, i) => (i * seed) & 0xFF);
+
+console.log('── Test 1: compound file ──');
+{
+  const small = fill(100, 7);
+  const large = fill(5000, 13);
+  const cfb = createCompoundFile({
+    children: [
+      { name: 'small', data: small },
+      { name: 'Folder', children: [{ name: 'large', data: large }, { name: 'empty', data: new Uint8Array(0) }] }
+    ]
+  });
+  assert([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1].every((b, i) => cfb[i] === b), 'CFB signature');
+  assert(cfb[26] === 3 && cfb.length % 512 === 0, 'Version 3, whole 512-byte sectors');
+  const { streams } = readCompoundFile(cfb);
+  assert(streams.get('small').every((b, i) => b === small[i]), 'Small stream read back from the mini stream');
+  assert(streams.get('Folder/large').length === 5000 && streams.get('Folder/large').every((b, i) => b === large[i]), 'Large stream read back from regular sectors');
+  assert(streams.get('Folder/empty').length === 0, 'Empty stream kept');
+}
+
+const html = '<p>Notificación</p><img src="signatures/assets/logo.png">';
+const msg = await buildMsg(html, {
+  toEmail: 'a@example.com, b@example.com',
+  ccEmail: 'c@example.com',
+  subject: 'Aviso de pago',
+  bodyText: 'Notificación\n',
+  loadAsset: async () => new Uint8Array([1, 2, 3]),
+  attachments: [{ filename: 'carta.pdf', mimeType: 'application/pdf', bytes: new Uint8Array([4, 5]) }]
+});
+const { streams, clsid } = readCompoundFile(msg);
+const prop = (storage, id, type) => streams.get(`${storage}__substg1.0_${id}${type}`);
+const topProps = streams.get('__properties_version1.0');
+
+console.log('── Test 2: message properties ──');
+{
+  assert(clsid[0] === 0x0B && clsid[1] === 0x0D && clsid[15] === 0x46, 'Root CLSID is the Outlook message class');
+  assert(utf16(prop('', '001A', '001F')) === 'IPM.Note', 'Message class IPM.Note');
+  assert(utf16(prop('', '0037', '001F')) === 'Aviso de pago', 'Subject');
+  assert(new TextDecoder().decode(prop('', '1013', '0102')).includes('<p>Notificación</p>'), 'HTML body stored as UTF-8');
+  assert(utf16(prop('', '1000', '001F')) === 'Notificación\r\n', 'Plain body with CRLF line ends');
+  const flags = readProperty(topProps, 32, 0x0E070003);
+  assert((flags & 0x08) === 0x08, `MSGFLAG_UNSENT set, so Outlook opens it as a draft (flags ${flags})`);
+}
+
+console.log('── Test 3: recipients and attachments ──');
+{
+  const recipients = [0, 1, 2].map(n => `__recip_version1.0_#${String(n).padStart(8, '0')}/`);
+  assert(recipients.map(r => utf16(prop(r, '3003', '001F'))).join(',') === 'a@example.com,b@example.com,c@example.com', 'One recipient storage per address');
+  assert(recipients.map(r => readProperty(streams.get(`${r}__properties_version1.0`), 8, 0x0C150003)).join(',') === '1,1,2', 'Recipient types To, To, Cc');
+  assert(utf16(prop('', '0E04', '001F')) === 'a@example.com; b@example.com', 'DISPLAY_TO lists the To addresses');
+
+  const image = '__attach_version1.0_#00000000/';
+  const pdf = '__attach_version1.0_#00000001/';
+  assert(prop(image, '3701', '0102').join() === '1,2,3' && utf16(prop(image, '3712', '001F')).length > 0, 'Inline image stored with a Content-ID');
+  const cid = utf16(prop(image, '3712', '001F'));
+  assert(new TextDecoder().decode(prop('', '1013', '0102')).includes(`cid:${cid}`), 'HTML references the image by cid:');
+  assert(readProperty(streams.get(`${image}__properties_version1.0`), 8, 0x7FFE000B) === 1, 'Inline image hidden from the attachment list');
+  assert(utf16(prop(pdf, '3707', '001F')) === 'carta.pdf' && prop(pdf, '3701', '0102').join() === '4,5', 'PDF attachment by value');
+  assert((readProperty(topProps, 32, 0x0E070003) & 0x10) === 0x10, 'Message marked as having attachments');
+}
+
+console.log('── Test 4: file names ──');
+{
+  assert(resolveFileNameCollisions(['a', 'a'], OUTPUT_FORMATS.msg.extension).join() === 'a.msg,a (2).msg', '.msg names with collision suffixes');
+  assert(resolveFileNameCollisions(['a']).join() === 'a.eml', '.eml stays the default');
+}
+
+console.log('── Test 5: sender ──');
+{
+  const withSender = readCompoundFile(await buildMsg('<p>x</p>', {
+    toEmail: 'a@example.com',
+    subject: 'T',
+    sender: { name: 'Anastasiya B.', email: 'conta@nmeconomista.com', replyTo: 'conta@nmeconomista.com', cc: '', bcc: 'archivo@nmeconomista.com', readReceipt: true }
+  })).streams;
+  const get = (id, type) => withSender.get(`__substg1.0_${id}${type}`);
+  assert(utf16(get('0042', '001F')) === 'Anastasiya B.' && utf16(get('0065', '001F')) === 'conta@nmeconomista.com', 'From (sent representing) name and address');
+  assert(utf16(get('0C1F', '001F')) === 'conta@nmeconomista.com', 'Sender address');
+  assert(utf16(get('0050', '001F')) === 'conta@nmeconomista.com' && new DataView(get('004F', '0102').buffer).getUint32(0, true) === 1, 'Reply-To names and entry list');
+  assert(/@nmeconomista\.com>$/.test(utf16(get('1035', '001F'))), 'Internet Message-ID on the sender domain');
+  assert(readProperty(withSender.get('__properties_version1.0'), 32, 0x0029000B) === 1, 'Read receipt requested');
+  const bccRecipient = '__recip_version1.0_#00000001/';
+  assert(utf16(withSender.get(`${bccRecipient}__substg1.0_3003001F`)) === 'archivo@nmeconomista.com'
+    && readProperty(withSender.get(`${bccRecipient}__properties_version1.0`), 8, 0x0C150003) === 3, 'Bcc recipient');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
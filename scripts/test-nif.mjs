@@ -0,0 +1,111 @@
+/**
+ * Unit tests for Spanish tax IDs (DNI, NIE, CIF).
+ *
+ * Usage:  node scripts/test-nif.mjs
+ *
+ * Validates:
+ *  1) validateNif recognizes DNI, NIE, K/L/M and CIF and checks the control
+ *     character with the official algorithms.
+ *  2) The default profile finds every format on the recipient line, K/L/M
+ *     included.
+ *  3) A line with a valid ID wins over an earlier one with a wrong control.
+ *  4) processPdf keeps the normalized NIF and flags a wrong control in Diag.
+ */
+import {
+  validateNif, nifNote, extractNif, extractRecipient, normalizeNif, processPdf
+} from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+// One text item per line, top to bottom
+function makePage(lines) {
+  return {
+    width: 595,
+    height: 842,
+    textItems: lines.map((str, i) => ({ str, x: 50, y: 60 + i * 20, w: str.length * 5, h: 10, fontName: 'F1' })),
+    segments: [],
+    annotations: []
+  };
+}
+
+console.log('── Test 1: validateNif ──');
+{
+  const cases = [
+    ['12345678Z', 'DNI', true], ['12345678A', 'DNI', false], ['00000000T', 'DNI', true],
+    ['X1234567L', 'NIE', true], ['Y1234567X', 'NIE', true], ['Z1234567R', 'NIE', true], ['X1234567A', 'NIE', false],
+    ['K1234567L', 'DNI', true],
+    ['B12345674', 'CIF', true], ['B12345678', 'CIF', false], ['B1234567D', 'CIF', false],
+    ['Q2826000H', 'CIF', true], ['Q28260008', 'CIF', false], ['G12345674', 'CIF', true], ['G1234567D', 'CIF', true],
+    ['ACME', '', false]
+  ];
+  for (const [nif, type, valid] of cases) {
+    const r = validateNif(nif);
+    assert(r.type === type && r.valid === valid, `${nif}: ${type || 'not a tax ID'}, ${valid ? 'valid' : 'invalid'}`);
+  }
+  assert(validateNif('es b-1234567-4').valid && validateNif('12.345.678-z').nif === '12345678Z', 'Separators, case and ES prefix normalized');
+  assert(nifNote('B12345678') === 'Invalid CIF control: B12345678 (expected 4)', 'Diag note names the expected control');
+  assert(nifNote('12345678Z') === '' && nifNote('') === '', 'No note for valid or missing IDs');
+  assert(normalizeNif('ES B12345674') === 'B12345674', 'normalizeNif still exported');
+}
+
+console.log('── Test 2: every format on the recipient line ──');
+{
+  assert(extractNif(makePage(['12345678Z JUAN PÉREZ GARCÍA'])) === '12345678Z', 'DNI-based NIF (self-employed)');
+  assert(extractRecipient(makePage(['X1234567L ANNA MÜLLER'])) === 'ANNA MÜLLER', 'NIE, recipient after it');
+  assert(extractNif(makePage(['K1234567L PEDRO PÉREZ RUIZ'])) === 'K1234567L', 'K/L/M with a control letter past J');
+  assert(extractNif(makePage(['Q2826000H AYUNTAMIENTO'])) === 'Q2826000H', 'CIF with a control letter');
+  assert(extractNif(makePage(['B-12345674 ACME SL'])) === 'B-12345674', 'CIF with a dash as printed');
+}
+
+console.log('── Test 3: valid ID preferred ──');
+{
+  const page = makePage(['Ref. A00000001', 'B12345674 ACME SL']);
+  assert(extractNif(page) === 'B12345674' && extractRecipient(page) === 'ACME SL', 'Reference number with a bad control skipped');
+  assert(extractNif(makePage(['B12345678 ACME SL'])) === 'B12345678', 'Only an invalid ID → still used (and flagged)');
+}
+
+console.log('── Test 4: Diag ──');
+{
+  // Minimal pdf.js stand-in: one page with the given lines
+  const fakePdfjs = lines => ({
+    OPS: {},
+    getDocument: () => ({
+      promise: Promise.resolve({
+        numPages: 1,
+        getPage: async () => ({
+          view: [0, 0, 595, 842],
+          getViewport: () => ({ width: 595, height: 842, transform: [1, 0, 0, -1, 0, 842] }),
+          getTextContent: async () => ({
+            items: lines.map((str, i) => ({ str, transform: [10, 0, 0, 10, 50, 782 - i * 20], width: str.length * 5, height: 10, fontName: 'F1' })),
+            styles: { F1: { fontFamily: 'sans-serif' } }
+          }),
+          getOperatorList: async () => ({ fnArray: [], argsArray: [] }),
+          getAnnotations: async () => []
+        })
+      }),
+      destroy: async () => {}
+    })
+  });
+  const bad = await processPdf(new Uint8Array(0), { pdfjsLib: fakePdfjs(['B-1234567-8 ACME SL', 'A info@acme.es']), fileName: 'a.pdf' });
+  assert(bad.nif === 'B12345678', 'Result keeps the normalized NIF');
+  assert(bad.diagnostics.includes('Invalid CIF control: B12345678 (expected 4)'), `Wrong control flagged in Diag (${bad.diagnostics})`);
+  const good = await processPdf(new Uint8Array(0), { pdfjsLib: fakePdfjs(['B12345674 ACME SL', 'A info@acme.es']), fileName: 'a.pdf' });
+  assert(good.diagnostics === 'OK', 'Valid NIF → Diag OK');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
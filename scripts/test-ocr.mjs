@@ -0,0 +1,106 @@
+/**
+ * Unit tests for the OCR fallback (scanned PDFs without a text layer).
+ *
+ * Usage:  node scripts/test-ocr.mjs
+ *
+ * Validates:
+ *  1) OCR word boxes become text items in PDF points.
+ *  2) extractPage only calls the engine when the page has no text.
+ *  3) Recipient / To extraction works on OCR'd text.
+ *  4) Diag notes carry the OCR confidence or flag missing text.
+ */
+import {
+  extractPage,
+  ocrWordsToTextItems,
+  ocrNotes,
+  extractNif,
+  extractRecipient,
+  extractToEmail
+} from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+// Minimal pdf.js page: A4, given text items, no annotations or strokes
+function fakePdfPage(items = []) {
+  return {
+    getViewport: ({ scale }) => ({ width: 595 * scale, height: 842 * scale }),
+    getTextContent: async () => ({ items }),
+    getAnnotations: async () => [],
+    getOperatorList: async () => ({ fnArray: [], argsArray: [] })
+  };
+}
+
+// Tesseract-style words at scale 2, one line per entry of `lines`
+function fakeWords(lines) {
+  const words = [];
+  lines.forEach((line, row) => {
+    const lineBox = { x0: 100, y0: 200 + row * 40, x1: 900, y1: 224 + row * 40 };
+    let x = 100;
+    for (const text of line.split(' ')) {
+      const w = text.length * 14;
+      // Word tops differ slightly, as with real ascenders/descenders
+      words.push({ text, confidence: 90, bbox: { x0: x, y0: lineBox.y0 + (text.length % 3), x1: x + w, y1: lineBox.y1 }, line: { bbox: lineBox } });
+      x += w + 12;
+    }
+  });
+  return words;
+}
+
+const OPS = {};
+
+console.log('── Test 1: word boxes → text items ──');
+{
+  const [item] = ocrWordsToTextItems([{ text: 'ACME', confidence: 80, bbox: { x0: 100, y0: 200, x1: 180, y1: 224 } }], 2);
+  assert(item.x === 50 && item.y === 100 && item.w === 40 && item.h === 12, 'Pixels scaled back to PDF points');
+  assert(ocrWordsToTextItems([{ text: '  ', confidence: 0, bbox: { x0: 0, y0: 0, x1: 1, y1: 1 } }], 2).length === 0, 'Blank words dropped');
+}
+
+console.log('── Test 2: engine only runs on pages without text ──');
+{
+  let calls = 0;
+  const ocr = { recognize: async () => { calls++; return { words: fakeWords(['B12345678 ACME SL']), scale: 2 }; } };
+  const textItem = { str: 'Hola', transform: [11, 0, 0, 11, 50, 700], width: 20 };
+  const withText = await extractPage(fakePdfPage([textItem]), OPS, { ocr });
+  assert(calls === 0 && withText.ocr === null, 'Text layer present → no OCR');
+  const scanned = await extractPage(fakePdfPage([{ str: ' ', transform: [1, 0, 0, 1, 0, 0], width: 0 }]), OPS, { ocr });
+  assert(calls === 1 && scanned.ocr.words === 3, 'Whitespace-only page is OCR\'d');
+  const noEngine = await extractPage(fakePdfPage([]), OPS);
+  assert(noEngine.textItems.length === 0 && noEngine.ocr === null, 'No engine → empty page, unchanged');
+}
+
+console.log('── Test 3: extraction on OCR text ──');
+{
+  const ocr = { recognize: async () => ({ words: fakeWords(['B12345678 ACME SL', 'A info@acme.es']), scale: 2 }) };
+  const page = await extractPage(fakePdfPage([]), OPS, { ocr });
+  assert(extractNif(page) === 'B12345678', 'NIF found');
+  assert(extractRecipient(page) === 'ACME SL', 'Recipient words joined on one line');
+  assert(extractToEmail(page) === 'info@acme.es', 'To found after the "A" label');
+}
+
+console.log('── Test 4: Diag notes ──');
+{
+  const pages = [
+    { textItems: [], ocr: { confidence: 90, words: 3 } },
+    { textItems: [], ocr: { confidence: 60, words: 1 } }
+  ];
+  assert(ocrNotes(pages).join('; ') === 'OCR (confidence 83%)', 'Confidence averaged over all words');
+  assert(ocrNotes([{ textItems: [], ocr: null }]).join('') === 'No text layer', 'Flags a scanned page without OCR');
+  assert(ocrNotes([{ textItems: [{ str: 'x' }], ocr: null }]).length === 0, 'Normal page → no notes');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
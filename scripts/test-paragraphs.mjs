@@ -0,0 +1,100 @@
+/**
+ * Unit tests for paragraph reflow, hyphenation repair and ligatures.
+ *
+ * Usage:  node scripts/test-paragraphs.mjs
+ *
+ * Validates:
+ *  1) Wrapped lines of one paragraph merge into a single <p>.
+ *  2) Short lines (address block) keep one <p> per line.
+ *  3) A word split by a hyphen at the line end is rejoined.
+ *  4) A larger gap or a new indent starts a new paragraph.
+ *  5) List markers, lines ending in ":" and tables break paragraphs.
+ *  6) Ligature glyphs (U+FB01 "fi"…) are expanded by normalizePdfText.
+ */
+import { buildParagraphs, renderParagraph, normalizePdfText } from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+// One item per line, 5pt per character, 11pt glyphs, 14pt line pitch
+const line = (str, y, x = 50) => ({ y, items: [{ str, x, y, w: str.length * 5, h: 11, fontName: 'F1' }] });
+const FULL = 'Le informamos de que la declaracion presentada ha sido revisada y';   // 66 chars → right edge 380
+
+const build = (lines, opts = {}) => buildParagraphs(lines, { bodySize: 11, pageWidth: 595, ...opts });
+const texts = paras => paras.map(p => p.lines.length);
+
+console.log('── Test 1: wrapped lines ──');
+{
+  const paras = build([line(FULL, 100), line(FULL, 114), line('queda conforme.', 128)]);
+  assert(texts(paras).join(',') === '3', `Three wrapped lines → one paragraph (got ${texts(paras)})`);
+  const html = renderParagraph(paras[0], 11);
+  assert((html.match(/<p /g) || []).length === 1, 'Rendered as one <p>');
+  assert(html.includes('revisada y Le informamos'), 'Lines joined with a space');
+}
+
+console.log('── Test 2: address block ──');
+{
+  const paras = build([
+    line(FULL, 50),
+    line('Calle Mayor 1', 100), line('28001 Madrid', 114), line('España', 128)
+  ]);
+  assert(texts(paras).join(',') === '1,1,1,1', `Short lines stay separate (got ${texts(paras)})`);
+}
+
+console.log('── Test 3: hyphenation ──');
+{
+  const paras = build([line(FULL.slice(0, -2) + ' conta-', 100), line('bilidad del ejercicio.', 114)]);
+  assert(paras.length === 1 && paras[0].joins[0] === 'hyphen', 'Hyphenated line end joins');
+  assert(renderParagraph(paras[0], 11).includes(' contabilidad del'), 'Hyphen dropped, word rejoined');
+  const upper = build([line(FULL.slice(0, -2) + ' Castilla-', 100), line('La Mancha y Madrid.', 114)]);
+  assert(upper.length === 1 && upper[0].joins[0] === 'space', 'Hyphen before a capital is kept');
+}
+
+console.log('── Test 4: gaps and indents ──');
+{
+  const paras = build([line(FULL, 100), line(FULL, 114), line(FULL, 142), line(FULL, 156)]);
+  assert(texts(paras).join(',') === '2,2', `Blank line splits paragraphs (got ${texts(paras)})`);
+  assert(!paras[0].spaceBefore && paras[1].spaceBefore, 'Second paragraph has space before');
+  assert(/margin:10px 0 2px/.test(renderParagraph(paras[1], 11)), 'Space before rendered as top margin');
+
+  const indented = build([line(FULL, 100, 70), line(FULL, 114), line(FULL, 128, 70), line('final.', 142)]);
+  assert(texts(indented).join(',') === '2,2', `First-line indent starts a paragraph (got ${texts(indented)})`);
+}
+
+console.log('── Test 5: breaks ──');
+{
+  const list = build([line(FULL, 100), line('- Modelo 303 del primer trimestre', 114), line('- Modelo 111', 128)]);
+  assert(texts(list).join(',') === '1,1,1', 'List items stay separate');
+
+  const colon = build([line(FULL.slice(0, -2) + ' a:', 100), line(FULL, 114)]);
+  assert(colon.length === 2, 'Line ending in ":" ends the paragraph');
+
+  const table = build([line(FULL, 100), line(FULL, 114)], { barriers: [107] });
+  assert(table.length === 2, 'Table between lines splits the paragraph');
+
+  const heading = build([{ y: 80, items: [{ str: 'Resumen anual', x: 50, y: 80, w: 200, h: 18, fontName: 'F2' }] }, line(FULL, 100)]);
+  assert(heading.length === 2 && /^<h2 /.test(renderParagraph(heading[0], 11)), 'Heading never merges with body text');
+}
+
+console.log('── Test 6: ligatures ──');
+{
+  assert(normalizePdfText('\uFB01scal') === 'fiscal', '"fi" ligature expanded');
+  assert(normalizePdfText('o\uFB03ce') === 'office', '"ffi" ligature expanded');
+  assert(normalizePdfText('\uFB02ujo') === 'flujo', '"fl" ligature expanded');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
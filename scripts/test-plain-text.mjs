@@ -0,0 +1,106 @@
+/**
+ * Unit tests for the text/plain alternative.
+ *
+ * Usage:  node scripts/test-plain-text.mjs
+ *
+ * Validates:
+ *  1) Paragraphs are wrapped at 76 columns; headings are underlined.
+ *  2) Tables (ruled, merged and quarter) become aligned ASCII columns.
+ *  3) Signature HTML is reduced to its visible text.
+ *  4) buildEml nests text/plain + HTML in multipart/alternative, with the
+ *     multipart/related images inside it and attachments outside.
+ */
+import {
+  buildPageBlocks, renderPageText, formatTextTable, renderQuarterTableText, wrapText, htmlToText, buildEml, TEXT_WIDTH
+} from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+const text = (str, x, y, h = 11) => ({ str, x, y, w: str.length * 5, h, fontName: 'F1' });
+const decodePart = (eml, type) => {
+  const m = eml.match(new RegExp(`Content-Type: ${type}[^\\r]*\\r\\nContent-Transfer-Encoding: base64\\r\\n\\r\\n([A-Za-z0-9+/=\\r\\n]+?)\\r\\n--`));
+  return m ? Buffer.from(m[1].replace(/\r\n/g, ''), 'base64').toString('utf8') : null;
+};
+
+console.log('── Test 1: paragraphs and headings ──');
+{
+  const long = 'Le informamos de que la declaracion presentada ha sido revisada y';
+  const page = {
+    width: 595,
+    segments: [],
+    textItems: [
+      text('Resumen anual', 50, 60, 18),
+      text(long, 50, 100), text(long, 50, 114), text('queda conforme.', 50, 128),
+      text('Atentamente,', 50, 160)
+    ]
+  };
+  const out = renderPageText(buildPageBlocks(page, 0));
+  const lines = out.split('\n');
+  assert(lines[0] === 'Resumen anual' && lines[1] === '=============', 'h2 heading underlined with "="');
+  assert(lines.every(line => line.length <= TEXT_WIDTH), `No line longer than ${TEXT_WIDTH} columns`);
+  assert(out.replace(/\n/g, ' ').includes('revisada y Le informamos'), 'Wrapped PDF lines are reflowed');
+  assert(/conforme\.\n\nAtentamente,\n$/.test(out), 'Blank line between paragraphs');
+  assert(wrapText('a b c', 3) === 'a b\nc', 'wrapText breaks at the width');
+}
+
+console.log('── Test 2: tables ──');
+{
+  const quarter = renderQuarterTableText({ values: ['1.000,00', '', '3.000,00', '4.000,00', '8.000,00'] });
+  const [head, rule, row] = quarter.split('\n');
+  assert(/^\s+1T\s+2T\s+3T\s+4T\s+Total$/.test(head), 'Quarter header row');
+  assert(/^-+(  -+){5}$/.test(rule), 'Header underlined per column');
+  assert(row.startsWith('Importes') && row.endsWith('8.000,00'), 'Quarter values row');
+  assert(row.indexOf('3.000,00') + 8 === head.indexOf('3T') + 2 && row.length === head.length, 'Amounts and headers right-aligned in their column');
+
+  const merged = formatTextTable([
+    [{ text: 'Concepto', colspan: 1 }, { text: 'Importe del ejercicio', colspan: 2 }, null],
+    [null, { text: 'Base', colspan: 1 }, { text: 'Cuota', colspan: 1 }],
+    [{ text: 'Ventas', colspan: 1 }, { text: '1.000,00', colspan: 1 }, { text: '210,00', colspan: 1 }]
+  ]);
+  const mLines = merged.split('\n');
+  assert(mLines[0] === 'Concepto  Importe del ejercicio', 'Colspan text spans its columns');
+  assert(/^ {10} *Base +Cuota$/.test(mLines[1]), 'Slot under a rowspan is left blank');
+  assert(mLines[0].length === mLines[2].length, 'Merged cell widens the table to fit');
+}
+
+console.log('── Test 3: signature text ──');
+{
+  const sig = '<style>p{margin:0}</style><!--[if mso]>x<![endif]-->\n<p>Best regards,<br>\n  <b>Converto&nbsp;Team</b></p>\n<p>Lukyán &amp; co &#8470;1</p>';
+  assert(htmlToText(sig) === 'Best regards,\nConverto Team\nLukyán & co №1', 'Tags, comments and styles dropped, entities decoded');
+}
+
+console.log('── Test 4: MIME structure ──');
+{
+  const html = '<p>Hola</p><img src="signatures/assets/logo.png">';
+  const eml = await buildEml(html, {
+    toEmail: 'a@example.com',
+    subject: 'T',
+    bodyText: 'Hola\nAdiós\n',
+    loadAsset: async () => new Uint8Array([1, 2, 3]),
+    attachments: [{ filename: 'a.pdf', mimeType: 'application/pdf', bytes: new Uint8Array([4]) }]
+  });
+  const types = eml.split('\r\n').filter(l => /^Content-Type: /.test(l)).map(l => l.split(/[:;]\s*/)[1]);
+  assert(types.join(',') === 'multipart/mixed,multipart/alternative,text/plain,multipart/related,text/html,image/png,application/pdf',
+    `mixed > alternative > (text, related > (html, image)), attachment (got ${types.join(',')})`);
+  assert(decodePart(eml, 'text/plain') === 'Hola\r\nAdiós\r\n', 'Text part is UTF-8 with CRLF line ends');
+
+  const plain = await buildEml('<p>x</p>', { toEmail: 'a@example.com', subject: 'T' });
+  assert(!plain.includes('multipart/alternative'), 'No bodyText → HTML only, as before');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,201 @@
+/**
+ * Unit tests for batch processing: task pool, page progress and cancel in
+ * processPdf, and the Web Worker entry point.
+ *
+ * Usage:  node scripts/test-pool.mjs
+ *
+ * Validates:
+ *  1) createTaskPool never runs more than `concurrency` tasks and keeps
+ *     the queue order; setConcurrency applies to queued tasks.
+ *  2) Cancelling a queued task drops it; cancelling a running one aborts
+ *     its signal; both reject with an AbortError. A task can be re-run.
+ *  3) processPdf reports each page, stops on an aborted signal and always
+ *     destroys the pdf.js document.
+ *  4) lib/pdf-worker.js answers a 'process' message with progress and the
+ *     result, and asks for OCR on a page without text.
+ */
+import { createTaskPool, isAbortError, processPdf } from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// A pool whose tasks finish when the test says so
+function manualPool(concurrency) {
+  const started = [];
+  const pending = new Map();
+  const pool = createTaskPool((task, { signal }) => new Promise((resolve, reject) => {
+    started.push(task);
+    pending.set(task, resolve);
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  }), { concurrency });
+  const finish = task => pending.get(task)(`${task}!`);
+  return { pool, started, finish };
+}
+
+console.log('── Test 1: concurrency and order ──');
+{
+  const { pool, started, finish } = manualPool(2);
+  const runs = ['a', 'b', 'c', 'd'].map(task => pool.run(task));
+  await tick();
+  assert(started.join() === 'a,b' && pool.active === 2 && pool.pending === 2, 'Two running, two queued');
+  finish('b');
+  assert(await runs[1] === 'b!', 'run() resolves with the task result');
+  await tick();
+  assert(started.join() === 'a,b,c', 'A freed slot starts the next task in order');
+  pool.setConcurrency(3);
+  await tick();
+  assert(started.join() === 'a,b,c,d', 'Raising the concurrency starts queued tasks');
+  pool.setConcurrency('x');
+  finish('a'); finish('c'); finish('d');
+  assert((await Promise.all(runs)).join() === 'a!,b!,c!,d!', 'Every task completes');
+}
+
+console.log('── Test 2: cancel and retry ──');
+{
+  const { pool, started, finish } = manualPool(1);
+  const first = pool.run('a');
+  const second = pool.run('b');
+  await tick();
+  assert(pool.cancel('b') && pool.pending === 0, 'Queued task removed');
+  const queuedError = await second.catch(err => err);
+  assert(isAbortError(queuedError) && !started.includes('b'), 'Queued task rejects with AbortError and never starts');
+
+  assert(pool.cancel('a'), 'Running task cancelled');
+  assert(isAbortError(await first.catch(err => err)), 'Running task rejects with AbortError');
+  assert(!pool.cancel('a'), 'Cancelling a finished task is a no-op');
+  await tick();
+  const retry = pool.run('a');
+  await tick();
+  finish('a');
+  assert(await retry === 'a!' && started.filter(t => t === 'a').length === 2, 'Same task runs again (Retry)');
+}
+
+// Minimal pdf.js stand-in: `numPages` pages with one line each
+function fakePdfjs(numPages, log) {
+  return {
+    OPS: {},
+    getDocument: () => ({
+      promise: Promise.resolve({
+        numPages,
+        getPage: async n => {
+          log.push(`page ${n}`);
+          return {
+            view: [0, 0, 595, 842],
+            getViewport: () => ({ width: 595, height: 842, transform: [1, 0, 0, -1, 0, 842] }),
+            getTextContent: async () => ({
+              items: [{ str: `Page ${n}`, transform: [10, 0, 0, 10, 50, 782], width: 30, height: 10, fontName: 'F1' }],
+              styles: { F1: { fontFamily: 'sans-serif' } }
+            }),
+            getOperatorList: async () => ({ fnArray: [], argsArray: [] }),
+            getAnnotations: async () => []
+          };
+        }
+      }),
+      destroy: async () => { log.push('destroy'); }
+    })
+  };
+}
+
+console.log('── Test 3: processPdf progress, abort, destroy ──');
+{
+  const log = [];
+  const progress = [];
+  await processPdf(new Uint8Array(0), {
+    pdfjsLib: fakePdfjs(3, log),
+    fileName: 'a.pdf',
+    onProgress: (pageNumber, numPages) => progress.push(`${pageNumber}/${numPages}`)
+  });
+  assert(progress.join() === '1/3,2/3,3/3', `One progress call per page (${progress.join()})`);
+  assert(log[log.length - 1] === 'destroy', 'Document destroyed after reading');
+
+  const abortLog = [];
+  const controller = new AbortController();
+  const aborted = await processPdf(new Uint8Array(0), {
+    pdfjsLib: fakePdfjs(3, abortLog),
+    fileName: 'a.pdf',
+    signal: controller.signal,
+    onProgress: pageNumber => { if (pageNumber === 1) controller.abort(); }
+  }).catch(err => err);
+  assert(isAbortError(aborted) && abortLog.join() === 'page 1,destroy', 'Abort stops before the next page and still destroys');
+}
+
+console.log('── Test 4: worker entry point ──');
+{
+  // One-page PDF; `text` is drawn with Helvetica, or nothing when empty
+  const buildPdf = text => {
+    const content = text ? `BT /F1 12 Tf 72 720 Td (${text}) Tj ET` : '';
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+      const offset = pdf.length;
+      pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return new TextEncoder().encode(pdf).buffer;
+  };
+
+  // pdf.js' polyfills replace globalThis.self when first loaded, so load
+  // it before the stand-in for the worker global goes in
+  const pdfjsUrl = import.meta.resolve('pdfjs-dist/legacy/build/pdf.mjs');
+  const pdfjsWorkerUrl = import.meta.resolve('pdfjs-dist/legacy/build/pdf.worker.mjs');
+  await import(pdfjsWorkerUrl);
+  await import(pdfjsUrl);
+
+  // Stand-in for the worker global: collect what it posts back
+  let onMessage = null;
+  const posted = [];
+  globalThis.self = {
+    addEventListener: (type, listener) => { if (type === 'message') onMessage = listener; },
+    postMessage: message => posted.push(message)
+  };
+  await import('../lib/pdf-worker.js');
+  const send = async (id, data) => {
+    await onMessage({
+      data: {
+        type: 'process', id, data,
+        options: { fileName: 'carta.pdf', attachPdf: true },
+        baseUrl: import.meta.url,
+        pdfjsUrl,
+        pdfjsWorkerUrl
+      }
+    });
+    return posted.filter(message => message.id === id);
+  };
+
+  const [progress, done] = await send(1, buildPdf('B12345674 ACME SL'));
+  assert(progress.type === 'progress' && progress.pageNumber === 1 && progress.numPages === 1, 'Page progress posted');
+  assert(done.type === 'done' && done.result.nif === 'B12345674' && done.result.recipient === 'ACME SL', 'Result posted back');
+  assert(done.result.attachments[0].filename === 'carta.pdf', 'Attachment kept for the main thread');
+
+  const [scanned] = await send(2, buildPdf(''));
+  assert(scanned.type === 'error' && scanned.name === 'OcrRequiredError', 'Page without text → OcrRequiredError');
+  delete globalThis.self;
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
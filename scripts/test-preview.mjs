@@ -0,0 +1,69 @@
+/**
+ * Unit tests for the EML preview (MIME parsing and CID resolution).
+ *
+ * Usage:  node scripts/test-preview.mjs
+ *
+ * Validates:
+ *  1) parseMimePart reads headers (folded ones too) and nested multiparts.
+ *  2) buildPreviewHtml returns the final HTML with cid: images as data: URIs.
+ *  3) UTF-8 text in the HTML part survives the base64 round trip.
+ *  4) A message without an HTML part previews as ''.
+ */
+import { buildEml, parseMimePart, buildPreviewHtml } from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+const eml = await buildEml('<p>Notificación</p><img src="signatures/assets/logo.png">', {
+  toEmail: 'a@example.com',
+  subject: 'T',
+  bodyText: 'Notificación\n',
+  loadAsset: async () => new Uint8Array([1, 2, 3]),
+  attachments: [{ filename: 'carta muy larga con acentos áéí y más texto.pdf', mimeType: 'application/pdf', bytes: new Uint8Array([4]) }]
+});
+
+console.log('── Test 1: parseMimePart ──');
+{
+  const root = parseMimePart(eml);
+  assert(root.type === 'multipart/mixed' && root.parts.length === 2, 'Root is multipart/mixed with 2 parts');
+  const [alternative, attachment] = root.parts;
+  assert(alternative.type === 'multipart/alternative', 'Body is multipart/alternative');
+  assert(alternative.parts.map(p => p.type).join(',') === 'text/plain,multipart/related', 'Text part, then related');
+  assert(/filename\*0\*=UTF-8''/.test(attachment.headers['content-disposition']), 'Folded Content-Disposition joined');
+  assert(root.headers.to === 'a@example.com', 'Top-level headers read');
+}
+
+console.log('── Test 2: CID images ──');
+{
+  const html = buildPreviewHtml(eml);
+  assert(!html.includes('cid:'), 'No cid: reference left');
+  assert(html.includes('src="data:image/png;base64,AQID"'), 'Image inlined as a data: URI');
+  assert(html.startsWith('<!DOCTYPE html>'), 'Full HTML document of the message');
+}
+
+console.log('── Test 3: UTF-8 ──');
+{
+  assert(buildPreviewHtml(eml).includes('<p>Notificación</p>'), 'Accented text decoded');
+}
+
+console.log('── Test 4: no HTML part ──');
+{
+  const textOnly = 'MIME-Version: 1.0\r\nContent-Type: text/plain; charset=UTF-8\r\n\r\nHola\r\n';
+  assert(buildPreviewHtml(textOnly) === '', 'Empty preview');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
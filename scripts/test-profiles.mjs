@@ -0,0 +1,97 @@
+/**
+ * Unit tests for document profiles (profiles/index.json).
+ *
+ * Usage:  node scripts/test-profiles.mjs
+ *
+ * Validates:
+ *  1) Every profile in the manifest compiles, with the default NIF regex.
+ *  2) detectProfile picks the profile with the most matching patterns.
+ *  3) Subject templates fall back when a placeholder is empty.
+ *  4) Extractors follow the profile's label, regex and anchor rules.
+ */
+import { readFileSync } from 'node:fs';
+import {
+  compileProfile,
+  compileProfiles,
+  detectProfile,
+  fillTemplate,
+  extractSubject,
+  extractToEmail,
+  extractNif,
+  DEFAULT_PROFILE
+} from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+// One text item per line, top to bottom
+function makePage(lines) {
+  return {
+    width: 595,
+    height: 842,
+    textItems: lines.map((str, i) => ({ str, x: 50, y: 60 + i * 20, w: str.length * 5, h: 10, fontName: 'F1' })),
+    segments: [],
+    annotations: []
+  };
+}
+
+const manifest = JSON.parse(readFileSync(new URL('../profiles/index.json', import.meta.url), 'utf-8'));
+const profiles = compileProfiles(manifest);
+
+console.log('── Test 1: manifest compiles ──');
+{
+  assert(profiles.length === manifest.length, `All ${manifest.length} profiles compile`);
+  assert(new Set(profiles.map(p => p.id)).size === profiles.length, 'Profile ids are unique');
+  assert(profiles[0].id === DEFAULT_PROFILE.id, 'Modelo 347 is listed first');
+  assert(profiles.every(p => p.recipient.nifRegex.source === DEFAULT_PROFILE.recipient.nifRegex.source), 'Profiles use the default NIF regex');
+}
+
+console.log('── Test 2: detectProfile ──');
+{
+  const p303 = makePage(['Autoliquidación del IVA', 'MODELO 303 - 2T 2026']);
+  assert(detectProfile(p303, profiles).id === 'modelo303', 'Modelo 303 letter detected');
+  const p347 = makePage(['Declaración anual de operaciones con terceras personas (Modelo 347)']);
+  assert(detectProfile(p347, profiles).id === 'modelo347', 'Modelo 347 letter detected');
+  assert(detectProfile(makePage(['Carta sin modelo']), profiles) === null, 'No match → null');
+}
+
+console.log('── Test 3: fillTemplate / subject fallback ──');
+{
+  assert(fillTemplate('MODELO 347 {signer}', { signer: 'Ana Ruiz' }) === 'MODELO 347 Ana Ruiz', 'Placeholder filled');
+  assert(fillTemplate('MODELO 347 {signer}', {}) === null, 'Empty placeholder → null');
+  const page = makePage(['Un saludo,', 'Ana Ruiz', 'Dto. de Contabilidad']);
+  assert(extractSubject(page) === 'MODELO 347 Ana Ruiz', 'Default profile keeps MODELO 347 + signer');
+  const custom = compileProfile({
+    id: 'x',
+    subject: { template: 'CUENTAS {recipient}', fallback: 'CUENTAS ANUALES' }
+  });
+  assert(extractSubject(page, custom, { recipient: 'ACME SL' }) === 'CUENTAS ACME SL', 'Template uses recipient');
+  assert(extractSubject(page, custom, {}) === 'CUENTAS ANUALES', 'Fallback when recipient missing');
+}
+
+console.log('── Test 4: profile-driven extraction ──');
+{
+  const page = makePage(['B12345678 ACME SL', 'Para: info@acme.es']);
+  assert(extractToEmail(page) === '', 'Default "A" label ignores "Para:"');
+  const para = compileProfile({ id: 'para', toEmail: { label: 'A|Para' } });
+  assert(extractToEmail(page, para) === 'info@acme.es', 'Custom label finds the address');
+  const dni = compileProfile({ id: 'dni', recipient: { nifRegex: '\\b(\\d{8}[A-Z])\\b' } });
+  assert(extractNif(makePage(['12345678Z JUAN PÉREZ']), dni) === '12345678Z', 'Custom NIF regex');
+  assert(extractNif(makePage(['12345678Z JUAN PÉREZ'])) === '12345678Z', 'Default regex also takes DNI-based NIFs');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -3,86 +3,10 @@
  *
  * Usage:  node scripts/test-quarter-table.mjs
  *
- * Functions are mirrored from app.js so this runs in Node without a browser.
+ * Imports the core pipeline from lib/ so this runs in Node without a browser.
  */
 
-// ── Shared helpers (mirrored from app.js) ─────────────────────
-const LINE_GAP = 2;
-const EUROPEAN_NUMBER_REGEX = /^-?\d{1,3}(?:\.\d{3})*(?:,\d+)?$/;
-function isEuropeanNumber(s) { return EUROPEAN_NUMBER_REGEX.test(s.trim()); }
-
-function normalizePdfText(str) {
-  return String(str || '')
-    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-function buildLineText(items) {
-  if (!items.length) return '';
-  const sorted = [...items].sort((a, b) => a.x - b.x);
-  let text = '';
-  let prev = null;
-  for (const item of sorted) {
-    const value = normalizePdfText(item.str);
-    if (!value) continue;
-    if (text) {
-      const gap = prev ? item.x - (prev.x + prev.w) : LINE_GAP + 1;
-      if (gap > LINE_GAP) text += ' ';
-    }
-    text += value;
-    prev = item;
-  }
-  return text.replace(/\s+/g, ' ').trim();
-}
-
-// ── detectQuarterTable (mirrored from app.js) ─────────────────
-const QUARTER_LABELS = ['1T', '2T', '3T', '4T', 'Total'];
-function detectQuarterTable(lines) {
-  const QUARTER_HEADER = /\b1T\b.*\b2T\b.*\b3T\b.*\b4T\b.*\bTotal\b/i;
-  for (let i = 0; i < lines.length; i++) {
-    const headerText = buildLineText(lines[i].items);
-    if (!QUARTER_HEADER.test(headerText)) continue;
-
-    const headerItems = [...lines[i].items].sort((a, b) => a.x - b.x);
-    const colMidX = QUARTER_LABELS.map(label => {
-      const item = headerItems.find(
-        it => normalizePdfText(it.str).toUpperCase() === label.toUpperCase()
-      );
-      return item ? item.x + item.w / 2 : null;
-    });
-
-    if (colMidX.filter(x => x !== null).length < 2) continue;
-
-    let j = i + 1;
-    while (j < lines.length && !buildLineText(lines[j].items)) j++;
-    if (j >= lines.length) continue;
-
-    const importesText = buildLineText(lines[j].items);
-    if (!/^importes\b/i.test(importesText)) continue;
-
-    const numericItems = lines[j].items.filter(
-      it => isEuropeanNumber(normalizePdfText(it.str))
-    );
-    if (!numericItems.length) continue;
-
-    const values = ['', '', '', '', ''];
-    for (const numItem of numericItems) {
-      const numMidX = numItem.x + numItem.w / 2;
-      let bestIdx = -1;
-      let bestDist = Infinity;
-      for (let c = 0; c < QUARTER_LABELS.length; c++) {
-        if (colMidX[c] === null) continue;
-        const dist = Math.abs(numMidX - colMidX[c]);
-        if (dist < bestDist) { bestDist = dist; bestIdx = c; }
-      }
-      if (bestIdx >= 0) values[bestIdx] = normalizePdfText(numItem.str);
-    }
-
-    return { headerIdx: i, importesIdx: j, values, colMidX };
-  }
-  return null;
-}
+import { detectQuarterTable, QUARTER_LABELS } from '../lib/index.js';
 
 // ── Test helpers ──────────────────────────────────────────────
 // Default column midX positions matching realistic PDF layout
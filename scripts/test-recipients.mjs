@@ -0,0 +1,89 @@
+/**
+ * Unit tests for To / Cc address extraction.
+ *
+ * Usage:  node scripts/test-recipients.mjs
+ *
+ * Validates:
+ *  1) Every address of an "A" line, separated by "," ";" or " y ".
+ *  2) Address lists continued on the following lines; an address broken
+ *     across two lines is still joined.
+ *  3) "CC:" lines become Cc; addresses already in To are not repeated.
+ *  4) EMAIL_BLACKLIST entries are dropped from To and Cc.
+ *  5) splitAddresses / joinAddresses and multi-address headers.
+ */
+import {
+  extractRecipientEmails, extractToEmail, findEmails, splitAddresses, joinAddresses, buildEml
+} from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+// One text item per line, top to bottom
+function makePage(lines) {
+  return {
+    width: 595,
+    height: 842,
+    textItems: lines.map((str, i) => ({ str, x: 50, y: 60 + i * 20, w: str.length * 5, h: 10, fontName: 'F1' })),
+    segments: [],
+    annotations: []
+  };
+}
+
+console.log('── Test 1: lists on the "A" line ──');
+{
+  const page = makePage(['B12345678 ACME SL', 'A admin@acme.es, Conta@Acme.es; gestor@acme.es y jefe@acme.es']);
+  assert(extractRecipientEmails(page).to.join() === 'admin@acme.es,conta@acme.es,gestor@acme.es,jefe@acme.es', 'Four addresses, lower-cased, in order');
+  assert(extractToEmail(page) === 'admin@acme.es, conta@acme.es, gestor@acme.es, jefe@acme.es', 'extractToEmail joins them for the header');
+  assert(findEmails('a@x.es,a@x.es').length === 1, 'Repeated address kept once');
+}
+
+console.log('── Test 2: continuation lines ──');
+{
+  const list = makePage(['A: admin@acme.es,', 'conta@acme.es', 'gestor@acme.es', 'Muy señores nuestros:']);
+  assert(extractRecipientEmails(list).to.join() === 'admin@acme.es,conta@acme.es,gestor@acme.es', 'List continued on two more lines');
+  const broken = makePage(['A club@leroy', 'merlin.es', 'otro@acme.es']);
+  assert(extractRecipientEmails(broken).to.join() === 'club@leroymerlin.es,otro@acme.es', 'Broken address joined, then the list continues');
+  const prose = makePage(['A info@acme.es', 'Le remitimos la declaración a info@otra.es']);
+  assert(extractRecipientEmails(prose).to.join() === 'info@acme.es', 'A prose line with an address does not continue the list');
+}
+
+console.log('── Test 3: Cc lines ──');
+{
+  const page = makePage(['A admin@acme.es', 'CC: gestor@acme.es; admin@acme.es', 'asesor@acme.es']);
+  const { to, cc } = extractRecipientEmails(page);
+  assert(to.join() === 'admin@acme.es', 'Cc line ends the To list');
+  assert(cc.join() === 'gestor@acme.es,asesor@acme.es', 'Cc list with continuation, To address not repeated');
+  const split = makePage(['Cc', 'gestor@acme.es']);
+  assert(extractRecipientEmails(split).cc.join() === 'gestor@acme.es' && extractRecipientEmails(split).to.length === 0, 'Cc label alone on its line');
+}
+
+console.log('── Test 4: blacklist ──');
+{
+  const page = makePage(['A conta@nmeconomista.com, info@acme.es', 'CC: conta@nmeconomista.com']);
+  const { to, cc } = extractRecipientEmails(page);
+  assert(to.join() === 'info@acme.es' && cc.length === 0, 'Own mailbox dropped from To and Cc');
+}
+
+console.log('── Test 5: address lists in headers ──');
+{
+  assert(splitAddresses(' a@x.es ; b@y.es,, ').join() === 'a@x.es,b@y.es', 'splitAddresses');
+  assert(joinAddresses('a@x.es', 'A@x.es; b@y.es') === 'a@x.es, b@y.es', 'joinAddresses drops repeats (any case)');
+  const eml = await buildEml('<p>x</p>', { toEmail: 'a@x.es, b@y.es', ccEmail: 'c@z.es; d@z.es', subject: 'T' });
+  assert(eml.includes('\r\nTo: a@x.es, b@y.es\r\n') && eml.includes('\r\nCc: c@z.es, d@z.es\r\n'), 'All To and Cc addresses in the headers');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
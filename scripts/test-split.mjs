@@ -0,0 +1,134 @@
+/**
+ * Unit tests for splitting a combined PDF into one letter per client.
+ *
+ * Usage:  node scripts/test-split.mjs
+ *
+ * Validates:
+ *  1) detectLetterStarts splits on "Página 1 de N", a new NIF or a new "A:"
+ *     line, and never inside a letter that carries page markers.
+ *  2) Split points typed in the preview are parsed, sorted and bounded;
+ *     buildSegments covers every page once.
+ *  3) scanPdfForSplit reads a real combined PDF (pdf.js) and finds its
+ *     letters.
+ *  4) processPdf with a pageRange converts only that letter and does not
+ *     attach the combined source PDF.
+ */
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import {
+  detectLetterStarts, parseSplitPoints, buildSegments, formatPageRange, scanPdfForSplit, processPdf, buildReportRow
+} from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+// Multi-page PDF, one array of text lines per page (WinAnsi Helvetica)
+function buildPdf(pages) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+  ];
+  pages.forEach((lines, i) => {
+    const content = lines.map((text, n) => `BT /F1 11 Tf 72 ${780 - n * 16} Td (${text}) Tj ET`).join('\n');
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents ${5 + i * 2} 0 R /Resources << /Font << /F1 3 0 R >> >> >>`);
+    objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+  });
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return new Uint8Array(Buffer.from(pdf, 'latin1'));
+}
+
+const DOCUMENT_PARAMS = {
+  standardFontDataUrl: new URL('../node_modules/pdfjs-dist/standard_fonts/', import.meta.url).pathname,
+  verbosity: 0
+};
+
+const page = (nif, to = [], marker = null) => ({ nif, recipient: '', to, marker });
+
+console.log('── Test 1: letter boundaries ──');
+{
+  const starts = detectLetterStarts([
+    page('B12345674', ['a@acme.es'], { pageNumber: 1, pageCount: 2 }),
+    // Same letter even though the header is repeated with another NIF
+    page('A58818501', [], { pageNumber: 2, pageCount: 2 }),
+    page('A58818501', [], { pageNumber: 1, pageCount: 1 }),
+    page('B87654321'),
+    page('', ['x@otra.es']),
+    page('', ['y@otra.es']),
+    page('B87654321', ['y@otra.es'])
+  ]);
+  assert(starts.map(s => `${s.pageNumber}:${s.reason}`).join() === '1:start,3:page marker,4:NIF,6:A:',
+    `Starts by page marker, NIF and A: line (${starts.map(s => `${s.pageNumber}:${s.reason}`).join()})`);
+  const continued = detectLetterStarts([page(''), page('B12345674'), page('B12345674', ['a@acme.es'])]);
+  assert(continued.length === 1, 'Recipient block on page 2 of the first letter does not split');
+}
+
+console.log('── Test 2: split points and segments ──');
+{
+  assert(parseSplitPoints('7, 3;3 x 12 0', 10).join() === '1,3,7', 'Typed pages sorted, deduplicated, bounded, with page 1');
+  const segments = buildSegments([1, 3, 7], 10);
+  assert(segments.map(formatPageRange).join(' | ') === 'pages 1–2 | pages 3–6 | pages 7–10', 'Segments cover every page once');
+  assert(formatPageRange({ first: 4, last: 4 }) === 'page 4', 'Single page label');
+}
+
+const combined = buildPdf([
+  ['B12345674 ACME SOLUCIONES SL', 'A info@acme.es', 'Estimado cliente:', 'P\xe1gina 1 de 2'],
+  ['Detalle de operaciones', 'P\xe1gina 2 de 2'],
+  ['B87654321 OTRA EMPRESA SA', 'A admin@otra.es', 'Estimado cliente:', 'P\xe1gina 1 de 1'],
+  ['A58818501 TERCERA SA', 'A hola@tercera.es', 'Estimado cliente:']
+]);
+
+console.log('── Test 3: scanPdfForSplit ──');
+{
+  const plan = await scanPdfForSplit(combined.slice(), { pdfjsLib, documentParams: DOCUMENT_PARAMS });
+  assert(plan.numPages === 4, '4 pages read');
+  assert(plan.starts.map(s => `${s.pageNumber}:${s.reason}`).join() === '1:start,3:page marker,4:NIF',
+    `Letters at pages 1, 3 and 4 (${plan.starts.map(s => `${s.pageNumber}:${s.reason}`).join()})`);
+  assert(plan.pages[2].nif === 'B87654321' && plan.pages[2].recipient === 'OTRA EMPRESA SA' && plan.pages[2].to.join() === 'admin@otra.es',
+    'Page summary: NIF, recipient and To for the preview');
+}
+
+console.log('── Test 4: processPdf with a page range ──');
+{
+  const progress = [];
+  const result = await processPdf(combined.slice(), {
+    pdfjsLib,
+    documentParams: DOCUMENT_PARAMS,
+    fileName: 'campana.pdf',
+    attachPdf: true,
+    pageRange: { first: 3, last: 3 },
+    onProgress: (n, total) => progress.push(`${n}/${total}`)
+  });
+  assert(result.nif === 'B87654321' && result.toEmail === 'admin@otra.es', 'Recipient of the third-page letter');
+  assert(!result.bodyText.includes('ACME') && result.bodyText.includes('OTRA EMPRESA'), 'Body holds only that letter');
+  assert(progress.join() === '1/1', 'Progress counts the letter\'s pages');
+  assert(result.attachments.length === 0 && /not attached/.test(result.diagnostics), 'Combined PDF not attached, noted in Diag');
+  assert(buildReportRow(result, 'campana.pdf', 'x.eml')[0] === 'campana.pdf (page 3)', 'Report names the pages');
+
+  const err = await processPdf(combined.slice(), { pdfjsLib, documentParams: DOCUMENT_PARAMS, fileName: 'c.pdf', pageRange: { first: 9, last: 9 } }).catch(e => e);
+  assert(err instanceof Error && /No pages 9/.test(err.message), 'Range outside the PDF is an error');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
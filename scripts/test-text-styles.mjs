@@ -0,0 +1,98 @@
+/**
+ * Unit tests for text style detection (bold / italic / size hierarchy).
+ *
+ * Usage:  node scripts/test-text-styles.mjs
+ *
+ * Validates:
+ *  1) Bold / italic are read from embedded font names.
+ *  2) The body size is the most common glyph height.
+ *  3) Large lines become headings, small print gets a smaller size.
+ *  4) Mixed lines keep <strong>/<em> runs with correct spacing.
+ *  5) Table cells keep bold runs.
+ */
+import {
+  fontStyleFromName,
+  dominantFontSize,
+  lineStyle,
+  buildLineRuns,
+  renderRuns,
+  renderTextLine,
+  renderTable
+} from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+const item = (str, x, { h = 11, bold = false, italic = false } = {}) =>
+  ({ str, x, y: 100, w: str.length * h * 0.5, h, fontName: 'F1', bold, italic });
+
+console.log('── Test 1: fontStyleFromName ──');
+{
+  const s1 = fontStyleFromName('ABCDEF+Calibri-BoldItalic');
+  assert(s1.bold && s1.italic, 'Subset-prefixed bold italic');
+  assert(fontStyleFromName('Arial,Bold').bold, '"Arial,Bold" is bold');
+  assert(fontStyleFromName('Helvetica-Oblique').italic, 'Oblique is italic');
+  const plain = fontStyleFromName('ArialMT');
+  assert(!plain.bold && !plain.italic, 'Regular font');
+}
+
+console.log('── Test 2: dominantFontSize ──');
+{
+  const items = [item('Título', 0, { h: 18 }), item('Un párrafo largo de texto normal', 0, { h: 10 }), item('Pie', 0, { h: 7 })];
+  assert(dominantFontSize(items) === 10, 'Body size weighted by text length');
+  assert(dominantFontSize([]) === 11, 'Defaults to 11');
+}
+
+console.log('── Test 3: lineStyle ──');
+{
+  assert(lineStyle([item('Resumen', 0, { h: 16, bold: true })], 10).tag === 'h2', '1.6× body → h2');
+  assert(lineStyle([item('Detalle', 0, { h: 13 })], 10).tag === 'h3', '1.3× body → h3');
+  const small = lineStyle([item('Aviso legal', 0, { h: 7 })], 10);
+  assert(small.tag === 'p' && small.fontPt === 7.5, 'Small print scaled from 11pt');
+  assert(lineStyle([item('Texto', 0, { h: 10.5 })], 10).fontPt === 11, 'Near body size stays 11pt');
+}
+
+console.log('── Test 4: runs ──');
+{
+  const items = [item('Importe total:', 50), item('1.000,00', 130, { bold: true }), item('euros', 180, { italic: true })];
+  const runs = buildLineRuns(items);
+  assert(runs.length === 3, `3 runs (got ${runs.length})`);
+  assert(renderRuns(runs) === 'Importe total: <strong>1.000,00</strong> <em>euros</em>', 'Tags wrap runs, spaces stay outside');
+  assert(renderRuns(runs, { bold: false }) === 'Importe total: 1.000,00 <em>euros</em>', 'Bold can be suppressed');
+  assert(renderRuns(buildLineRuns([item('a < b', 0)])) === 'a &lt; b', 'Escapes HTML');
+}
+
+console.log('── Test 5: renderTextLine / renderTable ──');
+{
+  const heading = renderTextLine({ y: 100, items: [item('Resumen anual', 50, { h: 18, bold: true })] }, 11);
+  assert(heading.startsWith('<h2 ') && heading.includes('>Resumen anual</h2>'), 'Heading tag without <strong>');
+  const body = renderTextLine({ y: 100, items: [item('Hola', 50)] });
+  assert(body === '<p style="font-family:Calibri,Arial,sans-serif;font-size:11pt;margin:2px 0;">Hola</p>\n', 'Plain line unchanged');
+  const tbl = {
+    tRows: 1,
+    tCols: 2,
+    grid: [[
+      { texts: [item('Total', 50, { bold: true })], rowspan: 1, colspan: 1 },
+      { texts: [item('9,00', 150, { h: 8 })], rowspan: 1, colspan: 1 }
+    ]]
+  };
+  const html = renderTable(tbl, 11);
+  assert(html.includes('<strong>Total</strong>'), 'Bold kept in table cell');
+  assert(html.includes('<span style="font-size:8pt;">9,00</span>'), 'Smaller cell text keeps its size');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
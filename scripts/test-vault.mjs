@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the encrypted signature vault.
+ *
+ * Usage:  node scripts/test-vault.mjs
+ *
+ * Validates:
+ *  1) sealVault/openVault round-trip text and binary files (non-ASCII
+ *     names too), with a new salt and IV every time.
+ *  2) A wrong passphrase or a tampered vault fails with a
+ *     WrongPassphraseError; other JSON is rejected.
+ *  3) vaultAssetLoader finds images by their (URL-encoded) src and falls
+ *     back for anything else.
+ *  4) selectSignatureFiles keeps index.json, the listed .htm files and
+ *     their images (also relative to the .htm), not the rest of an export.
+ *  5) The published signatures/ folder holds only the vault, encrypted
+ *     with the full PBKDF2 iteration count.
+ */
+import { readFile, readdir } from 'node:fs/promises';
+import { sealVault, openVault, selectSignatureFiles, vaultAssetLoader, VAULT_PATH, PBKDF2_ITERATIONS } from '../lib/index.js';
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+// Fast key derivation for the tests; the real vault uses PBKDF2_ITERATIONS
+const FAST = { iterations: 1000 };
+const logo = Uint8Array.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 1, 2, 3]);
+const files = [
+  { name: 'signatures/index.json', data: '[{"id":"a","label":"A","path":"signatures/Lukyán.htm"}]' },
+  { name: 'signatures/Lukyán.htm', data: '<p>Lukyán</p><img src="signatures/assets/logo%20nm.jpg">' },
+  { name: 'signatures/assets/logo nm.jpg', data: logo }
+];
+
+console.log('── Test 1: round trip ──');
+{
+  const vault = await sealVault(files, 'correct horse', FAST);
+  const json = JSON.stringify(vault);
+  assert(vault.kdf.name === 'PBKDF2' && vault.kdf.iterations === 1000 && vault.cipher.name === 'AES-GCM', 'PBKDF2 + AES-GCM header');
+  assert(!json.includes('Lukyán') && !json.includes('index.json'), 'Names and contents not readable in the vault');
+  const opened = await openVault(JSON.parse(json), 'correct horse');
+  assert([...opened.keys()].join() === files.map(f => f.name).join(), 'Every file back, non-ASCII names included');
+  assert(new TextDecoder().decode(opened.get('signatures/Lukyán.htm')).startsWith('<p>Lukyán'), 'Text file decrypted');
+  assert(opened.get('signatures/assets/logo nm.jpg').join() === logo.join(), 'Binary file decrypted');
+
+  const again = await sealVault(files, 'correct horse', FAST);
+  assert(again.kdf.salt !== vault.kdf.salt && again.cipher.iv !== vault.cipher.iv && again.data !== vault.data, 'New salt and IV on every seal');
+}
+
+console.log('── Test 2: wrong passphrase and bad input ──');
+{
+  const vault = await sealVault(files, 'correct horse', FAST);
+  const wrong = await openVault(vault, 'Correct horse').catch(e => e);
+  assert(wrong.name === 'WrongPassphraseError', 'Wrong passphrase → WrongPassphraseError');
+
+  const bytes = Buffer.from(vault.data, 'base64');
+  bytes[10] ^= 0x01;
+  const tampered = await openVault({ ...vault, data: bytes.toString('base64') }, 'correct horse').catch(e => e);
+  assert(tampered.name === 'WrongPassphraseError', 'Tampered ciphertext fails the GCM tag check');
+
+  const other = await openVault({ format: 'something', version: 1 }, 'x').catch(e => e);
+  assert(other instanceof Error && /Not a Converto signature vault/.test(other.message), 'Other JSON rejected');
+
+  const empty = await sealVault(files, '', FAST).catch(e => e);
+  assert(empty instanceof Error && /Empty passphrase/.test(empty.message), 'Empty passphrase refused');
+}
+
+console.log('── Test 3: asset loader ──');
+{
+  const opened = await openVault(await sealVault(files, 'pw', FAST), 'pw');
+  const fallbacks = [];
+  const loadAsset = vaultAssetLoader(opened, src => { fallbacks.push(src); return null; });
+  assert(loadAsset('signatures/assets/logo%20nm.jpg') === opened.get('signatures/assets/logo nm.jpg'), 'URL-encoded src found in the vault');
+  assert(loadAsset('signatures/assets/otro.png') === null && fallbacks.join() === 'signatures/assets/otro.png', 'Unknown image goes to the fallback');
+  assert(loadAsset('bad%E0.png') === null, 'Malformed %-escape does not throw');
+}
+
+console.log('── Test 4: files to seal ──');
+{
+  const exported = new Map([
+    ...files.map(f => [f.name, f.data]),
+    ['signatures/FIRMA (a@b.es).htm', '<html><body><img src="FIRMA%20(a@b.es)_archivos/image001.jpg"><img src="https://nm.es/x.png"></body></html>'],
+    ['signatures/FIRMA (a@b.es)_archivos/image001.jpg', logo],
+    ['signatures/FIRMA (a@b.es)_archivos/themedata.thmx', 'theme'],
+    ['signatures/FIRMA (a@b.es).rtf', '{\\rtf1}'],
+    ['signatures/Copia.htm', '<p>Copia</p>']
+  ]);
+  exported.set('signatures/index.json', JSON.stringify([
+    { id: 'a', label: 'A', path: 'signatures/Lukyán.htm' },
+    { id: 'b', label: 'B', path: 'signatures/FIRMA (a@b.es).htm' }
+  ]));
+  const read = async name => {
+    const data = exported.get(name);
+    return typeof data === 'string' ? new TextEncoder().encode(data) : data || null;
+  };
+  const selected = await selectSignatureFiles(read);
+  assert(selected.map(f => f.name).sort().join() === [
+    'FIRMA (a@b.es)_archivos/image001.jpg', 'signatures/FIRMA (a@b.es).htm', 'signatures/Lukyán.htm',
+    'signatures/assets/logo nm.jpg', 'signatures/index.json'
+  ].join(), `Index, listed .htm files and their images only (${selected.map(f => f.name).join()})`);
+  const loadAsset = vaultAssetLoader(new Map(selected.map(f => [f.name, f.data])), () => null);
+  assert(loadAsset('FIRMA%20(a@b.es)_archivos/image001.jpg') === logo, 'Image relative to its .htm found by its src');
+
+  const missing = await selectSignatureFiles(async name => (name === 'signatures/FIRMA (a@b.es).htm' ? null : read(name))).catch(e => e);
+  assert(missing instanceof Error && /FIRMA \(a@b\.es\)\.htm is listed/.test(missing.message), 'Listed .htm missing → error');
+  const noIndex = await selectSignatureFiles(async () => null).catch(e => e);
+  assert(noIndex instanceof Error && /No signatures\/index\.json/.test(noIndex.message), 'No index.json → error');
+}
+
+console.log('── Test 5: published vault ──');
+{
+  const published = await readdir(new URL('../signatures/', import.meta.url));
+  assert(published.join() === 'vault.json', `Only the vault is published in signatures/ (${published.join()})`);
+  const vault = JSON.parse(await readFile(new URL(`../${VAULT_PATH}`, import.meta.url), 'utf-8'));
+  assert(vault.format === 'converto-vault' && vault.kdf.iterations >= PBKDF2_ITERATIONS, `Vault at ${vault.kdf.iterations} PBKDF2 iterations`);
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the in-browser ZIP writer and the batch manifest.
+ *
+ * Usage:  node scripts/test-zip.mjs
+ *
+ * Validates:
+ *  1) crc32 matches Node's zlib implementation.
+ *  2) Every stored entry can be read back via the central directory.
+ *  3) UTF-8 filenames are flagged and round-trip.
+ *  4) manifest.csv has one row per PDF, including failed ones.
+ */
+import zlib from 'node:zlib';
+import { createZip, crc32, buildManifestCsv } from '../lib/index.js';
+
+// ── Minimal ZIP reader (stored entries only) ──────────────────
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const eocd = bytes.length - 22;
+  const count = view.getUint16(eocd + 10, true);
+  let cdPos = view.getUint32(eocd + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const flags = view.getUint16(cdPos + 8, true);
+    const crc = view.getUint32(cdPos + 16, true);
+    const nameLen = view.getUint16(cdPos + 28, true);
+    const localOffset = view.getUint32(cdPos + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(cdPos + 46, cdPos + 46 + nameLen));
+
+    const size = view.getUint32(localOffset + 18, true);
+    const localNameLen = view.getUint16(localOffset + 26, true);
+    const dataStart = localOffset + 30 + localNameLen;
+    entries.push({
+      name,
+      flags,
+      crc,
+      localSig: view.getUint32(localOffset, true),
+      data: bytes.subarray(dataStart, dataStart + size)
+    });
+    cdPos += 46 + nameLen;
+  }
+  return entries;
+}
+
+// ── Test runner ───────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${msg}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${msg}`);
+  }
+}
+
+console.log('── Test 1: crc32 matches zlib ──');
+{
+  const sample = new TextEncoder().encode('MODELO 347 – Contabilidad');
+  assert(crc32(sample) === zlib.crc32(sample), 'crc32 agrees with zlib.crc32');
+  assert(crc32(new Uint8Array(0)) === 0, 'crc32 of empty input is 0');
+}
+
+console.log('── Test 2: entries round-trip ──');
+{
+  const zip = createZip([
+    { name: 'ACME SL.eml', data: 'MIME-Version: 1.0\r\n' },
+    { name: 'ACME SL (2).eml', data: new Uint8Array([1, 2, 3]) }
+  ]);
+  const entries = readZip(zip);
+  assert(entries.length === 2, `2 entries in archive (got ${entries.length})`);
+  assert(entries.every(e => e.localSig === 0x04034B50), 'Central directory offsets hit local headers');
+  assert(new TextDecoder().decode(entries[0].data) === 'MIME-Version: 1.0\r\n', 'String entry stored as UTF-8');
+  assert(entries[1].data.join(',') === '1,2,3', 'Binary entry stored verbatim');
+  assert(entries.every(e => e.crc === crc32(e.data)), 'CRC fields match data');
+}
+
+console.log('── Test 3: UTF-8 filenames ──');
+{
+  const zip = createZip([{ name: 'Lukyán Tazzít.eml', data: 'x' }]);
+  const [entry] = readZip(zip);
+  assert(entry.name === 'Lukyán Tazzít.eml', 'Accented name round-trips');
+  assert((entry.flags & 0x0800) !== 0, 'UTF-8 flag (bit 11) set');
+}
+
+console.log('── Test 4: manifest.csv ──');
+{
+  const done = { file: { name: 'a.pdf' }, recipient: 'ACME, SL', toEmail: 'a@b.es', status: 'Done', error: '' };
+  const failedResult = { file: { name: 'b.pdf' }, recipient: '', toEmail: '', status: 'Error', error: 'Invalid PDF' };
+  const csv = buildManifestCsv([done, failedResult], r => (r === done ? 'ACME, SL.eml' : ''));
+  const lines = csv.replace(/^\uFEFF/, '').trim().split('\r\n');
+  assert(csv.startsWith('\uFEFF'), 'Starts with a BOM for Excel');
+  assert(lines[0] === 'PDF,Recipient,To,EML file,Status', 'Header row');
+  assert(lines[1] === 'a.pdf,"ACME, SL",a@b.es,"ACME, SL.eml",Done', 'Done row with quoted commas');
+  assert(lines[2] === 'b.pdf,UNKNOWN,NDE,,Error (Invalid PDF)', 'Error row keeps status and fallbacks');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
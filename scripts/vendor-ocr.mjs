@@ -0,0 +1,39 @@
+/**
+ * Copies the OCR runtime (tesseract.js + WASM core + Spanish data) from
+ * node_modules into vendor/tesseract/, which the browser app loads from
+ * the same origin, with no CDN.
+ *
+ * Usage:  npm install && node scripts/vendor-ocr.mjs
+ *
+ * The three packages are pinned to exact versions in package.json, so the
+ * committed vendor/tesseract/ is what this script produces, byte for byte.
+ * To upgrade: change those versions, npm install, re-run, and commit.
+ */
+import { copyFile, mkdir, rm } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const NODE_MODULES = path.join(ROOT_DIR, 'node_modules');
+const VENDOR_DIR = path.join(ROOT_DIR, 'vendor/tesseract');
+
+// [source under node_modules, destination under vendor/tesseract]
+const FILES = [
+  ['tesseract.js/dist/tesseract.esm.min.js', 'tesseract.esm.min.js'],
+  ['tesseract.js/dist/worker.min.js', 'worker.min.js'],
+  ['tesseract.js/LICENSE.md', 'LICENSE.md'],
+  // LSTM-only cores; the worker picks the SIMD one when the browser has it
+  ['tesseract.js-core/tesseract-core-lstm.wasm.js', 'core/tesseract-core-lstm.wasm.js'],
+  ['tesseract.js-core/tesseract-core-simd-lstm.wasm.js', 'core/tesseract-core-simd-lstm.wasm.js'],
+  // best_int: LSTM model, integer weights (≈2 MB vs ≈8 MB for 4.0.0)
+  ['@tesseract.js-data/spa/4.0.0_best_int/spa.traineddata.gz', 'lang/spa.traineddata.gz']
+];
+
+await rm(VENDOR_DIR, { recursive: true, force: true });
+for (const [src, dest] of FILES) {
+  const target = path.join(VENDOR_DIR, dest);
+  await mkdir(path.dirname(target), { recursive: true });
+  await copyFile(path.join(NODE_MODULES, src), target);
+  console.log(`  ${dest}`);
+}
+console.log(`OCR runtime copied to ${path.relative(ROOT_DIR, VENDOR_DIR)}/`);